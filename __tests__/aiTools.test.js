@@ -0,0 +1,95 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return { prisma: createFakePrisma(), Prisma: {} };
+});
+
+const aiTools = require("../aiTools");
+
+describe("AI tools", () => {
+  const toolCall = (id, name, args) => ({
+    id,
+    type: "function",
+    function: { name, arguments: args },
+  });
+
+  test("builds a tool for each available command", () => {
+    const tools = aiTools.buildTools(["checkout", "suporte", "etapa"], {
+      stageIds: ["greeting", "closing"],
+    });
+
+    expect(tools.map((tool) => tool.function.name)).toEqual([
+      "send_checkout_link",
+      "transfer_to_support",
+      "change_funnel_stage",
+    ]);
+
+    const [checkout, support, stage] = tools.map((tool) => tool.function);
+    expect(checkout.parameters.required).toEqual(["planId"]);
+    expect(checkout.parameters.properties.planId.enum).toEqual(
+      aiTools.getCheckoutPlanIds()
+    );
+    expect(support.parameters).toEqual({
+      type: "object",
+      properties: {},
+      required: [],
+      additionalProperties: false,
+    });
+    expect(stage.parameters.properties.stageId.enum).toEqual([
+      "greeting",
+      "closing",
+    ]);
+  });
+
+  test("leaves the argument open when its values are unknown", () => {
+    const [socialProof] = aiTools.buildTools(["prova_social"]);
+
+    expect(socialProof.function.parameters.properties.socialProofId).toEqual({
+      type: "string",
+      description: "ID da prova social a enviar",
+    });
+  });
+
+  test("converts tool calls into special command actions", () => {
+    const actions = aiTools.parseToolCalls([
+      toolCall("call_1", "send_checkout_link", '{"planId":"plano_anual"}'),
+      toolCall("call_2", "transfer_to_support", "{}"),
+      toolCall("call_3", "change_funnel_stage", '{"stageId":"closing"}'),
+    ]);
+
+    expect(actions).toEqual([
+      {
+        type: "checkout",
+        id: "plano_anual",
+        fullCommand: 'send_checkout_link({"planId":"plano_anual"})',
+        toolCallId: "call_1",
+      },
+      {
+        type: "suporte",
+        id: "",
+        fullCommand: "transfer_to_support({})",
+        toolCallId: "call_2",
+      },
+      {
+        type: "etapa",
+        id: "closing",
+        fullCommand: 'change_funnel_stage({"stageId":"closing"})',
+        toolCallId: "call_3",
+      },
+    ]);
+  });
+
+  test("ignores unknown tools and invalid or missing arguments", () => {
+    const actions = aiTools.parseToolCalls([
+      toolCall("call_1", "delete_customer", "{}"),
+      toolCall("call_2", "send_checkout_link", "{planId:"),
+      toolCall("call_3", "send_checkout_link", '{"plan":"plano_anual"}'),
+      toolCall("call_4", "transfer_to_support", ""),
+    ]);
+
+    expect(actions).toEqual([
+      expect.objectContaining({ type: "suporte", toolCallId: "call_4" }),
+    ]);
+    expect(aiTools.parseToolCalls(undefined)).toEqual([]);
+    expect(aiTools.parseToolCalls(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+jest.mock("../trainingLoader", () => ({}));
+
+const express = require("express");
+const request = require("supertest");
+const botConfig = require("../botConfig");
+const memoryManager = require("../memoryManager");
+const apiRouter = require("../api");
+const { getBotStatus } = require("../utils");
+
+describe("API router", () => {
+  const token = "test-api-token";
+  let app;
+  let chatHandler;
+  let session;
+  let clientIp = 0;
+
+  // Each test comes from its own address, so the rate limit counters don't mix
+  const call = (method, path) =>
+    request(app)
+      [method](path)
+      .set("X-Forwarded-For", `10.0.0.${clientIp}`)
+      .set("Authorization", `Bearer ${token}`);
+
+  beforeEach(() => {
+    clientIp++;
+    botConfig.server.security.apiToken = token;
+    botConfig.server.security.rateLimit = true;
+    botConfig.server.security.maxRequestsPerMinute = 60;
+
+    chatHandler = {
+      sendMessage: jest.fn().mockResolvedValue({ success: true, id: "msg-1" }),
+    };
+    session = { isReady: true, chatHandler };
+    apiRouter.setSessionManager({ getSessionForTenant: () => session });
+    getBotStatus().update({ status: "ready" });
+
+    app = express();
+    app.set("trust proxy", true);
+    app.use(express.json());
+    app.use("/api", apiRouter);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("rejects requests without a valid Bearer token", async () => {
+    const missing = await request(app)
+      .get("/api/status")
+      .set("X-Forwarded-For", `10.0.0.${clientIp}`);
+    expect(missing.status).toBe(401);
+    expect(missing.body).toMatchObject({
+      success: false,
+      code: "UNAUTHORIZED",
+    });
+
+    const wrong = await request(app)
+      .get("/api/status")
+      .set("X-Forwarded-For", `10.0.0.${clientIp}`)
+      .set("Authorization", "Bearer wrong-token");
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error).toBe("Invalid API token");
+  });
+
+  test("limits the requests of each client per minute", async () => {
+    botConfig.server.security.maxRequestsPerMinute = 2;
+
+    const first = await call("get", "/api/status");
+    expect(first.status).toBe(200);
+    expect(first.headers["x-ratelimit-limit"]).toBe("2");
+    expect(first.headers["x-ratelimit-remaining"]).toBe("1");
+
+    await call("get", "/api/status");
+    const limited = await call("get", "/api/status");
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe("RATE_LIMITED");
+    expect(Number(limited.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("sends messages through the chat handler", async () => {
+    const response = await call("post", "/api/send").send({
+      phoneNumber: "5511999990000",
+      message: "Olá!",
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      success: true,
+      data: { success: true, id: "msg-1" },
+    });
+    expect(chatHandler.sendMessage).toHaveBeenCalledWith(
+      "5511999990000",
+      "Olá!"
+    );
+  });
+
+  test("validates the message and reports WhatsApp and delivery failures", async () => {
+    const invalid = await call("post", "/api/send").send({
+      phoneNumber: "5511999990000",
+      message: "   ",
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe("VALIDATION_ERROR");
+
+    const tooLong = await call("post", "/api/send").send({
+      phoneNumber: "5511999990000",
+      message: "a".repeat(4097),
+    });
+    expect(tooLong.status).toBe(400);
+
+    chatHandler.sendMessage.mockResolvedValue({
+      success: false,
+      error: "Número não existe no WhatsApp",
+    });
+    const failed = await call("post", "/api/send").send({
+      phoneNumber: "5511999990000",
+      message: "Olá!",
+    });
+    expect(failed.status).toBe(502);
+    expect(failed.body).toMatchObject({
+      code: "SEND_FAILED",
+      details: { phoneNumber: "5511999990000" },
+    });
+
+    session.isReady = false;
+    const notReady = await call("post", "/api/send").send({
+      phoneNumber: "5511999990000",
+      message: "Olá!",
+    });
+    expect(notReady.status).toBe(503);
+    expect(notReady.body.code).toBe("WHATSAPP_NOT_READY");
+  });
+
+  test("returns the bot status and the memory statistics", async () => {
+    const status = await call("get", "/api/status");
+    expect(status.status).toBe(200);
+    expect(status.body.data.status).toBe("ready");
+    expect(status.body.data.update).toBeUndefined();
+
+    jest
+      .spyOn(memoryManager, "getMemoryStats")
+      .mockResolvedValue({ messages: { total: 3 } });
+    const stats = await call("get", "/api/stats");
+    expect(stats.body).toEqual({
+      success: true,
+      data: { messages: { total: 3 } },
+    });
+
+    memoryManager.getMemoryStats.mockResolvedValue({ error: "DB offline" });
+    const unavailable = await call("get", "/api/stats");
+    expect(unavailable.status).toBe(500);
+    expect(unavailable.body.code).toBe("STATS_UNAVAILABLE");
+  });
+
+  test("answers unknown routes with the error envelope", async () => {
+    const response = await call("get", "/api/unknown");
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      success: false,
+      error: "Route GET /api/unknown not found",
+      code: "NOT_FOUND",
+    });
+  });
+});
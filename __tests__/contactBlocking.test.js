@@ -0,0 +1,151 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+jest.mock("../aiHandler", () => ({}));
+jest.mock("../trainingLoader", () => ({}));
+
+const { prisma } = require("../db");
+const botConfig = require("../botConfig");
+const memoryManager = require("../memoryManager");
+const ChatHandler = require("../chatHandler");
+
+describe("contact blocking", () => {
+  const phoneNumber = "5511999990000";
+  const minutesFromNow = (block) =>
+    Math.round((new Date(block.blockedUntil) - Date.now()) / 60000);
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.conversationIds.clear();
+
+    botConfig.behavior.blocking.enabled = true;
+    botConfig.behavior.blocking.durationsMinutes = [15, 120, 1440];
+    botConfig.behavior.blocking.escalationResetDays = 30;
+  });
+
+  test("escalates the block duration for repeat offenses", async () => {
+    const first = await memoryManager.blockContact(phoneNumber);
+    expect(first).toMatchObject({ blockCount: 1, reason: "spam" });
+    expect(minutesFromNow(first)).toBe(15);
+
+    expect(minutesFromNow(await memoryManager.blockContact(phoneNumber))).toBe(
+      120
+    );
+    expect(minutesFromNow(await memoryManager.blockContact(phoneNumber))).toBe(
+      1440
+    );
+
+    // The last duration repeats
+    const fourth = await memoryManager.blockContact(phoneNumber);
+    expect(fourth.blockCount).toBe(4);
+    expect(minutesFromNow(fourth)).toBe(1440);
+  });
+
+  test("starts the escalation over once the last block is old enough", async () => {
+    await memoryManager.blockContact(phoneNumber);
+    await memoryManager.blockContact(phoneNumber);
+
+    const [conversation] = prisma.tables.conversation;
+    conversation.isBlockedUntil = new Date(Date.now() - 31 * 24 * 3600 * 1000);
+
+    const block = await memoryManager.blockContact(phoneNumber);
+    expect(block.blockCount).toBe(1);
+    expect(minutesFromNow(block)).toBe(15);
+  });
+
+  test("keeps the block count when a contact is unblocked", async () => {
+    await memoryManager.blockContact(phoneNumber);
+    expect(await memoryManager.getActiveBlock(phoneNumber)).not.toBeNull();
+
+    expect(await memoryManager.unblockContact(phoneNumber)).toBe(true);
+    expect(await memoryManager.getActiveBlock(phoneNumber)).toBeNull();
+    expect(await memoryManager.unblockContact(phoneNumber)).toBe(false);
+
+    const block = await memoryManager.blockContact(phoneNumber);
+    expect(block.blockCount).toBe(2);
+  });
+
+  test("lists only the contacts that are still blocked", async () => {
+    await memoryManager.blockContact(phoneNumber);
+    await memoryManager.blockContact("5511888880000", { minutes: 5 });
+    await memoryManager.blockContact("5511777770000");
+    await memoryManager.unblockContact("5511777770000");
+
+    const { blocks, nextCursor } = await memoryManager.listBlockedContacts();
+    expect(blocks.map((block) => block.phoneNumber)).toEqual([
+      "5511888880000",
+      phoneNumber,
+    ]);
+    expect(nextCursor).toBeNull();
+  });
+
+  describe("notice", () => {
+    let chat;
+    let handler;
+
+    const receive = (body) =>
+      handler.handleIncomingMessage({
+        body,
+        fromMe: false,
+        getChat: async () => ({ isGroup: false, isBroadcast: false }),
+        getContact: async () => ({ id: { user: phoneNumber } }),
+      });
+
+    beforeEach(() => {
+      chat = {
+        sendMessage: jest
+          .fn()
+          .mockResolvedValue({ id: { _serialized: "notice-1" } }),
+      };
+      handler = new ChatHandler({ getChatById: async () => chat });
+    });
+
+    test("is sent once per block and the messages are ignored", async () => {
+      await memoryManager.blockContact(phoneNumber);
+
+      await receive("Oi?");
+      await receive("Oi??");
+
+      expect(chat.sendMessage).toHaveBeenCalledTimes(1);
+      expect(chat.sendMessage).toHaveBeenCalledWith(
+        botConfig.behavior.blocking.notice,
+        {}
+      );
+      expect(handler.incomingMessages.has(phoneNumber)).toBe(false);
+      expect(
+        (await memoryManager.getActiveBlock(phoneNumber)).noticeSentAt
+      ).toBeInstanceOf(Date);
+    });
+
+    test("is not sent again when an ongoing block is extended", async () => {
+      await memoryManager.blockContact(phoneNumber);
+      await receive("Oi?");
+
+      await memoryManager.blockContact(phoneNumber);
+      await receive("Oi??");
+
+      expect(chat.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test("blocks a contact that triggers the spam protection", async () => {
+      botConfig.behavior.spamProtection = true;
+      handler.messageCounters.set(phoneNumber, {
+        count: botConfig.behavior.maxMessagesPerMinute + 1,
+        timestamp: Date.now(),
+        timeout: null,
+      });
+
+      await receive("spam");
+
+      const block = await memoryManager.getActiveBlock(phoneNumber);
+      expect(block).toMatchObject({ blockCount: 1, reason: "spam" });
+      expect(chat.sendMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+});
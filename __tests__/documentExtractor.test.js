@@ -0,0 +1,180 @@
+jest.mock("../trainingLoader", () => ({}));
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const {
+  extractDocumentText,
+  getDocumentType,
+} = require("../documentExtractor");
+
+const readFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", name));
+
+/**
+ * Build a zip archive of deflated entries
+ * @param {Array<Object>} entries - Entries with their name, data and optionally the declared size
+ * @returns {Buffer} The archive
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, size = data.length } of entries) {
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const documentXml = (text) =>
+  Buffer.from(
+    `<w:document><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`
+  );
+
+describe("document extractor", () => {
+  test("reads the paragraphs of a DOCX file", async () => {
+    const text = await extractDocumentText(
+      readFixture("briefing.docx"),
+      "docx"
+    );
+
+    expect(text).toBe(
+      "Briefing da Loja da Ana\nEquipe:\t12 pessoas\nOrçamento & prazo: R$ 5.000 em <30 dias>"
+    );
+  });
+
+  test("reads the rows of every sheet of an XLSX file", async () => {
+    const text = await extractDocumentText(readFixture("precos.xlsx"), "xlsx");
+
+    expect(text).toBe(
+      [
+        "Planilha 1:",
+        "Plano | Preço",
+        "Básico | 97",
+        "Pro | 197.5",
+        "",
+        "Planilha 2:",
+        "Nome | Cargo",
+        "Ana | Diretora",
+      ].join("\n")
+    );
+  });
+
+  test("detects the type by MIME type or extension", () => {
+    expect(
+      getDocumentType(
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+      )
+    ).toBe("docx");
+    expect(getDocumentType("application/octet-stream", "Preços.XLSX")).toBe(
+      "xlsx"
+    );
+    expect(getDocumentType("image/png", "foto.png")).toBeNull();
+  });
+
+  test("reads an archive built by the test helper", async () => {
+    const zip = buildZip([
+      { name: "word/document.xml", data: documentXml("Olá") },
+    ]);
+
+    await expect(extractDocumentText(zip, "docx")).resolves.toBe("Olá");
+  });
+
+  test("rejects parts that unpack beyond the size limit", async () => {
+    const bomb = Buffer.alloc(60 * 1024 * 1024, " ");
+
+    // Declared with its real size and with a false small one
+    await expect(
+      extractDocumentText(
+        buildZip([{ name: "word/document.xml", data: bomb }]),
+        "docx"
+      )
+    ).rejects.toThrow("too large");
+    await expect(
+      extractDocumentText(
+        buildZip([{ name: "word/document.xml", data: bomb, size: 100 }]),
+        "docx"
+      )
+    ).rejects.toThrow("too large");
+  });
+
+  test("limits the total size of the unpacked sheets", async () => {
+    const sheet = Buffer.alloc(20 * 1024 * 1024, " ");
+    const zip = buildZip(
+      [1, 2, 3].map((n) => ({
+        name: `xl/worksheets/sheet${n}.xml`,
+        data: sheet,
+      }))
+    );
+
+    await expect(extractDocumentText(zip, "xlsx")).rejects.toThrow("too large");
+  });
+
+  test("rejects archives with too many entries", async () => {
+    const zip = buildZip(
+      Array.from({ length: 2001 }, (_, i) => ({
+        name: `part${i}.xml`,
+        data: Buffer.from("x"),
+      }))
+    );
+
+    await expect(extractDocumentText(zip, "docx")).rejects.toThrow(
+      "more than 2000 entries"
+    );
+  });
+
+  test("rejects truncated and ZIP64 archives", async () => {
+    const zip = buildZip([
+      { name: "word/document.xml", data: documentXml("Olá") },
+    ]);
+
+    // Central directory pointing beyond the data
+    const truncated = Buffer.from(zip);
+    truncated.writeUInt32LE(zip.length * 2, zip.length - 6);
+    await expect(extractDocumentText(truncated, "docx")).rejects.toThrow(
+      "truncated or corrupt"
+    );
+
+    // Local header offset beyond the data
+    const badOffset = Buffer.from(zip);
+    const central = badOffset.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    badOffset.writeUInt32LE(zip.length + 10, central + 42);
+    await expect(extractDocumentText(badOffset, "docx")).rejects.toThrow(
+      "truncated or corrupt"
+    );
+
+    const zip64 = Buffer.from(zip);
+    zip64.writeUInt32LE(0xffffffff, zip.length - 6);
+    await expect(extractDocumentText(zip64, "docx")).rejects.toThrow("ZIP64");
+  });
+});
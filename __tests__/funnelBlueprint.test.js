@@ -0,0 +1,214 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return { prisma: createFakePrisma(), Prisma: {} };
+});
+
+const { prisma } = require("../db");
+const {
+  SPECIAL_COMMANDS,
+  validateBlueprint,
+  funnelBlueprintManager,
+} = require("../funnelBlueprint");
+
+describe("funnel blueprints", () => {
+  const tenantId = "tenant-a";
+
+  const blueprint = () => ({
+    version: 2,
+    initialStage: "greeting",
+    stages: [
+      {
+        id: "greeting",
+        name: "Saudação",
+        instructions: "Cumprimente o cliente.",
+        allowedTransitions: ["offer"],
+      },
+      {
+        id: "offer",
+        instructions: "Apresente os planos.",
+        advancementSignals: { minMessages: 4, keywords: [" Preço ", "PLANO"] },
+        commands: ["checkout", "suporte"],
+      },
+    ],
+  });
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    funnelBlueprintManager.clearCache();
+  });
+
+  describe("validateBlueprint", () => {
+    test("accepts a complete blueprint", () => {
+      expect(validateBlueprint(blueprint())).toEqual({
+        valid: true,
+        errors: [],
+      });
+    });
+
+    test("rejects data that isn't a list of stages", () => {
+      expect(validateBlueprint(null).errors).toEqual([
+        "Blueprint must be an object",
+      ]);
+      expect(validateBlueprint({ stages: [] }).errors).toEqual([
+        "stages must be an array of 1 to 50 stages",
+      ]);
+      expect(validateBlueprint({ version: 0, stages: [{}] }).errors).toContain(
+        "version must be a positive integer"
+      );
+    });
+
+    test("reports invalid and duplicate stage IDs", () => {
+      const data = blueprint();
+      data.stages.push({ id: "offer", instructions: "Outra." });
+      data.stages.push({ id: "Fechamento", instructions: "Feche." });
+
+      const { valid, errors } = validateBlueprint(data);
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        "stages[2].id 'offer' is declared more than once",
+        "stages[3].id must be lowercase letters, digits or underscores, starting with a letter",
+      ]);
+    });
+
+    test("reports references to unknown stages and commands", () => {
+      const data = blueprint();
+      data.initialStage = "missing";
+      data.stages[0].allowedTransitions = ["offer", "closing"];
+      data.stages[1].commands = ["checkout", "desconto"];
+
+      const { errors } = validateBlueprint(data);
+      expect(errors).toContain(
+        "stages[0].allowedTransitions[1] references unknown stage 'closing'"
+      );
+      expect(errors).toContain(
+        "initialStage references unknown stage 'missing'"
+      );
+      expect(
+        errors.some((error) =>
+          error.startsWith(
+            "stages[1].commands[1] 'desconto' is not a special command"
+          )
+        )
+      ).toBe(true);
+    });
+
+    test("reports unknown transition guards", () => {
+      const data = blueprint();
+      data.stages[1].guards = ["plan_presented", "paid_twice"];
+
+      const { errors } = validateBlueprint(data);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatch(
+        /^stages\[1\]\.guards\[1\] 'paid_twice' is not a transition guard/
+      );
+    });
+
+    test("checks the advancement signals", () => {
+      const data = blueprint();
+      data.stages[0].advancementSignals = {};
+      data.stages[1].advancementSignals = { minMessages: -1, keywords: [""] };
+
+      expect(validateBlueprint(data).errors).toEqual([
+        "stages[0].advancementSignals must define 'minMessages' and/or 'keywords'",
+        "stages[1].advancementSignals.minMessages must be a non-negative integer",
+        "stages[1].advancementSignals.keywords must only contain non-empty strings",
+      ]);
+    });
+
+    test("only requires instructions for stages without built-in ones", () => {
+      const data = { stages: [{ id: "greeting" }, { id: "custom" }] };
+
+      expect(
+        validateBlueprint(data, { builtInStages: ["greeting"] }).errors
+      ).toEqual([
+        "stages[1].instructions is required for stages without built-in instructions",
+      ]);
+    });
+  });
+
+  test("normalizes the optional fields", () => {
+    const { initialStage, version, stages } = funnelBlueprintManager.normalize({
+      stages: [
+        { id: "greeting", instructions: "Oi." },
+        {
+          id: "offer",
+          instructions: "Planos.",
+          advancementSignals: { keywords: [" Preço "] },
+        },
+      ],
+    });
+
+    expect(version).toBe(1);
+    expect(initialStage).toBe("greeting");
+    expect(stages[0]).toEqual({
+      id: "greeting",
+      name: "greeting",
+      instructions: "Oi.",
+      advancementSignals: null,
+      allowedTransitions: null,
+      commands: Object.keys(SPECIAL_COMMANDS),
+      guards: [],
+    });
+    expect(stages[1].advancementSignals).toEqual({
+      minMessages: 0,
+      keywords: ["preço"],
+    });
+  });
+
+  test("stores valid blueprints and refuses invalid ones", async () => {
+    const rejected = await funnelBlueprintManager.saveBlueprint(tenantId, {
+      stages: [{ id: "x" }],
+    });
+    expect(rejected.saved).toBe(false);
+    expect(prisma.tables.funnelConfiguration).toHaveLength(0);
+
+    const saved = await funnelBlueprintManager.saveBlueprint(
+      tenantId,
+      blueprint()
+    );
+    expect(saved.saved).toBe(true);
+    expect(saved.blueprint.stages[1].advancementSignals.keywords).toEqual([
+      "preço",
+      "plano",
+    ]);
+
+    const loaded = await funnelBlueprintManager.getBlueprint(tenantId);
+    expect(loaded).toEqual(saved.blueprint);
+
+    expect(await funnelBlueprintManager.deleteBlueprint(tenantId)).toBe(true);
+    expect(await funnelBlueprintManager.getBlueprint(tenantId)).toBeNull();
+    expect(await funnelBlueprintManager.deleteBlueprint(tenantId)).toBe(false);
+  });
+
+  test("ignores a stored blueprint that is no longer valid", async () => {
+    prisma.tables.funnelConfiguration.push({
+      id: "config-1",
+      tenantId,
+      blueprintData: { stages: [{ id: "greeting", commands: ["voar"] }] },
+    });
+
+    expect(await funnelBlueprintManager.getBlueprint(tenantId)).toBeNull();
+  });
+
+  test("caches loaded blueprints until they are saved again", async () => {
+    await funnelBlueprintManager.saveBlueprint(tenantId, blueprint());
+    await funnelBlueprintManager.getBlueprint(tenantId);
+
+    // Changes made behind the manager's back are not seen while cached
+    prisma.tables.funnelConfiguration[0].blueprintData = {
+      stages: [{ id: "other", instructions: "Outra." }],
+    };
+    expect(
+      (await funnelBlueprintManager.getBlueprint(tenantId)).initialStage
+    ).toBe("greeting");
+
+    const updated = blueprint();
+    updated.initialStage = "offer";
+    await funnelBlueprintManager.saveBlueprint(tenantId, updated);
+    expect(
+      (await funnelBlueprintManager.getBlueprint(tenantId)).initialStage
+    ).toBe("offer");
+  });
+});
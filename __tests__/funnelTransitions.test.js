@@ -0,0 +1,164 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return { prisma: createFakePrisma(), Prisma: {} };
+});
+jest.mock("../trainingLoader", () => ({}));
+
+const { prisma } = require("../db");
+const memoryManager = require("../memoryManager");
+const {
+  SalesFunnelService,
+  FUNNEL_STAGES,
+  CHECKOUT_LINKS_LOG,
+} = require("../salesFunnelService");
+
+describe("funnel transition graph", () => {
+  const phoneNumber = "5511999990000";
+  const {
+    GREETING,
+    OBJECTION_HANDLING,
+    PRICE_DISCUSSION,
+    CHECKOUT,
+    POST_PURCHASE_FOLLOWUP,
+  } = FUNNEL_STAGES;
+
+  // Each step happens a second later, so the transitions are ordered by time
+  const moveTo = async (stage, options) => {
+    jest.setSystemTime(Date.now() + 1000);
+    return SalesFunnelService.updateFunnelStage(phoneNumber, stage, options);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({
+      now: new Date("2024-05-01T12:00:00Z"),
+      doNotFake: ["nextTick", "setImmediate", "setTimeout", "setInterval"],
+    });
+
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("rejects transitions missing from the graph", async () => {
+    expect(await moveTo(CHECKOUT)).toBe(false);
+
+    const { transitions, rejectedTransitions } =
+      await SalesFunnelService.getTransitionHistory(phoneNumber);
+    expect(transitions).toEqual([]);
+    expect(rejectedTransitions).toEqual([
+      expect.objectContaining({
+        from: GREETING,
+        to: CHECKOUT,
+        source: "ai",
+        reason: "not_allowed",
+      }),
+    ]);
+  });
+
+  test("only enters a stage once its guards hold", async () => {
+    await moveTo(PRICE_DISCUSSION);
+    // The plans were presented in the price discussion
+    expect(await moveTo(CHECKOUT)).toBe(true);
+
+    expect(await moveTo(POST_PURCHASE_FOLLOWUP, { source: "command" })).toBe(
+      false
+    );
+
+    const { rejectedTransitions } =
+      await SalesFunnelService.getTransitionHistory(phoneNumber);
+    expect(rejectedTransitions).toEqual([
+      expect.objectContaining({
+        to: POST_PURCHASE_FOLLOWUP,
+        source: "command",
+        reason: "guard_failed",
+        guard: "purchase_recorded",
+      }),
+    ]);
+
+    await memoryManager.saveMemoryEntry(
+      phoneNumber,
+      "purchased_product",
+      "plano_anual",
+      "purchase_history"
+    );
+    expect(await moveTo(POST_PURCHASE_FOLLOWUP)).toBe(true);
+  });
+
+  test("counts a sent checkout link as a presented plan", async () => {
+    expect(
+      await SalesFunnelService._checkGuard(
+        "plan_presented",
+        phoneNumber,
+        GREETING
+      )
+    ).toBe(false);
+
+    await memoryManager.appendMemoryLog(
+      phoneNumber,
+      CHECKOUT_LINKS_LOG,
+      { planId: "plano_anual", sentAt: new Date().toISOString() },
+      "sales_actions"
+    );
+    expect(
+      await SalesFunnelService._checkGuard(
+        "plan_presented",
+        phoneNumber,
+        GREETING
+      )
+    ).toBe(true);
+  });
+
+  test("holds back a reversal to the stage just left", async () => {
+    await moveTo(OBJECTION_HANDLING);
+    await moveTo(PRICE_DISCUSSION);
+
+    expect(await moveTo(OBJECTION_HANDLING)).toBe(false);
+
+    const { rejectedTransitions } =
+      await SalesFunnelService.getTransitionHistory(phoneNumber);
+    expect(rejectedTransitions).toEqual([
+      expect.objectContaining({
+        from: PRICE_DISCUSSION,
+        to: OBJECTION_HANDLING,
+        reason: "reversal_cooldown",
+      }),
+    ]);
+
+    jest.setSystemTime(Date.now() + 30 * 60 * 1000);
+    expect(await moveTo(OBJECTION_HANDLING)).toBe(true);
+  });
+
+  test("logs accepted and rejected transitions in capped entries", async () => {
+    await moveTo(OBJECTION_HANDLING);
+    await moveTo(PRICE_DISCUSSION);
+    // Going straight back is blocked by the reversal cooldown
+    expect(await moveTo(OBJECTION_HANDLING)).toBe(false);
+    expect(await moveTo(GREETING)).toBe(false);
+
+    const history = await SalesFunnelService.getTransitionHistory(phoneNumber);
+    expect(history.transitions).toEqual([
+      expect.objectContaining({
+        from: OBJECTION_HANDLING,
+        to: PRICE_DISCUSSION,
+      }),
+      expect.objectContaining({ from: GREETING, to: OBJECTION_HANDLING }),
+    ]);
+    expect(history.rejectedTransitions).toEqual([
+      expect.objectContaining({ to: GREETING, reason: "not_allowed" }),
+      expect.objectContaining({
+        to: OBJECTION_HANDLING,
+        reason: "reversal_cooldown",
+      }),
+    ]);
+
+    const [conversation] = prisma.tables.conversation;
+    expect(conversation.currentFunnelStepId).toBe(PRICE_DISCUSSION);
+    expect(prisma.tables.memoryEntry).toHaveLength(1);
+  });
+});
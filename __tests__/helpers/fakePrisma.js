@@ -0,0 +1,387 @@
+/**
+ * @fileoverview In-memory Prisma client for the tests
+ *
+ * Models, fields and enums are read from prisma/schema.prisma, so queries
+ * using columns the schema doesn't have fail like they do with the real client.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Parse the models and enums of the Prisma schema
+ * @returns {Object} Models (fields by name) and enums (values by name)
+ */
+function parseSchema() {
+  const schema = fs.readFileSync(
+    path.join(__dirname, "..", "..", "prisma", "schema.prisma"),
+    "utf-8"
+  );
+  const enums = {};
+  const models = {};
+
+  for (const [, name, body] of schema.matchAll(/enum (\w+) \{([^}]*)\}/g)) {
+    enums[name] = body
+      .split("\n")
+      .map((line) => line.replace(/\/\/.*/, "").trim())
+      .filter(Boolean);
+  }
+
+  for (const [, name, body] of schema.matchAll(/model (\w+) \{([^}]*)\}/g)) {
+    const fields = {};
+    const uniques = [];
+
+    for (const rawLine of body.split("\n")) {
+      const line = rawLine.replace(/\/\/.*/, "").trim();
+      const unique = line.match(/^@@unique\(\[([^\]]+)\]\)/);
+      if (unique) {
+        uniques.push(unique[1].split(",").map((field) => field.trim()));
+        continue;
+      }
+
+      const field = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/);
+      if (!field || line.startsWith("@@")) {
+        continue;
+      }
+
+      const [, fieldName, type, isList, isOptional, attributes] = field;
+      fields[fieldName] = {
+        type,
+        isList: Boolean(isList),
+        isRelation:
+          /@relation/.test(attributes) ||
+          (/^[A-Z]/.test(type) &&
+            !enums[type] &&
+            !["String", "Int", "Float", "Boolean", "DateTime", "Json"].includes(
+              type
+            )),
+        isRequired:
+          !isOptional && !isList && !/@default|@updatedAt|@id/.test(attributes),
+        hasDefault: /@default\(now\(\)\)|@updatedAt/.test(attributes),
+        defaultValue: (attributes.match(/@default\(([^()]*)\)/) || [])[1],
+      };
+    }
+
+    models[name.charAt(0).toLowerCase() + name.slice(1)] = {
+      fields,
+      uniques,
+    };
+  }
+
+  return { models, enums };
+}
+
+/**
+ * Check whether a record matches a where clause
+ * @param {Object} record - The record
+ * @param {Object} where - The where clause
+ * @returns {boolean} Whether it matches
+ */
+function matches(record, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === "AND") {
+      return condition.every((clause) => matches(record, clause));
+    }
+    if (key === "OR") {
+      return condition.some((clause) => matches(record, clause));
+    }
+
+    const value = record[key];
+    if (
+      condition === null ||
+      typeof condition !== "object" ||
+      condition instanceof Date
+    ) {
+      return compare(value, condition) === 0;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case "equals":
+          return compare(value, operand) === 0;
+        case "not":
+          return compare(value, operand) !== 0;
+        case "in":
+          return operand.some((item) => compare(value, item) === 0);
+        case "notIn":
+          return !operand.some((item) => compare(value, item) === 0);
+        case "lt":
+          return value !== null && compare(value, operand) < 0;
+        case "lte":
+          return value !== null && compare(value, operand) <= 0;
+        case "gt":
+          return value !== null && compare(value, operand) > 0;
+        case "gte":
+          return value !== null && compare(value, operand) >= 0;
+        case "contains":
+          return (
+            typeof value === "string" &&
+            (condition.mode === "insensitive"
+              ? value.toLowerCase().includes(operand.toLowerCase())
+              : value.includes(operand))
+          );
+        case "mode":
+          return true;
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+}
+
+/**
+ * Compare two values of a column
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (a === b || (a === undefined && b === null)) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return -1;
+  }
+  if (b === null || b === undefined) {
+    return 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Create an in-memory Prisma client
+ * @returns {Object} The client, with its tables in `tables`
+ */
+function createFakePrisma() {
+  const { models, enums } = parseSchema();
+  const tables = {};
+  let nextId = 1;
+
+  const checkFields = (modelName, data, { isCreate }) => {
+    const { fields } = models[modelName];
+
+    for (const [key, value] of Object.entries(data)) {
+      const field = fields[key];
+      if (!field || field.isRelation) {
+        throw new Error(
+          `Unknown argument \`${key}\` for ${modelName}. Available: ${Object.keys(
+            fields
+          ).join(", ")}`
+        );
+      }
+      if (
+        enums[field.type] &&
+        value !== null &&
+        !enums[field.type].includes(value)
+      ) {
+        throw new Error(
+          `Invalid value for argument \`${key}\`. Expected ${field.type}.`
+        );
+      }
+    }
+
+    if (isCreate) {
+      for (const [key, field] of Object.entries(fields)) {
+        if (field.isRequired && !field.isRelation && data[key] === undefined) {
+          throw new Error(`Argument \`${key}\` is missing for ${modelName}.`);
+        }
+      }
+    }
+  };
+
+  const expandWhere = (modelName, where = {}) => {
+    const expanded = {};
+    for (const [key, value] of Object.entries(where)) {
+      const unique = models[modelName].uniques.find(
+        (fields) => fields.join("_") === key
+      );
+      if (unique) {
+        Object.assign(expanded, value);
+      } else if (
+        key !== "AND" &&
+        key !== "OR" &&
+        !models[modelName].fields[key]
+      ) {
+        throw new Error(
+          `Unknown argument \`${key}\` in where of ${modelName}.`
+        );
+      } else {
+        expanded[key] = value;
+      }
+    }
+    return expanded;
+  };
+
+  const select = (record, selection) =>
+    selection
+      ? Object.fromEntries(
+          Object.keys(selection)
+            .filter((key) => selection[key])
+            .map((key) => [key, record[key]])
+        )
+      : { ...record };
+
+  const applyDefaults = (modelName, data) => {
+    const record = {};
+    for (const [key, field] of Object.entries(models[modelName].fields)) {
+      if (field.isRelation) continue;
+      if (key === "id") {
+        record.id = `id${nextId++}`;
+      } else if (field.hasDefault) {
+        record[key] = new Date();
+      } else if (field.isList) {
+        record[key] = [];
+      } else if (field.defaultValue !== undefined) {
+        const raw = field.defaultValue;
+        record[key] =
+          raw === "true"
+            ? true
+            : raw === "false"
+            ? false
+            : /^\d+$/.test(raw)
+            ? Number(raw)
+            : raw.replace(/"/g, "");
+      } else {
+        record[key] = null;
+      }
+    }
+    return { ...record, ...data };
+  };
+
+  const touch = (modelName, record) => {
+    for (const [key, field] of Object.entries(models[modelName].fields)) {
+      if (
+        field.hasDefault &&
+        key !== "createdAt" &&
+        key !== "lastInteractionTimestamp" &&
+        key !== "timestamp"
+      ) {
+        record[key] = new Date();
+      }
+    }
+  };
+
+  const sortRecords = (records, orderBy) => {
+    const orders = Array.isArray(orderBy) ? orderBy : orderBy ? [orderBy] : [];
+    return [...records].sort((a, b) => {
+      for (const order of orders) {
+        const [key, direction] = Object.entries(order)[0];
+        const result = compare(a[key], b[key]);
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    });
+  };
+
+  const delegate = (modelName) => {
+    const rows = (tables[modelName] = tables[modelName] || []);
+
+    const findMany = async (args = {}) => {
+      let records = sortRecords(
+        rows.filter((row) => matches(row, expandWhere(modelName, args.where))),
+        args.orderBy
+      );
+      if (args.cursor) {
+        const index = records.findIndex((row) => row.id === args.cursor.id);
+        records = records.slice(index === -1 ? records.length : index);
+      }
+      if (args.skip) records = records.slice(args.skip);
+      if (args.take !== undefined) records = records.slice(0, args.take);
+      return records.map((row) => select(row, args.select));
+    };
+
+    const create = async ({ data, select: selection }) => {
+      checkFields(modelName, data, { isCreate: true });
+      const record = applyDefaults(modelName, data);
+      for (const unique of models[modelName].uniques) {
+        if (
+          rows.some((row) =>
+            unique.every((key) => compare(row[key], record[key]) === 0)
+          )
+        ) {
+          throw new Error(
+            `Unique constraint failed on the fields: (${unique.join(",")})`
+          );
+        }
+      }
+      rows.push(record);
+      return select(record, selection);
+    };
+
+    const update = async ({ where, data, select: selection }) => {
+      checkFields(modelName, data, { isCreate: false });
+      const record = rows.find((row) =>
+        matches(row, expandWhere(modelName, where))
+      );
+      if (!record) {
+        throw new Error("Record to update not found.");
+      }
+      for (const [key, value] of Object.entries(data)) {
+        record[key] =
+          value && typeof value === "object" && "increment" in value
+            ? record[key] + value.increment
+            : value;
+      }
+      touch(modelName, record);
+      return select(record, selection);
+    };
+
+    return {
+      findMany,
+      findUnique: async (args) =>
+        (await findMany({ ...args, take: 1 }))[0] || null,
+      findFirst: async (args = {}) =>
+        (await findMany({ ...args, take: 1 }))[0] || null,
+      create,
+      update,
+      upsert: async ({
+        where,
+        create: createData,
+        update: updateData,
+        select: selection,
+      }) => {
+        const exists = rows.some((row) =>
+          matches(row, expandWhere(modelName, where))
+        );
+        return exists
+          ? update({ where, data: updateData, select: selection })
+          : create({ data: createData, select: selection });
+      },
+      updateMany: async ({ where, data }) => {
+        checkFields(modelName, data, { isCreate: false });
+        const records = rows.filter((row) =>
+          matches(row, expandWhere(modelName, where))
+        );
+        records.forEach((record) => Object.assign(record, data));
+        return { count: records.length };
+      },
+      deleteMany: async ({ where } = {}) => {
+        const kept = rows.filter(
+          (row) => !matches(row, expandWhere(modelName, where))
+        );
+        const count = rows.length - kept.length;
+        rows.splice(0, rows.length, ...kept);
+        return { count };
+      },
+      count: async ({ where } = {}) =>
+        rows.filter((row) => matches(row, expandWhere(modelName, where)))
+          .length,
+    };
+  };
+
+  const client = { tables };
+  for (const modelName of Object.keys(models)) {
+    client[modelName] = delegate(modelName);
+  }
+  client.$transaction = async (operations) =>
+    Array.isArray(operations) ? Promise.all(operations) : operations(client);
+  client.$queryRaw = async () => [];
+  client.$executeRaw = async () => 0;
+
+  return client;
+}
+
+module.exports = { createFakePrisma };
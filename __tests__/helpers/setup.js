@@ -0,0 +1,10 @@
+/**
+ * @fileoverview Environment of the tests
+ *
+ * Logs stay out of the console and the logs directory, and the modules that
+ * build API clients at load time get placeholder keys.
+ */
+
+process.env.LOG_TO_FILE = "false";
+process.env.LOG_LEVEL = "fatal";
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || "test-key";
@@ -0,0 +1,109 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+
+const botConfig = require("../botConfig");
+const { knowledgeBase } = require("../knowledgeBase");
+
+describe("knowledge base", () => {
+  const documents = [
+    {
+      source: "produtos.md",
+      content: [
+        "# Planos",
+        "## Básico",
+        "O plano Básico custa R$ 97 por mês e atende uma loja.",
+        "",
+        "## Pro",
+        "O plano Pro custa R$ 197 por mês, com suporte prioritário e relatórios.",
+      ].join("\n"),
+    },
+    {
+      source: "faq.txt",
+      content: [
+        "# -----",
+        "# Entrega",
+        "# -----",
+        "A ativação da conta acontece em até 24 horas depois do pagamento.",
+        "",
+        "Aceitamos Pix, boleto e cartão de crédito em até 12 vezes.",
+      ].join("\n"),
+    },
+  ];
+
+  beforeEach(() => {
+    botConfig.knowledgeBase.chunkTokens = 350;
+    botConfig.knowledgeBase.useEmbeddings = false;
+    botConfig.semanticMemory.embeddingProvider = "local";
+  });
+
+  test("splits documents into passages under their headings", async () => {
+    await expect(knowledgeBase.build(documents)).resolves.toBe(3);
+
+    expect(knowledgeBase.index.passages).toEqual([
+      {
+        id: "produtos.md#0",
+        source: "produtos.md",
+        heading: "Planos › Básico",
+        content: "O plano Básico custa R$ 97 por mês e atende uma loja.",
+      },
+      {
+        id: "produtos.md#1",
+        source: "produtos.md",
+        heading: "Planos › Pro",
+        content:
+          "O plano Pro custa R$ 197 por mês, com suporte prioritário e relatórios.",
+      },
+      {
+        id: "faq.txt#0",
+        source: "faq.txt",
+        heading: "Entrega",
+        content: [
+          "A ativação da conta acontece em até 24 horas depois do pagamento.",
+          "Aceitamos Pix, boleto e cartão de crédito em até 12 vezes.",
+        ].join("\n\n"),
+      },
+    ]);
+  });
+
+  test("keeps passages within the token budget by paragraph", async () => {
+    botConfig.knowledgeBase.chunkTokens = 20;
+
+    await knowledgeBase.build([documents[1]]);
+
+    expect(knowledgeBase.index.passages.map((passage) => passage.id)).toEqual([
+      "faq.txt#0",
+      "faq.txt#1",
+    ]);
+  });
+
+  test("finds the passages related to a message with BM25", async () => {
+    await knowledgeBase.build(documents);
+
+    const passages = await knowledgeBase.search(
+      "Quais formas de pagamento vocês aceitam? Pix?"
+    );
+
+    expect(passages[0]).toMatchObject({ id: "faq.txt#0" });
+    expect(passages.every((passage) => passage.score > 0)).toBe(true);
+    await expect(knowledgeBase.search("bom dia")).resolves.toEqual([]);
+    await expect(knowledgeBase.search("   ")).resolves.toEqual([]);
+  });
+
+  test("blends the embedding similarity into the score when enabled", async () => {
+    botConfig.knowledgeBase.useEmbeddings = true;
+    await knowledgeBase.build(documents);
+
+    expect(knowledgeBase.index.embeddings).toHaveLength(3);
+
+    const [passage] = await knowledgeBase.search("plano Pro suporte", {
+      limit: 1,
+    });
+    expect(passage.id).toBe("produtos.md#1");
+    expect(passage.score).toBeLessThanOrEqual(1);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return { prisma: createFakePrisma(), Prisma: {} };
+});
+jest.mock("../trainingLoader", () => ({}));
+
+const { prisma } = require("../db");
+const memoryManager = require("../memoryManager");
+const { SalesFunnelService } = require("../salesFunnelService");
+
+describe("lead profile", () => {
+  const phoneNumber = "5511999990000";
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+  });
+
+  test("reads back a saved profile from the ENTITIES row of the conversation", async () => {
+    await SalesFunnelService.updateLeadProfile(phoneNumber, {
+      company: { value: "Loja da Ana", confidence: 0.9, evidence: "Loja" },
+      teamSize: { value: 12, confidence: 0.8 },
+    });
+
+    // Read from the database, not the cache
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+
+    const profile = await SalesFunnelService.getLeadProfile(phoneNumber);
+    expect(profile.fields.company).toMatchObject({
+      value: "Loja da Ana",
+      confidence: 0.9,
+      source: "ai",
+    });
+    expect(profile.fields.teamSize.value).toBe(12);
+
+    const [conversation] = prisma.tables.conversation;
+    expect(conversation.chatId).toBe(`${phoneNumber}@c.us`);
+    expect(prisma.tables.memoryEntry).toHaveLength(1);
+    expect(prisma.tables.memoryEntry[0]).toMatchObject({
+      convId: conversation.id,
+      type: "ENTITIES",
+    });
+  });
+
+  test("keeps the most confident value and ignores invalid fields", async () => {
+    await SalesFunnelService.updateLeadProfile(phoneNumber, {
+      segment: { value: "Varejo", confidence: 0.9 },
+    });
+    const unchanged = await SalesFunnelService.updateLeadProfile(phoneNumber, {
+      segment: { value: "Varejo", confidence: 0.5 },
+      teamSize: { value: "doze", confidence: 0.9 },
+    });
+
+    expect(unchanged).toBeNull();
+    const profile = await SalesFunnelService.getLeadProfile(phoneNumber);
+    expect(profile.fields.segment.confidence).toBe(0.9);
+    expect(profile.fields.teamSize).toBeUndefined();
+  });
+
+  test("returns null for a conversation without a profile", async () => {
+    await expect(
+      SalesFunnelService.getLeadProfile("5511888880000")
+    ).resolves.toBeNull();
+    expect(prisma.tables.conversation || []).toHaveLength(0);
+  });
+});
@@ -0,0 +1,402 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+
+const http = require("http");
+const { prisma } = require("../db");
+const botConfig = require("../botConfig");
+const tenantManager = require("../tenantManager");
+const { llmProviders } = require("../llmProviders");
+const { usageTracker } = require("../usageTracker");
+
+describe("LLM providers", () => {
+  let server;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const request = {
+          path: req.url,
+          headers: req.headers,
+          body: JSON.parse(body || "{}"),
+        };
+        requests.push(request);
+
+        const [status, data] = respond(request);
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    llmProviders.health.clear();
+    llmProviders.openaiClients.clear();
+
+    const apiUrl = `http://127.0.0.1:${server.address().port}`;
+    botConfig.openai.apiKey = "test-key";
+    botConfig.openai.apiBaseUrl = `${apiUrl}/openai`;
+    botConfig.openai.retryConfig = {
+      ...botConfig.openai.retryConfig,
+      maxRetries: 2,
+      initialDelayMs: 1,
+      maxDelayMs: 1,
+    };
+    botConfig.llm.providers = [
+      {
+        id: "claude",
+        type: "anthropic",
+        apiUrl: `${apiUrl}/anthropic`,
+        apiKey: "test-key",
+        model: "claude-test",
+      },
+    ];
+    botConfig.llm.primary = "openai";
+    botConfig.llm.fallbacks = ["claude"];
+  });
+
+  const anthropicReply = (text) => [
+    200,
+    {
+      content: [{ type: "text", text }],
+      usage: { input_tokens: 10, output_tokens: 2 },
+    },
+  ];
+
+  test("hands a rate limited request to the fallback without retrying it", async () => {
+    respond = ({ path }) =>
+      path.startsWith("/openai")
+        ? [429, { error: { message: "Rate limit reached" } }]
+        : anthropicReply("Oi!");
+
+    const message = await llmProviders.complete([
+      { role: "user", content: "Oi" },
+    ]);
+
+    expect(message.content).toBe("Oi!");
+    expect(requests.map((request) => request.path)).toEqual([
+      "/openai/chat/completions",
+      "/anthropic/messages",
+    ]);
+  });
+
+  test("retries transient errors of the OpenAI provider up to the configured attempts", async () => {
+    botConfig.llm.fallbacks = [];
+    let calls = 0;
+    respond = () =>
+      ++calls < 3
+        ? [500, { error: { message: "Server error" } }]
+        : [
+            200,
+            {
+              choices: [{ message: { role: "assistant", content: "Oi!" } }],
+              usage: { prompt_tokens: 10, completion_tokens: 2 },
+            },
+          ];
+
+    const message = await llmProviders.complete([
+      { role: "user", content: "Oi" },
+    ]);
+
+    expect(message.content).toBe("Oi!");
+    expect(requests).toHaveLength(3);
+  });
+
+  test("sends images only to the vision models of the providers, with failover", async () => {
+    botConfig.llm.providers.push({
+      id: "text-only",
+      type: "openai_compatible",
+      apiUrl: botConfig.openai.apiBaseUrl,
+      model: "text-model",
+    });
+    botConfig.llm.fallbacks = ["text-only", "claude"];
+    botConfig.llm.providers[0].visionModel = "claude-vision";
+    respond = ({ path }) =>
+      path.startsWith("/openai")
+        ? [429, { error: { message: "Rate limit reached" } }]
+        : anthropicReply("Print de uma tabela de preços");
+
+    const message = await llmProviders.complete(
+      [{ role: "user", content: "O que tem na imagem?" }],
+      { max_tokens: 400 },
+      { vision: true }
+    );
+
+    expect(message.content).toBe("Print de uma tabela de preços");
+    expect(
+      requests.map((request) => [request.path, request.body.model])
+    ).toEqual([
+      ["/openai/chat/completions", botConfig.vision.model],
+      ["/anthropic/messages", "claude-vision"],
+    ]);
+  });
+
+  test("only sends the model of the overrides to the primary provider", async () => {
+    respond = ({ path }) =>
+      path.startsWith("/openai")
+        ? [500, { error: { message: "Server error" } }]
+        : anthropicReply("Oi!");
+
+    await llmProviders.complete([{ role: "user", content: "Oi" }], {
+      model: "gpt-special",
+      max_tokens: 50,
+    });
+
+    expect(
+      requests.map((request) => [request.path, request.body.model])
+    ).toEqual([
+      ["/openai/chat/completions", "gpt-special"],
+      ["/openai/chat/completions", "gpt-special"],
+      ["/openai/chat/completions", "gpt-special"],
+      ["/anthropic/messages", "claude-test"],
+    ]);
+    expect(requests[3].body.max_tokens).toBe(50);
+  });
+
+  test("leaves the tools and tool turns out for providers without tools", async () => {
+    botConfig.llm.providers.push({
+      id: "text-only",
+      type: "openai_compatible",
+      apiUrl: `http://127.0.0.1:${server.address().port}/compatible`,
+      model: "text-model",
+    });
+    botConfig.llm.fallbacks = ["text-only"];
+    respond = ({ path }) =>
+      path.startsWith("/openai")
+        ? [429, { error: { message: "Rate limit reached" } }]
+        : [
+            200,
+            {
+              choices: [{ message: { role: "assistant", content: "Pronto!" } }],
+              usage: { prompt_tokens: 10, completion_tokens: 2 },
+            },
+          ];
+
+    const message = await llmProviders.complete(
+      [
+        { role: "user", content: "Me transfere para o suporte" },
+        {
+          role: "assistant",
+          content: null,
+          tool_calls: [
+            {
+              id: "call_1",
+              type: "function",
+              function: { name: "transfer_to_support", arguments: "{}" },
+            },
+          ],
+        },
+        { role: "tool", tool_call_id: "call_1", content: "ok" },
+      ],
+      {
+        tools: [
+          { type: "function", function: { name: "transfer_to_support" } },
+        ],
+        tool_choice: "none",
+      }
+    );
+
+    expect(message.content).toBe("Pronto!");
+    const [, fallback] = requests;
+    expect(fallback.path).toBe("/compatible/chat/completions");
+    expect(fallback.body.tools).toBeUndefined();
+    expect(fallback.body.tool_choice).toBeUndefined();
+    expect(fallback.body.messages).toEqual([
+      { role: "user", content: "Me transfere para o suporte" },
+    ]);
+  });
+
+  test("keeps the health of the providers apart for each tenant", async () => {
+    botConfig.llm.fallbacks = [];
+    respond = ({ headers }) =>
+      headers.authorization === "Bearer revoked-key"
+        ? [401, { error: { message: "Invalid API key" } }]
+        : [
+            200,
+            {
+              choices: [{ message: { role: "assistant", content: "Oi!" } }],
+              usage: { prompt_tokens: 10, completion_tokens: 2 },
+            },
+          ];
+
+    const tenant = (tenantId, apiKey) => ({
+      tenantId,
+      config: {
+        ...botConfig,
+        openai: { ...botConfig.openai, apiKey },
+        llm: {
+          ...botConfig.llm,
+          health: { failureThreshold: 1, cooldownMs: 60000 },
+        },
+      },
+    });
+    const revoked = tenant("tenant-a", "revoked-key");
+    const active = tenant("tenant-b", "test-key");
+
+    await expect(
+      tenantManager.runWithTenant(revoked, () =>
+        llmProviders.complete([{ role: "user", content: "Oi" }])
+      )
+    ).rejects.toThrow();
+    const message = await tenantManager.runWithTenant(active, () =>
+      llmProviders.complete([{ role: "user", content: "Oi" }])
+    );
+
+    expect(message.content).toBe("Oi!");
+    expect(
+      tenantManager.runWithTenant(revoked, () => llmProviders.getHealth())
+    ).toEqual([
+      expect.objectContaining({
+        providerId: "openai",
+        available: false,
+        lastError: expect.stringContaining("Invalid API key"),
+      }),
+    ]);
+    expect(
+      tenantManager.runWithTenant(active, () => llmProviders.getHealth())
+    ).toEqual([
+      expect.objectContaining({
+        providerId: "openai",
+        available: true,
+        consecutiveFailures: 0,
+      }),
+    ]);
+  });
+
+  test("records the usage in the background, linked to its conversation", async () => {
+    botConfig.llm.primary = "claude";
+    botConfig.llm.fallbacks = [];
+    respond = () => anthropicReply("Oi!");
+
+    prisma.tables.aiUsage.length = 0;
+    let recording;
+    const recordUsage = usageTracker.recordUsage.bind(usageTracker);
+    const spy = jest
+      .spyOn(usageTracker, "recordUsage")
+      .mockImplementation(async (usage) => {
+        // The reply must not wait for the usage record
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        recording = recordUsage(usage);
+        return recording;
+      });
+
+    const message = await llmProviders.complete(
+      [{ role: "user", content: "Oi" }],
+      {},
+      { phoneNumber: "5511999990000" }
+    );
+
+    expect(message.content).toBe("Oi!");
+    expect(prisma.tables.aiUsage).toHaveLength(0);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await recording;
+    spy.mockRestore();
+
+    const [conversation] = prisma.tables.conversation;
+    expect(conversation.chatId).toBe("5511999990000@c.us");
+    expect(prisma.tables.aiUsage).toEqual([
+      expect.objectContaining({
+        conversationId: conversation.id,
+        provider: "claude",
+        promptTokens: 10,
+        completionTokens: 2,
+      }),
+    ]);
+  });
+
+  test("forces a tool call for strict JSON responses of Anthropic-style APIs", async () => {
+    botConfig.llm.primary = "claude";
+    botConfig.llm.fallbacks = [];
+    respond = () => [
+      200,
+      {
+        content: [
+          {
+            type: "tool_use",
+            id: "toolu_1",
+            name: "funnel_stage_classification",
+            input: { stage: "closing", confidence: 0.9 },
+          },
+        ],
+      },
+    ];
+    const schema = {
+      type: "object",
+      properties: { stage: { type: "string" } },
+    };
+
+    const message = await llmProviders.complete(
+      [
+        { role: "system", content: "Classifique a etapa" },
+        { role: "user", content: "Quero comprar" },
+      ],
+      {
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "funnel_stage_classification", schema },
+        },
+      }
+    );
+
+    expect(JSON.parse(message.content)).toEqual({
+      stage: "closing",
+      confidence: 0.9,
+    });
+    expect(message.tool_calls).toBeUndefined();
+    expect(requests[0].body).toMatchObject({
+      system: "Classifique a etapa",
+      tools: [{ name: "funnel_stage_classification", input_schema: schema }],
+      tool_choice: { type: "tool", name: "funnel_stage_classification" },
+    });
+    expect(requests[0].body.response_format).toBeUndefined();
+  });
+
+  test("converts text and image parts for Anthropic-style APIs", async () => {
+    botConfig.llm.primary = "claude";
+    botConfig.llm.fallbacks = [];
+    respond = () => anthropicReply("Uma foto");
+
+    await llmProviders.complete([
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "O que tem na imagem?" },
+          {
+            type: "image_url",
+            image_url: { url: "data:image/png;base64,iVBORw0KGgo=" },
+          },
+        ],
+      },
+    ]);
+
+    expect(requests[0].body.messages).toEqual([
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "O que tem na imagem?" },
+          {
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: "image/png",
+              data: "iVBORw0KGgo=",
+            },
+          },
+        ],
+      },
+    ]);
+  });
+});
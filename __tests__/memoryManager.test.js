@@ -0,0 +1,321 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return { prisma: createFakePrisma(), Prisma: {} };
+});
+
+const { prisma } = require("../db");
+const memoryManager = require("../memoryManager");
+const tenantManager = require("../tenantManager");
+
+describe("memory manager messages", () => {
+  const phoneNumber = "5511999990000";
+
+  const clearCaches = () => {
+    memoryManager.cache.messages.clear();
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+  };
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    clearCaches();
+  });
+
+  test("stores messages in the conversation with the schema role and timestamp", async () => {
+    const message = await memoryManager.addMessage(
+      phoneNumber,
+      "user",
+      "Oi, tudo bem?",
+      { humanTakeover: true },
+      new Date("2026-10-01T12:00:00Z")
+    );
+
+    const [conversation] = prisma.tables.conversation;
+    expect(prisma.tables.message[0]).toMatchObject({
+      convId: conversation.id,
+      role: "USER",
+      content: "Oi, tudo bem?",
+      timestamp: new Date("2026-10-01T12:00:00Z"),
+      metadata: { humanTakeover: true },
+    });
+    expect(message).toMatchObject({ role: "user", id: expect.any(String) });
+  });
+
+  test("reads back the latest messages in timestamp order", async () => {
+    const start = Date.parse("2026-10-01T12:00:00Z");
+    for (let i = 0; i < 5; i++) {
+      await memoryManager.addMessage(
+        phoneNumber,
+        i % 2 ? "assistant" : "user",
+        `mensagem ${i}`,
+        {},
+        new Date(start + i * 1000)
+      );
+    }
+    await memoryManager.addMessage(
+      phoneNumber,
+      "system",
+      "nota",
+      {},
+      new Date(start + 10000)
+    );
+
+    // Read from the database, not the cache
+    clearCaches();
+
+    const messages = await memoryManager.getMessages(phoneNumber, { limit: 3 });
+    expect(messages.map((m) => m.content)).toEqual([
+      "mensagem 2",
+      "mensagem 3",
+      "mensagem 4",
+    ]);
+
+    const userMessages = await memoryManager.getMessages(phoneNumber, {
+      role: "user",
+    });
+    expect(userMessages.map((m) => m.content)).toEqual([
+      "mensagem 0",
+      "mensagem 2",
+      "mensagem 4",
+    ]);
+  });
+
+  test("adds new messages to the cached history", async () => {
+    await memoryManager.addMessage(phoneNumber, "user", "primeira");
+    expect(await memoryManager.getMessages(phoneNumber)).toHaveLength(1);
+
+    await memoryManager.addMessage(phoneNumber, "assistant", "segunda");
+    const messages = await memoryManager.getMessages(phoneNumber);
+    expect(messages.map((m) => m.content)).toEqual(["primeira", "segunda"]);
+  });
+
+  test("lists conversations by stage, contact name and last interaction", async () => {
+    await memoryManager.addMessage(
+      phoneNumber,
+      "user",
+      "Quero saber o preço",
+      {},
+      new Date("2026-10-01T12:00:00Z")
+    );
+    await memoryManager.ensureConversation(phoneNumber, {
+      contactName: "Ana Souza",
+      currentFunnelStepId: "PROPOSAL",
+    });
+    await memoryManager.addMessage(
+      "5511888880000",
+      "user",
+      "Oi",
+      {},
+      new Date("2026-09-01T12:00:00Z")
+    );
+
+    const { conversations } = await memoryManager.listConversations({
+      stage: "PROPOSAL",
+      contactName: "ana",
+      from: new Date("2026-10-01T00:00:00Z"),
+    });
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0]).toMatchObject({
+      chatId: `${phoneNumber}@c.us`,
+      lastInteractionTimestamp: new Date("2026-10-01T12:00:00Z"),
+    });
+  });
+
+  test("keeps the history of each tenant in its own conversation", async () => {
+    const tenant = { tenantId: "loja-2", config: {} };
+
+    await memoryManager.addMessage(phoneNumber, "user", "padrão");
+    await tenantManager.runWithTenant(tenant, () =>
+      memoryManager.addMessage(phoneNumber, "user", "loja 2")
+    );
+
+    expect(prisma.tables.conversation.map((c) => c.tenantId)).toEqual([
+      expect.any(String),
+      "loja-2",
+    ]);
+    const messages = await tenantManager.runWithTenant(tenant, () =>
+      memoryManager.getMessages(phoneNumber)
+    );
+    expect(messages.map((m) => m.content)).toEqual(["loja 2"]);
+  });
+
+  test("imports exported data into another conversation", async () => {
+    await memoryManager.addMessage(
+      phoneNumber,
+      "user",
+      "Oi",
+      {},
+      new Date("2026-10-01T12:00:00Z")
+    );
+    await memoryManager.addMessage(
+      phoneNumber,
+      "assistant",
+      "Olá!",
+      {},
+      new Date("2026-10-01T12:00:05Z")
+    );
+    await memoryManager.saveMemoryEntry(
+      phoneNumber,
+      "contact_name",
+      "Ana",
+      "contact_info"
+    );
+    await memoryManager.saveMemoryContent(phoneNumber, "SUMMARY", {
+      text: "Cliente pediu preço",
+    });
+
+    const exported = await memoryManager.exportConversationData(phoneNumber);
+    const result = await memoryManager.importConversationData(
+      "5511888880000",
+      exported
+    );
+    expect(result).toMatchObject({
+      success: true,
+      messagesAdded: 2,
+      entriesAdded: 2,
+      errors: [],
+    });
+
+    clearCaches();
+    expect(await memoryManager.exportConversationData("5511888880000")).toEqual(
+      {
+        ...exported,
+        phoneNumber: "5511888880000",
+        exportedAt: expect.any(String),
+      }
+    );
+  });
+
+  test("keeps the latest records of a memory log in a single entry", async () => {
+    await Promise.all(
+      [1, 2, 3, 4].map((n) =>
+        memoryManager.appendMemoryLog(
+          phoneNumber,
+          "stage_transitions",
+          { n },
+          "funnel_analytics",
+          3
+        )
+      )
+    );
+
+    clearCaches();
+    expect(
+      await memoryManager.getMemoryLog(
+        phoneNumber,
+        "stage_transitions",
+        "funnel_analytics"
+      )
+    ).toEqual([{ n: 4 }, { n: 3 }, { n: 2 }]);
+    expect(prisma.tables.memoryEntry).toHaveLength(1);
+    expect(Object.keys(prisma.tables.memoryEntry[0].content)).toEqual([
+      "funnel_analytics:stage_transitions",
+    ]);
+  });
+
+  test("returns no messages without creating a conversation", async () => {
+    expect(await memoryManager.getMessages(phoneNumber)).toEqual([]);
+    expect(prisma.tables.conversation).toHaveLength(0);
+  });
+});
+
+describe("memory manager entries", () => {
+  const phoneNumber = "5511999990000";
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+  });
+
+  test("keeps the entries of a conversation in its NOTE memory", async () => {
+    await memoryManager.saveMemoryEntry(
+      phoneNumber,
+      "contact_name",
+      "Ana",
+      "contact_info"
+    );
+    await memoryManager.saveMemoryEntry(
+      phoneNumber,
+      "funnel_stage",
+      { stage: "greeting" },
+      "sales_funnel"
+    );
+
+    const [conversation] = prisma.tables.conversation;
+    expect(prisma.tables.memoryEntry).toEqual([
+      expect.objectContaining({ convId: conversation.id, type: "NOTE" }),
+    ]);
+
+    // Read from the database, not the cache
+    memoryManager.cache.memoryEntries.clear();
+
+    expect(
+      await memoryManager.getMemoryEntry(
+        phoneNumber,
+        "funnel_stage",
+        "sales_funnel"
+      )
+    ).toMatchObject({ value: { stage: "greeting" } });
+    expect(
+      await memoryManager.getMemoryEntries(phoneNumber, {
+        type: "contact_info",
+      })
+    ).toEqual([expect.objectContaining({ key: "contact_name", value: "Ana" })]);
+  });
+
+  test("doesn't lose concurrent updates of the same memory", async () => {
+    await Promise.all(
+      ["a", "b", "c"].map((key) =>
+        memoryManager.saveMemoryEntry(phoneNumber, key, key.toUpperCase())
+      )
+    );
+
+    const entries = await memoryManager.getMemoryEntries(phoneNumber);
+    expect(entries.map((entry) => entry.key).sort()).toEqual(["a", "b", "c"]);
+  });
+
+  test("counts the cached entries in the memory stats", async () => {
+    await memoryManager.saveMemoryEntry(phoneNumber, "a", "A");
+    await memoryManager.saveMemoryEntry(phoneNumber, "b", "B");
+    await memoryManager.getMemoryContent(phoneNumber, "SUMMARY");
+    const spy = jest
+      .spyOn(prisma, "$queryRaw")
+      .mockResolvedValue([{ count: BigInt(1) }]);
+
+    const stats = await memoryManager.getMemoryStats();
+    spy.mockRestore();
+
+    expect(stats.cache.memoryEntries).toEqual({
+      conversations: 2,
+      entries: 2,
+    });
+    expect(stats.database.conversations).toBe(1);
+  });
+
+  test("deletes entries and clears memory, keeping the contact info", async () => {
+    await memoryManager.addMessage(phoneNumber, "user", "Oi");
+    await memoryManager.saveMemoryEntry(
+      phoneNumber,
+      "contact_name",
+      "Ana",
+      "contact_info"
+    );
+    await memoryManager.saveMemoryEntry(phoneNumber, "note", "x");
+    await memoryManager.saveMemoryEntry(phoneNumber, "other", "y");
+
+    await memoryManager.deleteMemoryEntry(phoneNumber, "other");
+    expect(await memoryManager.getMemoryEntry(phoneNumber, "other")).toBeNull();
+
+    await memoryManager.clearMemory(phoneNumber, { keepContactInfo: true });
+
+    expect(prisma.tables.message).toHaveLength(0);
+    expect(
+      (await memoryManager.getMemoryEntries(phoneNumber)).map((e) => e.key)
+    ).toEqual(["contact_name"]);
+  });
+});
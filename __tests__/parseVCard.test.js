@@ -0,0 +1,52 @@
+const { parseVCard } = require("../utils");
+
+describe("parseVCard", () => {
+  test("reads a WhatsApp contact card", () => {
+    const vcard = [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      "N:Souza;Ana;;;",
+      "FN:Ana Souza",
+      "ORG:Loja da Ana;Vendas",
+      "item1.TEL;waid=5511999990000:+55 11 99999-0000",
+      "item1.X-ABLabel:Celular",
+      "TEL;type=WORK:+55 11 3333-0000",
+      "EMAIL;type=INTERNET:ana@loja.com.br",
+      "END:VCARD",
+    ].join("\r\n");
+
+    expect(parseVCard(vcard)).toEqual({
+      name: "Ana Souza",
+      phones: ["+5511999990000", "+55 11 3333-0000"],
+      emails: ["ana@loja.com.br"],
+      organization: "Loja da Ana - Vendas",
+    });
+  });
+
+  test("uses the structured name and unfolds long lines", () => {
+    const vcard = [
+      "BEGIN:VCARD",
+      "N:Silva;João;;;",
+      "EMAIL:joao.silva@empresa",
+      " .com.br",
+      "ORG:Silva\\, Filhos & Cia",
+      "END:VCARD",
+    ].join("\n");
+
+    expect(parseVCard(vcard)).toEqual({
+      name: "João Silva",
+      phones: [],
+      emails: ["joao.silva@empresa.com.br"],
+      organization: "Silva, Filhos & Cia",
+    });
+  });
+
+  test("returns an empty contact for missing cards", () => {
+    expect(parseVCard(undefined)).toEqual({
+      name: "",
+      phones: [],
+      emails: [],
+      organization: "",
+    });
+  });
+});
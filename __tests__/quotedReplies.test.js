@@ -0,0 +1,125 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+jest.mock("../trainingLoader", () => ({}));
+
+const { prisma } = require("../db");
+const botConfig = require("../botConfig");
+const memoryManager = require("../memoryManager");
+const aiHandler = require("../aiHandler");
+const ChatHandler = require("../chatHandler");
+
+describe("quoted replies", () => {
+  const phoneNumber = "5511999990000";
+  let chat;
+  let handler;
+
+  const message = (id, body, quoted) => ({
+    id: { _serialized: id },
+    type: "chat",
+    body,
+    hasMedia: false,
+    hasQuotedMsg: Boolean(quoted),
+    getQuotedMessage: async () => quoted,
+  });
+
+  // Queued messages are sent in the background
+  const waitForSentMessages = async (count) => {
+    for (
+      let i = 0;
+      i < 100 && chat.sendMessage.mock.calls.length < count;
+      i++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return chat.sendMessage.mock.calls;
+  };
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+
+    Object.assign(botConfig.behavior.responseSettings, {
+      typingDelayMinMs: 0,
+      typingDelayMaxMs: 0,
+      betweenMessagesMinMs: 0,
+      betweenMessagesMaxMs: 0,
+    });
+
+    chat = {
+      sendMessage: jest.fn().mockResolvedValue({ id: { _serialized: "m-1" } }),
+      sendStateTyping: jest.fn().mockResolvedValue(),
+      clearState: jest.fn().mockResolvedValue(),
+    };
+    handler = new ChatHandler({ getChatById: async () => chat });
+  });
+
+  test("describes the message a text replies to", async () => {
+    const content = await handler._extractMessageContent(
+      message("in-2", "Esse inclui suporte?", {
+        id: { _serialized: "out-1" },
+        body: "O plano Pro custa R$ 197",
+        type: "chat",
+        fromMe: true,
+      })
+    );
+
+    expect(content).toEqual({
+      type: "text",
+      text: '[Em resposta à sua mensagem "O plano Pro custa R$ 197"]\nEsse inclui suporte?',
+      messageId: "in-2",
+      payload: {
+        body: "Esse inclui suporte?",
+        quotedMessage: {
+          id: "out-1",
+          body: "O plano Pro custa R$ 197",
+          type: "chat",
+          fromMe: true,
+        },
+      },
+    });
+  });
+
+  test("keeps texts without a quoted message as they are", async () => {
+    expect(await handler._extractMessageContent(message("in-1", "Oi"))).toEqual(
+      { type: "text", text: "Oi", messageId: "in-1" }
+    );
+  });
+
+  test("splits the AI response at the reply marks", () => {
+    expect(
+      aiHandler._extractQuotedReplies(
+        "Boa pergunta! !responder:[1] Custa R$ 197. !responder:[2] Sim, inclui."
+      )
+    ).toEqual([
+      { messageNumber: null, content: "Boa pergunta!" },
+      { messageNumber: 1, content: "Custa R$ 197." },
+      { messageNumber: 2, content: "Sim, inclui." },
+    ]);
+    expect(aiHandler._extractQuotedReplies("Sem marcas.")).toEqual([]);
+  });
+
+  test("quotes the grouped message each part of the response answers", async () => {
+    await handler._sendResponse(phoneNumber, "Custa R$ 197.\n\nSim, inclui.", {
+      quotedReplies: [
+        { messageNumber: 1, content: "Custa R$ 197." },
+        { messageNumber: 3, content: "Sim, inclui." },
+      ],
+      quotedMessageIds: ["in-1", "in-2"],
+    });
+
+    const calls = await waitForSentMessages(2);
+    expect(calls).toEqual([
+      ["Custa R$ 197.", { quotedMessageId: "in-1" }],
+      // Message 3 was not in the group, so it is sent without a quote
+      ["Sim, inclui.", {}],
+    ]);
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createScheduler,
+  parseCronExpression,
+  cronMatches,
+  getZonedParts,
+  getNextRunDate,
+} = require("../scheduler");
+
+describe("parseCronExpression", () => {
+  test("expands ranges, steps, lists and name aliases", () => {
+    const cron = parseCronExpression("*/15 9-17/4 1,15 jan-mar mon-fri");
+
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([9, 13, 17]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect([...cron.month]).toEqual([1, 2, 3]);
+    expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("treats a day-of-week of 7 as Sunday", () => {
+    expect([...parseCronExpression("0 0 * * 7").dayOfWeek]).toEqual([0]);
+    expect([...parseCronExpression("0 0 * * 5-7").dayOfWeek].sort()).toEqual([
+      0, 5, 6,
+    ]);
+  });
+
+  test("rejects malformed expressions", () => {
+    expect(() => parseCronExpression("")).toThrow("non-empty string");
+    expect(() => parseCronExpression("0 3 * *")).toThrow("must have 5 fields");
+    expect(() => parseCronExpression("60 * * * *")).toThrow(
+      "minute value 60 out of range 0-59"
+    );
+    expect(() => parseCronExpression("* * * foo *")).toThrow(
+      'Invalid month value "foo"'
+    );
+    expect(() => parseCronExpression("*/0 * * * *")).toThrow(
+      'Invalid step "0"'
+    );
+    expect(() => parseCronExpression("* 10-5 * * *")).toThrow(
+      'Invalid range "10-5"'
+    );
+  });
+});
+
+describe("timezone matching", () => {
+  test("matches the wall clock of the configured timezone", () => {
+    // 12:00 UTC is 09:00 in São Paulo
+    const date = new Date("2024-01-15T12:00:00Z");
+    const parts = getZonedParts(date, "America/Sao_Paulo");
+
+    expect(parts).toEqual({
+      minute: 0,
+      hour: 9,
+      dayOfMonth: 15,
+      month: 1,
+      dayOfWeek: 1,
+    });
+    expect(cronMatches(parseCronExpression("0 9 * * mon"), parts)).toBe(true);
+    expect(cronMatches(parseCronExpression("0 12 * * *"), parts)).toBe(false);
+  });
+
+  test("matches either day field when both are restricted", () => {
+    const cron = parseCronExpression("0 9 1 * mon");
+    const monday = getZonedParts(new Date("2024-01-15T12:00:00Z"), "UTC");
+
+    expect(cronMatches(cron, { ...monday, hour: 9 })).toBe(true);
+    expect(cronMatches(cron, { ...monday, hour: 9, dayOfWeek: 2 })).toBe(false);
+  });
+
+  test("computes the next run in the configured timezone", () => {
+    const cron = parseCronExpression("0 3 * * *");
+    const from = new Date("2024-01-15T12:00:00Z");
+
+    expect(getNextRunDate(cron, from, "America/Sao_Paulo").toISOString()).toBe(
+      "2024-01-16T06:00:00.000Z"
+    );
+    expect(getNextRunDate(cron, from, "UTC").toISOString()).toBe(
+      "2024-01-16T03:00:00.000Z"
+    );
+  });
+
+  test("skips wall-clock times that don't exist on DST changes", () => {
+    // 02:30 doesn't exist in New York on 2024-03-10
+    const cron = parseCronExpression("30 2 * * *");
+    const from = new Date("2024-03-09T12:00:00Z");
+
+    expect(getNextRunDate(cron, from, "America/New_York").toISOString()).toBe(
+      "2024-03-11T06:30:00.000Z"
+    );
+  });
+});
+
+describe("Scheduler", () => {
+  let tempDir;
+  let historyFile;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-"));
+    historyFile = path.join(tempDir, "history.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("rejects an unknown timezone and duplicate tasks", () => {
+    expect(() =>
+      createScheduler({ timezone: "Mars/Olympus", historyFile })
+    ).toThrow("Invalid scheduler timezone: Mars/Olympus");
+
+    const scheduler = createScheduler({ timezone: "UTC", historyFile });
+    scheduler.addTask({
+      name: "cleanup",
+      schedule: "0 3 * * *",
+      task: jest.fn(),
+    });
+
+    expect(() =>
+      scheduler.addTask({
+        name: "cleanup",
+        schedule: "0 3 * * *",
+        task: jest.fn(),
+      })
+    ).toThrow('Task "cleanup" is already registered');
+  });
+
+  test("skips a run while the previous one is still in progress", async () => {
+    const scheduler = createScheduler({ timezone: "UTC", historyFile });
+    let finish;
+    const task = jest.fn(
+      () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        })
+    );
+    scheduler.addTask({ name: "backup", schedule: "0 * * * *", task });
+
+    const firstRun = scheduler.runTask("backup");
+    const skipped = await scheduler.runTask("backup");
+    finish();
+    const completed = await firstRun;
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(skipped.skippedCount).toBe(1);
+    expect(completed).toMatchObject({
+      running: false,
+      lastStatus: "success",
+      runCount: 1,
+    });
+    expect(completed.history.map((run) => run.status)).toEqual([
+      "skipped",
+      "success",
+    ]);
+  });
+
+  test("records failures and persists a capped history across restarts", async () => {
+    const scheduler = createScheduler({
+      timezone: "UTC",
+      historyFile,
+      historySize: 2,
+    });
+    const task = jest
+      .fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error("disk full"))
+      .mockResolvedValueOnce();
+    scheduler.addTask({ name: "cleanup", schedule: "0 3 * * *", task });
+
+    await scheduler.runTask("cleanup");
+    await scheduler.runTask("cleanup");
+    await scheduler.runTask("cleanup");
+
+    const restarted = createScheduler({
+      timezone: "UTC",
+      historyFile,
+      historySize: 2,
+    });
+    const state = restarted.addTask({
+      name: "cleanup",
+      schedule: "0 3 * * *",
+      task,
+    });
+
+    expect(state).toMatchObject({
+      runCount: 3,
+      failureCount: 1,
+      lastStatus: "success",
+      lastError: null,
+    });
+    expect(state.history).toHaveLength(2);
+    expect(state.history[0]).toMatchObject({
+      status: "failed",
+      trigger: "manual",
+      error: "disk full",
+    });
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+
+const { prisma } = require("../db");
+const botConfig = require("../botConfig");
+const { SEMANTIC_STORES, semanticMemory } = require("../semanticMemory");
+
+describe("semantic memory", () => {
+  const phoneNumber = "5511999990000";
+
+  beforeEach(() => {
+    Object.assign(botConfig.semanticMemory, {
+      store: "pgvector",
+      embeddingProvider: "local",
+      minScore: 0.1,
+      maxInProcessEntries: 500,
+      maxInProcessConversations: 1000,
+    });
+    semanticMemory.store = null;
+    semanticMemory.entries.clear();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("falls back to the in-process store without pgvector or its table", async () => {
+    await expect(semanticMemory._getStore()).resolves.toBe(
+      SEMANTIC_STORES.MEMORY
+    );
+
+    semanticMemory.store = null;
+    jest
+      .spyOn(prisma, "$queryRaw")
+      .mockResolvedValue([{ extension: true, table: false }]);
+    await expect(semanticMemory._getStore()).resolves.toBe(
+      SEMANTIC_STORES.MEMORY
+    );
+
+    semanticMemory.store = null;
+    prisma.$queryRaw.mockResolvedValue([{ extension: true, table: true }]);
+    await expect(semanticMemory._getStore()).resolves.toBe(
+      SEMANTIC_STORES.PGVECTOR
+    );
+  });
+
+  test("retrieves the earlier exchanges most related to a message", async () => {
+    await semanticMemory.indexExchange(
+      phoneNumber,
+      "Tenho uma loja de roupas femininas em Curitiba",
+      "Que legal! Quantas pessoas atendem a loja?"
+    );
+    await semanticMemory.indexNote(
+      phoneNumber,
+      "Cliente prefere pagar por boleto bancário",
+      { author: "Carla" }
+    );
+
+    const [memory] = await semanticMemory.retrieve(
+      phoneNumber,
+      "posso pagar com boleto bancário?"
+    );
+
+    expect(memory).toMatchObject({
+      kind: "note",
+      content: "Cliente prefere pagar por boleto bancário",
+      metadata: { author: "Carla" },
+    });
+    expect(memory.embedding).toBeUndefined();
+    await expect(
+      semanticMemory.retrieve(phoneNumber, "boleto bancário", {
+        before: new Date(0),
+      })
+    ).resolves.toEqual([]);
+    await expect(
+      semanticMemory.retrieve("5511888880000", "boleto bancário")
+    ).resolves.toEqual([]);
+  });
+
+  test("keeps the latest chunks of each conversation", async () => {
+    botConfig.semanticMemory.maxInProcessEntries = 10;
+
+    for (let i = 0; i < 12; i++) {
+      await semanticMemory.indexNote(phoneNumber, `Nota número ${i}`);
+    }
+
+    const [entries] = semanticMemory.entries.values();
+    expect(entries).toHaveLength(10);
+    expect(entries[0].content).toBe("Nota número 2");
+  });
+
+  test("drops the least recently used conversations over the limit", async () => {
+    botConfig.semanticMemory.maxInProcessConversations = 2;
+
+    await semanticMemory.indexNote("5511000000001", "Primeira conversa");
+    await semanticMemory.indexNote("5511000000002", "Segunda conversa");
+    // Searching the first conversation keeps it in use
+    await semanticMemory.retrieve("5511000000001", "primeira conversa");
+    await semanticMemory.indexNote("5511000000003", "Terceira conversa");
+
+    expect(semanticMemory.entries.size).toBe(2);
+    await expect(
+      semanticMemory.retrieve("5511000000002", "segunda conversa")
+    ).resolves.toEqual([]);
+    await expect(
+      semanticMemory.retrieve("5511000000001", "primeira conversa")
+    ).resolves.toHaveLength(1);
+  });
+
+  test("compares vectors by cosine similarity", () => {
+    expect(semanticMemory.cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+    expect(semanticMemory.cosineSimilarity([1, 0], [0, 2])).toBe(0);
+    expect(semanticMemory.cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return { prisma: createFakePrisma(), Prisma: {} };
+});
+jest.mock("../chatHandler", () => jest.fn());
+jest.mock("qrcode-terminal", () => ({ generate: jest.fn() }));
+jest.mock("whatsapp-web.js", () => {
+  class Client {
+    constructor() {
+      if (Client.failNext) {
+        Client.failNext = false;
+        throw new Error("Failed to launch the browser process");
+      }
+    }
+
+    on() {}
+
+    async initialize() {}
+
+    async destroy() {}
+  }
+
+  return { Client, LocalAuth: class {} };
+});
+
+const { Client } = require("whatsapp-web.js");
+const botConfig = require("../botConfig");
+const sessionManager = require("../sessionManager");
+
+describe("session manager", () => {
+  const target = {
+    sessionId: "loja-da-ana",
+    tenantId: "tenant-ana",
+    tenantName: "Loja da Ana",
+  };
+
+  beforeEach(async () => {
+    await sessionManager.stopAll();
+    jest
+      .spyOn(sessionManager, "_getWantedSessions")
+      .mockResolvedValue(new Map([[target.sessionId, target]]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("restarts a failed session once its retry delay has passed", async () => {
+    Client.failNext = true;
+
+    await expect(sessionManager.syncSessions()).resolves.toEqual({
+      started: ["loja-da-ana"],
+      stopped: [],
+      restarted: [],
+    });
+    const failed = sessionManager.sessions.get("loja-da-ana");
+    expect(failed.state.status).toBe("failed");
+    expect(failed.state.failedAt).not.toBeNull();
+
+    // Still within the delay
+    await expect(sessionManager.syncSessions()).resolves.toMatchObject({
+      restarted: [],
+    });
+
+    failed.state.failedAt = new Date(
+      Date.now() - botConfig.whatsapp.reconnect.failedRetryDelayMs
+    ).toISOString();
+    await expect(sessionManager.syncSessions()).resolves.toEqual({
+      started: [],
+      stopped: [],
+      restarted: ["loja-da-ana"],
+    });
+
+    const session = sessionManager.sessions.get("loja-da-ana");
+    expect(session).not.toBe(failed);
+    expect(session.state.status).toBe("initializing");
+    expect(session.state.failedAt).toBeNull();
+  });
+
+  test("leaves working sessions alone", async () => {
+    await sessionManager.syncSessions();
+    const session = sessionManager.sessions.get("loja-da-ana");
+    session._updateState({ status: "ready" });
+
+    await expect(sessionManager.syncSessions()).resolves.toEqual({
+      started: [],
+      stopped: [],
+      restarted: [],
+    });
+    expect(sessionManager.sessions.get("loja-da-ana")).toBe(session);
+  });
+});
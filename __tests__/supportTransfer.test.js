@@ -0,0 +1,126 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+jest.mock("../trainingLoader", () => ({}));
+
+const { prisma } = require("../db");
+const botConfig = require("../botConfig");
+const memoryManager = require("../memoryManager");
+const aiHandler = require("../aiHandler");
+const ChatHandler = require("../chatHandler");
+
+describe("support transfer", () => {
+  const phoneNumber = "5511999990000";
+  const reply = "Claro! Vou chamar um consultor para te ajudar com isso.";
+  let chat;
+  let handler;
+
+  // Queued messages are sent in the background
+  const waitForSentMessages = async (count) => {
+    for (
+      let i = 0;
+      i < 100 && chat.sendMessage.mock.calls.length < count;
+      i++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return chat.sendMessage.mock.calls;
+  };
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+
+    Object.assign(botConfig.behavior.responseSettings, {
+      typingDelayMinMs: 0,
+      typingDelayMaxMs: 0,
+      betweenMessagesMinMs: 0,
+      betweenMessagesMaxMs: 0,
+    });
+    botConfig.behavior.humanTakeover.enabled = true;
+    botConfig.behavior.humanTakeover.onSupportTransfer = true;
+    botConfig.behavior.leadProfile.enabled = false;
+    botConfig.semanticMemory.enabled = false;
+    botConfig.openai.useTools = true;
+    botConfig.support.whatsappNumber = "";
+
+    aiHandler.trainingContext = {
+      documents: [],
+      specificData: {},
+      socialProofAssets: [],
+      stats: { files: 0, totalSize: 0 },
+    };
+    aiHandler.trainingContextLoaded = true;
+
+    // The model answers and calls the support tool in the same turn
+    jest.spyOn(aiHandler, "_sendToAI").mockImplementation(async () => ({
+      role: "assistant",
+      content: reply,
+      tool_calls: [
+        {
+          id: "call_1",
+          type: "function",
+          function: { name: "transfer_to_support", arguments: "{}" },
+        },
+      ],
+    }));
+
+    chat = {
+      sendMessage: jest.fn().mockResolvedValue({ id: { _serialized: "m-1" } }),
+      sendStateTyping: jest.fn().mockResolvedValue(),
+      clearState: jest.fn().mockResolvedValue(),
+    };
+    handler = new ChatHandler({ getChatById: async () => chat });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("delivers the reply and the transfer notice before the takeover", async () => {
+    await handler._processTextMessage(
+      phoneNumber,
+      "Quero falar com um atendente",
+      await handler._getChatState(phoneNumber)
+    );
+
+    const calls = await waitForSentMessages(2);
+    expect(calls.map(([content]) => content)).toEqual([
+      reply,
+      expect.stringContaining("transferindo você para nossa equipe"),
+    ]);
+    expect(await memoryManager.getHumanTakeover(phoneNumber)).toBeInstanceOf(
+      Date
+    );
+  });
+
+  test("records the transfers in a single memory log", async () => {
+    await handler._transferToSupport(phoneNumber, {});
+    await handler._transferToSupport(phoneNumber, {});
+
+    expect(
+      await memoryManager.getMemoryLog(
+        phoneNumber,
+        "support_transfers",
+        "support_requests"
+      )
+    ).toEqual([
+      expect.objectContaining({ reason: "ai_requested" }),
+      expect.objectContaining({ reason: "ai_requested" }),
+    ]);
+    expect(
+      (await memoryManager.getMemoryEntries(phoneNumber)).map(
+        (entry) => entry.key
+      )
+    ).toEqual(
+      expect.not.arrayContaining([expect.stringMatching(/^support_transfer_/)])
+    );
+  });
+});
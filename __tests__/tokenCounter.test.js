@@ -0,0 +1,61 @@
+const {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  splitIntoTokenChunks,
+  getContextWindow,
+} = require("../tokenCounter");
+
+describe("token counter", () => {
+  const text =
+    "Olá! Nosso plano Pro custa R$ 197 por mês e inclui suporte prioritário.";
+
+  test("counts tokens with the tokenizer of the model", () => {
+    expect(countTokens("")).toBe(0);
+    expect(countTokens("hello world")).toBe(2);
+    expect(countTokens("hello world", "gpt-4o")).toBe(2);
+    // Models without a known tokenizer use the generic encoding
+    expect(countTokens(text, "claude-3-5-sonnet")).toBe(countTokens(text));
+  });
+
+  test("adds the chat format overhead to every message", () => {
+    const messages = [
+      { role: "system", content: "Seja breve" },
+      { role: "user", content: [{ type: "text", text: "Oi" }] },
+    ];
+
+    expect(countMessageTokens(messages)).toBe(
+      3 +
+        countTokens("system") +
+        countTokens("Seja breve") +
+        3 +
+        countTokens("user") +
+        countTokens(JSON.stringify(messages[1].content))
+    );
+  });
+
+  test("truncates long texts within the budget and marks them", () => {
+    expect(truncateToTokens(text, 100)).toBe(text);
+    expect(truncateToTokens(text, 0)).toBe("");
+
+    const truncated = truncateToTokens(text, 8);
+    expect(truncated.endsWith("\n[...]")).toBe(true);
+    expect(text.startsWith(truncated.replace("\n[...]", ""))).toBe(true);
+    expect(countTokens(truncated)).toBeLessThanOrEqual(8);
+  });
+
+  test("splits a text into consecutive chunks of at most the given tokens", () => {
+    const chunks = splitIntoTokenChunks(text, 5);
+
+    expect(chunks.length).toBe(Math.ceil(countTokens(text) / 5));
+    expect(chunks.join("")).toBe(text);
+    expect(splitIntoTokenChunks("", 5)).toEqual([]);
+  });
+
+  test("tells the context window of a model by its name", () => {
+    expect(getContextWindow("gpt-4o-mini")).toBe(128000);
+    expect(getContextWindow("gpt-4-0613")).toBe(8192);
+    expect(getContextWindow("claude-3-5-haiku")).toBe(200000);
+    expect(getContextWindow("llama3")).toBe(8192);
+  });
+});
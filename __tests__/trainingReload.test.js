@@ -0,0 +1,112 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+jest.mock("../trainingLoader", () => ({ prepareTrainingContext: jest.fn() }));
+
+const botConfig = require("../botConfig");
+const trainingLoader = require("../trainingLoader");
+const aiHandler = require("../aiHandler");
+
+describe("training context reload", () => {
+  const context = (documents, socialProofAssets = [], specificData = {}) => ({
+    documents: Object.entries(documents).map(([source, content]) => ({
+      source,
+      content,
+    })),
+    specificData,
+    socialProofAssets,
+    stats: { files: Object.keys(documents).length, totalSize: 0 },
+  });
+
+  const proof = (filename, description) => ({
+    id: `auto_${filename}`,
+    type: "image",
+    description,
+    filename,
+    tags: [],
+  });
+
+  beforeEach(() => {
+    botConfig.knowledgeBase.enabled = false;
+    trainingLoader.prepareTrainingContext.mockReset();
+    aiHandler.trainingContext = context(
+      { "faq.txt": "Perguntas", "planos.txt": "Planos" },
+      [proof("cliente.jpg", "Depoimento")],
+      { pricing: { pro: 197 } }
+    );
+  });
+
+  test("reports the files added, changed and removed", async () => {
+    const updated = context(
+      { "faq.txt": "Perguntas frequentes", "garantia.txt": "Garantia" },
+      [proof("cliente.jpg", "Depoimento"), proof("case.png", "Case")],
+      { pricing: { pro: 197 } }
+    );
+    trainingLoader.prepareTrainingContext.mockResolvedValue(updated);
+
+    const changes = await aiHandler.reloadTrainingContext("test");
+
+    expect(changes).toEqual({
+      trainingFiles: {
+        added: ["garantia.txt"],
+        changed: ["faq.txt"],
+        removed: ["planos.txt"],
+      },
+      socialProofs: { added: ["case.png"], changed: [], removed: [] },
+    });
+    expect(aiHandler.trainingContext).toBe(updated);
+    expect(aiHandler._describeTrainingChanges(changes)).toBe(
+      "training files added: garantia.txt; training files changed: faq.txt; " +
+        "training files removed: planos.txt; social proofs added: case.png"
+    );
+  });
+
+  test("keeps the current context when the reload fails", async () => {
+    const current = aiHandler.trainingContext;
+    trainingLoader.prepareTrainingContext.mockRejectedValue(
+      new Error("disk error")
+    );
+
+    await expect(aiHandler.reloadTrainingContext("test")).rejects.toThrow(
+      "disk error"
+    );
+    expect(aiHandler.trainingContext).toBe(current);
+  });
+
+  test("asks the loader to fail on files that can't be read", async () => {
+    trainingLoader.prepareTrainingContext.mockResolvedValue(
+      context({ "faq.txt": "Perguntas" })
+    );
+
+    await aiHandler.reloadTrainingContext("test");
+
+    expect(trainingLoader.prepareTrainingContext).toHaveBeenCalledWith({
+      throwOnError: true,
+    });
+  });
+
+  test("applies concurrent reloads in the order they were requested", async () => {
+    let finishFirst;
+    const first = context({ "faq.txt": "Primeira" });
+    const second = context({ "faq.txt": "Segunda" });
+    trainingLoader.prepareTrainingContext
+      .mockImplementationOnce(
+        () => new Promise((resolve) => (finishFirst = () => resolve(first)))
+      )
+      .mockResolvedValueOnce(second);
+
+    const firstReload = aiHandler.reloadTrainingContext("test");
+    const secondReload = aiHandler.reloadTrainingContext("test");
+    await new Promise((resolve) => setImmediate(resolve));
+    finishFirst();
+
+    await firstReload;
+    const changes = await secondReload;
+    expect(changes.trainingFiles.changed).toEqual(["faq.txt"]);
+    expect(aiHandler.trainingContext).toBe(second);
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock("../db", () => {
+  const { createFakePrisma } = require("./helpers/fakePrisma");
+  return {
+    prisma: createFakePrisma(),
+    Prisma: { sql: (strings, ...values) => ({ strings, values }), empty: {} },
+  };
+});
+jest.mock("../trainingLoader", () => ({}));
+
+const { MessageMedia } = require("whatsapp-web.js");
+const { prisma } = require("../db");
+const botConfig = require("../botConfig");
+const memoryManager = require("../memoryManager");
+const { REPLY_MODES } = require("../speechSynthesizer");
+const ChatHandler = require("../chatHandler");
+
+describe("voice note replies", () => {
+  const phoneNumber = "5511999990000";
+  let chat;
+  let handler;
+
+  // Queued messages are sent in the background
+  const waitForSentMessages = async (count) => {
+    for (
+      let i = 0;
+      i < 100 && chat.sendMessage.mock.calls.length < count;
+      i++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return chat.sendMessage.mock.calls;
+  };
+
+  beforeEach(() => {
+    for (const table of Object.values(prisma.tables)) {
+      table.splice(0);
+    }
+    memoryManager.cache.memoryEntries.clear();
+    memoryManager.cache.conversationIds.clear();
+
+    Object.assign(botConfig.behavior.responseSettings, {
+      typingDelayMinMs: 0,
+      typingDelayMaxMs: 0,
+      betweenMessagesMinMs: 0,
+      betweenMessagesMaxMs: 0,
+    });
+    botConfig.voiceReplies.mode = REPLY_MODES.TEXT;
+    botConfig.voiceReplies.provider = "local";
+    botConfig.voiceReplies.maxChars = 200;
+
+    chat = {
+      sendMessage: jest.fn().mockResolvedValue({ id: { _serialized: "m-1" } }),
+      sendStateTyping: jest.fn().mockResolvedValue(),
+      sendStateRecording: jest.fn().mockResolvedValue(),
+      clearState: jest.fn().mockResolvedValue(),
+    };
+    handler = new ChatHandler({ getChatById: async () => chat });
+  });
+
+  test("answers audio with a voice note in mirror mode", async () => {
+    await memoryManager.setReplyMode(phoneNumber, REPLY_MODES.MIRROR);
+
+    await handler._sendResponse(phoneNumber, "*Olá!* Tudo bem?", {
+      inReplyToAudio: true,
+    });
+
+    const [[media, options]] = await waitForSentMessages(1);
+    expect(media).toBeInstanceOf(MessageMedia);
+    expect(media.mimetype).toBe("audio/ogg; codecs=opus");
+    expect(media.data.length).toBeGreaterThan(0);
+    expect(options).toEqual({ sendAudioAsVoice: true });
+    expect(chat.sendStateRecording).toHaveBeenCalled();
+  });
+
+  test("follows the tenant reply mode unless the conversation sets one", async () => {
+    await handler._sendResponse(phoneNumber, "Olá!", { inReplyToAudio: true });
+
+    botConfig.voiceReplies.mode = REPLY_MODES.MIRROR;
+    await memoryManager.setReplyMode(phoneNumber, REPLY_MODES.TEXT);
+    await handler._sendResponse(phoneNumber, "Tudo bem?", {
+      inReplyToAudio: true,
+    });
+
+    const calls = await waitForSentMessages(2);
+    expect(calls.map(([content]) => content)).toEqual(["Olá!", "Tudo bem?"]);
+    expect(chat.sendStateRecording).not.toHaveBeenCalled();
+  });
+
+  test("sends text when the reply doesn't answer audio or is too long", async () => {
+    await memoryManager.setReplyMode(phoneNumber, REPLY_MODES.MIRROR);
+
+    await handler._sendResponse(phoneNumber, "Olá!");
+    await handler._sendResponse(phoneNumber, "a".repeat(201), {
+      inReplyToAudio: true,
+    });
+
+    const calls = await waitForSentMessages(2);
+    expect(calls.map(([content]) => typeof content)).toEqual([
+      "string",
+      "string",
+    ]);
+  });
+
+  test("falls back to text when the speech synthesis fails", async () => {
+    await memoryManager.setReplyMode(phoneNumber, REPLY_MODES.MIRROR);
+    botConfig.voiceReplies.provider = "missing";
+
+    await handler._sendResponse(phoneNumber, "Olá!", { inReplyToAudio: true });
+
+    const [[content]] = await waitForSentMessages(1);
+    expect(content).toBe("Olá!");
+  });
+});
@@ -2,19 +2,37 @@
  * @fileoverview AI Handler for WhatsApp AI Sales Agent
  *
  * This module manages interactions with AI models, including:
- * - Building and sending prompts to OpenAI
+ * - Building and sending prompts to the configured LLM providers
  * - Processing and formatting AI responses
  * - Handling conversation context and memory
+ * - Loading the training context and reloading it when its files change
+ * - Transcribing audio, describing images and reading documents sent by customers
  * - Managing token usage and optimizing performance
  */
 
-const { Configuration, OpenAIApi } = require("openai");
-const axios = require("axios");
+const { toFile } = require("openai");
 const logger = require("./logger");
 const botConfig = require("./botConfig");
 const memoryManager = require("./memoryManager");
-const { SalesFunnelService, FUNNEL_STAGES } = require("./salesFunnelService");
+const tenantManager = require("./tenantManager");
+const {
+  SalesFunnelService,
+  FUNNEL_STAGES,
+  LEAD_PROFILE_FIELDS,
+} = require("./salesFunnelService");
 const trainingLoader = require("./trainingLoader");
+const aiTools = require("./aiTools");
+const { llmProviders } = require("./llmProviders");
+const { USAGE_OPERATIONS, usageTracker } = require("./usageTracker");
+const { semanticMemory } = require("./semanticMemory");
+const { knowledgeBase } = require("./knowledgeBase");
+const { extractDocumentText } = require("./documentExtractor");
+const {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  getContextWindow,
+} = require("./tokenCounter");
 
 /**
  * Maximum number of messages to include in conversation history
@@ -23,16 +41,34 @@ const trainingLoader = require("./trainingLoader");
 const MAX_CONVERSATION_HISTORY = 15;
 
 /**
- * Maximum number of tokens to allow in the conversation history
+ * Tokens kept of the latest customer messages when they alone exceed the history budget
  * @type {number}
  */
-const MAX_HISTORY_TOKENS = 4000;
+const MIN_LATEST_TURN_TOKENS = 256;
 
 /**
- * Timeout for AI requests in milliseconds
+ * Maximum tokens of a funnel stage classification response
  * @type {number}
  */
-const REQUEST_TIMEOUT_MS = 60000;
+const STAGE_CLASSIFICATION_MAX_TOKENS = 300;
+
+/**
+ * Tokens kept of each message sent to the conversation summarizer
+ * @type {number}
+ */
+const SUMMARY_MESSAGE_TOKENS = 300;
+
+/**
+ * Maximum tokens of a lead profile extraction response
+ * @type {number}
+ */
+const LEAD_PROFILE_MAX_TOKENS = 800;
+
+/**
+ * Number of documents received from a contact kept in its memory
+ * @type {number}
+ */
+const DOCUMENT_NOTES_LIMIT = 20;
 
 /**
  * AI Handler class for managing AI interactions
@@ -42,42 +78,20 @@ class AiHandler {
    * Create a new AiHandler instance
    */
   constructor() {
-    // Initialize OpenAI configuration
-    this.initializeOpenAI();
-
     // Load training context
     this.trainingContext = null;
     this.trainingContextLoaded = false;
 
-    // Token counting function (approximate)
-    this.countTokens = this._simpleTokenCount;
+    // Conversations whose summary is being updated
+    this.summariesInProgress = new Set();
 
-    logger.info("AiHandler initialized");
-  }
+    // Pending lead profile extraction of each conversation
+    this.leadProfileExtractions = new Map();
 
-  /**
-   * Initialize OpenAI client
-   * @private
-   */
-  initializeOpenAI() {
-    if (botConfig.openai.useLocalModel) {
-      logger.info("Using local model for AI interactions");
-      this.useLocalModel = true;
-      this.localModelConfig = botConfig.openai.localModelConfig;
-      this.openai = null; // Not using OpenAI client for local models
-    } else {
-      // Initialize OpenAI client
-      const configuration = new Configuration({
-        apiKey: botConfig.openai.apiKey,
-        basePath: botConfig.openai.apiBaseUrl,
-      });
+    // Latest training context reload, which the next one waits for
+    this.trainingReload = Promise.resolve();
 
-      this.openai = new OpenAIApi(configuration);
-      this.useLocalModel = false;
-      logger.info(
-        `OpenAI client initialized with model: ${botConfig.openai.model}`
-      );
-    }
+    logger.info("AiHandler initialized");
   }
 
   /**
@@ -92,8 +106,9 @@ class AiHandler {
       }
 
       logger.info("Loading training context");
-      this.trainingContext = await trainingLoader.prepareTrainingContext();
-      this.trainingContextLoaded = true;
+      await this._applyTrainingContext(
+        await trainingLoader.prepareTrainingContext()
+      );
 
       logger.info(
         `Training context loaded with ${this.trainingContext.stats.files} files`
@@ -102,6 +117,7 @@ class AiHandler {
       logger.error("Failed to load training context:", error);
       this.trainingContext = {
         generalData: "",
+        documents: [],
         specificData: {},
         productData: null,
         socialProofAssets: [],
@@ -109,14 +125,46 @@ class AiHandler {
     }
   }
 
+  /**
+   * Read the training files and social proofs again and replace the training
+   * context once the new one is ready, keeping the current one on failure
+   * @param {string} [reason] - What triggered the reload, for the logs
+   * @returns {Promise<Object>} Training files and social proofs added, changed and removed
+   */
+  async reloadTrainingContext(reason = "manual") {
+    // Reloads run one after another so an older one never wins
+    const reload = this.trainingReload
+      .catch(() => {})
+      .then(async () => {
+        logger.info(`Reloading training context (${reason})`);
+        // A file that can't be read fails the reload rather than dropping out of the context
+        const context = await trainingLoader.prepareTrainingContext({
+          throwOnError: true,
+        });
+        const previous = this.trainingContext;
+
+        await this._applyTrainingContext(context);
+
+        const changes = this._diffTrainingContexts(previous, context);
+        logger.info(
+          `Training context reloaded: ${this._describeTrainingChanges(changes)}`
+        );
+        return changes;
+      });
+
+    this.trainingReload = reload;
+    return reload;
+  }
+
   /**
    * Process a user message and generate AI response
    * @param {string} phoneNumber - The phone number identifier
    * @param {string} userMessage - The user's message
    * @param {Object} chatState - Current chat state
+   * @param {Object} [metadata] - Metadata stored with the user message (e.g. transcribed audio, shared contacts)
    * @returns {Promise<Object>} The AI response
    */
-  async processUserMessage(phoneNumber, userMessage, chatState) {
+  async processUserMessage(phoneNumber, userMessage, chatState, metadata = {}) {
     try {
       logger.debug(
         `Processing message from ${phoneNumber}: "${userMessage.substring(
@@ -147,48 +195,153 @@ class AiHandler {
           role: "user",
           content: userMessage,
           timestamp: new Date().toISOString(),
+          ...(Object.keys(metadata).length > 0 ? { metadata } : {}),
         });
       }
 
+      // The lead profile is extracted from the new message in the background
+      if (botConfig.behavior.leadProfile.enabled) {
+        this._scheduleLeadProfileUpdate(phoneNumber, updatedState.messages);
+      }
+
       // Determine current funnel stage
       const currentFunnelStage = await SalesFunnelService.determineCurrentStage(
         phoneNumber,
-        updatedState
+        updatedState,
+        {
+          classifyStage: (blueprint, currentStage, state) =>
+            this.classifyFunnelStage(blueprint, currentStage, state),
+        }
       );
 
       logger.debug(
         `Current funnel stage for ${phoneNumber}: ${currentFunnelStage}`
       );
 
+      // Funnel blueprint of the tenant (stages and commands available)
+      const blueprint = await SalesFunnelService.getBlueprint();
+      const stageCommands = SalesFunnelService.getStageCommands(
+        blueprint,
+        currentFunnelStage
+      );
+
+      // Expose the special commands as tools when the model supports them
+      const tools = this._supportsTools()
+        ? aiTools.buildTools(stageCommands, {
+            stageIds: blueprint.stages.map((stage) => stage.id),
+            socialProofIds: (this.trainingContext.socialProofAssets || []).map(
+              (asset) => asset.id
+            ),
+          })
+        : [];
+
+      // Earlier facts related to the new message that left the history
+      const latestUserText = this._getLatestUserTurns(updatedState.messages)
+        .map((m) => m.content)
+        .join("\n");
+      const semanticMemories = botConfig.semanticMemory.enabled
+        ? await semanticMemory.retrieve(phoneNumber, latestUserText, {
+            before: this._getOldestMessageDate(updatedState.messages),
+          })
+        : [];
+
+      // Training passages related to the new message
+      const knowledgePassages = botConfig.knowledgeBase.enabled
+        ? await knowledgeBase.search(latestUserText, { phoneNumber })
+        : null;
+
+      // Split the model context between the prompt sections
+      const budget = this._planContextBudget(tools);
+
+      // The knowledge base shrinks before the conversation history is dropped
+      const historyTokens = Math.max(
+        Math.min(
+          budget.history,
+          countMessageTokens(
+            updatedState.messages.filter((m) => m.role !== "system"),
+            budget.model
+          )
+        ),
+        countMessageTokens(
+          this._getLatestUserTurns(updatedState.messages),
+          budget.model
+        )
+      );
+      const knowledgeTokens = Math.max(
+        Math.min(
+          budget.knowledge,
+          budget.available -
+            budget.systemPrompt -
+            historyTokens -
+            countTokens(
+              semanticMemories.map((memory) => memory.content).join("\n"),
+              budget.model
+            )
+        ),
+        0
+      );
+
       // Generate system prompt based on funnel stage
       const systemPrompt = await SalesFunnelService.generateSystemPrompt(
         currentFunnelStage,
         updatedState,
-        botConfig.identity,
+        tenantManager.getConfig(),
         this.trainingContext,
-        this.trainingContext.socialProofAssets
+        this.trainingContext.socialProofAssets,
+        {
+          useTools: tools.length > 0,
+          knowledgeTokens,
+          model: budget.model,
+          semanticMemories,
+          knowledgePassages,
+        }
       );
 
       // Prepare messages for OpenAI
       const messages = this._prepareMessagesForAI(
         systemPrompt,
-        updatedState.messages
+        updatedState.messages,
+        budget
       );
 
       // Send to OpenAI and get response
-      const aiResponse = await this._sendToAI(messages);
+      let aiResponse = await this._sendToAI(
+        messages,
+        tools.length > 0 ? { tools, tool_choice: "auto" } : {},
+        { phoneNumber, operation: USAGE_OPERATIONS.CHAT }
+      );
+
+      // The model may call tools without writing the reply to the customer
+      if (
+        !aiResponse.content &&
+        aiResponse.tool_calls &&
+        aiResponse.tool_calls.length > 0
+      ) {
+        aiResponse = await this._requestReplyAfterToolCalls(
+          messages,
+          aiResponse,
+          tools,
+          phoneNumber
+        );
+      }
 
       // Process the AI response
       const processedResponse = this._processAIResponse(
         aiResponse,
-        currentFunnelStage
+        currentFunnelStage,
+        stageCommands
       );
 
       // Detect stage transitions based on AI response
-      const suggestedStage = this._detectStageSuggestion(
-        processedResponse.content,
-        currentFunnelStage
-      );
+      const requestedStage = processedResponse.metadata.suggestedStage;
+      const suggestedStage =
+        requestedStage && SalesFunnelService.getStage(blueprint, requestedStage)
+          ? requestedStage
+          : this._detectStageSuggestion(
+              processedResponse.content,
+              currentFunnelStage,
+              blueprint
+            );
       if (suggestedStage && suggestedStage !== currentFunnelStage) {
         logger.info(
           `Stage transition suggested for ${phoneNumber}: ${currentFunnelStage} -> ${suggestedStage}`
@@ -243,6 +396,20 @@ class AiHandler {
         timestamp: new Date().toISOString(),
       });
 
+      // Older messages are kept in a rolling summary before leaving the history
+      if (botConfig.behavior.conversationSummary.enabled) {
+        this._scheduleSummaryUpdate(phoneNumber, updatedState.messages);
+      }
+
+      // The exchange is embedded in the background for later retrieval
+      if (botConfig.semanticMemory.enabled) {
+        semanticMemory.indexExchange(
+          phoneNumber,
+          latestUserText,
+          processedResponse.content
+        );
+      }
+
       // Truncate history if needed
       if (updatedState.messages.length > MAX_CONVERSATION_HISTORY * 2) {
         // Keep the first system message if present
@@ -278,35 +445,111 @@ class AiHandler {
     }
   }
 
+  /**
+   * Split the context window of the primary model between the prompt sections
+   * @private
+   * @param {Array<Object>} [tools] - Tool definitions sent with the prompt
+   * @returns {Object} The model, the tokens available to the prompt and the budget of each section
+   */
+  _planContextBudget(tools = []) {
+    const provider = llmProviders.getPrimaryProvider();
+    const { tokenBudget, openai } = tenantManager.getConfig();
+    const contextWindow =
+      provider.contextWindow ||
+      tokenBudget.contextWindow ||
+      getContextWindow(provider.model);
+
+    // The reply and the tool definitions share the context with the prompt
+    const toolTokens =
+      tools.length > 0 ? countTokens(JSON.stringify(tools), provider.model) : 0;
+
+    return {
+      model: provider.model,
+      available: contextWindow - openai.maxTokens - toolTokens,
+      systemPrompt: tokenBudget.systemPromptTokens,
+      knowledge: tokenBudget.knowledgeTokens,
+      history: tokenBudget.historyTokens,
+    };
+  }
+
+  /**
+   * Get the customer messages sent since the last reply
+   * @private
+   * @param {Array<Object>} conversationHistory - Conversation history
+   * @returns {Array<Object>} The latest user messages, oldest first
+   */
+  _getLatestUserTurns(conversationHistory) {
+    const latestTurns = [];
+
+    for (let i = conversationHistory.length - 1; i >= 0; i--) {
+      if (conversationHistory[i].role !== "user") break;
+      latestTurns.unshift(conversationHistory[i]);
+    }
+
+    return latestTurns;
+  }
+
   /**
    * Prepare messages array for AI API
    * @private
    * @param {string} systemPrompt - The system prompt
    * @param {Array<Object>} conversationHistory - Conversation history
+   * @param {Object} [budget] - Token budget from _planContextBudget
    * @returns {Array<Object>} Prepared messages
    */
-  _prepareMessagesForAI(systemPrompt, conversationHistory) {
+  _prepareMessagesForAI(
+    systemPrompt,
+    conversationHistory,
+    budget = this._planContextBudget()
+  ) {
     // Start with system message
     const messages = [{ role: "system", content: systemPrompt }];
+    const systemTokens = countMessageTokens(messages, budget.model);
+
+    if (systemTokens > budget.systemPrompt + budget.knowledge) {
+      logger.warn(
+        `System prompt uses ${systemTokens} tokens, over its budget of ${
+          budget.systemPrompt + budget.knowledge
+        }`
+      );
+    }
 
-    // Get recent conversation history
-    const recentMessages = [...conversationHistory];
+    // The history can't use the context the system prompt already took
+    const historyBudget = Math.min(
+      budget.history,
+      budget.available - systemTokens
+    );
 
-    // Trim history if too large (approximate token counting)
-    let totalTokens = this.countTokens(systemPrompt);
-    let historyToInclude = [];
+    // Skip system messages in the history (we already have a new system prompt)
+    const history = conversationHistory.filter((msg) => msg.role !== "system");
+    const latestTurnCount = this._getLatestUserTurns(history).length;
+    const historyToInclude = [];
+    let historyTokens = 0;
 
     // Process messages from most recent to oldest until we hit the token limit
-    for (let i = recentMessages.length - 1; i >= 0; i--) {
-      const msg = recentMessages[i];
-      const msgTokens = this.countTokens(msg.content);
-
-      // Skip system messages in the history (we already have a new system prompt)
-      if (msg.role === "system") continue;
+    for (let i = history.length - 1; i >= 0; i--) {
+      const msg = { role: history[i].role, content: history[i].content };
+      const msgTokens = countMessageTokens([msg], budget.model);
 
-      if (totalTokens + msgTokens <= MAX_HISTORY_TOKENS) {
+      if (historyTokens + msgTokens <= historyBudget) {
         historyToInclude.unshift(msg);
-        totalTokens += msgTokens;
+        historyTokens += msgTokens;
+      } else if (i >= history.length - latestTurnCount) {
+        // The latest customer messages are always answered, truncated if needed
+        const overhead = countMessageTokens(
+          [{ role: msg.role, content: "" }],
+          budget.model
+        );
+        msg.content = truncateToTokens(
+          msg.content,
+          Math.max(
+            historyBudget - historyTokens - overhead,
+            MIN_LATEST_TURN_TOKENS
+          ),
+          budget.model
+        );
+        historyToInclude.unshift(msg);
+        historyTokens += countMessageTokens([msg], budget.model);
       } else {
         // Stop adding once we exceed the token limit
         break;
@@ -314,203 +557,510 @@ class AiHandler {
     }
 
     // Add the selected conversation history
-    historyToInclude.forEach((msg) => {
-      messages.push({
-        role: msg.role,
-        content: msg.content,
-      });
-    });
+    messages.push(...historyToInclude);
 
     logger.debug(
-      `Prepared ${messages.length} messages for AI with ~${totalTokens} tokens`
+      `Prepared ${messages.length} messages for AI with ${
+        systemTokens + historyTokens
+      } tokens (${historyToInclude.length}/${history.length} history messages)`
     );
     return messages;
   }
 
   /**
-   * Send messages to AI and get response
-   * @private
-   * @param {Array<Object>} messages - The messages to send to the AI
-   * @returns {Promise<Object>} The AI response
+   * Classify the funnel stage of a conversation with the AI model
+   * @param {Object} blueprint - The funnel blueprint being executed
+   * @param {string|null} currentStage - The saved stage ID, if any
+   * @param {Object} chatState - Current chat state
+   * @returns {Promise<Object>} The classified stage, the confidence (0-1) and the evidence used
    */
-  async _sendToAI(messages) {
-    if (this.useLocalModel) {
-      return this._sendToLocalModel(messages);
-    } else {
-      return this._sendToOpenAI(messages);
+  async classifyFunnelStage(blueprint, currentStage, chatState) {
+    const { model, historyMessages } = botConfig.behavior.stageClassifier;
+    const stageIds = blueprint.stages.map((stage) => stage.id);
+
+    const transcript = (chatState.messages || [])
+      .filter((m) => m.role === "user" || m.role === "assistant")
+      .slice(-historyMessages)
+      .map((m) => `${m.role === "user" ? "Cliente" : "Vendedor"}: ${m.content}`)
+      .join("\n");
+
+    const messages = [
+      {
+        role: "system",
+        content: `Você classifica em qual etapa do funil de vendas está uma conversa de WhatsApp entre um vendedor e um cliente.
+
+Etapa atual registrada: ${currentStage || "nenhuma"}
+
+Etapas possíveis (id: nome):
+${blueprint.stages.map((stage) => `- ${stage.id}: ${stage.name}`).join("\n")}
+
+Responda somente com JSON contendo:
+- stage: o id da etapa em que a conversa está agora
+- confidence: sua confiança na classificação, de 0 a 1
+- evidence: trechos curtos da conversa que justificam a classificação`,
+      },
+      { role: "user", content: transcript || "Sem histórico de conversa" },
+    ];
+
+    const overrides = {
+      temperature: 0,
+      max_tokens: STAGE_CLASSIFICATION_MAX_TOKENS,
+      response_format: {
+        type: "json_schema",
+        json_schema: {
+          name: "funnel_stage_classification",
+          strict: true,
+          schema: {
+            type: "object",
+            properties: {
+              stage: { type: "string", enum: stageIds },
+              confidence: { type: "number" },
+              evidence: { type: "array", items: { type: "string" } },
+            },
+            required: ["stage", "confidence", "evidence"],
+            additionalProperties: false,
+          },
+        },
+      },
+    };
+    if (model) {
+      overrides.model = model;
+    }
+
+    const response = await this._sendToAI(messages, overrides, {
+      phoneNumber: chatState.phoneNumber,
+      operation: USAGE_OPERATIONS.STAGE_CLASSIFICATION,
+    });
+
+    let classification;
+    try {
+      classification = JSON.parse(response.content);
+    } catch (error) {
+      throw new Error(
+        `Stage classifier returned invalid JSON: ${error.message}`
+      );
     }
+
+    logger.debug(
+      `Classified funnel stage: ${classification.stage} (${classification.confidence})`
+    );
+    return classification;
   }
 
   /**
-   * Send messages to OpenAI API
-   * @private
-   * @param {Array<Object>} messages - The messages to send to OpenAI
-   * @returns {Promise<Object>} The OpenAI response
+   * Update the rolling summary of a conversation once enough messages are
+   * left out of it, summarizing all but the most recent ones
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Array<Object>} messages - Messages of the conversation, oldest first
+   * @returns {Promise<Object|null>} The updated summary, or null if not needed yet
    */
-  async _sendToOpenAI(messages) {
-    let response = null;
-    let attempts = 0;
-    const maxRetries = botConfig.openai.retryConfig.maxRetries;
-    let delay = botConfig.openai.retryConfig.initialDelayMs;
-
-    while (attempts <= maxRetries) {
-      try {
-        logger.debug(
-          `Sending request to OpenAI (attempt ${attempts + 1}/${
-            maxRetries + 1
-          })`
-        );
+  async updateConversationSummary(phoneNumber, messages) {
+    const { thresholdMessages, keepMessages } =
+      botConfig.behavior.conversationSummary;
+    const previous = await SalesFunnelService.getConversationSummary(
+      phoneNumber
+    );
+    const summarizedUntil = previous
+      ? new Date(previous.summarizedUntil).getTime() || 0
+      : 0;
+
+    const pending = messages.filter(
+      (m) =>
+        (m.role === "user" || m.role === "assistant") &&
+        this._getMessageTime(m) > summarizedUntil
+    );
 
-        response = await this.openai.createChatCompletion(
-          {
-            model: botConfig.openai.model,
-            messages,
-            temperature: botConfig.openai.temperature,
-            max_tokens: botConfig.openai.maxTokens,
-            top_p: botConfig.openai.topP,
-            presence_penalty: botConfig.openai.presencePenalty,
-            frequency_penalty: botConfig.openai.frequencyPenalty,
+    if (pending.length < thresholdMessages) {
+      return null;
+    }
+
+    const toSummarize = pending.slice(0, -keepMessages);
+    logger.debug(
+      `Summarizing ${toSummarize.length} messages of the conversation with ${phoneNumber}`
+    );
+
+    const summary = {
+      summary: await this.summarizeConversation(
+        previous ? previous.summary : "",
+        toSummarize,
+        phoneNumber
+      ),
+      summarizedUntil: new Date(
+        this._getMessageTime(toSummarize[toSummarize.length - 1])
+      ).toISOString(),
+      summarizedMessages:
+        (previous ? previous.summarizedMessages || 0 : 0) + toSummarize.length,
+    };
+
+    await SalesFunnelService.saveConversationSummary(phoneNumber, summary);
+    return summary;
+  }
+
+  /**
+   * Merge messages into the rolling summary of a conversation with the AI model
+   * @param {string} previousSummary - The current summary (empty if none)
+   * @param {Array<Object>} messages - The messages to add to the summary
+   * @param {string} [phoneNumber] - The phone number identifier, recorded with the usage
+   * @returns {Promise<string>} The updated summary
+   */
+  async summarizeConversation(previousSummary, messages, phoneNumber) {
+    const { model, maxTokens } = botConfig.behavior.conversationSummary;
+
+    const transcript = messages
+      .map(
+        (m) =>
+          `${m.role === "user" ? "Cliente" : "Vendedor"}: ${truncateToTokens(
+            m.content,
+            SUMMARY_MESSAGE_TOKENS
+          )}`
+      )
+      .join("\n");
+
+    const prompt = [
+      {
+        role: "system",
+        content: `Você mantém o resumo de uma conversa de vendas de WhatsApp entre um vendedor e um cliente, usado para retomar a conversa quando as mensagens antigas já não estão disponíveis.
+
+Atualize o resumo anterior com as novas mensagens, preservando:
+- o que o cliente contou sobre o negócio dele (segmento, tamanho, ferramentas que usa)
+- necessidades, dores e objetivos
+- orçamento, prazos e quem decide a compra
+- objeções levantadas e como foram respondidas
+- produtos, planos e ofertas apresentados, aceitos ou recusados
+- compromissos e próximos passos combinados
+
+Descarte cumprimentos e conversas sem relevância para a venda. Responda somente com o resumo atualizado, em tópicos curtos.`,
+      },
+      {
+        role: "user",
+        content: `Resumo anterior:
+${previousSummary || "Nenhum"}
+
+Novas mensagens:
+${transcript}`,
+      },
+    ];
+
+    const overrides = { temperature: 0, max_tokens: maxTokens };
+    if (model) {
+      overrides.model = model;
+    }
+
+    const response = await this._sendToAI(prompt, overrides, {
+      phoneNumber,
+      operation: USAGE_OPERATIONS.SUMMARY,
+    });
+
+    if (!response || !response.content) {
+      throw new Error("Summarizer returned an empty summary");
+    }
+
+    return response.content.trim();
+  }
+
+  /**
+   * Extract the lead profile fields from the latest customer messages and
+   * merge them into the stored profile
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Array<Object>} messages - Messages of the conversation, oldest first
+   * @returns {Promise<Object|null>} The updated profile, or null if nothing changed
+   */
+  async updateLeadProfile(phoneNumber, messages) {
+    const userTurns = this._getLatestUserTurns(messages);
+    if (userTurns.length === 0) {
+      return null;
+    }
+
+    // The question answered by the customer gives meaning to short answers
+    const previous = messages[messages.length - userTurns.length - 1];
+    const previousReply =
+      previous && previous.role === "assistant" ? previous.content : "";
+
+    const currentProfile = await SalesFunnelService.getLeadProfile(phoneNumber);
+    const extraction = await this.extractLeadEntities(
+      currentProfile,
+      userTurns.map((m) => m.content).join("\n"),
+      previousReply,
+      phoneNumber
+    );
+
+    const latestTurn = userTurns[userTurns.length - 1];
+    return SalesFunnelService.updateLeadProfile(phoneNumber, extraction, {
+      source: "ai",
+      messageAt: new Date(
+        this._getMessageTime(latestTurn) || Date.now()
+      ).toISOString(),
+      minConfidence: botConfig.behavior.leadProfile.minConfidence,
+    });
+  }
+
+  /**
+   * Extract the lead profile fields told in a customer message with the AI model
+   * @param {Object|null} currentProfile - The stored lead profile, if any
+   * @param {string} userMessage - The customer message
+   * @param {string} [previousReply] - The message of the agent the customer answered
+   * @param {string} [phoneNumber] - The phone number identifier, recorded with the usage
+   * @returns {Promise<Object>} Value (null if not told), confidence (0-1) and evidence of each field
+   */
+  async extractLeadEntities(
+    currentProfile,
+    userMessage,
+    previousReply,
+    phoneNumber
+  ) {
+    const { model } = botConfig.behavior.leadProfile;
+    const knownFields =
+      currentProfile &&
+      Object.keys(LEAD_PROFILE_FIELDS)
+        .filter((field) => currentProfile.fields[field])
+        .map(
+          (field) =>
+            `- ${field}: ${JSON.stringify(currentProfile.fields[field].value)}`
+        )
+        .join("\n");
+
+    const messages = [
+      {
+        role: "system",
+        content: `Você extrai dados de um cliente a partir das mensagens dele em uma conversa de vendas de WhatsApp.
+
+Campos:
+${Object.entries(LEAD_PROFILE_FIELDS)
+  .map(([field, spec]) => `- ${field}: ${spec.description}`)
+  .join("\n")}
+
+Dados já conhecidos:
+${knownFields || "nenhum"}
+
+Regras:
+- Use somente o que o cliente disse na mensagem; nunca deduza a partir da mensagem do vendedor sozinha
+- Use null em value para os campos que a mensagem não informa ou não altera
+- confidence: sua confiança no valor, de 0 a 1 (respostas vagas ou ambíguas devem ter confiança baixa)
+- evidence: o trecho exato da mensagem do cliente que informa o valor (vazio quando value for null)`,
+      },
+      {
+        role: "user",
+        content: `${
+          previousReply ? `Mensagem do vendedor: ${previousReply}\n\n` : ""
+        }Mensagem do cliente: ${userMessage}`,
+      },
+    ];
+
+    const properties = {};
+    for (const [field, spec] of Object.entries(LEAD_PROFILE_FIELDS)) {
+      properties[field] = {
+        type: "object",
+        properties: {
+          value: { type: [spec.type, "null"], description: spec.description },
+          confidence: { type: "number" },
+          evidence: { type: "string" },
+        },
+        required: ["value", "confidence", "evidence"],
+        additionalProperties: false,
+      };
+    }
+
+    const overrides = {
+      temperature: 0,
+      max_tokens: LEAD_PROFILE_MAX_TOKENS,
+      response_format: {
+        type: "json_schema",
+        json_schema: {
+          name: "lead_profile_extraction",
+          strict: true,
+          schema: {
+            type: "object",
+            properties,
+            required: Object.keys(properties),
+            additionalProperties: false,
           },
-          {
-            timeout: REQUEST_TIMEOUT_MS,
-          }
-        );
+        },
+      },
+    };
+    if (model) {
+      overrides.model = model;
+    }
 
-        // If we get here, the request was successful
-        break;
-      } catch (error) {
-        attempts++;
-
-        // Check if we should retry
-        const shouldRetry =
-          attempts <= maxRetries && this._isRetryableError(error);
-
-        if (shouldRetry) {
-          logger.warn(
-            `OpenAI request failed (attempt ${attempts}/${
-              maxRetries + 1
-            }), retrying in ${delay}ms: ${error.message}`
-          );
-
-          // Wait before retrying
-          await new Promise((resolve) => setTimeout(resolve, delay));
-
-          // Exponential backoff with jitter
-          delay = Math.min(
-            delay * 2 * (0.8 + 0.4 * Math.random()), // Add jitter
-            botConfig.openai.retryConfig.maxDelayMs
-          );
-        } else {
-          // Either we've exhausted retries or the error isn't retryable
-          logger.error(
-            `OpenAI request failed after ${attempts} attempts:`,
-            error
-          );
-          throw error;
+    const response = await this._sendToAI(messages, overrides, {
+      phoneNumber,
+      operation: USAGE_OPERATIONS.ENTITY_EXTRACTION,
+    });
+
+    try {
+      return JSON.parse(response.content);
+    } catch (error) {
+      throw new Error(
+        `Lead profile extraction returned invalid JSON: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Update the lead profile in the background, after any extraction still
+   * running for the same conversation
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Array<Object>} messages - Messages of the conversation, oldest first
+   */
+  _scheduleLeadProfileUpdate(phoneNumber, messages) {
+    const key = `${tenantManager.getCurrentTenantId()}:${phoneNumber}`;
+    const snapshot = [...messages];
+
+    // The reply doesn't wait for the extraction
+    const pending = this.leadProfileExtractions.get(key) || Promise.resolve();
+    const extraction = pending
+      .then(() => this.updateLeadProfile(phoneNumber, snapshot))
+      .catch((error) =>
+        logger.error(`Failed to update lead profile for ${phoneNumber}:`, error)
+      )
+      .finally(() => {
+        if (this.leadProfileExtractions.get(key) === extraction) {
+          this.leadProfileExtractions.delete(key);
         }
-      }
+      });
+
+    this.leadProfileExtractions.set(key, extraction);
+  }
+
+  /**
+   * Update the summary of a conversation in the background, once at a time
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Array<Object>} messages - Messages of the conversation, oldest first
+   */
+  _scheduleSummaryUpdate(phoneNumber, messages) {
+    const key = `${tenantManager.getCurrentTenantId()}:${phoneNumber}`;
+
+    if (this.summariesInProgress.has(key)) {
+      return;
     }
 
-    // Process the successful response
-    if (
-      !response ||
-      !response.data ||
-      !response.data.choices ||
-      !response.data.choices[0]
-    ) {
-      throw new Error("Invalid response from OpenAI");
+    this.summariesInProgress.add(key);
+
+    // The reply doesn't wait for the summary
+    this.updateConversationSummary(phoneNumber, [...messages])
+      .catch((error) =>
+        logger.error(
+          `Failed to update conversation summary for ${phoneNumber}:`,
+          error
+        )
+      )
+      .finally(() => this.summariesInProgress.delete(key));
+  }
+
+  /**
+   * Get when the oldest message of the history with a known date was sent
+   * @private
+   * @param {Array<Object>} messages - Messages of the conversation
+   * @returns {Date|undefined} Date of the oldest message, if any
+   */
+  _getOldestMessageDate(messages) {
+    const times = messages
+      .map((m) => this._getMessageTime(m))
+      .filter((time) => time > 0);
+
+    return times.length > 0 ? new Date(Math.min(...times)) : undefined;
+  }
+
+  /**
+   * Index the training files of a context and make it the current one
+   * @private
+   * @param {Object} context - Training context from the training loader
+   * @returns {Promise<void>}
+   */
+  async _applyTrainingContext(context) {
+    // Training files are searched by passage instead of sent whole
+    if (botConfig.knowledgeBase.enabled) {
+      await knowledgeBase.build(context.documents);
     }
 
-    return response.data.choices[0].message;
+    this.trainingContext = context;
+    this.trainingContextLoaded = true;
   }
 
   /**
-   * Send messages to a local model API
+   * Compare two training contexts file by file
    * @private
-   * @param {Array<Object>} messages - The messages to send to the local model
-   * @returns {Promise<Object>} The model response
+   * @param {Object|null} previous - The replaced training context
+   * @param {Object} current - The new training context
+   * @returns {Object} Training files and social proofs added, changed and removed
    */
-  async _sendToLocalModel(messages) {
-    let response = null;
-    let attempts = 0;
-    const maxRetries = botConfig.openai.retryConfig.maxRetries;
-    let delay = botConfig.openai.retryConfig.initialDelayMs;
-
-    while (attempts <= maxRetries) {
-      try {
-        logger.debug(
-          `Sending request to local model at ${
-            this.localModelConfig.apiUrl
-          } (attempt ${attempts + 1}/${maxRetries + 1})`
-        );
+  _diffTrainingContexts(previous, current) {
+    const trainingFiles = (context) =>
+      new Map([
+        ...((context && context.documents) || []).map((document) => [
+          document.source,
+          document.content,
+        ]),
+        ...Object.entries((context && context.specificData) || {}).map(
+          ([key, data]) => [`${key}.json`, JSON.stringify(data)]
+        ),
+      ]);
+    const socialProofs = (context) =>
+      new Map(
+        ((context && context.socialProofAssets) || []).map((asset) => [
+          asset.filename || asset.id,
+          JSON.stringify(asset),
+        ])
+      );
+    const diff = (before, after) => ({
+      added: [...after.keys()].filter((key) => !before.has(key)),
+      changed: [...after.keys()].filter(
+        (key) => before.has(key) && before.get(key) !== after.get(key)
+      ),
+      removed: [...before.keys()].filter((key) => !after.has(key)),
+    });
 
-        // Use axios to send request to local model endpoint
-        response = await axios.post(
-          `${this.localModelConfig.apiUrl}/chat/completions`,
-          {
-            model: this.localModelConfig.model,
-            messages,
-            temperature: botConfig.openai.temperature,
-            max_tokens: botConfig.openai.maxTokens,
-            top_p: botConfig.openai.topP,
-            presence_penalty: botConfig.openai.presencePenalty,
-            frequency_penalty: botConfig.openai.frequencyPenalty,
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${this.localModelConfig.apiKey}`,
-            },
-            timeout: REQUEST_TIMEOUT_MS,
-          }
-        );
+    return {
+      trainingFiles: diff(trainingFiles(previous), trainingFiles(current)),
+      socialProofs: diff(socialProofs(previous), socialProofs(current)),
+    };
+  }
 
-        // If we get here, the request was successful
-        break;
-      } catch (error) {
-        attempts++;
-
-        // Check if we should retry
-        const shouldRetry =
-          attempts <= maxRetries && this._isRetryableError(error);
-
-        if (shouldRetry) {
-          logger.warn(
-            `Local model request failed (attempt ${attempts}/${
-              maxRetries + 1
-            }), retrying in ${delay}ms: ${error.message}`
-          );
-
-          // Wait before retrying
-          await new Promise((resolve) => setTimeout(resolve, delay));
-
-          // Exponential backoff with jitter
-          delay = Math.min(
-            delay * 2 * (0.8 + 0.4 * Math.random()),
-            botConfig.openai.retryConfig.maxDelayMs
-          );
-        } else {
-          // Either we've exhausted retries or the error isn't retryable
-          logger.error(
-            `Local model request failed after ${attempts} attempts:`,
-            error
-          );
-          throw error;
+  /**
+   * Describe the changes of a training context reload for the logs
+   * @private
+   * @param {Object} changes - Changes from _diffTrainingContexts
+   * @returns {string} The changed files by kind, or that nothing changed
+   */
+  _describeTrainingChanges(changes) {
+    const parts = [];
+
+    for (const [kind, label] of [
+      ["trainingFiles", "training files"],
+      ["socialProofs", "social proofs"],
+    ]) {
+      for (const change of ["added", "changed", "removed"]) {
+        if (changes[kind][change].length > 0) {
+          parts.push(`${label} ${change}: ${changes[kind][change].join(", ")}`);
         }
       }
     }
 
-    // Process the successful response
-    if (
-      !response ||
-      !response.data ||
-      !response.data.choices ||
-      !response.data.choices[0]
-    ) {
-      throw new Error("Invalid response from local model");
-    }
+    return parts.length > 0 ? parts.join("; ") : "no changes";
+  }
 
-    return response.data.choices[0].message;
+  /**
+   * Get when a message was sent
+   * @private
+   * @param {Object} message - A history message (new or loaded from memory)
+   * @returns {number} Timestamp in milliseconds (0 if unknown)
+   */
+  _getMessageTime(message) {
+    return new Date(message.timestamp || message.createdAt).getTime() || 0;
+  }
+
+  /**
+   * Send messages to AI and get response
+   * @private
+   * @param {Array<Object>} messages - The messages to send to the AI
+   * @param {Object} [overrides] - Request parameters overriding the configured ones
+   * @param {Object} [context] - Phone number and operation recorded with the usage
+   * @returns {Promise<Object>} The AI response
+   */
+  async _sendToAI(messages, overrides = {}, context = {}) {
+    // The registry falls back to the next provider of the tenant on failure
+    return llmProviders.complete(messages, overrides, context);
   }
 
   /**
@@ -518,28 +1068,54 @@ class AiHandler {
    * @private
    * @param {Object} aiResponse - The raw AI response
    * @param {string} currentFunnelStage - The current funnel stage
+   * @param {Array<string>} [availableCommands] - Special commands allowed at the current stage
    * @returns {Object} Processed response with extracted metadata
    */
-  _processAIResponse(aiResponse, currentFunnelStage) {
+  _processAIResponse(aiResponse, currentFunnelStage, availableCommands = null) {
     // Default response structure
     const processedResponse = {
-      content: aiResponse.content,
+      content: aiResponse.content || "",
       metadata: {},
       actions: [],
     };
 
     // Extract special commands from content
-    const specialCommands = this._extractSpecialCommands(aiResponse.content);
+    const textCommands = this._extractSpecialCommands(
+      processedResponse.content
+    );
 
     // Clean content by removing special commands
-    if (specialCommands.length > 0) {
+    if (textCommands.length > 0) {
       processedResponse.content = this._removeSpecialCommands(
-        aiResponse.content
+        processedResponse.content
       );
     }
 
+    // Parts answering numbered grouped messages are sent quoting them
+    const quotedReplies = this._extractQuotedReplies(processedResponse.content);
+    if (quotedReplies.length > 0) {
+      processedResponse.metadata.quotedReplies = quotedReplies;
+      processedResponse.content = quotedReplies
+        .map((reply) => reply.content)
+        .join("\n\n");
+    }
+
+    // Tool calls produce the same actions as the text commands
+    const specialCommands = [
+      ...textCommands,
+      ...aiTools.parseToolCalls(aiResponse.tool_calls),
+    ];
+
     // Process each special command
     specialCommands.forEach((command) => {
+      // Commands the funnel blueprint doesn't allow at this stage are dropped
+      if (availableCommands && !availableCommands.includes(command.type)) {
+        logger.warn(
+          `Ignoring command ${command.fullCommand} not available at stage ${currentFunnelStage}`
+        );
+        return;
+      }
+
       // Add to actions list
       processedResponse.actions.push(command);
 
@@ -567,6 +1143,41 @@ class AiHandler {
     return processedResponse;
   }
 
+  /**
+   * Check whether the primary LLM provider of the tenant accepts tool definitions
+   * @private
+   * @returns {boolean} Whether special commands are exposed as tools
+   */
+  _supportsTools() {
+    return llmProviders.getPrimaryProvider().supportsTools;
+  }
+
+  /**
+   * Ask the model for the reply to the customer after it only called tools
+   * @private
+   * @param {Array<Object>} messages - The messages sent to the AI
+   * @param {Object} aiResponse - The AI response containing only tool calls
+   * @param {Array<Object>} tools - The tool definitions sent to the AI
+   * @param {string} phoneNumber - The user's phone number
+   * @returns {Promise<Object>} The reply, keeping the original tool calls
+   */
+  async _requestReplyAfterToolCalls(messages, aiResponse, tools, phoneNumber) {
+    // Actions are executed by the chat handler, so only acknowledge them here
+    const toolResults = aiResponse.tool_calls.map((toolCall) => ({
+      role: "tool",
+      tool_call_id: toolCall.id,
+      content: "Ação registrada. Ela será executada junto com a sua resposta.",
+    }));
+
+    const reply = await this._sendToAI(
+      [...messages, aiResponse, ...toolResults],
+      { tools, tool_choice: "none" },
+      { phoneNumber, operation: USAGE_OPERATIONS.TOOL_REPLY }
+    );
+
+    return { ...reply, tool_calls: aiResponse.tool_calls };
+  }
+
   /**
    * Extract special commands from AI response
    * @private
@@ -596,6 +1207,31 @@ class AiHandler {
     return commands;
   }
 
+  /**
+   * Split the AI response at the marks of replies to numbered grouped messages
+   * @private
+   * @param {string} content - The AI response content
+   * @returns {Array<Object>} Parts of the response with the number of the message they answer (null before the first mark), or an empty array without marks
+   */
+  _extractQuotedReplies(content) {
+    // Mark pattern: !responder:[message_number]
+    const parts = content.split(/!responder:\s*\[?(\d+)\]?/i);
+
+    if (parts.length === 1) {
+      return [];
+    }
+
+    const replies = [{ messageNumber: null, content: parts[0].trim() }];
+    for (let i = 1; i < parts.length; i += 2) {
+      replies.push({
+        messageNumber: parseInt(parts[i], 10),
+        content: parts[i + 1].trim(),
+      });
+    }
+
+    return replies.filter((reply) => reply.content);
+  }
+
   /**
    * Remove special commands from AI response content
    * @private
@@ -618,16 +1254,23 @@ class AiHandler {
    * @private
    * @param {string} content - The AI response content
    * @param {string} currentStage - The current funnel stage
+   * @param {Object} [blueprint] - The funnel blueprint being executed
    * @returns {string|null} Suggested stage or null
    */
-  _detectStageSuggestion(content, currentStage) {
+  _detectStageSuggestion(
+    content,
+    currentStage,
+    blueprint = SalesFunnelService.defaultBlueprint
+  ) {
+    const stageIds = blueprint.stages.map((stage) => stage.id);
+
     // Check for explicit stage commands in the response
-    const stageCommand = /!etapa:([a-z_]+)/i.exec(content);
+    const stageCommand = /!etapa:([a-z0-9_]+)/i.exec(content);
     if (stageCommand && stageCommand[1]) {
       const suggestedStage = stageCommand[1].toLowerCase();
 
       // Validate that it's a valid stage
-      if (Object.values(FUNNEL_STAGES).includes(suggestedStage)) {
+      if (stageIds.includes(suggestedStage)) {
         return suggestedStage;
       }
     }
@@ -687,9 +1330,12 @@ class AiHandler {
 
     // Check for stage indicators
     for (const [stage, patterns] of Object.entries(stageIndicators)) {
-      // Only consider forward transitions
-      // This is a simplified check - in a real system, you'd use a proper stage progression graph
-      if (stage === currentStage) continue;
+      // Only consider stages the funnel graph allows from the current stage
+      const isReachable =
+        stage !== currentStage &&
+        stageIds.includes(stage) &&
+        SalesFunnelService.isTransitionAllowed(blueprint, currentStage, stage);
+      if (!isReachable) continue;
 
       const matchesPattern = patterns.some((pattern) => pattern.test(content));
       if (matchesPattern) {
@@ -701,132 +1347,290 @@ class AiHandler {
   }
 
   /**
-   * Check if an error is retryable
-   * @private
-   * @param {Error} error - The error to check
-   * @returns {boolean} Whether the error is retryable
+   * Transcribe audio to text using OpenAI's Whisper API
+   * @param {Buffer} audioBuffer - Audio data as buffer
+   * @param {Object} [options] - Transcription options
+   * @param {string} [options.filename] - File name whose extension tells the audio format
+   * @param {string} [options.language] - Language of the audio (configured language by default)
+   * @param {string} [options.phoneNumber] - Phone number of the conversation, recorded with the usage
+   * @returns {Promise<Object>} Transcription result
    */
-  _isRetryableError(error) {
-    // Network errors are retryable
-    if (axios.isAxiosError(error)) {
-      // Timeout errors
-      if (error.code === "ECONNABORTED") {
-        return true;
-      }
+  async transcribeAudio(audioBuffer, options = {}) {
+    const {
+      filename = "audio.ogg",
+      language = botConfig.whisper.language,
+      phoneNumber,
+    } = options;
 
-      // No response or server errors (5xx)
-      if (
-        !error.response ||
-        (error.response.status >= 500 && error.response.status < 600)
-      ) {
-        return true;
-      }
+    try {
+      logger.debug("Transcribing audio with Whisper API");
+
+      const startedAt = Date.now();
+      // verbose_json also returns the duration of the audio, which is billed
+      const transcription = await llmProviders
+        .getOpenAIClient()
+        .audio.transcriptions.create({
+          file: await toFile(audioBuffer, filename),
+          model: botConfig.whisper.model,
+          response_format: "verbose_json",
+          ...(language ? { language } : {}),
+        });
 
-      // Rate limiting errors
-      if (error.response && error.response.status === 429) {
-        return true;
+      if (!transcription || typeof transcription.text !== "string") {
+        throw new Error("Invalid response from Whisper API");
       }
 
-      // Other non-retryable client errors
-      if (
-        error.response &&
-        error.response.status >= 400 &&
-        error.response.status < 500
-      ) {
-        // Don't retry bad requests or unauthorized
-        if (error.response.status === 400 || error.response.status === 401) {
-          return false;
-        }
+      usageTracker
+        .recordUsage({
+          operation: USAGE_OPERATIONS.TRANSCRIPTION,
+          provider: "openai",
+          model: botConfig.whisper.model,
+          audioSeconds: transcription.duration || 0,
+          latencyMs: Date.now() - startedAt,
+          phoneNumber,
+        })
+        .catch((error) => logger.error("Failed to record AI usage:", error));
 
-        // Other 4xx errors might be retryable
-        return true;
-      }
-    }
+      logger.debug("Audio transcription successful");
 
-    // Some OpenAI specific errors
-    if (
-      error.message &&
-      (error.message.includes("timeout") ||
-        error.message.includes("rate limit") ||
-        error.message.includes("overloaded") ||
-        error.message.includes("internal error") ||
-        error.message.includes("service unavailable"))
-    ) {
-      return true;
-    }
+      return {
+        success: true,
+        text: transcription.text.trim(),
+        language,
+      };
+    } catch (error) {
+      logger.error("Audio transcription failed:", error);
 
-    return false;
+      return {
+        success: false,
+        error: error.message,
+        text: "",
+      };
+    }
   }
 
   /**
-   * Simple token counting function (approximation)
-   * @private
-   * @param {string} text - Text to count tokens for
-   * @returns {number} Approximate token count
+   * Describe an image sent by a customer with a vision-capable model, so it
+   * can be answered like a text message. The caller checks the image size
+   * and format against the vision configuration before calling this.
+   * @param {Buffer} imageBuffer - Image data as buffer
+   * @param {Object} options - Description options
+   * @param {string} options.mimetype - MIME type of the image
+   * @param {string} [options.caption] - Caption sent with the image, given to the model as context
+   * @param {string} [options.phoneNumber] - Phone number of the conversation, recorded with the usage
+   * @returns {Promise<Object>} Description result
    */
-  _simpleTokenCount(text) {
-    if (!text) return 0;
+  async describeImage(imageBuffer, options = {}) {
+    const { mimetype, caption = "", phoneNumber } = options;
+    const { provider, detail, maxTokens } = tenantManager.getConfig().vision;
+
+    // The local stand-in only tells what it can without a model
+    if (provider === "local") {
+      const format = mimetype.replace("image/", "").toUpperCase();
+      const sizeKb = Math.ceil(imageBuffer.length / 1024);
+
+      return {
+        success: true,
+        description: `imagem ${format} de ${sizeKb} KB (conteúdo não analisado)`,
+      };
+    }
+
+    try {
+      logger.debug(`Describing ${mimetype} image`);
+
+      // Sent to the vision models of the tenant providers, with their failover
+      const response = await this._sendToAI(
+        [
+          {
+            role: "system",
+            content: `Você descreve imagens enviadas por clientes em uma conversa de vendas de WhatsApp, para que o vendedor possa respondê-las sem vê-las.
+
+Diga o que a imagem é (print de tela, foto, documento, tabela de preços...) e transcreva os textos relevantes, como preços, nomes de produtos ou concorrentes, mensagens de erro e configurações. Seja objetivo, em português e em até 6 frases, sem cumprimentos nem sugestões de resposta.`,
+          },
+          {
+            role: "user",
+            content: [
+              {
+                type: "text",
+                text: caption
+                  ? `Legenda enviada com a imagem: ${caption}`
+                  : "A imagem foi enviada sem legenda.",
+              },
+              {
+                type: "image_url",
+                image_url: {
+                  url: `data:${mimetype};base64,${imageBuffer.toString(
+                    "base64"
+                  )}`,
+                  detail,
+                },
+              },
+            ],
+          },
+        ],
+        { temperature: 0, max_tokens: maxTokens },
+        { phoneNumber, operation: USAGE_OPERATIONS.VISION, vision: true }
+      );
+
+      const description = response && response.content;
+
+      if (!description || !description.trim()) {
+        throw new Error("Vision model returned an empty description");
+      }
+
+      logger.debug("Image description successful");
 
-    // Very rough approximation: 4 chars per token on average
-    // More accurate counting would use a proper tokenizer
-    return Math.ceil(text.length / 4);
+      return {
+        success: true,
+        description: description.trim(),
+      };
+    } catch (error) {
+      logger.error("Image description failed:", error);
+
+      return {
+        success: false,
+        error: error.message,
+        description: "",
+      };
+    }
   }
 
   /**
-   * Transcribe audio to text using OpenAI's Whisper API
-   * @param {Buffer} audioBuffer - Audio data as buffer
-   * @param {Object} options - Transcription options
-   * @returns {Promise<Object>} Transcription result
+   * Read a document sent by a customer: extract its text, keep it as a note of
+   * the conversation and fit it to the budget of a customer message,
+   * summarizing it when too long
+   * @param {Buffer} documentBuffer - Document data as buffer
+   * @param {Object} options - Reading options
+   * @param {string} options.type - Document type (see DOCUMENT_TYPES)
+   * @param {string} options.filename - Filename of the document
+   * @param {string} options.phoneNumber - Phone number of the conversation
+   * @returns {Promise<Object>} Reading result
    */
-  async transcribeAudio(audioBuffer, options = {}) {
+  async readDocument(documentBuffer, options) {
+    const { type, filename, phoneNumber } = options;
+    const { maxTextTokens, maxTurnTokens, summarize } = botConfig.documents;
+
     try {
-      logger.debug("Transcribing audio with Whisper API");
+      const extracted = await extractDocumentText(documentBuffer, type);
 
-      const formData = new FormData();
-      const audioBlob = new Blob([audioBuffer]);
+      if (!extracted) {
+        throw new Error("No text found in the document");
+      }
 
-      formData.append("file", audioBlob, "audio.ogg");
-      formData.append("model", botConfig.whisper.model);
+      const text = truncateToTokens(extracted, maxTextTokens);
+      let content = text;
+      let summarized = false;
 
-      if (botConfig.whisper.language) {
-        formData.append("language", botConfig.whisper.language);
-      }
+      if (countTokens(text) > maxTurnTokens) {
+        content = truncateToTokens(text, maxTurnTokens);
 
-      // Optional parameters
-      if (botConfig.whisper.translateToPortuguese) {
-        formData.append("response_format", "text");
+        if (summarize) {
+          try {
+            content = await this.summarizeDocument(text, filename, phoneNumber);
+            summarized = true;
+          } catch (error) {
+            logger.warn(
+              `Failed to summarize document ${filename}, truncating it: ${error.message}`
+            );
+          }
+        }
       }
 
-      const response = await this.openai.createTranscription(
-        audioBuffer,
-        botConfig.whisper.model,
-        undefined,
-        "text",
-        1,
-        botConfig.whisper.language
-      );
+      // The latest documents stay available after leaving the history
+      await memoryManager
+        .appendMemoryLog(
+          phoneNumber,
+          "received_documents",
+          {
+            filename,
+            type,
+            content,
+            summarized,
+            tokens: countTokens(text),
+            receivedAt: new Date().toISOString(),
+          },
+          "documents",
+          DOCUMENT_NOTES_LIMIT
+        )
+        .catch((error) =>
+          logger.warn(`Failed to save document note ${filename}:`, error)
+        );
 
-      if (!response || !response.data) {
-        throw new Error("Invalid response from Whisper API");
+      if (botConfig.semanticMemory.enabled) {
+        semanticMemory.indexNote(phoneNumber, text, {
+          source: "document",
+          filename,
+        });
       }
 
-      logger.debug("Audio transcription successful");
+      logger.debug(
+        `Read ${type} document ${filename} from ${phoneNumber}${
+          summarized ? " (summarized)" : ""
+        }`
+      );
 
       return {
         success: true,
-        text: response.data,
-        language: botConfig.whisper.language,
+        content,
+        summarized,
+        truncated: !summarized && content !== extracted,
       };
     } catch (error) {
-      logger.error("Audio transcription failed:", error);
+      logger.error(`Failed to read document ${filename}:`, error);
 
       return {
         success: false,
         error: error.message,
-        text: "",
+        content: "",
       };
     }
   }
+
+  /**
+   * Summarize the text of a document sent by a customer
+   * @param {string} text - The document text
+   * @param {string} filename - Filename of the document
+   * @param {string} [phoneNumber] - Phone number of the conversation, recorded with the usage
+   * @returns {Promise<string>} The summary
+   */
+  async summarizeDocument(text, filename, phoneNumber) {
+    const { maxTurnTokens, summaryModel } = botConfig.documents;
+
+    const prompt = [
+      {
+        role: "system",
+        content: `Você resume documentos enviados por clientes em uma conversa de vendas de WhatsApp, para que o vendedor possa comentá-los sem lê-los inteiros.
+
+Diga que tipo de documento é (briefing, proposta, orçamento, contrato, planilha...) e preserve:
+- valores, quantidades, prazos e condições
+- produtos, serviços, fornecedores e concorrentes citados
+- necessidades, requisitos e perguntas do cliente
+
+Responda somente com o resumo, em português e em tópicos curtos.`,
+      },
+      {
+        role: "user",
+        content: `Documento ${filename}:
+${text}`,
+      },
+    ];
+
+    const overrides = { temperature: 0, max_tokens: maxTurnTokens };
+    if (summaryModel) {
+      overrides.model = summaryModel;
+    }
+
+    const response = await this._sendToAI(prompt, overrides, {
+      phoneNumber,
+      operation: USAGE_OPERATIONS.DOCUMENT_SUMMARY,
+    });
+
+    if (!response || !response.content) {
+      throw new Error("Summarizer returned an empty summary");
+    }
+
+    return response.content.trim();
+  }
 }
 
 // Create and export singleton instance
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview AI Tools for WhatsApp AI Sales Agent
+ *
+ * This module exposes the special actions of the sales agent (sending social
+ * proof, sending a checkout link, transferring to support and changing the
+ * funnel stage) to the AI model as OpenAI-style tools with JSON-schema
+ * arguments. Tool calls returned by the model are converted into the same
+ * actions produced by the text commands (!checkout:[plano_id], ...), so both
+ * paths are executed the same way by the chat handler.
+ */
+
+const logger = require("./logger");
+const { pricingData } = require("./pricing");
+const { SPECIAL_COMMANDS } = require("./funnelBlueprint");
+
+/**
+ * Argument taken by the tool of each special command (null for no argument)
+ * @type {Object.<string, Object|null>}
+ */
+const TOOL_ARGUMENTS = {
+  prova_social: {
+    name: "socialProofId",
+    description: "ID da prova social a enviar",
+  },
+  checkout: {
+    name: "planId",
+    description: "ID do plano, addon ou oferta especial",
+  },
+  suporte: null,
+  etapa: {
+    name: "stageId",
+    description: "ID da nova etapa do funil",
+  },
+};
+
+/**
+ * Get the IDs of every plan, addon and special offer that has a checkout
+ * @returns {Array<string>} Plan IDs
+ */
+function getCheckoutPlanIds() {
+  const planIds = [];
+
+  for (const product of pricingData.products || []) {
+    planIds.push(...(product.plans || []).map((plan) => plan.id));
+    planIds.push(...(product.addons || []).map((addon) => addon.id));
+  }
+
+  planIds.push(...(pricingData.specialOffers || []).map((offer) => offer.id));
+  return planIds;
+}
+
+/**
+ * Build the tool definitions for the special commands available at a stage
+ * @param {Array<string>} commands - Names of the available special commands
+ * @param {Object} [options] - Values accepted by the tool arguments
+ * @param {Array<string>} [options.stageIds] - Stages of the funnel blueprint
+ * @param {Array<string>} [options.socialProofIds] - Available social proof assets
+ * @returns {Array<Object>} Tool definitions in the OpenAI format
+ */
+function buildTools(commands, options = {}) {
+  const { stageIds = [], socialProofIds = [] } = options;
+
+  // Accepted values of each argument, when known
+  const argumentValues = {
+    prova_social: socialProofIds,
+    checkout: getCheckoutPlanIds(),
+    etapa: stageIds,
+  };
+
+  return commands.map((command) => {
+    const argument = TOOL_ARGUMENTS[command];
+    const properties = {};
+
+    if (argument) {
+      properties[argument.name] = {
+        type: "string",
+        description: argument.description,
+      };
+
+      if (argumentValues[command] && argumentValues[command].length > 0) {
+        properties[argument.name].enum = argumentValues[command];
+      }
+    }
+
+    return {
+      type: "function",
+      function: {
+        name: SPECIAL_COMMANDS[command].tool,
+        description: SPECIAL_COMMANDS[command].description,
+        strict: true,
+        parameters: {
+          type: "object",
+          properties,
+          required: argument ? [argument.name] : [],
+          additionalProperties: false,
+        },
+      },
+    };
+  });
+}
+
+/**
+ * Convert tool calls returned by the model into special command actions
+ * @param {Array<Object>} [toolCalls] - Tool calls of the model response
+ * @returns {Array<Object>} Actions with the command type, its ID and the tool call ID
+ */
+function parseToolCalls(toolCalls = []) {
+  const actions = [];
+
+  for (const toolCall of toolCalls || []) {
+    const { name, arguments: rawArguments } = toolCall.function || {};
+    const type = Object.keys(SPECIAL_COMMANDS).find(
+      (command) => SPECIAL_COMMANDS[command].tool === name
+    );
+
+    if (!type) {
+      logger.warn(`Ignoring call to unknown tool: ${name}`);
+      continue;
+    }
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      logger.warn(
+        `Ignoring call to ${name} with invalid arguments: ${rawArguments}`
+      );
+      continue;
+    }
+
+    const argument = TOOL_ARGUMENTS[type];
+    const id = argument ? String(args[argument.name] || "") : "";
+
+    if (argument && !id) {
+      logger.warn(`Ignoring call to ${name} without '${argument.name}'`);
+      continue;
+    }
+
+    actions.push({
+      type,
+      id,
+      fullCommand: `${name}(${rawArguments || ""})`,
+      toolCallId: toolCall.id,
+    });
+  }
+
+  return actions;
+}
+
+module.exports = {
+  buildTools,
+  parseToolCalls,
+  getCheckoutPlanIds,
+};
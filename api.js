@@ -0,0 +1,1253 @@
+/**
+ * @fileoverview REST API Router for WhatsApp AI Sales Agent
+ *
+ * This module exposes the HTTP endpoints used to operate the agent remotely,
+ * including sending messages, reading the bot status, WhatsApp sessions, LLM
+ * provider health and memory statistics, AI usage, costs and budgets, browsing
+ * or searching stored conversations and their lead profiles, adding notes to
+ * their semantic memory, reloading the training data, and managing human
+ * takeovers, reply modes, contact blocks, the tenant funnel blueprint and the
+ * funnel transitions of each conversation.
+ * Every route is protected by a Bearer token and per-IP rate limiting, and all
+ * responses follow the same JSON envelope ({ success, data } / { success, error, code }).
+ */
+
+const express = require("express");
+const crypto = require("crypto");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const memoryManager = require("./memoryManager");
+const tenantManager = require("./tenantManager");
+const { SalesFunnelService } = require("./salesFunnelService");
+const { llmProviders } = require("./llmProviders");
+const { USAGE_GROUPS, usageTracker } = require("./usageTracker");
+const { semanticMemory } = require("./semanticMemory");
+const { REPLY_MODES } = require("./speechSynthesizer");
+const aiHandler = require("./aiHandler");
+const { getBotStatus, cleanPhoneNumber } = require("./utils");
+
+/**
+ * Length of the rate limiting window in milliseconds
+ * @type {number}
+ */
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Maximum accepted length for outgoing messages sent through the API
+ * @type {number}
+ */
+const MAX_API_MESSAGE_LENGTH = 4096;
+
+/**
+ * Maximum accepted length for conversation notes
+ * @type {number}
+ */
+const MAX_NOTE_LENGTH = 4096;
+
+/**
+ * Default and maximum page sizes for paginated listings
+ * @type {Object}
+ */
+const PAGINATION_LIMITS = {
+  default: 20,
+  max: 100,
+};
+
+// WhatsApp sessions of each tenant (attached once WhatsApp is initialized)
+let sessionManager = null;
+
+// Request counters per client IP for rate limiting
+const rateLimitCounters = new Map();
+
+/**
+ * Send an error response using the standard envelope
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Human readable error message
+ * @param {Object} [details] - Additional error details
+ * @returns {Object} Express response
+ */
+function sendError(res, status, code, message, details = undefined) {
+  const body = {
+    success: false,
+    error: message,
+    code,
+  };
+
+  if (details) {
+    body.details = details;
+  }
+
+  return res.status(status).json(body);
+}
+
+/**
+ * Send a success response using the standard envelope
+ * @param {Object} res - Express response
+ * @param {any} data - Response payload
+ * @param {number} [status=200] - HTTP status code
+ * @returns {Object} Express response
+ */
+function sendSuccess(res, data, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+  });
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} handler - Async route handler
+ * @returns {Function} Express middleware
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * Parse the page size query parameter
+ * @param {string} value - Raw query value
+ * @returns {number|null} Page size or null if invalid
+ */
+function parseLimit(value) {
+  if (value === undefined || value === "") {
+    return PAGINATION_LIMITS.default;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > PAGINATION_LIMITS.max) {
+    return null;
+  }
+
+  return limit;
+}
+
+/**
+ * Parse a date query parameter (ISO 8601 or epoch milliseconds)
+ * @param {string} value - Raw query value
+ * @returns {Date|null|undefined} Parsed date, null if invalid, undefined if absent
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse the takeover duration from a request body
+ * @param {any} value - Raw duration in minutes
+ * @returns {number|null|undefined} Duration, null if invalid, undefined if absent
+ */
+function parseTakeoverMinutes(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  return Number.isInteger(value) && value >= 1 && value <= 10080 ? value : null;
+}
+
+/**
+ * Get the WhatsApp session of a tenant
+ * @param {string} tenantId - The tenant ID
+ * @returns {Object|null} The session or null if the tenant has none running
+ */
+function getTenantSession(tenantId) {
+  return sessionManager ? sessionManager.getSessionForTenant(tenantId) : null;
+}
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured API token
+ * @returns {boolean} Whether the tokens match
+ */
+function tokensMatch(provided, expected) {
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(String(expected));
+
+  if (providedBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Middleware enforcing the configured API token as a Bearer token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return sendError(
+      res,
+      401,
+      "UNAUTHORIZED",
+      "Missing or malformed Authorization header (expected 'Bearer <token>')"
+    );
+  }
+
+  if (!tokensMatch(token, botConfig.server.security.apiToken)) {
+    logger.warn(`Rejected API request with invalid token from ${req.ip}`);
+    return sendError(res, 401, "UNAUTHORIZED", "Invalid API token");
+  }
+
+  next();
+}
+
+/**
+ * Middleware scoping the request to the tenant given in the X-Tenant-ID header
+ * Requests without the header act on the default tenant, while listings and
+ * searches span all tenants.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function tenantScope(req, res, next) {
+  const tenantId = req.get("X-Tenant-ID");
+
+  if (!tenantId) {
+    return next();
+  }
+
+  tenantManager
+    .getTenantContext(tenantId)
+    .then((tenant) => {
+      if (!tenant) {
+        return sendError(
+          res,
+          404,
+          "TENANT_NOT_FOUND",
+          `Tenant ${tenantId} not found`
+        );
+      }
+
+      tenantManager.runWithTenant(tenant, next);
+    })
+    .catch(next);
+}
+
+/**
+ * Get the tenant the request is scoped to
+ * @returns {string|undefined} Tenant ID, or undefined when not scoped
+ */
+function scopedTenantId() {
+  const tenant = tenantManager.getCurrentTenant();
+  return tenant ? tenant.tenantId : undefined;
+}
+
+/**
+ * Find a conversation visible to the tenant the request is scoped to
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} The conversation or null if not found
+ */
+async function findScopedConversation(conversationId) {
+  const conversation = await memoryManager.getConversationById(conversationId);
+  const tenantId = scopedTenantId();
+
+  if (!conversation || (tenantId && conversation.tenantId !== tenantId)) {
+    return null;
+  }
+
+  return conversation;
+}
+
+/**
+ * Middleware applying per-IP rate limiting over a one minute window
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function rateLimit(req, res, next) {
+  if (!botConfig.server.security.rateLimit) {
+    return next();
+  }
+
+  const limit = botConfig.server.security.maxRequestsPerMinute;
+  const now = Date.now();
+  const clientIp = req.ip || (req.socket && req.socket.remoteAddress) || "";
+
+  let counter = rateLimitCounters.get(clientIp);
+  if (!counter || now - counter.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    counter = { count: 0, windowStart: now };
+    rateLimitCounters.set(clientIp, counter);
+  }
+
+  counter.count++;
+
+  const resetSeconds = Math.ceil(
+    (counter.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000
+  );
+
+  res.set("X-RateLimit-Limit", String(limit));
+  res.set("X-RateLimit-Remaining", String(Math.max(limit - counter.count, 0)));
+  res.set("X-RateLimit-Reset", String(resetSeconds));
+
+  if (counter.count > limit) {
+    res.set("Retry-After", String(resetSeconds));
+    logger.warn(`API rate limit exceeded for ${clientIp}`);
+    return sendError(
+      res,
+      429,
+      "RATE_LIMITED",
+      `Too many requests. Limit is ${limit} per minute.`
+    );
+  }
+
+  next();
+}
+
+/**
+ * Remove rate limit counters whose window has expired
+ * @private
+ */
+function cleanupRateLimitCounters() {
+  const now = Date.now();
+
+  for (const [clientIp, counter] of rateLimitCounters.entries()) {
+    if (now - counter.windowStart >= RATE_LIMIT_WINDOW_MS) {
+      rateLimitCounters.delete(clientIp);
+    }
+  }
+}
+
+// Periodically drop stale counters without keeping the process alive
+setInterval(cleanupRateLimitCounters, RATE_LIMIT_WINDOW_MS).unref();
+
+// Create the router
+const router = express.Router();
+
+router.use(rateLimit);
+router.use(authenticate);
+router.use(tenantScope);
+
+/**
+ * POST /api/send
+ * Send a text message to a WhatsApp number
+ */
+router.post(
+  "/send",
+  asyncRoute(async (req, res) => {
+    const { phoneNumber, message } = req.body || {};
+
+    if (!phoneNumber || typeof phoneNumber !== "string") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Field 'phoneNumber' is required and must be a string"
+      );
+    }
+
+    if (!message || typeof message !== "string" || !message.trim()) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Field 'message' is required and must be a non-empty string"
+      );
+    }
+
+    if (message.length > MAX_API_MESSAGE_LENGTH) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Field 'message' exceeds ${MAX_API_MESSAGE_LENGTH} characters`
+      );
+    }
+
+    const session = getTenantSession(tenantManager.getCurrentTenantId());
+    if (!session || !session.isReady) {
+      return sendError(
+        res,
+        503,
+        "WHATSAPP_NOT_READY",
+        "WhatsApp client is not ready to send messages"
+      );
+    }
+
+    const result = await session.chatHandler.sendMessage(phoneNumber, message);
+
+    if (!result.success) {
+      return sendError(res, 502, "SEND_FAILED", result.error, {
+        phoneNumber,
+      });
+    }
+
+    logger.info(`Message sent through API to ${phoneNumber}`);
+    return sendSuccess(res, result);
+  })
+);
+
+/**
+ * GET /api/status
+ * Get the current bot status
+ */
+router.get("/status", (req, res) => {
+  // Strip the update method from the status object
+  const { update, ...status } = getBotStatus();
+
+  return sendSuccess(res, status);
+});
+
+/**
+ * GET /api/sessions
+ * Get the status of the WhatsApp sessions, including pending QR codes
+ */
+router.get("/sessions", (req, res) => {
+  const tenantId = scopedTenantId();
+  const sessions = sessionManager ? sessionManager.getStatuses() : [];
+
+  return sendSuccess(
+    res,
+    tenantId
+      ? sessions.filter((session) => session.tenantId === tenantId)
+      : sessions
+  );
+});
+
+/**
+ * POST /api/sessions/sync
+ * Start sessions of new active tenants, stop those no longer needed and
+ * restart failed ones whose retry delay has passed
+ */
+router.post(
+  "/sessions/sync",
+  asyncRoute(async (req, res) => {
+    if (!sessionManager) {
+      return sendError(
+        res,
+        503,
+        "WHATSAPP_NOT_READY",
+        "WhatsApp sessions have not been initialized"
+      );
+    }
+
+    const result = await sessionManager.syncSessions();
+    return sendSuccess(res, result);
+  })
+);
+
+/**
+ * POST /api/training/reload
+ * Reload the training files and social proofs without restarting the bot
+ */
+router.post(
+  "/training/reload",
+  asyncRoute(async (req, res) => {
+    try {
+      const changes = await aiHandler.reloadTrainingContext("api");
+
+      return sendSuccess(res, {
+        changes,
+        stats: aiHandler.trainingContext.stats,
+      });
+    } catch (error) {
+      logger.error("Failed to reload training context:", error);
+      return sendError(res, 500, "TRAINING_RELOAD_FAILED", error.message);
+    }
+  })
+);
+
+/**
+ * GET /api/providers
+ * Get the LLM providers of the tenant, in failover order, with their health
+ */
+router.get("/providers", (req, res) => {
+  return sendSuccess(res, {
+    tenantId: tenantManager.getCurrentTenantId(),
+    providers: llmProviders.getHealth(),
+  });
+});
+
+/**
+ * GET /api/usage
+ * Sum the AI usage and costs of a period (current month by default) by day,
+ * model, operation, provider, conversation or tenant
+ */
+router.get(
+  "/usage",
+  asyncRoute(async (req, res) => {
+    const { groupBy = "day" } = req.query;
+
+    if (!Object.keys(USAGE_GROUPS).includes(groupBy)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameter 'groupBy' must be one of: ${Object.keys(
+          USAGE_GROUPS
+        ).join(", ")}`
+      );
+    }
+
+    const fromDate = parseDateParam(req.query.from);
+    const toDate = parseDateParam(req.query.to);
+    if (fromDate === null || toDate === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Query parameters 'from' and 'to' must be ISO 8601 dates or timestamps"
+      );
+    }
+
+    const now = new Date();
+    const from =
+      fromDate || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth()));
+    const to = toDate || now;
+
+    if (from > to) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Query parameter 'from' must not be after 'to'"
+      );
+    }
+
+    const summary = await usageTracker.getUsageSummary({
+      from,
+      to,
+      groupBy,
+      tenantId: scopedTenantId(),
+    });
+
+    return sendSuccess(res, summary);
+  })
+);
+
+/**
+ * GET /api/usage/budget
+ * Get the monthly AI budget of the tenant and its spend in the current month
+ */
+router.get(
+  "/usage/budget",
+  asyncRoute(async (req, res) => {
+    const status = await usageTracker.getBudgetStatus();
+    return sendSuccess(res, status);
+  })
+);
+
+/**
+ * GET /api/stats
+ * Get memory and storage statistics
+ */
+router.get(
+  "/stats",
+  asyncRoute(async (req, res) => {
+    const stats = await memoryManager.getMemoryStats();
+
+    if (stats.error) {
+      return sendError(res, 500, "STATS_UNAVAILABLE", stats.error);
+    }
+
+    return sendSuccess(res, stats);
+  })
+);
+
+/**
+ * GET /api/conversations
+ * List conversations filtered by funnel stage, contact name and last interaction range
+ */
+router.get(
+  "/conversations",
+  asyncRoute(async (req, res) => {
+    const { stage, name, from, to, cursor } = req.query;
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameter 'limit' must be an integer between 1 and ${PAGINATION_LIMITS.max}`
+      );
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate === null || toDate === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Query parameters 'from' and 'to' must be ISO 8601 dates or timestamps"
+      );
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Query parameter 'from' must not be after 'to'"
+      );
+    }
+
+    const result = await memoryManager.listConversations({
+      stage,
+      contactName: name,
+      from: fromDate,
+      to: toDate,
+      cursor,
+      limit,
+      tenantId: scopedTenantId(),
+    });
+
+    return sendSuccess(res, result);
+  })
+);
+
+/**
+ * GET /api/conversations/:conversationId
+ * Get a single conversation
+ */
+router.get(
+  "/conversations/:conversationId",
+  asyncRoute(async (req, res) => {
+    const conversation = await findScopedConversation(
+      req.params.conversationId
+    );
+
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    return sendSuccess(res, conversation);
+  })
+);
+
+/**
+ * GET /api/conversations/:conversationId/messages
+ * Get the message timeline of a conversation with cursor pagination
+ */
+router.get(
+  "/conversations/:conversationId/messages",
+  asyncRoute(async (req, res) => {
+    const { conversationId } = req.params;
+    const { cursor, order = "asc" } = req.query;
+
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameter 'limit' must be an integer between 1 and ${PAGINATION_LIMITS.max}`
+      );
+    }
+
+    if (order !== "asc" && order !== "desc") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Query parameter 'order' must be 'asc' or 'desc'"
+      );
+    }
+
+    const conversation = await findScopedConversation(conversationId);
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    const result = await memoryManager.getConversationTimeline(conversationId, {
+      cursor,
+      limit,
+      order,
+    });
+
+    return sendSuccess(res, result);
+  })
+);
+
+/**
+ * GET /api/conversations/:conversationId/funnel
+ * Get the funnel stage of a conversation with its transitions and stage classifications
+ */
+router.get(
+  "/conversations/:conversationId/funnel",
+  asyncRoute(async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameter 'limit' must be an integer between 1 and ${PAGINATION_LIMITS.max}`
+      );
+    }
+
+    const conversation = await findScopedConversation(
+      req.params.conversationId
+    );
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    // Funnel memory is stored per tenant, so read it in the conversation's tenant
+    const tenant = await tenantManager.getTenantContext(conversation.tenantId);
+    const phoneNumber = cleanPhoneNumber(conversation.chatId);
+
+    const funnel = await tenantManager.runWithTenant(tenant, async () => {
+      const stageMem = await memoryManager.getLatestMemoryEntry(
+        phoneNumber,
+        "funnel_stage"
+      );
+      const history = await SalesFunnelService.getTransitionHistory(
+        phoneNumber,
+        { limit }
+      );
+      const classifications = await SalesFunnelService.getStageClassifications(
+        phoneNumber,
+        { limit }
+      );
+
+      return {
+        currentStage: stageMem ? stageMem.value : null,
+        ...history,
+        classifications,
+      };
+    });
+
+    return sendSuccess(res, { conversationId: conversation.id, ...funnel });
+  })
+);
+
+/**
+ * GET /api/conversations/:conversationId/profile
+ * Get the lead profile extracted from a conversation, with the provenance and
+ * confidence of each field
+ */
+router.get(
+  "/conversations/:conversationId/profile",
+  asyncRoute(async (req, res) => {
+    const conversation = await findScopedConversation(
+      req.params.conversationId
+    );
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    // Lead profiles are stored per tenant, so read it in the conversation's tenant
+    const tenant = await tenantManager.getTenantContext(conversation.tenantId);
+    const profile = await tenantManager.runWithTenant(tenant, () =>
+      SalesFunnelService.getLeadProfile(cleanPhoneNumber(conversation.chatId))
+    );
+
+    return sendSuccess(res, {
+      conversationId: conversation.id,
+      fields: profile ? profile.fields : {},
+      updatedAt: profile ? profile.updatedAt : null,
+    });
+  })
+);
+
+/**
+ * POST /api/conversations/:conversationId/notes
+ * Add a note to the semantic memory of a conversation, retrieved into the
+ * prompt when related to what the customer says
+ */
+router.post(
+  "/conversations/:conversationId/notes",
+  asyncRoute(async (req, res) => {
+    const { text, author } = req.body || {};
+
+    if (
+      typeof text !== "string" ||
+      !text.trim() ||
+      text.length > MAX_NOTE_LENGTH
+    ) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Field 'text' is required and must be a string of at most ${MAX_NOTE_LENGTH} characters`
+      );
+    }
+
+    if (author !== undefined && typeof author !== "string") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Field 'author' must be a string"
+      );
+    }
+
+    if (!botConfig.semanticMemory.enabled) {
+      return sendError(
+        res,
+        409,
+        "SEMANTIC_MEMORY_DISABLED",
+        "Semantic memory is disabled"
+      );
+    }
+
+    const conversation = await findScopedConversation(
+      req.params.conversationId
+    );
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    // Notes are stored per tenant, so add it in the conversation's tenant
+    const tenant = await tenantManager.getTenantContext(conversation.tenantId);
+    const chunks = await tenantManager.runWithTenant(tenant, () =>
+      semanticMemory.indexNote(
+        cleanPhoneNumber(conversation.chatId),
+        text.trim(),
+        author ? { author } : {}
+      )
+    );
+
+    if (chunks === 0) {
+      return sendError(
+        res,
+        500,
+        "NOTE_NOT_STORED",
+        "The note could not be stored"
+      );
+    }
+
+    return sendSuccess(res, { conversationId: conversation.id, chunks }, 201);
+  })
+);
+
+/**
+ * GET /api/conversations/:conversationId/usage
+ * Get the AI usage and costs of a conversation by model, with its latest AI calls
+ */
+router.get(
+  "/conversations/:conversationId/usage",
+  asyncRoute(async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameter 'limit' must be an integer between 1 and ${PAGINATION_LIMITS.max}`
+      );
+    }
+
+    const conversation = await findScopedConversation(
+      req.params.conversationId
+    );
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    const { totals, groups } = await usageTracker.getUsageSummary({
+      conversationId: conversation.id,
+      groupBy: "model",
+    });
+    const calls = await usageTracker.getConversationUsage(conversation.id, {
+      limit,
+    });
+
+    return sendSuccess(res, {
+      conversationId: conversation.id,
+      totals,
+      models: groups,
+      calls,
+    });
+  })
+);
+
+/**
+ * Load the conversation targeted by a takeover route
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} The conversation, its tenant, chat handler and the takeover duration, or null if a response was sent
+ */
+async function resolveTakeoverRequest(req, res) {
+  const minutes = parseTakeoverMinutes((req.body || {}).minutes);
+  if (minutes === null) {
+    sendError(
+      res,
+      400,
+      "VALIDATION_ERROR",
+      "Field 'minutes' must be an integer between 1 and 10080"
+    );
+    return null;
+  }
+
+  const conversation = await findScopedConversation(req.params.conversationId);
+  if (!conversation) {
+    sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    return null;
+  }
+
+  const session = getTenantSession(conversation.tenantId);
+  if (!session) {
+    sendError(
+      res,
+      503,
+      "WHATSAPP_NOT_READY",
+      "WhatsApp session of the conversation's tenant has not been initialized"
+    );
+    return null;
+  }
+
+  // Takeovers are stored per tenant, so act in the conversation's tenant
+  const tenant = await tenantManager.getTenantContext(conversation.tenantId);
+
+  return { conversation, minutes, tenant, chatHandler: session.chatHandler };
+}
+
+/**
+ * POST /api/conversations/:conversationId/takeover
+ * Start a human takeover, pausing AI replies for the conversation
+ */
+router.post(
+  "/conversations/:conversationId/takeover",
+  asyncRoute(async (req, res) => {
+    const target = await resolveTakeoverRequest(req, res);
+    if (!target) return;
+
+    const until = await tenantManager.runWithTenant(target.tenant, () =>
+      target.chatHandler.startHumanTakeover(
+        cleanPhoneNumber(target.conversation.chatId),
+        { minutes: target.minutes, reason: "api" }
+      )
+    );
+
+    return sendSuccess(res, {
+      conversationId: target.conversation.id,
+      humanTakeoverUntil: until.toISOString(),
+    });
+  })
+);
+
+/**
+ * PATCH /api/conversations/:conversationId/takeover
+ * Extend the active human takeover of the conversation
+ */
+router.patch(
+  "/conversations/:conversationId/takeover",
+  asyncRoute(async (req, res) => {
+    const target = await resolveTakeoverRequest(req, res);
+    if (!target) return;
+
+    const { humanTakeoverUntil } = target.conversation;
+    if (!humanTakeoverUntil || new Date(humanTakeoverUntil) <= new Date()) {
+      return sendError(
+        res,
+        409,
+        "TAKEOVER_NOT_ACTIVE",
+        "Conversation has no active human takeover to extend"
+      );
+    }
+
+    const until = await tenantManager.runWithTenant(target.tenant, () =>
+      target.chatHandler.startHumanTakeover(
+        cleanPhoneNumber(target.conversation.chatId),
+        { minutes: target.minutes, extend: true, reason: "api" }
+      )
+    );
+
+    return sendSuccess(res, {
+      conversationId: target.conversation.id,
+      humanTakeoverUntil: until.toISOString(),
+    });
+  })
+);
+
+/**
+ * DELETE /api/conversations/:conversationId/takeover
+ * End the human takeover, resuming AI replies for the conversation
+ */
+router.delete(
+  "/conversations/:conversationId/takeover",
+  asyncRoute(async (req, res) => {
+    const target = await resolveTakeoverRequest(req, res);
+    if (!target) return;
+
+    await tenantManager.runWithTenant(target.tenant, () =>
+      target.chatHandler.endHumanTakeover(
+        cleanPhoneNumber(target.conversation.chatId)
+      )
+    );
+
+    return sendSuccess(res, {
+      conversationId: target.conversation.id,
+      humanTakeoverUntil: null,
+    });
+  })
+);
+
+/**
+ * PUT /api/conversations/:conversationId/reply-mode
+ * Set how the agent replies to a conversation ("text", or "mirror" to answer
+ * audio with voice notes), or follow the tenant's mode again with null
+ */
+router.put(
+  "/conversations/:conversationId/reply-mode",
+  asyncRoute(async (req, res) => {
+    const { mode } = req.body || {};
+    const modes = Object.values(REPLY_MODES);
+
+    if (mode !== null && !modes.includes(mode)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Field 'mode' must be one of ${modes.join(", ")} or null`
+      );
+    }
+
+    const conversation = await findScopedConversation(
+      req.params.conversationId
+    );
+    if (!conversation) {
+      return sendError(res, 404, "NOT_FOUND", "Conversation not found");
+    }
+
+    // Reply modes are stored per tenant, so set it in the conversation's tenant
+    const tenant = await tenantManager.getTenantContext(conversation.tenantId);
+    await tenantManager.runWithTenant(tenant, () =>
+      memoryManager.setReplyMode(cleanPhoneNumber(conversation.chatId), mode)
+    );
+
+    return sendSuccess(res, {
+      conversationId: conversation.id,
+      replyMode: mode,
+      effectiveReplyMode: mode || tenant.config.voiceReplies.mode,
+    });
+  })
+);
+
+/**
+ * GET /api/blocks
+ * List contacts that are currently blocked
+ */
+router.get(
+  "/blocks",
+  asyncRoute(async (req, res) => {
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameter 'limit' must be an integer between 1 and ${PAGINATION_LIMITS.max}`
+      );
+    }
+
+    const result = await memoryManager.listBlockedContacts({
+      cursor: req.query.cursor,
+      limit,
+    });
+
+    return sendSuccess(res, result);
+  })
+);
+
+/**
+ * POST /api/blocks
+ * Block a contact (the duration escalates for repeat offenders unless given)
+ */
+router.post(
+  "/blocks",
+  asyncRoute(async (req, res) => {
+    const { phoneNumber, minutes, reason = "manual" } = req.body || {};
+
+    if (!phoneNumber || typeof phoneNumber !== "string") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Field 'phoneNumber' is required and must be a string"
+      );
+    }
+
+    if (
+      minutes !== undefined &&
+      (!Number.isInteger(minutes) || minutes < 1 || minutes > 525600)
+    ) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Field 'minutes' must be an integer between 1 and 525600"
+      );
+    }
+
+    if (typeof reason !== "string" || reason.length > 200) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Field 'reason' must be a string of at most 200 characters"
+      );
+    }
+
+    const block = await memoryManager.blockContact(
+      cleanPhoneNumber(phoneNumber),
+      { minutes, reason }
+    );
+
+    return sendSuccess(res, block, 201);
+  })
+);
+
+/**
+ * DELETE /api/blocks/:phoneNumber
+ * Unblock a contact
+ */
+router.delete(
+  "/blocks/:phoneNumber",
+  asyncRoute(async (req, res) => {
+    const phoneNumber = cleanPhoneNumber(req.params.phoneNumber);
+    const unblocked = await memoryManager.unblockContact(phoneNumber);
+
+    if (!unblocked) {
+      return sendError(res, 404, "NOT_FOUND", "Contact is not blocked");
+    }
+
+    return sendSuccess(res, { phoneNumber, unblocked: true });
+  })
+);
+
+/**
+ * GET /api/funnel/blueprint
+ * Get the funnel blueprint executed for the tenant
+ */
+router.get(
+  "/funnel/blueprint",
+  asyncRoute(async (req, res) => {
+    const tenantId = tenantManager.getCurrentTenantId();
+    const blueprint = await SalesFunnelService.getBlueprint(tenantId);
+
+    return sendSuccess(res, {
+      tenantId,
+      isDefault: blueprint === SalesFunnelService.defaultBlueprint,
+      blueprint,
+    });
+  })
+);
+
+/**
+ * PUT /api/funnel/blueprint
+ * Validate and save the funnel blueprint of the tenant
+ */
+router.put(
+  "/funnel/blueprint",
+  asyncRoute(async (req, res) => {
+    const tenantId = tenantManager.getCurrentTenantId();
+    const result = await SalesFunnelService.saveBlueprint(tenantId, req.body);
+
+    if (!result.saved) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Funnel blueprint is invalid",
+        { errors: result.errors }
+      );
+    }
+
+    return sendSuccess(res, {
+      tenantId,
+      isDefault: false,
+      blueprint: result.blueprint,
+      updatedAt: result.updatedAt,
+    });
+  })
+);
+
+/**
+ * DELETE /api/funnel/blueprint
+ * Remove the funnel blueprint of the tenant so the default funnel is executed
+ */
+router.delete(
+  "/funnel/blueprint",
+  asyncRoute(async (req, res) => {
+    const tenantId = tenantManager.getCurrentTenantId();
+    const removed = await SalesFunnelService.resetBlueprint(tenantId);
+
+    if (!removed) {
+      return sendError(res, 404, "NOT_FOUND", "Tenant has no funnel blueprint");
+    }
+
+    return sendSuccess(res, { tenantId, isDefault: true });
+  })
+);
+
+/**
+ * GET /api/messages/search
+ * Full-text search message content across all conversations
+ */
+router.get(
+  "/messages/search",
+  asyncRoute(async (req, res) => {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (!query) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Query parameter 'q' is required"
+      );
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const offset = req.query.offset ? Number(req.query.offset) : 0;
+    if (limit === null || !Number.isInteger(offset) || offset < 0) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Query parameters 'limit' (1-${PAGINATION_LIMITS.max}) and 'offset' (>= 0) must be integers`
+      );
+    }
+
+    const results = await memoryManager.searchMessages(query, {
+      limit,
+      offset,
+      tenantId: scopedTenantId(),
+    });
+
+    return sendSuccess(res, { query, results });
+  })
+);
+
+// Unknown API routes
+router.use((req, res) => {
+  sendError(
+    res,
+    404,
+    "NOT_FOUND",
+    `Route ${req.method} ${req.baseUrl}${req.path} not found`
+  );
+});
+
+// Errors raised inside API routes
+router.use((err, req, res, next) => {
+  logger.error(`API error on ${req.method} ${req.originalUrl}:`, err);
+  return sendError(res, 500, "INTERNAL_ERROR", "Internal server error");
+});
+
+/**
+ * Attach the session manager used to reach the WhatsApp session of each tenant
+ * @param {Object} manager - SessionManager instance
+ */
+router.setSessionManager = (manager) => {
+  sessionManager = manager;
+};
+
+module.exports = router;
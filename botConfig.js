@@ -220,6 +220,78 @@ const BOT_BEHAVIOR = {
     true
   ),
   maxInactivityDays: parseIntEnv(process.env.MAX_INACTIVITY_DAYS, 30, 1, 365),
+  humanTakeover: {
+    enabled: parseBooleanEnv(process.env.ENABLE_HUMAN_TAKEOVER, true),
+    durationMinutes: parseIntEnv(
+      process.env.HUMAN_TAKEOVER_MINUTES,
+      60,
+      1,
+      10080
+    ),
+    onSupportTransfer: parseBooleanEnv(
+      process.env.HUMAN_TAKEOVER_ON_SUPPORT_TRANSFER,
+      true
+    ),
+    onOperatorReply: parseBooleanEnv(
+      process.env.HUMAN_TAKEOVER_ON_OPERATOR_REPLY,
+      true
+    ),
+  },
+  blocking: {
+    enabled: parseBooleanEnv(process.env.ENABLE_CONTACT_BLOCKING, true),
+    // Block duration for the 1st, 2nd, 3rd... offense (the last one repeats)
+    durationsMinutes: parseArrayEnv(
+      process.env.BLOCK_DURATIONS_MINUTES,
+      [15, 120, 1440]
+    ).map((minutes) => parseIntEnv(minutes, 60, 1, 525600)),
+    escalationResetDays: parseIntEnv(
+      process.env.BLOCK_ESCALATION_RESET_DAYS,
+      30,
+      1,
+      365
+    ),
+    notice:
+      process.env.BLOCK_NOTICE_MESSAGE ||
+      "Recebemos muitas mensagens em pouco tempo e pausamos o atendimento automático por enquanto. Tente novamente mais tarde.",
+  },
+  stageClassifier: {
+    enabled: parseBooleanEnv(process.env.ENABLE_LLM_STAGE_CLASSIFIER, false),
+    // Empty uses the chat model
+    model: process.env.STAGE_CLASSIFIER_MODEL || "",
+    historyMessages: parseIntEnv(
+      process.env.STAGE_CLASSIFIER_HISTORY_MESSAGES,
+      10,
+      2,
+      50
+    ),
+  },
+  conversationSummary: {
+    enabled: parseBooleanEnv(process.env.ENABLE_CONVERSATION_SUMMARY, true),
+    // Empty uses the chat model
+    model: process.env.SUMMARY_MODEL || "",
+    // Messages not yet summarized that trigger a new summary
+    thresholdMessages: parseIntEnv(
+      process.env.SUMMARY_THRESHOLD_MESSAGES,
+      20,
+      4,
+      100
+    ),
+    // Most recent messages left out of the summary
+    keepMessages: parseIntEnv(process.env.SUMMARY_KEEP_MESSAGES, 10, 2, 50),
+    maxTokens: parseIntEnv(process.env.SUMMARY_MAX_TOKENS, 500, 100, 2000),
+  },
+  leadProfile: {
+    enabled: parseBooleanEnv(process.env.ENABLE_LEAD_PROFILE, true),
+    // Empty uses the chat model
+    model: process.env.LEAD_PROFILE_MODEL || "",
+    // Extracted fields below this confidence (0-1) are ignored
+    minConfidence: parseFloatEnv(
+      process.env.LEAD_PROFILE_MIN_CONFIDENCE,
+      0.5,
+      0,
+      1
+    ),
+  },
 };
 
 // Define OpenAI API configuration
@@ -252,14 +324,163 @@ const OPENAI_CONFIG = {
       60000
     ),
   },
+  // Expose special commands as tools instead of text commands
+  useTools: parseBooleanEnv(process.env.OPENAI_USE_TOOLS, true),
   useLocalModel: parseBooleanEnv(process.env.USE_LOCAL_MODEL, false),
   localModelConfig: parseJsonEnv(process.env.LOCAL_MODEL_CONFIG, {
     apiUrl: "http://localhost:1234/v1",
     apiKey: "not-needed",
     model: "local-model",
+    supportsTools: false,
   }),
 };
 
+// Define the LLM providers and the failover between them
+const LLM_CONFIG = {
+  // Extra providers: [{ id, type, apiUrl, apiKey, model, supportsTools, visionModel }]
+  providers: parseJsonEnv(process.env.LLM_PROVIDERS, []),
+  primary:
+    process.env.LLM_PRIMARY_PROVIDER ||
+    (OPENAI_CONFIG.useLocalModel ? "local" : "openai"),
+  fallbacks: parseArrayEnv(process.env.LLM_FALLBACK_PROVIDERS, []),
+  health: {
+    // Consecutive failures before a provider is skipped
+    failureThreshold: parseIntEnv(
+      process.env.LLM_PROVIDER_FAILURE_THRESHOLD,
+      3,
+      1,
+      20
+    ),
+    cooldownMs: parseIntEnv(
+      process.env.LLM_PROVIDER_COOLDOWN_MS,
+      60000,
+      1000,
+      3600000
+    ),
+  },
+};
+
+// Define how the model context is split between the prompt sections
+const TOKEN_BUDGET_CONFIG = {
+  // 0 uses the context window of the primary model
+  contextWindow: parseIntEnv(process.env.MODEL_CONTEXT_WINDOW, 0, 0, 2000000),
+  // Stage instructions, identity and tactics of the system prompt
+  systemPromptTokens: parseIntEnv(
+    process.env.SYSTEM_PROMPT_TOKEN_BUDGET,
+    3000,
+    500,
+    100000
+  ),
+  // Product data and knowledge base embedded in the system prompt
+  knowledgeTokens: parseIntEnv(
+    process.env.KNOWLEDGE_TOKEN_BUDGET,
+    6000,
+    0,
+    500000
+  ),
+  historyTokens: parseIntEnv(
+    process.env.HISTORY_TOKEN_BUDGET,
+    4000,
+    200,
+    500000
+  ),
+};
+
+// Define AI usage accounting and monthly budgets
+const USAGE_CONFIG = {
+  // USD per million tokens (input/output, characters for speech) or per audio minute, by model name prefix
+  pricing: parseJsonEnv(process.env.AI_PRICING, {
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4-turbo": { input: 10, output: 30 },
+    "gpt-4": { input: 30, output: 60 },
+    "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+    "text-embedding-3-small": { input: 0.02 },
+    "text-embedding-3-large": { input: 0.13 },
+    "whisper-1": { perMinute: 0.006 },
+    "tts-1": { input: 15 },
+    "tts-1-hd": { input: 30 },
+  }),
+  // 0 disables the monthly budget
+  monthlyBudgetUsd: parseFloatEnv(process.env.AI_MONTHLY_BUDGET_USD, 0, 0),
+  // "alert" only warns, "downgrade" also switches to the budget model
+  budgetAction: process.env.AI_BUDGET_ACTION || "alert",
+  budgetModel: process.env.AI_BUDGET_MODEL || "gpt-4o-mini",
+  alertWebhookUrl: process.env.AI_BUDGET_ALERT_WEBHOOK_URL || "",
+};
+
+// Define semantic memory (embedded past messages and notes) configuration
+const SEMANTIC_MEMORY_CONFIG = {
+  enabled: parseBooleanEnv(process.env.ENABLE_SEMANTIC_MEMORY, true),
+  // "pgvector" falls back to the in-process store when the extension or table is missing
+  store: process.env.SEMANTIC_MEMORY_STORE || "pgvector",
+  // "openai" or "local" (hashing stand-in without API calls, for tests)
+  embeddingProvider: process.env.EMBEDDING_PROVIDER || "openai",
+  embeddingModel: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+  localDimensions: parseIntEnv(
+    process.env.LOCAL_EMBEDDING_DIMENSIONS,
+    256,
+    16,
+    4096
+  ),
+  topK: parseIntEnv(process.env.SEMANTIC_MEMORY_TOP_K, 4, 1, 20),
+  // Minimum cosine similarity of a retrieved chunk
+  minScore: parseFloatEnv(process.env.SEMANTIC_MEMORY_MIN_SCORE, 0.3, -1, 1),
+  chunkTokens: parseIntEnv(
+    process.env.SEMANTIC_MEMORY_CHUNK_TOKENS,
+    300,
+    50,
+    2000
+  ),
+  // Chunks kept per conversation by the in-process store
+  maxInProcessEntries: parseIntEnv(
+    process.env.SEMANTIC_MEMORY_MAX_ENTRIES,
+    500,
+    10,
+    10000
+  ),
+  // Conversations kept by the in-process store (least recently used dropped first)
+  maxInProcessConversations: parseIntEnv(
+    process.env.SEMANTIC_MEMORY_MAX_CONVERSATIONS,
+    1000,
+    10,
+    100000
+  ),
+};
+
+// Define knowledge base (retrieved training passages) configuration
+const KNOWLEDGE_BASE_CONFIG = {
+  // Disabled, the whole training data is added to every prompt as before
+  enabled: parseBooleanEnv(process.env.ENABLE_KNOWLEDGE_RETRIEVAL, true),
+  topK: parseIntEnv(process.env.KNOWLEDGE_TOP_K, 5, 1, 20),
+  chunkTokens: parseIntEnv(process.env.KNOWLEDGE_CHUNK_TOKENS, 350, 50, 2000),
+  // Embeddings use the semantic memory embedding provider
+  useEmbeddings: parseBooleanEnv(process.env.KNOWLEDGE_USE_EMBEDDINGS, false),
+  // Share of the embedding similarity in the score (the rest is BM25)
+  embeddingWeight: parseFloatEnv(
+    process.env.KNOWLEDGE_EMBEDDING_WEIGHT,
+    0.5,
+    0,
+    1
+  ),
+};
+
+// Define hot reload of the training data configuration
+const TRAINING_RELOAD_CONFIG = {
+  // Reload when files in the training or social proofs directories change
+  watch: parseBooleanEnv(process.env.WATCH_TRAINING_FILES, true),
+  // Quiet time after the last change before reloading
+  debounceMs: parseIntEnv(
+    process.env.TRAINING_RELOAD_DEBOUNCE_MS,
+    2000,
+    100,
+    60000
+  ),
+};
+
 // Define Whisper API configuration for audio transcription
 const WHISPER_CONFIG = {
   model: process.env.WHISPER_MODEL || "whisper-1",
@@ -276,6 +497,73 @@ const WHISPER_CONFIG = {
   ),
 };
 
+// Define image understanding configuration for incoming photos
+const VISION_CONFIG = {
+  enabled: parseBooleanEnv(process.env.ENABLE_VISION, true),
+  // "openai" (the LLM providers with a vision model) or "local" (tells only
+  // the format and size, without API calls)
+  provider: process.env.VISION_PROVIDER || "openai",
+  // Vision model of the built-in "openai" provider
+  model: process.env.VISION_MODEL || "gpt-4o-mini",
+  // Image detail sent to the model: "low", "high" or "auto"
+  detail: process.env.VISION_DETAIL || "auto",
+  maxTokens: parseIntEnv(process.env.VISION_MAX_TOKENS, 400, 50, 2000),
+  // Larger images or other formats are not uploaded
+  maxImageBytes: parseIntEnv(
+    process.env.VISION_MAX_IMAGE_BYTES,
+    5 * 1024 * 1024,
+    1024,
+    20 * 1024 * 1024
+  ),
+  allowedMimeTypes: parseArrayEnv(process.env.VISION_ALLOWED_MIME_TYPES, [
+    "image/jpeg",
+    "image/png",
+    "image/webp",
+    "image/gif",
+  ]),
+};
+
+// Define configuration for documents sent by leads (PDF, DOCX, XLSX, TXT)
+const DOCUMENTS_CONFIG = {
+  enabled: parseBooleanEnv(process.env.ENABLE_DOCUMENT_READING, true),
+  maxBytes: parseIntEnv(
+    process.env.DOCUMENT_MAX_BYTES,
+    10 * 1024 * 1024,
+    1024,
+    50 * 1024 * 1024
+  ),
+  // Tokens of extracted text kept (summarized, stored and indexed)
+  maxTextTokens: parseIntEnv(
+    process.env.DOCUMENT_MAX_TEXT_TOKENS,
+    20000,
+    500,
+    100000
+  ),
+  // Longer documents are summarized (or truncated) before reaching the AI
+  maxTurnTokens: parseIntEnv(
+    process.env.DOCUMENT_MAX_TURN_TOKENS,
+    1500,
+    100,
+    10000
+  ),
+  summarize: parseBooleanEnv(process.env.DOCUMENT_SUMMARIZE, true),
+  // Empty uses the chat model
+  summaryModel: process.env.DOCUMENT_SUMMARY_MODEL || "",
+};
+
+// Define voice replies (replies synthesized as WhatsApp voice notes)
+const VOICE_REPLIES_CONFIG = {
+  // "text" or "mirror" (voice notes answer audio), overridden by tenant and conversation
+  mode: process.env.VOICE_REPLY_MODE || "text",
+  // "openai", "local" (silent stand-in without API calls) or a registered provider
+  provider: process.env.TTS_PROVIDER || "openai",
+  model: process.env.TTS_MODEL || "tts-1",
+  voice: process.env.TTS_VOICE || "nova",
+  speed: parseFloatEnv(process.env.TTS_SPEED, 1, 0.25, 4),
+  // Longer replies (e.g. with lists or links) are sent in text
+  maxChars: parseIntEnv(process.env.VOICE_REPLY_MAX_CHARS, 1000, 50, 4096),
+};
+
 // Define API server configuration
 const SERVER_CONFIG = {
   port: parseIntEnv(process.env.SERVER_PORT, 3000, 1024, 65535),
@@ -307,6 +595,38 @@ const WHATSAPP_CONFIG = {
   headless: parseBooleanEnv(process.env.WHATSAPP_HEADLESS, true),
   qrMaxRetries: parseIntEnv(process.env.WHATSAPP_QR_MAX_RETRIES, 5, 1, 20),
   restartOnCrash: parseBooleanEnv(process.env.WHATSAPP_RESTART_ON_CRASH, true),
+  runDefaultSession: parseBooleanEnv(
+    process.env.WHATSAPP_RUN_DEFAULT_SESSION,
+    true
+  ),
+  reconnect: {
+    maxAttempts: parseIntEnv(
+      process.env.WHATSAPP_RECONNECT_MAX_ATTEMPTS,
+      5,
+      1,
+      50
+    ),
+    initialDelayMs: parseIntEnv(
+      process.env.WHATSAPP_RECONNECT_INITIAL_DELAY_MS,
+      10000,
+      1000,
+      60000
+    ),
+    maxDelayMs: parseIntEnv(
+      process.env.WHATSAPP_RECONNECT_MAX_DELAY_MS,
+      300000,
+      10000,
+      3600000
+    ),
+    // Sessions failed after maxAttempts are restarted by the session sync after this delay
+    failedRetryDelayMs: parseIntEnv(
+      process.env.WHATSAPP_FAILED_SESSION_RETRY_DELAY_MS,
+      1800000,
+      60000,
+      86400000
+    ),
+  },
+  syncSchedule: process.env.WHATSAPP_SESSION_SYNC_SCHEDULE || "*/5 * * * *",
   browserArgs: parseArrayEnv(process.env.WHATSAPP_BROWSER_ARGS, [
     "--no-sandbox",
     "--disable-setuid-sandbox",
@@ -327,15 +647,47 @@ const PATHS_CONFIG = {
   temp: process.env.TEMP_PATH || path.join(process.cwd(), "temp"),
 };
 
+// Define scheduler configuration for recurring tasks
+const SCHEDULER_CONFIG = {
+  timezone: process.env.SCHEDULER_TIMEZONE || "America/Sao_Paulo",
+  historyFile:
+    process.env.SCHEDULER_HISTORY_FILE ||
+    path.join(PATHS_CONFIG.data, "scheduler_history.json"),
+  historySize: parseIntEnv(process.env.SCHEDULER_HISTORY_SIZE, 20, 1, 500),
+};
+
+// Define human support settings
+const SUPPORT_CONFIG = {
+  whatsappNumber: process.env.SUPPORT_WHATSAPP_NUMBER || "",
+};
+
+// Define the tenant owning the conversations handled by this instance
+const TENANT_CONFIG = {
+  defaultTenantId: process.env.DEFAULT_TENANT_ID || "default",
+  defaultTenantName: process.env.DEFAULT_TENANT_NAME || BOT_IDENTITY.company,
+};
+
 // Combine all configurations
 const botConfig = {
   identity: BOT_IDENTITY,
   behavior: BOT_BEHAVIOR,
   openai: OPENAI_CONFIG,
+  llm: LLM_CONFIG,
+  tokenBudget: TOKEN_BUDGET_CONFIG,
+  usage: USAGE_CONFIG,
+  semanticMemory: SEMANTIC_MEMORY_CONFIG,
+  knowledgeBase: KNOWLEDGE_BASE_CONFIG,
+  trainingReload: TRAINING_RELOAD_CONFIG,
   whisper: WHISPER_CONFIG,
+  vision: VISION_CONFIG,
+  documents: DOCUMENTS_CONFIG,
+  voiceReplies: VOICE_REPLIES_CONFIG,
   server: SERVER_CONFIG,
   whatsapp: WHATSAPP_CONFIG,
   paths: PATHS_CONFIG,
+  scheduler: SCHEDULER_CONFIG,
+  tenant: TENANT_CONFIG,
+  support: SUPPORT_CONFIG,
   debug: parseBooleanEnv(process.env.DEBUG, false),
   logLevel: process.env.LOG_LEVEL || "info",
   environment: process.env.NODE_ENV || "development",
@@ -349,7 +701,7 @@ function validateConfig() {
   const errors = [];
 
   // Check for required API keys
-  if (!botConfig.openai.apiKey && !botConfig.openai.useLocalModel) {
+  if (!botConfig.openai.apiKey && botConfig.llm.primary === "openai") {
     errors.push(
       "Missing OPENAI_API_KEY environment variable and local model is not enabled"
     );
@@ -383,6 +735,78 @@ function validateConfig() {
     );
   }
 
+  // Check for valid LLM provider configuration
+  if (!Array.isArray(botConfig.llm.providers)) {
+    errors.push("LLM_PROVIDERS must be a JSON array of providers.");
+    botConfig.llm.providers = [];
+  }
+
+  // Incomplete providers are left out
+  botConfig.llm.providers = botConfig.llm.providers.filter(
+    (provider, index) => {
+      if (!provider || !provider.id || !provider.type || !provider.model) {
+        errors.push(
+          `LLM provider ${index} is incomplete. Each provider in LLM_PROVIDERS needs an id, a type and a model.`
+        );
+        return false;
+      }
+
+      return true;
+    }
+  );
+
+  // Check for valid conversation summary configuration
+  const { conversationSummary } = botConfig.behavior;
+  if (
+    conversationSummary.keepMessages >= conversationSummary.thresholdMessages
+  ) {
+    errors.push(
+      "SUMMARY_KEEP_MESSAGES must be lower than SUMMARY_THRESHOLD_MESSAGES."
+    );
+  }
+
+  // Check for valid semantic memory configuration
+  if (!["pgvector", "memory"].includes(botConfig.semanticMemory.store)) {
+    errors.push(
+      `Invalid SEMANTIC_MEMORY_STORE "${botConfig.semanticMemory.store}". Use "pgvector" or "memory".`
+    );
+  }
+
+  if (
+    !["openai", "local"].includes(botConfig.semanticMemory.embeddingProvider)
+  ) {
+    errors.push(
+      `Invalid EMBEDDING_PROVIDER "${botConfig.semanticMemory.embeddingProvider}". Use "openai" or "local".`
+    );
+  }
+
+  // Check for valid image understanding configuration
+  if (!["openai", "local"].includes(botConfig.vision.provider)) {
+    errors.push(
+      `Invalid VISION_PROVIDER "${botConfig.vision.provider}". Use "openai" or "local".`
+    );
+  }
+
+  if (!["low", "high", "auto"].includes(botConfig.vision.detail)) {
+    errors.push(
+      `Invalid VISION_DETAIL "${botConfig.vision.detail}". Use "low", "high" or "auto".`
+    );
+  }
+
+  // Check for valid voice replies configuration
+  if (!["text", "mirror"].includes(botConfig.voiceReplies.mode)) {
+    errors.push(
+      `Invalid VOICE_REPLY_MODE "${botConfig.voiceReplies.mode}". Use "text" or "mirror".`
+    );
+  }
+
+  // Check for valid AI budget configuration
+  if (!["alert", "downgrade"].includes(botConfig.usage.budgetAction)) {
+    errors.push(
+      `Invalid AI_BUDGET_ACTION "${botConfig.usage.budgetAction}". Use "alert" or "downgrade".`
+    );
+  }
+
   // Log validation results
   if (errors.length > 0) {
     logger.error("Configuration validation failed:");
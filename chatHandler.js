@@ -5,7 +5,10 @@
  * - Processing incoming messages
  * - Coordinating between AI responses and WhatsApp replies
  * - Managing conversation state
- * - Handling media messages and audio transcription
+ * - Handling media messages, audio transcription, image descriptions and documents
+ * - Describing locations, contact cards, stickers, polls and reactions to the AI
+ * - Replying with voice notes to leads who send audio
+ * - Resolving quoted replies and quoting the grouped messages a response answers
  * - Implementing typing indicators and realistic delays
  */
 
@@ -15,10 +18,14 @@ const { Readable } = require('stream');
 const logger = require('./logger');
 const aiHandler = require('./aiHandler');
 const memoryManager = require('./memoryManager');
+const tenantManager = require('./tenantManager');
 const botConfig = require('./botConfig');
-const { SalesFunnelService, FUNNEL_STAGES } = require('./salesFunnelService');
+const { SalesFunnelService, FUNNEL_STAGES, CHECKOUT_LINKS_LOG } = require('./salesFunnelService');
 const { pricingData, findPlanById, findProductById } = require('./pricing');
-const { createTempFile, cleanupTempFiles } = require('./utils');
+const { getDocumentType } = require('./documentExtractor');
+const { REPLY_MODES, speechSynthesizer } = require('./speechSynthesizer');
+const { MessageMedia } = require('whatsapp-web.js');
+const { createTempFile, cleanupTempFiles, cleanPhoneNumber, toWhatsAppChatId, truncateText, parseVCard } = require('./utils');
 
 /**
  * Maximum time (in milliseconds) to wait for receiving multiple messages
@@ -32,6 +39,66 @@ const MESSAGE_GROUPING_DELAY = botConfig.behavior.responseSettings.groupingDelay
  */
 const MAX_AUDIO_SIZE = 15 * 1024 * 1024; // 15MB
 
+/**
+ * WhatsApp message types without text or media of their own, described to the AI in a turn
+ * @type {Array<string>}
+ */
+const STRUCTURED_MESSAGE_TYPES = ['location', 'vcard', 'multi_vcard', 'sticker', 'poll_creation', 'reaction'];
+
+/**
+ * Descriptions of the media received while a human handles the chat, stored in place of the media
+ * @type {Object<string, string>}
+ */
+const TAKEOVER_MEDIA_DESCRIPTIONS = {
+  image: 'uma imagem',
+  video: 'um vídeo',
+  audio: 'um áudio',
+  ptt: 'um áudio',
+  document: 'um documento'
+};
+
+/**
+ * Tracking parameter of the checkout links sent by the bot, identifying the messages carrying one
+ * @type {string}
+ */
+const CHECKOUT_TRACKING_PARAM = 'utm_source=whatsapp_bot';
+
+/**
+ * Memory log keeping the reactions of the contact to checkout links
+ * @type {string}
+ */
+const CHECKOUT_REACTIONS_LOG = 'checkout_reactions';
+
+/**
+ * Memory log keeping the transfers of the conversation to human support
+ * @type {string}
+ */
+const SUPPORT_TRANSFERS_LOG = 'support_transfers';
+
+/**
+ * Maximum length of a reacted message quoted in the turn describing the reaction
+ * @type {number}
+ */
+const MAX_REACTED_MESSAGE_LENGTH = 200;
+
+/**
+ * Maximum length of a quoted message described in a user turn
+ * @type {number}
+ */
+const MAX_QUOTED_MESSAGE_LENGTH = 500;
+
+/**
+ * Time (in milliseconds) an outgoing bot message is remembered while waiting for its echo
+ * @type {number}
+ */
+const OUTGOING_TRACKING_TTL = 2 * 60 * 1000; // 2 minutes
+
+/**
+ * Maximum number of sent message IDs remembered to recognize bot messages
+ * @type {number}
+ */
+const MAX_TRACKED_MESSAGE_IDS = 1000;
+
 /**
  * Chat Handler class for managing WhatsApp interactions
  */
@@ -39,9 +106,12 @@ class ChatHandler {
   /**
    * Create a new ChatHandler instance
    * @param {Object} whatsappClient - The WhatsApp client instance
+   * @param {Object} [options] - Handler options
+   * @param {string} [options.sessionId] - WhatsApp session ID, used to resolve the tenant
    */
-  constructor(whatsappClient) {
+  constructor(whatsappClient, options = {}) {
     this.whatsappClient = whatsappClient;
+    this.sessionId = options.sessionId || botConfig.whatsapp.sessionId;
     this.incomingMessages = new Map(); // Map to group incoming messages
     this.processingChats = new Map(); // Track currently processing chats
     this.typingIndicators = new Map(); // Track active typing indicators
@@ -51,6 +121,10 @@ class ChatHandler {
     // Spam protection
     this.messageCounters = new Map(); // Track message counts for spam protection
     
+    // Human takeover detection
+    this.pendingOutgoing = new Map(); // Bodies of messages being sent by the bot, per chat
+    this.botMessageIds = new Set(); // IDs of messages sent by the bot
+    
     logger.info('ChatHandler initialized');
   }
 
@@ -60,7 +134,18 @@ class ChatHandler {
    * @returns {Promise<void>}
    */
   async handleIncomingMessage(message) {
+    // Run in the context of the tenant owning this WhatsApp session
+    if (!tenantManager.getCurrentTenant()) {
+      return this._runInSessionTenant(() => this.handleIncomingMessage(message));
+    }
+    
     try {
+      // Skip if the tenant account is disabled
+      if (!tenantManager.getCurrentTenant().isActive) {
+        logger.debug(`Ignoring message for inactive tenant ${tenantManager.getCurrentTenantId()}`);
+        return;
+      }
+      
       // Extract key information from the message
       const chat = await message.getChat();
       const contact = await message.getContact();
@@ -84,9 +169,32 @@ class ChatHandler {
         return;
       }
       
+      // Blocked contacts get a single notice and are otherwise ignored
+      if (botConfig.behavior.blocking.enabled) {
+        const block = await memoryManager.getActiveBlock(phoneNumber);
+        if (block) {
+          logger.debug(`Ignoring message from ${phoneNumber}, blocked until ${new Date(block.blockedUntil).toISOString()}`);
+          await this._sendBlockNotice(phoneNumber, block);
+          return;
+        }
+      }
+      
       // Check for spam
       if (botConfig.behavior.spamProtection && this._isSpamming(phoneNumber)) {
         logger.warn(`Spam protection triggered for ${phoneNumber}, ignoring message`);
+        
+        if (botConfig.behavior.blocking.enabled) {
+          const block = await memoryManager.blockContact(phoneNumber, { reason: 'spam' });
+          
+          // Don't answer the messages still waiting to be grouped
+          const pendingGroup = this.incomingMessages.get(phoneNumber);
+          if (pendingGroup) {
+            clearTimeout(pendingGroup.timeout);
+            this.incomingMessages.delete(phoneNumber);
+          }
+          
+          await this._sendBlockNotice(phoneNumber, block);
+        }
         return;
       }
       
@@ -100,6 +208,176 @@ class ChatHandler {
     }
   }
 
+  /**
+   * Process a reaction to a message
+   * Reactions of leads to bot messages join the message group like messages,
+   * so the AI can take them into account.
+   * @param {Object} reaction - The WhatsApp reaction
+   * @returns {Promise<void>}
+   */
+  async handleIncomingReaction(reaction) {
+    if (!tenantManager.getCurrentTenant()) {
+      return this._runInSessionTenant(() => this.handleIncomingReaction(reaction));
+    }
+    
+    try {
+      // Skip if the tenant account is disabled
+      if (!tenantManager.getCurrentTenant().isActive) {
+        return;
+      }
+      
+      // Only reactions of leads in direct chats to bot messages are handled, removed reactions have no emoji
+      if (
+        !reaction.reaction ||
+        reaction.id.fromMe ||
+        !reaction.msgId.fromMe ||
+        !reaction.senderId ||
+        !reaction.senderId.endsWith('@c.us')
+      ) {
+        return;
+      }
+      
+      const phoneNumber = cleanPhoneNumber(reaction.senderId);
+      
+      if (botConfig.behavior.blocking.enabled && await memoryManager.getActiveBlock(phoneNumber)) {
+        logger.debug(`Ignoring reaction from blocked contact ${phoneNumber}`);
+        return;
+      }
+      
+      if (botConfig.behavior.spamProtection && this._isSpamming(phoneNumber)) {
+        logger.warn(`Spam protection triggered for ${phoneNumber}, ignoring reaction`);
+        return;
+      }
+      this._updateMessageCounter(phoneNumber);
+      
+      const messageId = reaction.msgId._serialized;
+      const reactedMessage = await this._getMessageBody(messageId);
+      const isCheckoutReaction = reactedMessage.includes(CHECKOUT_TRACKING_PARAM);
+      
+      // A reaction to a checkout link is a buying signal
+      if (isCheckoutReaction) {
+        logger.info(`${phoneNumber} reacted with ${reaction.reaction} to a checkout link`);
+        
+        await memoryManager.appendMemoryLog(
+          phoneNumber,
+          CHECKOUT_REACTIONS_LOG,
+          {
+            emoji: reaction.reaction,
+            messageId,
+            reactedAt: new Date().toISOString()
+          },
+          'sales_actions'
+        ).catch(error => logger.warn(`Failed to record checkout reaction of ${phoneNumber}:`, error));
+      }
+      
+      this._addToMessageGroup(phoneNumber, {
+        type: 'reaction',
+        hasMedia: false,
+        body: '',
+        reaction,
+        reactedMessage,
+        isCheckoutReaction
+      });
+    } catch (error) {
+      logger.error('Error handling incoming reaction:', error);
+    }
+  }
+
+  /**
+   * Handle a message created by this WhatsApp account
+   * Messages that were not produced by the bot are manual replies from an
+   * operator on the phone, which start a human takeover of the chat.
+   * @param {Object} message - The outgoing WhatsApp message
+   * @returns {Promise<void>}
+   */
+  async handleOutgoingMessage(message) {
+    if (!tenantManager.getCurrentTenant()) {
+      return this._runInSessionTenant(() => this.handleOutgoingMessage(message));
+    }
+    
+    try {
+      // Only direct chats are handled by the bot
+      if (!message.fromMe || !message.to || !message.to.endsWith('@c.us')) {
+        return;
+      }
+      
+      const phoneNumber = cleanPhoneNumber(message.to);
+      
+      if (this._isBotMessage(phoneNumber, message)) {
+        return;
+      }
+      
+      const { enabled, onOperatorReply } = botConfig.behavior.humanTakeover;
+      if (!enabled || !onOperatorReply) {
+        return;
+      }
+      
+      logger.info(`Operator replied manually to ${phoneNumber}, pausing AI replies`);
+      await this.startHumanTakeover(phoneNumber, { reason: 'operator_reply' });
+    } catch (error) {
+      logger.error('Error handling outgoing message:', error);
+    }
+  }
+
+  /**
+   * Start a human takeover, pausing AI replies for a chat
+   * An active takeover is never shortened; use `extend` to add time to it.
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} [options] - Takeover options
+   * @param {number} [options.minutes] - Takeover duration (defaults to the configured duration)
+   * @param {boolean} [options.extend=false] - Add the duration to the current end instead of now
+   * @param {string} [options.reason='manual'] - Why the takeover started
+   * @param {boolean} [options.keepQueuedMessages=false] - Still send the bot messages waiting to be sent (e.g. the support transfer notice)
+   * @returns {Promise<Date>} End of the takeover
+   */
+  async startHumanTakeover(phoneNumber, options = {}) {
+    const {
+      minutes = botConfig.behavior.humanTakeover.durationMinutes,
+      extend = false,
+      reason = 'manual',
+      keepQueuedMessages = false
+    } = options;
+    
+    const now = Date.now();
+    const current = await memoryManager.getHumanTakeover(phoneNumber);
+    const currentEnd = current ? current.getTime() : now;
+    
+    const until = extend
+      ? new Date(currentEnd + minutes * 60000)
+      : new Date(Math.max(currentEnd, now + minutes * 60000));
+    
+    await memoryManager.setHumanTakeover(phoneNumber, until);
+    
+    // Drop bot messages that were still waiting to be sent
+    if (!keepQueuedMessages) {
+      this.messageQueues.delete(phoneNumber);
+    }
+    
+    logger.info(`Human takeover for ${phoneNumber} until ${until.toISOString()} (reason: ${reason})`);
+    return until;
+  }
+
+  /**
+   * End a human takeover, resuming AI replies for a chat
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<void>}
+   */
+  async endHumanTakeover(phoneNumber) {
+    await memoryManager.setHumanTakeover(phoneNumber, null);
+    logger.info(`Human takeover for ${phoneNumber} ended, AI replies resumed`);
+  }
+
+  /**
+   * Run a function in the context of the tenant owning this WhatsApp session
+   * @private
+   * @param {Function} callback - Function to run
+   * @returns {Promise<any>} The callback result
+   */
+  async _runInSessionTenant(callback) {
+    const tenant = await tenantManager.resolveTenantForSession(this.sessionId);
+    return tenantManager.runWithTenant(tenant, callback);
+  }
+
   /**
    * Add an incoming message to a group for batched processing
    * @private
@@ -207,20 +485,71 @@ class ChatHandler {
       const messages = [...processor.pendingMessages];
       processor.pendingMessages = [];
       
+      // Keep the history but stay silent while a human handles the chat
+      const takeoverUntil = botConfig.behavior.humanTakeover.enabled
+        ? await memoryManager.getHumanTakeover(phoneNumber)
+        : null;
+      if (takeoverUntil) {
+        logger.info(`Human takeover active for ${phoneNumber} until ${takeoverUntil.toISOString()}, skipping AI reply`);
+        
+        for (const msg of messages) {
+          const content = this._describeTakeoverMessage(msg);
+          if (!content) {
+            continue;
+          }
+          
+          try {
+            await memoryManager.addMessage(
+              phoneNumber,
+              'user',
+              content,
+              { humanTakeover: true, type: msg.type },
+              msg.timestamp ? new Date(msg.timestamp * 1000) : new Date()
+            );
+          } catch (error) {
+            logger.error(`Failed to store message of ${phoneNumber} during human takeover:`, error);
+          }
+        }
+        
+        // Reload the history, so the AI sees these messages once it answers again
+        chatState = await this._getChatState(phoneNumber);
+        continue;
+      }
+      
       // Extract text content from all messages
       const messageContents = await Promise.all(
         messages.map(msg => this._extractMessageContent(msg))
       );
       
-      // Combine all text content
+      // Combine all text content, including the descriptions of locations, contacts, stickers, polls and reactions
       const textContents = messageContents
-        .filter(content => content && content.type === 'text')
-        .map(content => content.text);
+        .filter(content => content && content.type !== 'media');
+      
+      // Grouped texts are numbered, so the reply can quote the one it answers
+      const numberedContents = textContents
+        .filter(content => content.type === 'text' && content.messageId);
+      const isNumbered = numberedContents.length > 1;
       
-      // Process text content if available
+      // Process text content if available, keeping the raw payloads with the turn
       if (textContents.length > 0) {
-        const combinedText = textContents.join('\n\n');
-        chatState = await this._processTextMessage(phoneNumber, combinedText, chatState);
+        const combinedText = textContents
+          .map(content => isNumbered && numberedContents.includes(content)
+            ? `[Mensagem ${numberedContents.indexOf(content) + 1}] ${content.text}`
+            : content.text)
+          .join('\n\n');
+        const contents = textContents
+          .filter(content => content.payload)
+          .map(content => ({ type: content.type, ...content.payload }));
+        
+        chatState = await this._processTextMessage(
+          phoneNumber,
+          combinedText,
+          chatState,
+          {
+            ...(contents.length > 0 ? { contents } : {}),
+            ...(isNumbered ? { groupedMessageIds: numberedContents.map(content => content.messageId) } : {})
+          }
+        );
       }
       
       // Process media content
@@ -249,11 +578,36 @@ class ChatHandler {
    */
   async _extractMessageContent(message) {
     try {
-      // Handle text message
-      if (message.body) {
+      // Handle locations, contacts, stickers, polls and reactions
+      if (STRUCTURED_MESSAGE_TYPES.includes(message.type)) {
+        return this._extractStructuredContent(message);
+      }
+      
+      // Images and documents are handled as media even with a caption, which is in their body
+      const isCaptionedMedia = message.hasMedia && ['image', 'document'].includes(message.type);
+      
+      // Handle text message, with the message it replies to
+      if (message.body && !isCaptionedMedia) {
+        const quoted = message.hasQuotedMsg ? await this._getQuotedMessage(message) : null;
+        
+        if (!quoted) {
+          return {
+            type: 'text',
+            text: message.body,
+            messageId: message.id && message.id._serialized
+          };
+        }
+        
+        const target = quoted.fromMe ? 'à sua mensagem' : 'à mensagem';
+        const quotedText = quoted.body
+          ? `"${truncateText(quoted.body, MAX_QUOTED_MESSAGE_LENGTH)}"`
+          : 'com mídia';
+        
         return {
           type: 'text',
-          text: message.body
+          text: `[Em resposta ${target} ${quotedText}]\n${message.body}`,
+          messageId: message.id && message.id._serialized,
+          payload: { body: message.body, quotedMessage: quoted }
         };
       }
       
@@ -273,7 +627,7 @@ class ChatHandler {
           mediaType = 'video';
         } else if (media.mimetype.startsWith('audio/')) {
           mediaType = 'audio';
-        } else if (media.mimetype === 'application/pdf') {
+        } else if (getDocumentType(media.mimetype, media.filename)) {
           mediaType = 'document';
         }
         
@@ -281,7 +635,7 @@ class ChatHandler {
           type: 'media',
           mediaType,
           media,
-          caption: message.caption || ''
+          caption: message.caption || message.body || ''
         };
       }
       
@@ -293,15 +647,162 @@ class ChatHandler {
     }
   }
 
+  /**
+   * Describe a message without text or media of its own in a user turn
+   * @private
+   * @param {Object} message - The WhatsApp message (or reaction, see handleIncomingReaction)
+   * @returns {Object} Content with its normalized type, the text of the turn and the raw payload
+   */
+  _extractStructuredContent(message) {
+    switch (message.type) {
+      case 'location': {
+        const { latitude, longitude, name, address, url } = message.location || {};
+        const place = [name, address].filter(Boolean).join(', ');
+        
+        return {
+          type: 'location',
+          text: `[Cliente compartilhou uma localização: ${place ? `${place} ` : ''}(${latitude}, ${longitude})]`,
+          payload: { latitude, longitude, name, address, url }
+        };
+      }
+      
+      case 'vcard':
+      case 'multi_vcard': {
+        const vCards = message.vCards || [];
+        const contacts = vCards.map(vcard => parseVCard(vcard));
+        const described = contacts
+          .map(contact => [contact.name, ...contact.phones].filter(Boolean).join(', '))
+          .join('; ');
+        
+        return {
+          type: 'contact',
+          text: contacts.length > 1
+            ? `[Cliente compartilhou ${contacts.length} contatos: ${described}]`
+            : `[Cliente compartilhou um contato: ${described}]`,
+          payload: { contacts, vCards }
+        };
+      }
+      
+      case 'sticker':
+        return {
+          type: 'sticker',
+          text: '[Cliente enviou uma figurinha]',
+          payload: { messageId: message.id && message.id._serialized }
+        };
+      
+      case 'poll_creation': {
+        const options = (message.pollOptions || []).map(option => option.name);
+        
+        return {
+          type: 'poll',
+          text: `[Cliente criou uma enquete: "${message.pollName}" com as opções ${options.map(option => `"${option}"`).join(', ')}]`,
+          payload: {
+            name: message.pollName,
+            options,
+            allowMultipleAnswers: Boolean(message.allowMultipleAnswers)
+          }
+        };
+      }
+      
+      case 'reaction': {
+        const { reaction, reactedMessage, isCheckoutReaction } = message;
+        const target = isCheckoutReaction
+          ? 'à sua mensagem com o link de pagamento'
+          : reactedMessage
+            ? `à sua mensagem "${truncateText(reactedMessage, MAX_REACTED_MESSAGE_LENGTH)}"`
+            : 'a uma das suas mensagens';
+        
+        return {
+          type: 'reaction',
+          text: `[Cliente reagiu com ${reaction.reaction} ${target}]`,
+          payload: {
+            emoji: reaction.reaction,
+            messageId: reaction.msgId._serialized,
+            reactedMessage,
+            ...(isCheckoutReaction ? { signal: 'checkout_reaction' } : {})
+          }
+        };
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Describe a message received while a human handles the chat, for the history
+   * Media is not downloaded; a placeholder with its caption is stored instead.
+   * @private
+   * @param {Object} message - The WhatsApp message
+   * @returns {string|null} The content to store, or null if there is none
+   */
+  _describeTakeoverMessage(message) {
+    if (STRUCTURED_MESSAGE_TYPES.includes(message.type)) {
+      const structured = this._extractStructuredContent(message);
+      return structured ? structured.text : null;
+    }
+    
+    if (message.hasMedia) {
+      const description = TAKEOVER_MEDIA_DESCRIPTIONS[message.type] || 'uma mídia';
+      const caption = message.caption || message.body || '';
+      return `[Cliente enviou ${description}]${caption ? `\n${caption}` : ''}`;
+    }
+    
+    return message.body || null;
+  }
+
+  /**
+   * Get the text of a message of the chat
+   * @private
+   * @param {string} messageId - The serialized message ID
+   * @returns {Promise<string>} The message body, or an empty string if unavailable
+   */
+  async _getMessageBody(messageId) {
+    try {
+      const message = await this.whatsappClient.getMessageById(messageId);
+      return (message && message.body) || '';
+    } catch (error) {
+      logger.debug(`Could not load message ${messageId}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Get the message a message replies to
+   * @private
+   * @param {Object} message - The WhatsApp message quoting another one
+   * @returns {Promise<Object|null>} The ID, body, type and author of the quoted message, or null if unavailable
+   */
+  async _getQuotedMessage(message) {
+    try {
+      const quoted = await message.getQuotedMessage();
+      
+      if (!quoted) {
+        return null;
+      }
+      
+      return {
+        id: quoted.id._serialized,
+        body: quoted.body || '',
+        type: quoted.type,
+        fromMe: Boolean(quoted.fromMe)
+      };
+    } catch (error) {
+      logger.debug(`Could not load the message quoted by ${message.id._serialized}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Process a text message
    * @private
    * @param {string} phoneNumber - The phone number identifier
    * @param {string} text - The message text
    * @param {Object} chatState - The current chat state
+   * @param {Object} [metadata] - Metadata stored with the user turn (e.g. payloads of shared contacts, IDs of the grouped messages)
    * @returns {Promise<Object>} Updated chat state
    */
-  async _processTextMessage(phoneNumber, text, chatState) {
+  async _processTextMessage(phoneNumber, text, chatState, metadata = {}) {
     logger.debug(`Processing text message from ${phoneNumber}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
     
     // Send typing indicator
@@ -312,7 +813,8 @@ class ChatHandler {
       const { response, updatedState } = await aiHandler.processUserMessage(
         phoneNumber,
         text,
-        chatState
+        chatState,
+        metadata
       );
       
       // Update chat state in memory
@@ -324,12 +826,20 @@ class ChatHandler {
       }
       
       // Process special actions
-      if (response.actions && response.actions.length > 0) {
-        await this._processSpecialActions(phoneNumber, response.actions, updatedState);
-      }
+      const transferToSupport = response.actions && response.actions.length > 0
+        ? await this._processSpecialActions(phoneNumber, response.actions)
+        : false;
+      
+      // Send the response, quoting the grouped messages it answers
+      await this._sendResponse(phoneNumber, response.content, {
+        quotedReplies: response.metadata && response.metadata.quotedReplies,
+        quotedMessageIds: metadata.groupedMessageIds
+      });
       
-      // Send the response
-      await this._sendResponse(phoneNumber, response.content);
+      // Transfer once the response is queued, the takeover would hold it back
+      if (transferToSupport) {
+        await this._transferToSupport(phoneNumber, updatedState);
+      }
       
       return updatedState;
     } catch (error) {
@@ -371,6 +881,16 @@ class ChatHandler {
         return await this._processAudioMessage(phoneNumber, media, chatState);
       }
       
+      if (mediaType === 'image' && botConfig.vision.enabled) {
+        // Handle images with a description from a vision model
+        return await this._processImageMessage(phoneNumber, media, caption, chatState);
+      }
+      
+      if (mediaType === 'document' && botConfig.documents.enabled) {
+        // Handle documents by reading their text
+        return await this._processDocumentMessage(phoneNumber, media, caption, chatState);
+      }
+      
       // For other media types, just process the caption if present
       if (caption) {
         return await this._processTextMessage(phoneNumber, caption, chatState);
@@ -415,6 +935,114 @@ class ChatHandler {
     }
   }
 
+  /**
+   * Process an image by folding its description into the conversation as a
+   * customer message, answered like any text message
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} media - Image media data
+   * @param {string} caption - Caption text
+   * @param {Object} chatState - The current chat state
+   * @returns {Promise<Object>} Updated chat state
+   */
+  async _processImageMessage(phoneNumber, media, caption, chatState) {
+    const { maxImageBytes, allowedMimeTypes } = botConfig.vision;
+    const mimetype = media.mimetype.split(';')[0].trim().toLowerCase();
+    const imageBuffer = Buffer.from(media.data, 'base64');
+    
+    // Check format and size before uploading
+    let rejection = null;
+    if (!allowedMimeTypes.includes(mimetype)) {
+      rejection = "Não consigo visualizar imagens nesse formato.";
+    } else if (imageBuffer.length > maxImageBytes) {
+      rejection = "Sua imagem é grande demais para eu analisar.";
+    }
+    
+    if (rejection) {
+      logger.debug(`Skipping ${mimetype} image of ${imageBuffer.length} bytes from ${phoneNumber}`);
+      
+      // The caption can still be answered without the image
+      if (caption) {
+        return await this._processTextMessage(phoneNumber, caption, chatState);
+      }
+      
+      await this._sendResponse(
+        phoneNumber,
+        `${rejection} Poderia me contar em texto o que ela mostra?`
+      );
+      return chatState;
+    }
+    
+    const result = await aiHandler.describeImage(imageBuffer, { mimetype, caption, phoneNumber });
+    
+    if (!result.success) {
+      if (caption) {
+        return await this._processTextMessage(phoneNumber, caption, chatState);
+      }
+      
+      await this._sendResponse(
+        phoneNumber,
+        "Não consegui analisar sua imagem. Poderia me contar em texto o que ela mostra?"
+      );
+      return chatState;
+    }
+    
+    logger.debug(`Described image from ${phoneNumber}: "${result.description.substring(0, 50)}${result.description.length > 50 ? '...' : ''}"`);
+    
+    // The description becomes the customer turn, followed by the caption
+    const imageTurn = `[Imagem enviada pelo cliente: ${result.description}]${caption ? `\n${caption}` : ''}`;
+    
+    return await this._processTextMessage(phoneNumber, imageTurn, chatState);
+  }
+
+  /**
+   * Process a document by folding its text (or a summary of it) into the
+   * conversation as a customer message, answered like any text message
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} media - Document media data
+   * @param {string} caption - Caption text
+   * @param {Object} chatState - The current chat state
+   * @returns {Promise<Object>} Updated chat state
+   */
+  async _processDocumentMessage(phoneNumber, media, caption, chatState) {
+    const type = getDocumentType(media.mimetype, media.filename);
+    const filename = media.filename || `documento.${type}`;
+    const documentBuffer = Buffer.from(media.data, 'base64');
+    
+    // Check size before extracting
+    if (documentBuffer.length > botConfig.documents.maxBytes) {
+      if (caption) {
+        return await this._processTextMessage(phoneNumber, caption, chatState);
+      }
+      
+      await this._sendResponse(
+        phoneNumber,
+        "Seu documento é grande demais para eu ler. Poderia me contar em texto o que ele traz?"
+      );
+      return chatState;
+    }
+    
+    const result = await aiHandler.readDocument(documentBuffer, { type, filename, phoneNumber });
+    
+    if (!result.success) {
+      if (caption) {
+        return await this._processTextMessage(phoneNumber, caption, chatState);
+      }
+      
+      await this._sendResponse(
+        phoneNumber,
+        "Não consegui ler seu documento. Poderia me contar em texto o que ele traz?"
+      );
+      return chatState;
+    }
+    
+    // The document text becomes the customer turn, followed by the caption
+    const documentTurn = `[Documento enviado pelo cliente: ${filename}${result.summarized ? ' (resumo)' : ''}]\n${result.content}${caption ? `\n\n${caption}` : ''}`;
+    
+    return await this._processTextMessage(phoneNumber, documentTurn, chatState);
+  }
+
   /**
    * Process an audio message with transcription
    * @private
@@ -461,7 +1089,7 @@ class ChatHandler {
       const audioFile = await createTempFile(audioBuffer, '.ogg');
       
       // Transcribe audio
-      const transcription = await aiHandler.transcribeAudio(audioBuffer);
+      const transcription = await aiHandler.transcribeAudio(audioBuffer, { phoneNumber });
       
       // Clean up temp file
       await cleanupTempFiles([audioFile]);
@@ -486,14 +1114,6 @@ class ChatHandler {
         { transcribedAudio: true }
       );
       
-      // Add the transcribed message to chat history
-      updatedState.messages.push({
-        role: 'user',
-        content: transcribedText,
-        timestamp: new Date().toISOString(),
-        metadata: { transcribedAudio: true }
-      });
-      
       // Update chat state in memory
       await this._saveChatState(phoneNumber, updatedState);
       
@@ -503,9 +1123,9 @@ class ChatHandler {
       }
       
       // Process special actions
-      if (response.actions && response.actions.length > 0) {
-        await this._processSpecialActions(phoneNumber, response.actions, updatedState);
-      }
+      const transferToSupport = response.actions && response.actions.length > 0
+        ? await this._processSpecialActions(phoneNumber, response.actions)
+        : false;
       
       // Show the transcribed text and then the response
       await this._sendResponse(
@@ -516,8 +1136,13 @@ class ChatHandler {
       // Small delay between messages
       await new Promise(resolve => setTimeout(resolve, 500));
       
-      // Send the AI response
-      await this._sendResponse(phoneNumber, response.content);
+      // Send the AI response, as a voice note if the conversation mirrors audio
+      await this._sendResponse(phoneNumber, response.content, { inReplyToAudio: true });
+      
+      // Transfer once the response is queued, the takeover would hold it back
+      if (transferToSupport) {
+        await this._transferToSupport(phoneNumber, updatedState);
+      }
       
       return updatedState;
     } catch (error) {
@@ -537,15 +1162,20 @@ class ChatHandler {
   }
 
   /**
-   * Process special actions from AI response
+   * Process special actions from AI response (text commands or tool calls)
    * @private
    * @param {string} phoneNumber - The phone number identifier
    * @param {Array<Object>} actions - Special actions to process
-   * @param {Object} chatState - The current chat state
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} Whether the conversation is to be transferred to support once the response is sent
    */
-  async _processSpecialActions(phoneNumber, actions, chatState) {
+  async _processSpecialActions(phoneNumber, actions) {
+    let transferToSupport = false;
+    
     for (const action of actions) {
+      if (action.toolCallId) {
+        logger.debug(`Processing tool call ${action.toolCallId} for ${phoneNumber}: ${action.fullCommand}`);
+      }
+      
       try {
         switch (action.type) {
           case 'prova_social':
@@ -561,13 +1191,16 @@ class ChatHandler {
             break;
             
           case 'suporte':
-            await this._transferToSupport(phoneNumber, chatState);
+            // Left to the caller, after the response
+            transferToSupport = true;
             break;
         }
       } catch (error) {
         logger.error(`Error processing action ${action.type} for ${phoneNumber}:`, error);
       }
     }
+    
+    return transferToSupport;
   }
 
   /**
@@ -626,7 +1259,7 @@ class ChatHandler {
       
       // Send media
       const chat = await this.whatsappClient.getChatById(`${phoneNumber}@c.us`);
-      await chat.sendMessage(media, { caption: asset.description || '' });
+      await this._sendTrackedMessage(phoneNumber, chat, media, { caption: asset.description || '' });
       
       logger.info(`Sent social proof asset ${assetId} to ${phoneNumber}`);
     } catch (error) {
@@ -705,9 +1338,9 @@ class ChatHandler {
       );
       
       // Record checkout link sent in memory
-      await memoryManager.saveMemoryEntry(
+      await memoryManager.appendMemoryLog(
         phoneNumber,
-        `checkout_link_${Date.now()}`,
+        CHECKOUT_LINKS_LOG,
         {
           planId,
           planName,
@@ -730,6 +1363,7 @@ class ChatHandler {
 
   /**
    * Transfer a conversation to human support
+   * The request is recorded, the contact is told, AI replies are paused (if configured) and the support number of the tenant is notified.
    * @private
    * @param {string} phoneNumber - The phone number identifier
    * @param {Object} chatState - The current chat state
@@ -740,9 +1374,9 @@ class ChatHandler {
       logger.info(`Transferring ${phoneNumber} to human support`);
       
       // Record transfer request in memory
-      await memoryManager.saveMemoryEntry(
+      await memoryManager.appendMemoryLog(
         phoneNumber,
-        `support_transfer_${Date.now()}`,
+        SUPPORT_TRANSFERS_LOG,
         {
           requestedAt: new Date().toISOString(),
           reason: 'ai_requested',
@@ -757,12 +1391,24 @@ class ChatHandler {
         "Estou transferindo você para nossa equipe de suporte humano. Um consultor especializado entrará em contato em breve. Obrigado pela compreensão!"
       );
       
-      // TODO: Integrate with actual support ticket system or CRM
-      // This would typically involve creating a ticket in a support system
-      // or sending a notification to a support team
+      // Pause the AI so it doesn't answer over the human consultant
+      const { enabled, onSupportTransfer } = botConfig.behavior.humanTakeover;
+      if (enabled && onSupportTransfer) {
+        await this.startHumanTakeover(phoneNumber, { reason: 'support_transfer', keepQueuedMessages: true });
+      }
+      
+      // Notify the support team of the tenant
+      const supportNumber = tenantManager.getConfig().support.whatsappNumber;
+      if (supportNumber) {
+        const supportChat = await this.whatsappClient.getChatById(toWhatsAppChatId(supportNumber));
+        await this._sendTrackedMessage(
+          cleanPhoneNumber(supportNumber),
+          supportChat,
+          `Novo atendimento transferido pelo assistente:\nContato: ${chatState.contactName || 'Sem nome'}\nTelefone: ${phoneNumber}`
+        );
+      }
       
-      // For now, we'll just log that this should happen
-      logger.info(`Support transfer for ${phoneNumber} recorded. Integration with support system needed.`);
+      logger.info(`Support transfer for ${phoneNumber} recorded${supportNumber ? ', support team notified' : ', no support number configured'}`);
     } catch (error) {
       logger.error(`Error transferring ${phoneNumber} to support:`, error);
     }
@@ -773,20 +1419,41 @@ class ChatHandler {
    * @private
    * @param {string} phoneNumber - The phone number identifier
    * @param {string} content - The response content
+   * @param {Object} [options] - Response options
+   * @param {boolean} [options.inReplyToAudio] - Whether the response answers audio, sent as a voice note in "mirror" reply mode
+   * @param {Array<Object>} [options.quotedReplies] - Parts of the response answering numbered grouped messages
+   * @param {Array<string>} [options.quotedMessageIds] - IDs of the grouped messages, by number (starting at 1)
    * @returns {Promise<void>}
    */
-  async _sendResponse(phoneNumber, content) {
+  async _sendResponse(phoneNumber, content, options = {}) {
     if (!content || !content.trim()) {
       logger.warn(`Attempted to send empty message to ${phoneNumber}`);
       return;
     }
     
     try {
+      // A human may have taken over the chat while the response was generated
+      if (botConfig.behavior.humanTakeover.enabled && await memoryManager.getHumanTakeover(phoneNumber)) {
+        logger.info(`Human takeover started for ${phoneNumber} while the response was generated, not sending it`);
+        return;
+      }
+      
       // Get the chat
       const chat = await this.whatsappClient.getChatById(`${phoneNumber}@c.us`);
       
+      // Audio is answered with a voice note, falling back to text
+      if (options.inReplyToAudio) {
+        const voiceNote = await this._synthesizeVoiceNote(phoneNumber, content);
+        if (voiceNote) {
+          this._queueMessages(phoneNumber, [voiceNote]);
+          return;
+        }
+      }
+      
       // Check if we need to split the message
-      const messages = this._splitMessage(content);
+      const messages = options.quotedReplies && options.quotedMessageIds
+        ? this._splitQuotedReplies(options.quotedReplies, options.quotedMessageIds)
+        : this._splitMessage(content);
       
       // Send typing indicator
       await this._sendTypingIndicator(phoneNumber);
@@ -798,15 +1465,71 @@ class ChatHandler {
     }
   }
 
+  /**
+   * Synthesize a response as a voice note if the conversation mirrors audio
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} content - The response content
+   * @returns {Promise<Object|null>} Voice note media with its text, or null to send the response in text
+   */
+  async _synthesizeVoiceNote(phoneNumber, content) {
+    const { mode, maxChars } = tenantManager.getConfig().voiceReplies;
+    const replyMode = (await memoryManager.getReplyMode(phoneNumber)) || mode;
+    
+    if (replyMode !== REPLY_MODES.MIRROR) {
+      return null;
+    }
+    
+    if (content.length > maxChars) {
+      logger.debug(`Response to ${phoneNumber} is too long for a voice note, sending text`);
+      return null;
+    }
+    
+    // WhatsApp formatting marks would be read aloud
+    const speech = await speechSynthesizer.synthesize(content.replace(/[*_~`]/g, ''), { phoneNumber });
+    
+    if (!speech.success) {
+      logger.warn(`Sending text to ${phoneNumber} after the voice note failed: ${speech.error}`);
+      return null;
+    }
+    
+    return {
+      media: new MessageMedia(speech.mimetype, speech.audio.toString('base64'), 'resposta.ogg'),
+      text: content,
+      options: { sendAudioAsVoice: true }
+    };
+  }
+
+  /**
+   * Split the parts of a response answering grouped messages, quoting each message in the first chunk of its part
+   * @private
+   * @param {Array<Object>} quotedReplies - Parts of the response with the number of the message they answer (or null)
+   * @param {Array<string>} quotedMessageIds - IDs of the grouped messages, by number (starting at 1)
+   * @returns {Array<string|Object>} Texts, and texts quoting a message
+   */
+  _splitQuotedReplies(quotedReplies, quotedMessageIds) {
+    return quotedReplies.flatMap(reply => {
+      const [first, ...rest] = this._splitMessage(reply.content);
+      const quotedMessageId = reply.messageNumber && quotedMessageIds[reply.messageNumber - 1];
+      
+      return quotedMessageId
+        ? [{ text: first, options: { quotedMessageId } }, ...rest]
+        : [first, ...rest];
+    });
+  }
+
   /**
    * Queue messages for sending with realistic delays
    * @private
    * @param {string} phoneNumber - The phone number identifier
-   * @param {Array<string>} messages - Messages to send
+   * @param {Array<string|Object>} messages - Texts, or messages with send options (voice notes with their text as media, quoted replies)
    */
   _queueMessages(phoneNumber, messages) {
+    // The queue exists while it is being processed, even once emptied by the last shift
+    const isProcessing = this.messageQueues.has(phoneNumber);
+    
     // Create queue if it doesn't exist
-    if (!this.messageQueues.has(phoneNumber)) {
+    if (!isProcessing) {
       this.messageQueues.set(phoneNumber, []);
     }
     
@@ -816,7 +1539,7 @@ class ChatHandler {
     queue.push(...messages);
     
     // Start processing queue if not already processing
-    if (queue.length === messages.length) {
+    if (!isProcessing) {
       this._processMessageQueue(phoneNumber);
     }
   }
@@ -838,20 +1561,25 @@ class ChatHandler {
     try {
       // Get first message
       const message = queue.shift();
+      const { text, media, options } = typeof message === 'string' ? { text: message } : message;
+      const isVoiceNote = Boolean(media);
       
       // Get the chat
       const chat = await this.whatsappClient.getChatById(`${phoneNumber}@c.us`);
       
       // Calculate typing delay based on message length
-      const typingDelay = this._calculateTypingDelay(message);
-      
-      // Send typing indicator and wait
-      await this._simulateTyping(phoneNumber, typingDelay);
+      const typingDelay = this._calculateTypingDelay(text);
       
-      // Send the message
-      await chat.sendMessage(message);
+      // Send typing (or recording) indicator and wait, then send the message
+      if (isVoiceNote) {
+        await this._simulateRecording(phoneNumber, chat, typingDelay);
+        await this._sendTrackedMessage(phoneNumber, chat, media, options);
+      } else {
+        await this._simulateTyping(phoneNumber, typingDelay);
+        await this._sendTrackedMessage(phoneNumber, chat, text, options);
+      }
       
-      logger.debug(`Sent message to ${phoneNumber}: "${message.substring(0, 50)}${message.length > 50 ? '...' : ''}"`);
+      logger.debug(`Sent ${isVoiceNote ? 'voice note' : 'message'} to ${phoneNumber}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
       
       // Add delay between messages
       if (queue.length > 0) {
@@ -869,6 +1597,67 @@ class ChatHandler {
     }
   }
 
+  /**
+   * Send a message and remember it as produced by the bot
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} chat - The WhatsApp chat
+   * @param {string|Object} content - Text or media to send
+   * @param {Object} [options] - WhatsApp send options
+   * @returns {Promise<Object>} The sent message
+   */
+  async _sendTrackedMessage(phoneNumber, chat, content, options = {}) {
+    // Register the body before sending, the echo may arrive before sendMessage resolves
+    const pending = this.pendingOutgoing.get(phoneNumber) || [];
+    pending.push({
+      body: typeof content === 'string' ? content : (options.caption || ''),
+      createdAt: Date.now()
+    });
+    this.pendingOutgoing.set(phoneNumber, pending);
+    
+    const sentMessage = await chat.sendMessage(content, options);
+    
+    if (sentMessage && sentMessage.id) {
+      this.botMessageIds.add(sentMessage.id._serialized);
+      
+      // Forget the oldest IDs
+      if (this.botMessageIds.size > MAX_TRACKED_MESSAGE_IDS) {
+        this.botMessageIds.delete(this.botMessageIds.values().next().value);
+      }
+    }
+    
+    return sentMessage;
+  }
+
+  /**
+   * Check whether an outgoing message was produced by the bot
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} message - The outgoing WhatsApp message
+   * @returns {boolean} Whether the bot sent the message
+   */
+  _isBotMessage(phoneNumber, message) {
+    const now = Date.now();
+    const messageId = message.id && message.id._serialized;
+    const sentById = Boolean(messageId && this.botMessageIds.has(messageId));
+    
+    // Drop expired entries and consume the one matching this message
+    const pending = (this.pendingOutgoing.get(phoneNumber) || [])
+      .filter(entry => now - entry.createdAt < OUTGOING_TRACKING_TTL);
+    const index = pending.findIndex(entry => entry.body === (message.body || ''));
+    if (index !== -1) {
+      pending.splice(index, 1);
+    }
+    
+    if (pending.length > 0) {
+      this.pendingOutgoing.set(phoneNumber, pending);
+    } else {
+      this.pendingOutgoing.delete(phoneNumber);
+    }
+    
+    return sentById || index !== -1;
+  }
+
   /**
    * Split a long message into smaller chunks
    * @private
@@ -1065,6 +1854,28 @@ class ChatHandler {
     await new Promise(resolve => setTimeout(resolve, duration));
   }
 
+  /**
+   * Simulate recording a voice note for a given duration
+   * @private
+   * @param {string} phoneNumber - The phone number
+   * @param {Object} chat - The WhatsApp chat
+   * @param {number} duration - Duration in milliseconds
+   * @returns {Promise<void>}
+   */
+  async _simulateRecording(phoneNumber, chat, duration) {
+    try {
+      await chat.sendStateRecording();
+      
+      // Cleared like a typing indicator
+      this.typingIndicators.set(phoneNumber, true);
+    } catch (error) {
+      logger.error(`Error sending recording indicator to ${phoneNumber}:`, error);
+    }
+    
+    // Wait for the specified duration
+    await new Promise(resolve => setTimeout(resolve, duration));
+  }
+
   /**
    * Clear a typing indicator
    * @private
@@ -1158,34 +1969,24 @@ class ChatHandler {
           chatState.contactName,
           'contact_info'
         );
+        await memoryManager.ensureConversation(phoneNumber, { contactName: chatState.contactName });
       }
       
-      // Save messages
+      // Save the new messages, those loaded from memory already have an ID
       if (chatState.messages && chatState.messages.length > 0) {
         for (const msg of chatState.messages) {
-          // Check if message already exists in memory
-          const existingMessages = await memoryManager.getMessages(
-            phoneNumber,
-            { 
-              limit: 5,
-              role: msg.role
-            }
-          );
+          if (msg.id || !msg.content) {
+            continue;
+          }
           
-          const messageExists = existingMessages.some(
-            m => m.content === msg.content && 
-                Math.abs(new Date(m.timestamp) - new Date(msg.timestamp)) < 5000
+          const saved = await memoryManager.addMessage(
+            phoneNumber,
+            msg.role,
+            msg.content,
+            msg.metadata || {},
+            msg.timestamp || new Date()
           );
-          
-          // Only save if message doesn't exist
-          if (!messageExists) {
-            await memoryManager.addMessage(
-              phoneNumber,
-              msg.role,
-              msg.content,
-              msg.metadata || {}
-            );
-          }
+          msg.id = saved.id;
         }
       }
       
@@ -1201,6 +2002,28 @@ class ChatHandler {
     }
   }
 
+  /**
+   * Send the block notice to a contact, once per block
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} block - The active block
+   * @returns {Promise<void>}
+   */
+  async _sendBlockNotice(phoneNumber, block) {
+    const notice = botConfig.behavior.blocking.notice;
+    if (block.noticeSentAt || !notice) {
+      return;
+    }
+    
+    try {
+      const chat = await this.whatsappClient.getChatById(`${phoneNumber}@c.us`);
+      await this._sendTrackedMessage(phoneNumber, chat, notice);
+      await memoryManager.markBlockNoticeSent(phoneNumber);
+    } catch (error) {
+      logger.error(`Error sending block notice to ${phoneNumber}:`, error);
+    }
+  }
+
   /**
    * Check if a user is sending messages too quickly (spam protection)
    * @private
@@ -1261,6 +2084,10 @@ class ChatHandler {
    * @returns {Promise<Object>} Result of the operation
    */
   async sendMessage(phoneNumber, message) {
+    if (!tenantManager.getCurrentTenant()) {
+      return this._runInSessionTenant(() => this.sendMessage(phoneNumber, message));
+    }
+    
     try {
       // Validate phone number
       if (!phoneNumber || typeof phoneNumber !== 'string') {
@@ -1280,7 +2107,7 @@ class ChatHandler {
       const chat = await this.whatsappClient.getChatById(formattedPhone);
       
       // Send message
-      await chat.sendMessage(message);
+      await this._sendTrackedMessage(cleanPhoneNumber(formattedPhone), chat, message);
       
       return { 
         success: true, 
@@ -6,7 +6,7 @@
  * instance of PrismaClient for use throughout the application.
  */
 
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 const logger = require("./logger");
 
 /**
@@ -240,6 +240,7 @@ async function healthCheck() {
 
 module.exports = {
   prisma,
+  Prisma,
   connectDB,
   disconnectDB,
   getConnectionStatus,
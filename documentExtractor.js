@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Document Text Extractor for WhatsApp AI Sales Agent
+ *
+ * This module extracts the text of documents sent by leads (PDF, DOCX, XLSX
+ * and plain text), so the AI can read briefings, proposals or price lists.
+ * PDFs are read with the pdf.js setup of the training loader; DOCX and XLSX
+ * files are zip archives of XML parts, which are unpacked with zlib off the
+ * event loop and within size limits, as the archives come from untrusted senders.
+ */
+
+const path = require("path");
+const { promisify } = require("util");
+const zlib = require("zlib");
+const trainingLoader = require("./trainingLoader");
+
+/**
+ * Supported document types, with their MIME types and file extensions
+ * @type {Object.<string, Object>}
+ */
+const DOCUMENT_TYPES = {
+  pdf: { mimeTypes: ["application/pdf"], extensions: [".pdf"] },
+  docx: {
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    extensions: [".docx"],
+  },
+  xlsx: {
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ],
+    extensions: [".xlsx"],
+  },
+  txt: {
+    mimeTypes: ["text/plain", "text/csv", "text/markdown"],
+    extensions: [".txt", ".csv", ".md"],
+  },
+};
+
+/**
+ * Maximum total size of the parts unpacked from a DOCX or XLSX archive in bytes
+ * @type {number}
+ */
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024; // 50MB
+
+/**
+ * Maximum number of entries of a DOCX or XLSX archive
+ * @type {number}
+ */
+const MAX_ZIP_ENTRIES = 2000;
+
+/**
+ * Zip record signatures
+ * @type {Object.<string, number>}
+ */
+const ZIP_SIGNATURES = {
+  endOfCentralDirectory: 0x06054b50,
+  centralDirectoryEntry: 0x02014b50,
+  localFileHeader: 0x04034b50,
+};
+
+/**
+ * Value of the zip fields whose real value is in a ZIP64 record
+ * @type {number}
+ */
+const ZIP64_MARKER = 0xffffffff;
+
+/**
+ * Inflate raw deflate data in the zlib thread pool
+ * @type {Function}
+ */
+const inflateRaw = promisify(zlib.inflateRaw);
+
+/**
+ * Get the type of a document from its MIME type or, failing that, its filename
+ * @param {string} [mimetype] - MIME type of the document
+ * @param {string} [filename] - Filename of the document
+ * @returns {string|null} The document type (see DOCUMENT_TYPES) or null if unsupported
+ */
+function getDocumentType(mimetype, filename) {
+  const mime = (mimetype || "").split(";")[0].trim().toLowerCase();
+  const extension = path.extname(filename || "").toLowerCase();
+  const types = Object.entries(DOCUMENT_TYPES);
+
+  const match =
+    types.find(([, type]) => type.mimeTypes.includes(mime)) ||
+    types.find(([, type]) => extension && type.extensions.includes(extension));
+
+  return match ? match[0] : null;
+}
+
+/**
+ * Extract the text of a document
+ * @param {Buffer} buffer - The document data
+ * @param {string} type - The document type (see DOCUMENT_TYPES)
+ * @returns {Promise<string>} The text, with paragraphs and rows on their own lines
+ */
+async function extractDocumentText(buffer, type) {
+  switch (type) {
+    case "pdf":
+      return trainingLoader.readPdfData(buffer);
+    case "docx":
+      return extractDocxText(buffer);
+    case "xlsx":
+      return extractXlsxText(buffer);
+    case "txt":
+      return buffer
+        .toString("utf-8")
+        .replace(/^\uFEFF/, "")
+        .trim();
+    default:
+      throw new Error(`Unsupported document type: ${type}`);
+  }
+}
+
+/**
+ * Extract the paragraphs of a Word document
+ * @param {Buffer} buffer - The DOCX data
+ * @returns {Promise<string>} The text of the document body
+ */
+async function extractDocxText(buffer) {
+  const parts = await readZipEntries(
+    buffer,
+    (name) => name === "word/document.xml"
+  );
+  const xml = parts.get("word/document.xml");
+
+  if (!xml) {
+    throw new Error("Invalid DOCX file: missing word/document.xml");
+  }
+
+  return decodeXmlText(
+    xml
+      .toString("utf-8")
+      // Field codes (e.g. hyperlink targets) are not part of the text
+      .replace(/<w:instrText[^>]*>[\s\S]*?<\/w:instrText>/g, "")
+      .replace(/<w:tab\/>/g, "\t")
+      .replace(/<w:br\/>|<\/w:p>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Extract the rows of every sheet of an Excel workbook
+ * @param {Buffer} buffer - The XLSX data
+ * @returns {Promise<string>} Each sheet under its number, with one row per line and cells separated by " | "
+ */
+async function extractXlsxText(buffer) {
+  const parts = await readZipEntries(
+    buffer,
+    (name) =>
+      name === "xl/sharedStrings.xml" ||
+      /^xl\/worksheets\/sheet\d+\.xml$/.test(name)
+  );
+
+  // Cells of type "s" hold an index into the shared strings
+  const sharedStrings = [
+    ...(parts.get("xl/sharedStrings.xml") || "")
+      .toString("utf-8")
+      .matchAll(/<si>([\s\S]*?)<\/si>/g),
+  ].map((match) => readXmlTexts(match[1]));
+
+  const sheets = [...parts.keys()]
+    .filter((name) => name.startsWith("xl/worksheets/"))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+  return sheets
+    .map((name, i) => {
+      const rows = [
+        ...parts
+          .get(name)
+          .toString("utf-8")
+          .matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g),
+      ]
+        .map((row) =>
+          [...row[1].matchAll(/<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)]
+            .map(([, attributes, content = ""]) => {
+              const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+              const value = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+              if (type === "s") {
+                return sharedStrings[parseInt(value)] || "";
+              }
+              if (type === "inlineStr") {
+                return readXmlTexts(content);
+              }
+              return value ? decodeXmlText(value) : "";
+            })
+            .join(" | ")
+            .trim()
+        )
+        .filter((row) => row.replace(/[\s|]/g, ""));
+
+      return rows.length > 0 ? `Planilha ${i + 1}:\n${rows.join("\n")}` : "";
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Unpack the parts of a zip archive
+ * Archives with too many entries, parts beyond the buffer, ZIP64 or encrypted
+ * entries are rejected, and the unpacked parts may not exceed MAX_UNZIPPED_SIZE
+ * in total.
+ * @param {Buffer} buffer - The zip data
+ * @param {Function} accept - Tells by name whether a part is unpacked
+ * @returns {Promise<Map<string, Buffer>>} The unpacked parts by name
+ */
+async function readZipEntries(buffer, accept) {
+  // The central directory is found through the record at the end of the file
+  let end = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 22 - 0xffff);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === ZIP_SIGNATURES.endOfCentralDirectory) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end < 0) {
+    throw new Error("Invalid zip archive");
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  if (entryCount === 0xffff || offset === ZIP64_MARKER) {
+    throw new Error("ZIP64 archives are not supported");
+  }
+  if (entryCount > MAX_ZIP_ENTRIES) {
+    throw new Error(`Zip archive has more than ${MAX_ZIP_ENTRIES} entries`);
+  }
+
+  const entries = new Map();
+  let unzippedSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    checkZipRange(buffer, offset, 46);
+    if (buffer.readUInt32LE(offset) !== ZIP_SIGNATURES.centralDirectoryEntry) {
+      throw new Error("Invalid zip central directory");
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeader = buffer.readUInt32LE(offset + 42);
+    checkZipRange(buffer, offset + 46, nameLength);
+    const name = buffer.toString(
+      "utf-8",
+      offset + 46,
+      offset + 46 + nameLength
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!accept(name)) {
+      continue;
+    }
+
+    if ([compressedSize, size, localHeader].includes(ZIP64_MARKER)) {
+      throw new Error("ZIP64 archives are not supported");
+    }
+    if (flags & 0x1) {
+      throw new Error(`Encrypted zip entry ${name} is not supported`);
+    }
+
+    // The local header has its own name and extra field before the data
+    checkZipRange(buffer, localHeader, 30);
+    if (buffer.readUInt32LE(localHeader) !== ZIP_SIGNATURES.localFileHeader) {
+      throw new Error(`Invalid zip local header of ${name}`);
+    }
+    const dataStart =
+      localHeader +
+      30 +
+      buffer.readUInt16LE(localHeader + 26) +
+      buffer.readUInt16LE(localHeader + 28);
+    checkZipRange(buffer, dataStart, compressedSize);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    // The declared size is checked first, the output limit catches false ones
+    const remainingSize = MAX_UNZIPPED_SIZE - unzippedSize;
+    if (size > remainingSize) {
+      throw new Error("Zip archive too large once unpacked");
+    }
+
+    let part;
+    if (method === 0) {
+      part = data;
+    } else if (method === 8) {
+      part = await inflateRaw(data, {
+        maxOutputLength: Math.max(remainingSize, 1),
+      }).catch((error) => {
+        throw error.code === "ERR_BUFFER_TOO_LARGE"
+          ? new Error("Zip archive too large once unpacked")
+          : error;
+      });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+
+    if (part.length > remainingSize) {
+      throw new Error("Zip archive too large once unpacked");
+    }
+
+    unzippedSize += part.length;
+    entries.set(name, part);
+  }
+
+  return entries;
+}
+
+/**
+ * Check that a record of a zip archive is within its data
+ * @param {Buffer} buffer - The zip data
+ * @param {number} start - Offset of the record
+ * @param {number} length - Length of the record
+ * @throws {Error} If the record goes beyond the data
+ */
+function checkZipRange(buffer, start, length) {
+  if (start < 0 || start + length > buffer.length) {
+    throw new Error("Invalid zip archive: truncated or corrupt");
+  }
+}
+
+/**
+ * Join the texts of the <t> elements of an XML fragment
+ * @param {string} xml - The XML fragment
+ * @returns {string} The decoded text
+ */
+function readXmlTexts(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((match) => decodeXmlText(match[1]))
+    .join("");
+}
+
+/**
+ * Decode the entities of XML text
+ * @param {string} text - The XML text
+ * @returns {string} The decoded text
+ */
+function decodeXmlText(text) {
+  return text.replace(
+    /&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-f]+);/gi,
+    (entity, name) => {
+      if (name[0] === "#") {
+        return String.fromCodePoint(
+          name[1].toLowerCase() === "x"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10)
+        );
+      }
+
+      return { lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" }[
+        name.toLowerCase()
+      ];
+    }
+  );
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getDocumentType,
+  extractDocumentText,
+};
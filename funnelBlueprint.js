@@ -0,0 +1,456 @@
+/**
+ * @fileoverview Funnel Blueprint Manager for WhatsApp AI Sales Agent
+ *
+ * This module loads, validates and stores the funnel blueprint of each tenant
+ * (FunnelConfiguration.blueprintData). A blueprint declares the ordered stages
+ * of the sales funnel and, for each stage, the AI instructions, the signals
+ * that advance a conversation into it, the stages it may transition to, the
+ * guard conditions a conversation must meet to enter it and the special
+ * commands the AI may use while in it.
+ */
+
+const { prisma } = require("./db");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const tenantManager = require("./tenantManager");
+
+/**
+ * Special commands the AI can use, as text commands or as tools
+ * @type {Object.<string, Object>}
+ */
+const SPECIAL_COMMANDS = {
+  prova_social: {
+    usage: "!prova_social:[id]",
+    tool: "send_social_proof",
+    description: "Para enviar uma prova social específica",
+  },
+  checkout: {
+    usage: "!checkout:[plano_id]",
+    tool: "send_checkout_link",
+    description: "Para enviar um link de checkout para um plano específico",
+  },
+  suporte: {
+    usage: "!suporte",
+    tool: "transfer_to_support",
+    description: "Para encaminhar o cliente ao suporte técnico",
+  },
+  etapa: {
+    usage: "!etapa:[id_etapa]",
+    tool: "change_funnel_stage",
+    description: "Para forçar uma mudança na etapa do funil",
+  },
+};
+
+/**
+ * Guard conditions a conversation must meet before entering a stage
+ * @type {Object.<string, Object>}
+ */
+const TRANSITION_GUARDS = {
+  plan_presented: {
+    description: "A plan or its price has been presented to the contact",
+  },
+  purchase_recorded: {
+    description: "The contact has a recorded purchase",
+  },
+  upsell_rejected: {
+    description: "The contact has rejected an upsell offer",
+  },
+};
+
+/**
+ * Format accepted for stage IDs (must be usable in the !etapa command)
+ * @type {RegExp}
+ */
+const STAGE_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Structural limits enforced when validating a blueprint
+ * @type {Object}
+ */
+const BLUEPRINT_LIMITS = {
+  maxStages: 50,
+  maxInstructionsLength: 10000,
+  maxKeywords: 100,
+};
+
+/**
+ * Time (in milliseconds) a loaded blueprint is cached before being reloaded
+ * @type {number}
+ */
+const BLUEPRINT_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Check whether a value is a non-empty string
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validate a list of stage ID references
+ * @param {any} value - The list to validate
+ * @param {string} path - Path of the list in the blueprint
+ * @param {Set<string>} stageIds - IDs declared by the blueprint
+ * @param {Array<string>} errors - Collected validation errors
+ */
+function validateStageReferences(value, path, stageIds, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array of stage IDs`);
+    return;
+  }
+
+  value.forEach((stageId, index) => {
+    if (!stageIds.has(stageId)) {
+      errors.push(`${path}[${index}] references unknown stage '${stageId}'`);
+    }
+  });
+}
+
+/**
+ * Validate a list of names against a catalog of known names
+ * @param {any} value - The list to validate
+ * @param {string} path - Path of the list in the blueprint
+ * @param {Object} catalog - Known names as object keys
+ * @param {string} label - Description of the expected names
+ * @param {Array<string>} errors - Collected validation errors
+ */
+function validateCatalogNames(value, path, catalog, label, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array of ${label} names`);
+    return;
+  }
+
+  value.forEach((name, index) => {
+    if (!Object.prototype.hasOwnProperty.call(catalog, name)) {
+      errors.push(
+        `${path}[${index}] '${name}' is not a ${label} (${Object.keys(
+          catalog
+        ).join(", ")})`
+      );
+    }
+  });
+}
+
+/**
+ * Validate the advancement signals of a stage
+ * @param {any} signals - The advancement signals to validate
+ * @param {string} path - Path of the signals in the blueprint
+ * @param {Array<string>} errors - Collected validation errors
+ */
+function validateAdvancementSignals(signals, path, errors) {
+  if (!signals || typeof signals !== "object" || Array.isArray(signals)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const { minMessages, keywords } = signals;
+
+  if (minMessages === undefined && keywords === undefined) {
+    errors.push(`${path} must define 'minMessages' and/or 'keywords'`);
+  }
+
+  if (
+    minMessages !== undefined &&
+    (!Number.isInteger(minMessages) || minMessages < 0)
+  ) {
+    errors.push(`${path}.minMessages must be a non-negative integer`);
+  }
+
+  if (keywords !== undefined) {
+    if (
+      !Array.isArray(keywords) ||
+      keywords.length === 0 ||
+      keywords.length > BLUEPRINT_LIMITS.maxKeywords
+    ) {
+      errors.push(
+        `${path}.keywords must be an array of 1 to ${BLUEPRINT_LIMITS.maxKeywords} strings`
+      );
+    } else if (!keywords.every(isNonEmptyString)) {
+      errors.push(`${path}.keywords must only contain non-empty strings`);
+    }
+  }
+}
+
+/**
+ * Validate a funnel blueprint against the blueprint schema
+ * @param {any} data - The blueprint to validate
+ * @param {Object} [options] - Validation options
+ * @param {Array<string>} [options.builtInStages] - Stage IDs with built-in instructions
+ * @returns {{valid: boolean, errors: Array<string>}} Validation result
+ */
+function validateBlueprint(data, options = {}) {
+  const { builtInStages = [] } = options;
+  const errors = [];
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, errors: ["Blueprint must be an object"] };
+  }
+
+  if (
+    data.version !== undefined &&
+    (!Number.isInteger(data.version) || data.version < 1)
+  ) {
+    errors.push("version must be a positive integer");
+  }
+
+  if (
+    !Array.isArray(data.stages) ||
+    data.stages.length === 0 ||
+    data.stages.length > BLUEPRINT_LIMITS.maxStages
+  ) {
+    errors.push(
+      `stages must be an array of 1 to ${BLUEPRINT_LIMITS.maxStages} stages`
+    );
+    return { valid: false, errors };
+  }
+
+  // Collect stage IDs first so transitions may reference later stages
+  const stageIds = new Set();
+  data.stages.forEach((stage, index) => {
+    const path = `stages[${index}]`;
+
+    if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof stage.id !== "string" || !STAGE_ID_PATTERN.test(stage.id)) {
+      errors.push(
+        `${path}.id must be lowercase letters, digits or underscores, starting with a letter`
+      );
+    } else if (stageIds.has(stage.id)) {
+      errors.push(`${path}.id '${stage.id}' is declared more than once`);
+    } else {
+      stageIds.add(stage.id);
+    }
+  });
+
+  data.stages.forEach((stage, index) => {
+    const path = `stages[${index}]`;
+
+    if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+      return;
+    }
+
+    if (stage.name !== undefined && !isNonEmptyString(stage.name)) {
+      errors.push(`${path}.name must be a non-empty string`);
+    }
+
+    if (stage.instructions !== undefined) {
+      if (
+        !isNonEmptyString(stage.instructions) ||
+        stage.instructions.length > BLUEPRINT_LIMITS.maxInstructionsLength
+      ) {
+        errors.push(
+          `${path}.instructions must be a non-empty string of at most ${BLUEPRINT_LIMITS.maxInstructionsLength} characters`
+        );
+      }
+    } else if (!builtInStages.includes(stage.id)) {
+      errors.push(
+        `${path}.instructions is required for stages without built-in instructions`
+      );
+    }
+
+    if (stage.advancementSignals !== undefined) {
+      validateAdvancementSignals(
+        stage.advancementSignals,
+        `${path}.advancementSignals`,
+        errors
+      );
+    }
+
+    if (stage.allowedTransitions !== undefined) {
+      validateStageReferences(
+        stage.allowedTransitions,
+        `${path}.allowedTransitions`,
+        stageIds,
+        errors
+      );
+    }
+
+    if (stage.guards !== undefined) {
+      validateCatalogNames(
+        stage.guards,
+        `${path}.guards`,
+        TRANSITION_GUARDS,
+        "transition guard",
+        errors
+      );
+    }
+
+    if (stage.commands !== undefined) {
+      validateCatalogNames(
+        stage.commands,
+        `${path}.commands`,
+        SPECIAL_COMMANDS,
+        "special command",
+        errors
+      );
+    }
+  });
+
+  if (data.initialStage !== undefined && !stageIds.has(data.initialStage)) {
+    errors.push(`initialStage references unknown stage '${data.initialStage}'`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Funnel Blueprint Manager class for loading and storing tenant blueprints
+ */
+class FunnelBlueprintManager {
+  /**
+   * Create a new FunnelBlueprintManager instance
+   */
+  constructor() {
+    this.cache = new Map(); // Loaded blueprints by tenant ID
+
+    logger.info("FunnelBlueprintManager initialized");
+  }
+
+  /**
+   * Get the stored blueprint of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} [options] - Validation options (see validateBlueprint)
+   * @returns {Promise<Object|null>} The normalized blueprint or null if the tenant has none
+   */
+  async getBlueprint(tenantId, options = {}) {
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.blueprint;
+    }
+
+    let blueprint = null;
+    try {
+      const record = await prisma.funnelConfiguration.findUnique({
+        where: { tenantId },
+      });
+
+      if (record && record.blueprintData) {
+        // Stored data may have been written without going through saveBlueprint
+        const { valid, errors } = validateBlueprint(
+          record.blueprintData,
+          options
+        );
+
+        if (valid) {
+          blueprint = this.normalize(record.blueprintData);
+        } else {
+          logger.warn(
+            `Ignoring invalid funnel blueprint of tenant ${tenantId}: ${errors.join(
+              "; "
+            )}`
+          );
+        }
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to load funnel blueprint of tenant ${tenantId}:`,
+        error
+      );
+      return null;
+    }
+
+    this.cache.set(tenantId, {
+      blueprint,
+      expiresAt: Date.now() + BLUEPRINT_CACHE_TTL_MS,
+    });
+
+    return blueprint;
+  }
+
+  /**
+   * Validate and store the blueprint of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} data - The blueprint to store
+   * @param {Object} [options] - Validation options (see validateBlueprint)
+   * @returns {Promise<Object>} Result with the validation errors or the stored blueprint
+   */
+  async saveBlueprint(tenantId, data, options = {}) {
+    const { valid, errors } = validateBlueprint(data, options);
+    if (!valid) {
+      return { saved: false, errors };
+    }
+
+    if (tenantId === botConfig.tenant.defaultTenantId) {
+      await tenantManager.ensureDefaultTenant();
+    }
+
+    const record = await prisma.funnelConfiguration.upsert({
+      where: { tenantId },
+      update: { blueprintData: data },
+      create: { tenantId, blueprintData: data },
+    });
+
+    this.cache.delete(tenantId);
+    logger.info(`Saved funnel blueprint of tenant ${tenantId}`);
+
+    return {
+      saved: true,
+      blueprint: this.normalize(data),
+      updatedAt: record.updatedAt,
+    };
+  }
+
+  /**
+   * Remove the stored blueprint of a tenant so the default funnel is used again
+   * @param {string} tenantId - The tenant ID
+   * @returns {Promise<boolean>} Whether a stored blueprint was removed
+   */
+  async deleteBlueprint(tenantId) {
+    const { count } = await prisma.funnelConfiguration.deleteMany({
+      where: { tenantId },
+    });
+
+    this.cache.delete(tenantId);
+    return count > 0;
+  }
+
+  /**
+   * Normalize a valid blueprint, filling in optional fields
+   * @param {Object} data - The validated blueprint
+   * @returns {Object} The normalized blueprint
+   */
+  normalize(data) {
+    const stages = data.stages.map((stage) => ({
+      id: stage.id,
+      name: stage.name || stage.id,
+      instructions: stage.instructions || null,
+      advancementSignals: stage.advancementSignals
+        ? {
+            minMessages: stage.advancementSignals.minMessages || 0,
+            keywords: (stage.advancementSignals.keywords || []).map((keyword) =>
+              keyword.trim().toLowerCase()
+            ),
+          }
+        : null,
+      allowedTransitions: stage.allowedTransitions || null,
+      guards: stage.guards || [],
+      commands: stage.commands || Object.keys(SPECIAL_COMMANDS),
+    }));
+
+    return {
+      version: data.version || 1,
+      initialStage: data.initialStage || stages[0].id,
+      stages,
+    };
+  }
+
+  /**
+   * Drop cached blueprints so changes made elsewhere are picked up
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Export constants and blueprint manager
+module.exports = {
+  SPECIAL_COMMANDS,
+  TRANSITION_GUARDS,
+  validateBlueprint,
+  funnelBlueprintManager: new FunnelBlueprintManager(),
+};
@@ -5,8 +5,6 @@
  * including the WhatsApp client, API server, and scheduled jobs.
  */
 
-const { Client, LocalAuth } = require("whatsapp-web.js");
-const qrcode = require("qrcode-terminal");
 const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
@@ -14,10 +12,11 @@ const path = require("path");
 const dotenv = require("dotenv");
 const { db, connectDB } = require("./db");
 const logger = require("./logger");
-const ChatHandler = require("./chatHandler");
+const sessionManager = require("./sessionManager");
 const apiRouter = require("./api");
 const botConfig = require("./botConfig");
 const { createScheduler } = require("./scheduler");
+const { createTrainingWatcher } = require("./trainingWatcher");
 const { initializeBotStatus } = require("./utils");
 const aiHandler = require("./aiHandler");
 const memoryManager = require("./memoryManager");
@@ -36,15 +35,11 @@ class WhatsAppAISalesAgent {
    * Create a new WhatsAppAISalesAgent instance
    */
   constructor() {
-    this.client = null;
-    this.chatHandler = null;
+    this.sessionManager = sessionManager;
     this.apiServer = null;
     this.scheduler = null;
+    this.trainingWatcher = null;
     this.startTime = new Date();
-    this.qrCode = null;
-    this.isClientReady = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
 
     logger.info(`Starting WhatsApp AI Sales Agent v${botConfig.version}`);
     logger.debug(`Environment: ${botConfig.environment}`);
@@ -80,13 +75,18 @@ class WhatsAppAISalesAgent {
       // Initialize AI Handler
       await this._initializeAI();
 
+      // Reload the training context when its files change
+      if (botConfig.trainingReload.watch) {
+        this._initializeTrainingWatcher();
+      }
+
       // Start the API server
       if (botConfig.server.enabled) {
         await this._startAPIServer();
       }
 
-      // Initialize WhatsApp client
-      await this._initializeWhatsAppClient();
+      // Start one WhatsApp session per active tenant
+      await this._initializeWhatsAppSessions();
 
       // Initialize scheduler for recurring tasks
       this._initializeScheduler();
@@ -145,158 +145,17 @@ class WhatsAppAISalesAgent {
   }
 
   /**
-   * Initialize the WhatsApp client
+   * Start the WhatsApp sessions
    * @private
    * @returns {Promise<void>}
    */
-  async _initializeWhatsAppClient() {
-    logger.info("Initializing WhatsApp client");
-
-    // Configure client options
-    const clientOptions = {
-      puppeteer: {
-        headless: botConfig.whatsapp.headless,
-        args: botConfig.whatsapp.browserArgs,
-        executablePath: process.env.CHROME_PATH || undefined,
-      },
-      authStrategy: new LocalAuth({
-        clientId: botConfig.whatsapp.sessionId,
-        dataPath: botConfig.whatsapp.sessionFilePath,
-      }),
-      qrMaxRetries: botConfig.whatsapp.qrMaxRetries,
-    };
-
-    // Create WhatsApp client
-    this.client = new Client(clientOptions);
-
-    // Initialize chat handler
-    this.chatHandler = new ChatHandler(this.client);
-
-    // Set up event handlers
-    this._setupWhatsAppEvents();
-
-    // Initialize the client
-    try {
-      await this.client.initialize();
-      logger.info("WhatsApp client initialization started");
-      botStatus.update({ clientInitializing: true });
-    } catch (error) {
-      logger.error("Error initializing WhatsApp client:", error);
-      botStatus.update({
-        clientInitialized: false,
-        clientError: error.message,
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Set up WhatsApp client event handlers
-   * @private
-   */
-  _setupWhatsAppEvents() {
-    // QR code event
-    this.client.on("qr", (qr) => {
-      logger.info("QR code received. Scan to authenticate WhatsApp Web.");
-      this.qrCode = qr;
-      botStatus.update({ qrCode: qr });
-
-      // Display QR code in terminal
-      qrcode.generate(qr, { small: true });
-    });
+  async _initializeWhatsAppSessions() {
+    logger.info("Initializing WhatsApp sessions");
 
-    // Authentication successful
-    this.client.on("authenticated", () => {
-      logger.info("WhatsApp client authenticated");
-      botStatus.update({ authenticated: true });
-      this.qrCode = null;
-    });
+    // Allow the API to deliver messages through the tenant sessions
+    apiRouter.setSessionManager(this.sessionManager);
 
-    // Authentication failure
-    this.client.on("auth_failure", (error) => {
-      logger.error("WhatsApp authentication failed:", error);
-      botStatus.update({
-        authenticated: false,
-        authError: error.message,
-      });
-
-      // Try to reconnect if too many failures
-      this.reconnectAttempts++;
-      if (this.reconnectAttempts < this.maxReconnectAttempts) {
-        logger.info(
-          `Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`
-        );
-        setTimeout(() => {
-          this.client.initialize();
-        }, 10000 * this.reconnectAttempts); // Increasing delay with each attempt
-      } else {
-        logger.error(
-          `Failed to authenticate after ${this.maxReconnectAttempts} attempts. Please restart the application.`
-        );
-      }
-    });
-
-    // Client ready
-    this.client.on("ready", () => {
-      logger.info("WhatsApp client ready");
-      this.isClientReady = true;
-      botStatus.update({
-        clientInitialized: true,
-        qrCode: null,
-        status: "ready",
-        readyTime: new Date().toISOString(),
-      });
-
-      // Reset reconnect attempts
-      this.reconnectAttempts = 0;
-    });
-
-    // Message received
-    this.client.on("message", async (message) => {
-      try {
-        // Update status
-        botStatus.update({ lastMessageTime: new Date().toISOString() });
-
-        // Forward message to chat handler
-        await this.chatHandler.handleIncomingMessage(message);
-      } catch (error) {
-        logger.error("Error handling incoming message:", error);
-      }
-    });
-
-    // Disconnect event
-    this.client.on("disconnected", (reason) => {
-      logger.warn(`WhatsApp client disconnected: ${reason}`);
-      this.isClientReady = false;
-      botStatus.update({
-        status: "disconnected",
-        disconnectReason: reason,
-        disconnectTime: new Date().toISOString(),
-      });
-
-      // Try to reconnect if automatic restart is enabled
-      if (botConfig.whatsapp.restartOnCrash) {
-        logger.info("Attempting to reconnect in 10 seconds...");
-        setTimeout(() => {
-          this.client.initialize();
-        }, 10000);
-      }
-    });
-
-    // Connection changes
-    this.client.on("change_state", (state) => {
-      logger.debug(`WhatsApp connection state changed to: ${state}`);
-      botStatus.update({ connectionState: state });
-    });
-
-    // Loading screen
-    this.client.on("loading_screen", (percent, message) => {
-      logger.debug(`WhatsApp loading: ${percent}% - ${message}`);
-      botStatus.update({
-        loadingProgress: percent,
-        loadingMessage: message,
-      });
-    });
+    await this.sessionManager.startAll();
   }
 
   /**
@@ -315,8 +174,8 @@ class WhatsAppAISalesAgent {
       app.use(
         cors({
           origin: process.env.CORS_ORIGIN || "*",
-          methods: ["GET", "POST"],
-          allowedHeaders: ["Content-Type", "Authorization"],
+          methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+          allowedHeaders: ["Content-Type", "Authorization", "X-Tenant-ID"],
           maxAge: 86400, // 1 day
         })
       );
@@ -335,10 +194,20 @@ class WhatsAppAISalesAgent {
 
       // Error handler
       app.use((err, req, res, next) => {
+        // Malformed JSON bodies are rejected by express.json() before routing
+        if (err.type === "entity.parse.failed") {
+          return res.status(400).json({
+            success: false,
+            error: "Request body is not valid JSON",
+            code: "INVALID_JSON",
+          });
+        }
+
         logger.error("API error:", err);
         res.status(500).json({
           success: false,
           error: "Internal server error",
+          code: "INTERNAL_ERROR",
         });
       });
 
@@ -365,6 +234,28 @@ class WhatsAppAISalesAgent {
     }
   }
 
+  /**
+   * Watch the training files and social proofs to reload them on change
+   * @private
+   */
+  _initializeTrainingWatcher() {
+    try {
+      this.trainingWatcher = createTrainingWatcher({
+        onChange: (files) =>
+          aiHandler.reloadTrainingContext(
+            `files changed: ${files
+              .map((file) => path.basename(file))
+              .join(", ")}`
+          ),
+      });
+      this.trainingWatcher.start();
+
+      logger.info("Watching training files for changes");
+    } catch (error) {
+      logger.error("Failed to watch training files:", error);
+    }
+  }
+
   /**
    * Initialize scheduler for recurring tasks
    * @private
@@ -395,6 +286,15 @@ class WhatsAppAISalesAgent {
         },
       });
 
+      this.scheduler.addTask({
+        name: "syncWhatsAppSessions",
+        schedule: botConfig.whatsapp.syncSchedule,
+        task: async () => {
+          logger.debug("Synchronizing WhatsApp sessions with tenants");
+          await this.sessionManager.syncSessions();
+        },
+      });
+
       this.scheduler.addTask({
         name: "generateDailyStats",
         schedule: "0 0 * * *", // Every day at midnight
@@ -433,14 +333,18 @@ class WhatsAppAISalesAgent {
       logger.debug("Scheduler stopped");
     }
 
-    // Close WhatsApp client
-    if (this.client && this.isClientReady) {
-      try {
-        await this.client.destroy();
-        logger.debug("WhatsApp client destroyed");
-      } catch (error) {
-        logger.error("Error destroying WhatsApp client:", error);
-      }
+    // Stop watching training files
+    if (this.trainingWatcher) {
+      this.trainingWatcher.stop();
+      logger.debug("Training watcher stopped");
+    }
+
+    // Close WhatsApp sessions
+    try {
+      await this.sessionManager.stopAll();
+      logger.debug("WhatsApp sessions stopped");
+    } catch (error) {
+      logger.error("Error stopping WhatsApp sessions:", error);
     }
 
     // Close API server
@@ -0,0 +1,393 @@
+/**
+ * @fileoverview Knowledge Base for WhatsApp AI Sales Agent
+ *
+ * This module splits the training files into passages by heading and
+ * paragraph and indexes them with BM25 (and optionally embeddings), so only
+ * the passages related to what the customer just said are added to the
+ * system prompt. Each passage keeps the file and heading it came from, so
+ * the answers can be traced back to the training data.
+ */
+
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const { countTokens, splitIntoTokenChunks } = require("./tokenCounter");
+const { semanticMemory } = require("./semanticMemory");
+
+/**
+ * BM25 term frequency saturation
+ * @type {number}
+ */
+const BM25_K1 = 1.2;
+
+/**
+ * BM25 document length normalization
+ * @type {number}
+ */
+const BM25_B = 0.75;
+
+/**
+ * Texts embedded per embeddings request while indexing
+ * @type {number}
+ */
+const EMBEDDING_BATCH_SIZE = 100;
+
+/**
+ * Separator between the headings of a passage
+ * @type {string}
+ */
+const HEADING_SEPARATOR = " › ";
+
+/**
+ * Common Portuguese words ignored when matching passages
+ * @type {Set<string>}
+ */
+const STOPWORDS = new Set([
+  "ate",
+  "com",
+  "como",
+  "das",
+  "dos",
+  "ela",
+  "ele",
+  "essa",
+  "esse",
+  "esta",
+  "este",
+  "isso",
+  "mais",
+  "mas",
+  "nao",
+  "nas",
+  "nos",
+  "para",
+  "pela",
+  "pelo",
+  "por",
+  "qual",
+  "que",
+  "sao",
+  "sem",
+  "ser",
+  "seu",
+  "sua",
+  "tem",
+  "uma",
+  "voce",
+  "voces",
+]);
+
+/**
+ * KnowledgeBase class for retrieving the training passages related to a message
+ */
+class KnowledgeBase {
+  /**
+   * Creates a new instance of KnowledgeBase
+   */
+  constructor() {
+    // Indexed passages, their BM25 statistics and optional embeddings
+    this.index = this._createIndex([]);
+    logger.info("KnowledgeBase initialized");
+  }
+
+  /**
+   * Split training documents into passages and index them, replacing the
+   * current index once done
+   * @param {Array<Object>} documents - Documents with their source filename and text content
+   * @returns {Promise<number>} Number of indexed passages
+   */
+  async build(documents = []) {
+    const { chunkTokens, useEmbeddings } = botConfig.knowledgeBase;
+
+    const passages = documents.flatMap((document) =>
+      this._splitDocument(document.source, document.content, chunkTokens)
+    );
+    const index = this._createIndex(passages);
+
+    if (useEmbeddings && passages.length > 0) {
+      try {
+        index.embeddings = [];
+        for (
+          let start = 0;
+          start < passages.length;
+          start += EMBEDDING_BATCH_SIZE
+        ) {
+          const batch = passages.slice(start, start + EMBEDDING_BATCH_SIZE);
+          index.embeddings.push(
+            ...(await semanticMemory.embed(
+              batch.map((passage) => this._getPassageText(passage))
+            ))
+          );
+        }
+      } catch (error) {
+        logger.warn(
+          `Failed to embed the knowledge base, using BM25 only: ${error.message}`
+        );
+        index.embeddings = null;
+      }
+    }
+
+    this.index = index;
+    logger.info(
+      `Knowledge base indexed with ${passages.length} passages from ${documents.length} documents`
+    );
+    return passages.length;
+  }
+
+  /**
+   * Find the passages most related to a text
+   * @param {string} query - The text to search for (usually the latest customer turns)
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of passages (configured topK by default)
+   * @param {string} [options.phoneNumber] - Phone number of the conversation, recorded with the embedding usage
+   * @returns {Promise<Array<Object>>} Passages with their score, most related first
+   */
+  async search(query, options = {}) {
+    const { topK, embeddingWeight } = botConfig.knowledgeBase;
+    const { limit = topK, phoneNumber } = options;
+    const index = this.index;
+
+    if (!query || !query.trim() || index.passages.length === 0) {
+      return [];
+    }
+
+    let scores = this._scoreBm25(index, this._tokenize(query));
+
+    // Normalized BM25 scores are blended with the embedding similarity
+    if (index.embeddings) {
+      try {
+        const [embedding] = await semanticMemory.embed([query], phoneNumber);
+        const maxScore = Math.max(...scores);
+
+        scores = scores.map(
+          (score, i) =>
+            (1 - embeddingWeight) * (maxScore > 0 ? score / maxScore : 0) +
+            embeddingWeight *
+              Math.max(
+                semanticMemory.cosineSimilarity(embedding, index.embeddings[i]),
+                0
+              )
+        );
+      } catch (error) {
+        logger.warn(
+          `Failed to embed the knowledge base query, using BM25 only: ${error.message}`
+        );
+      }
+    }
+
+    return index.passages
+      .map((passage, i) => ({ ...passage, score: scores[i] }))
+      .filter((passage) => passage.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the number of indexed passages
+   * @returns {number} Number of passages
+   */
+  getPassageCount() {
+    return this.index.passages.length;
+  }
+
+  /**
+   * Split a document into passages of whole paragraphs under their headings
+   * @private
+   * @param {string} source - Filename of the document
+   * @param {string} content - Text content of the document
+   * @param {number} maxTokens - Maximum tokens of each passage
+   * @returns {Array<Object>} Passages with their source, heading and content
+   */
+  _splitDocument(source, content, maxTokens) {
+    const sections = [];
+    const headings = [];
+    let section = { heading: "", lines: [] };
+    // Level of the heading block the previous line belongs to (0 outside one)
+    let blockLevel = 0;
+
+    for (const line of (content || "").split(/\r?\n/)) {
+      const headingMatch = line.match(/^(#{1,6})\s*(.*)$/);
+
+      if (!headingMatch) {
+        section.lines.push(line);
+        blockLevel = 0;
+        continue;
+      }
+
+      const level = headingMatch[1].length;
+      const text = headingMatch[2].trim();
+
+      // Separator lines (e.g. "# -----") only frame the headings
+      if (!/[\p{L}\p{N}]/u.test(text)) {
+        continue;
+      }
+
+      // Further lines of a comment block belong to the section it opens
+      if (level === blockLevel) {
+        section.lines.push(text);
+        continue;
+      }
+
+      headings.splice(level - 1, headings.length, text);
+      sections.push(section);
+      section = {
+        heading: headings.filter(Boolean).join(HEADING_SEPARATOR),
+        lines: [],
+      };
+      blockLevel = level;
+    }
+    sections.push(section);
+
+    return sections
+      .flatMap((current) =>
+        this._splitSection(current, maxTokens).map((text) => ({
+          source,
+          heading: current.heading,
+          content: text,
+        }))
+      )
+      .map((passage, i) => ({ id: `${source}#${i}`, ...passage }));
+  }
+
+  /**
+   * Group the paragraphs of a section into passages within a token budget
+   * @private
+   * @param {Object} section - Section with its heading and lines
+   * @param {number} maxTokens - Maximum tokens of each passage
+   * @returns {Array<string>} The passages, in order
+   */
+  _splitSection(section, maxTokens) {
+    const paragraphs = section.lines
+      .join("\n")
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .flatMap((paragraph) =>
+        countTokens(paragraph) > maxTokens
+          ? splitIntoTokenChunks(paragraph, maxTokens)
+          : [paragraph]
+      );
+
+    const passages = [];
+    let current = "";
+
+    for (const paragraph of paragraphs) {
+      const merged = current ? `${current}\n\n${paragraph}` : paragraph;
+
+      if (current && countTokens(merged) > maxTokens) {
+        passages.push(current);
+        current = paragraph;
+      } else {
+        current = merged;
+      }
+    }
+
+    if (current) {
+      passages.push(current);
+    }
+
+    return passages;
+  }
+
+  /**
+   * Compute the BM25 statistics of passages
+   * @private
+   * @param {Array<Object>} passages - The passages to index
+   * @returns {Object} Index with the passages, their term frequencies and the document frequencies
+   */
+  _createIndex(passages) {
+    const termFrequencies = passages.map((passage) => {
+      const frequencies = new Map();
+      for (const term of this._tokenize(this._getPassageText(passage))) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      return frequencies;
+    });
+
+    const lengths = termFrequencies.map((frequencies) =>
+      [...frequencies.values()].reduce((sum, count) => sum + count, 0)
+    );
+
+    const documentFrequencies = new Map();
+    for (const frequencies of termFrequencies) {
+      for (const term of frequencies.keys()) {
+        documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+      }
+    }
+
+    return {
+      passages,
+      termFrequencies,
+      lengths,
+      averageLength:
+        lengths.reduce((sum, length) => sum + length, 0) /
+        (lengths.length || 1),
+      documentFrequencies,
+      embeddings: null,
+    };
+  }
+
+  /**
+   * Score every passage of an index against query terms with BM25
+   * @private
+   * @param {Object} index - The index to search
+   * @param {Array<string>} terms - The query terms
+   * @returns {Array<number>} Score of each passage, in index order
+   */
+  _scoreBm25(index, terms) {
+    const count = index.passages.length;
+    const uniqueTerms = [...new Set(terms)];
+
+    return index.termFrequencies.map((frequencies, i) =>
+      uniqueTerms.reduce((score, term) => {
+        const frequency = frequencies.get(term) || 0;
+        if (frequency === 0) {
+          return score;
+        }
+
+        const documentFrequency = index.documentFrequencies.get(term);
+        const idf = Math.log(
+          1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5)
+        );
+        const lengthNorm =
+          1 - BM25_B + (BM25_B * index.lengths[i]) / index.averageLength;
+
+        return (
+          score +
+          (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm)
+        );
+      }, 0)
+    );
+  }
+
+  /**
+   * Split a text into lowercase terms without accents or stopwords
+   * @private
+   * @param {string} text - The text to split
+   * @returns {Array<string>} The terms, in order
+   */
+  _tokenize(text) {
+    return (text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .split(/[^a-z0-9]+/)
+      .filter((term) => term.length > 2 && !STOPWORDS.has(term));
+  }
+
+  /**
+   * Get the text of a passage that is indexed, including its heading
+   * @private
+   * @param {Object} passage - The passage
+   * @returns {string} The heading and content of the passage
+   */
+  _getPassageText(passage) {
+    return passage.heading
+      ? `${passage.heading}\n${passage.content}`
+      : passage.content;
+  }
+}
+
+// Create and export singleton instance
+const knowledgeBase = new KnowledgeBase();
+
+module.exports = { knowledgeBase };
@@ -0,0 +1,1069 @@
+/**
+ * @fileoverview LLM Provider Registry for WhatsApp AI Sales Agent
+ *
+ * This module sends chat completions to the configured LLM providers (OpenAI,
+ * any OpenAI-compatible endpoint, Anthropic-style messages APIs and Ollama)
+ * through a single retry loop. Each tenant has a primary provider and an
+ * ordered list of fallbacks; a provider failing repeatedly, or rate limiting
+ * the requests, is skipped for a cooldown so the conversation continues on the
+ * next provider. Responses are normalized to the OpenAI message format
+ * ({ role, content, tool_calls }), and the tokens and latency of every
+ * completion are recorded by the usage tracker. Tenants over their monthly
+ * budget with the "downgrade" action are switched to the budget model of each
+ * provider.
+ */
+
+const OpenAI = require("openai");
+const axios = require("axios");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const tenantManager = require("./tenantManager");
+const {
+  USAGE_OPERATIONS,
+  BUDGET_ACTIONS,
+  usageTracker,
+} = require("./usageTracker");
+const { countTokens, countMessageTokens } = require("./tokenCounter");
+
+/**
+ * Supported provider types
+ * @enum {string}
+ */
+const PROVIDER_TYPES = {
+  OPENAI: "openai",
+  OPENAI_COMPATIBLE: "openai_compatible",
+  ANTHROPIC: "anthropic",
+  OLLAMA: "ollama",
+};
+
+/**
+ * API URL used when a provider doesn't configure one
+ * @type {Object.<string, string>}
+ */
+const DEFAULT_API_URLS = {
+  [PROVIDER_TYPES.ANTHROPIC]: "https://api.anthropic.com/v1",
+  [PROVIDER_TYPES.OLLAMA]: "http://localhost:11434",
+};
+
+/**
+ * Version header sent to Anthropic-style messages APIs
+ * @type {string}
+ */
+const ANTHROPIC_API_VERSION = "2023-06-01";
+
+/**
+ * Name of the tool forced on Anthropic-style APIs to get a JSON response
+ * without a schema name
+ * @type {string}
+ */
+const ANTHROPIC_JSON_TOOL_NAME = "json_response";
+
+/**
+ * Timeout for AI requests in milliseconds
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * LLM Provider Registry class for sending requests with failover
+ */
+class LlmProviderRegistry {
+  /**
+   * Create a new LlmProviderRegistry instance
+   */
+  constructor() {
+    // Health of each provider by tenant and provider ID (see _healthKey)
+    this.health = new Map();
+
+    // OpenAI clients by API key and base URL
+    this.openaiClients = new Map();
+
+    logger.info(
+      `LLM provider registry initialized with primary provider: ${botConfig.llm.primary}`
+    );
+  }
+
+  /**
+   * Get the providers available to a tenant configuration
+   * @param {Object} [config] - Configuration of the tenant (current tenant by default)
+   * @returns {Map<string, Object>} Providers by ID
+   */
+  getProviders(config = tenantManager.getConfig()) {
+    const providers = new Map();
+
+    // Built-in providers from the OpenAI configuration
+    providers.set("openai", {
+      id: "openai",
+      type: PROVIDER_TYPES.OPENAI,
+      apiUrl: config.openai.apiBaseUrl,
+      apiKey: config.openai.apiKey,
+      model: config.openai.model,
+      budgetModel: config.usage.budgetModel,
+      visionModel: config.vision.model,
+      supportsTools: config.openai.useTools,
+    });
+
+    if (
+      config.openai.localModelConfig &&
+      config.openai.localModelConfig.apiUrl
+    ) {
+      providers.set("local", {
+        id: "local",
+        type: PROVIDER_TYPES.OPENAI_COMPATIBLE,
+        ...config.openai.localModelConfig,
+        supportsTools: Boolean(config.openai.localModelConfig.supportsTools),
+      });
+    }
+
+    for (const provider of config.llm.providers) {
+      if (!Object.values(PROVIDER_TYPES).includes(provider.type)) {
+        logger.warn(
+          `Ignoring LLM provider ${provider.id} with unknown type: ${provider.type}`
+        );
+        continue;
+      }
+
+      providers.set(provider.id, {
+        ...provider,
+        apiUrl: provider.apiUrl || DEFAULT_API_URLS[provider.type],
+        supportsTools: Boolean(provider.supportsTools),
+      });
+    }
+
+    return providers;
+  }
+
+  /**
+   * Get the primary provider followed by the fallbacks of a tenant
+   * @param {Object} [config] - Configuration of the tenant (current tenant by default)
+   * @returns {Array<Object>} Providers in the order they are tried
+   */
+  getProviderChain(config = tenantManager.getConfig()) {
+    const providers = this.getProviders(config);
+    const chain = [];
+
+    for (const providerId of [config.llm.primary, ...config.llm.fallbacks]) {
+      if (!providers.has(providerId)) {
+        logger.warn(`Unknown LLM provider: ${providerId}`);
+        continue;
+      }
+
+      if (!chain.some((provider) => provider.id === providerId)) {
+        chain.push(providers.get(providerId));
+      }
+    }
+
+    if (chain.length === 0) {
+      throw new Error("No LLM provider configured");
+    }
+
+    return chain;
+  }
+
+  /**
+   * Get the provider tried first for a tenant
+   * @param {Object} [config] - Configuration of the tenant (current tenant by default)
+   * @returns {Object} The primary provider
+   */
+  getPrimaryProvider(config = tenantManager.getConfig()) {
+    return this.getProviderChain(config)[0];
+  }
+
+  /**
+   * Send a chat completion, falling back to the next provider on failure
+   * @param {Array<Object>} messages - The messages to send, in the OpenAI format
+   * @param {Object} [overrides] - Request parameters overriding the configured ones
+   * (a model only applies to the primary provider)
+   * @param {Object} [context] - What the completion is for, recorded with its usage
+   * @param {string} [context.phoneNumber] - Phone number of the conversation
+   * @param {string} [context.operation="chat"] - Kind of call (see USAGE_OPERATIONS)
+   * @param {boolean} [context.vision=false] - Whether the messages carry images, so only providers with a vision model are tried
+   * @returns {Promise<Object>} The response message in the OpenAI format
+   */
+  async complete(messages, overrides = {}, context = {}) {
+    const providerChain = this.getProviderChain();
+    const chain = providerChain.filter(
+      (provider) => !context.vision || provider.visionModel
+    );
+    if (chain.length === 0) {
+      throw new Error("No LLM provider with a vision model configured");
+    }
+
+    const available = chain.filter((provider) => this.isAvailable(provider.id));
+
+    // When every provider is cooling down, try them all instead of giving up
+    const candidates = available.length > 0 ? available : chain;
+    const downgrade = await this._isBudgetDowngradeActive();
+    const { model: requestedModel, ...requestOptions } = overrides;
+    let lastError = null;
+
+    for (const [index, provider] of candidates.entries()) {
+      const nextProvider = candidates[index + 1] || null;
+
+      // A model in the overrides belongs to the primary provider and still
+      // wins over its budget model; the fallbacks keep their own models
+      const model =
+        (provider.id === providerChain[0].id && requestedModel) ||
+        (downgrade && provider.budgetModel
+          ? provider.budgetModel
+          : context.vision
+          ? provider.visionModel
+          : null);
+      const requestOverrides = model
+        ? { ...requestOptions, model }
+        : requestOptions;
+
+      try {
+        const startedAt = Date.now();
+        const { message, usage } = await this._requestWithRetries(
+          provider,
+          messages,
+          requestOverrides,
+          Boolean(nextProvider)
+        );
+
+        this._recordSuccess(provider.id);
+        // Recorded in the background, so the budget check doesn't delay the reply
+        usageTracker
+          .recordUsage({
+            operation: context.operation || USAGE_OPERATIONS.CHAT,
+            provider: provider.id,
+            model: requestOverrides.model || provider.model,
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            latencyMs: Date.now() - startedAt,
+            phoneNumber: context.phoneNumber,
+          })
+          .catch((error) => logger.error("Failed to record AI usage:", error));
+
+        return message;
+      } catch (error) {
+        lastError = error;
+
+        // Rejected requests say nothing about the health of the provider
+        if (!this._isBadRequestError(error)) {
+          this._recordFailure(provider.id, error);
+        }
+
+        if (nextProvider) {
+          logger.warn(
+            `LLM provider ${provider.id} failed, falling back to ${nextProvider.id}: ${error.message}`
+          );
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Check whether a provider is outside its cooldown for the current tenant
+   * @param {string} providerId - The provider ID
+   * @returns {boolean} Whether requests may be sent to the provider
+   */
+  isAvailable(providerId) {
+    const health = this.health.get(this._healthKey(providerId));
+    return (
+      !health || !health.cooldownUntil || health.cooldownUntil <= Date.now()
+    );
+  }
+
+  /**
+   * Get the health of the providers of a tenant
+   * @param {Object} [config] - Configuration of the tenant (current tenant by default)
+   * @returns {Array<Object>} Health of each provider, in the order they are tried
+   */
+  getHealth(config = tenantManager.getConfig()) {
+    return this.getProviderChain(config).map((provider) => {
+      const health = this.health.get(this._healthKey(provider.id)) || {};
+
+      return {
+        providerId: provider.id,
+        type: provider.type,
+        model: provider.model,
+        available: this.isAvailable(provider.id),
+        consecutiveFailures: health.consecutiveFailures || 0,
+        cooldownUntil:
+          health.cooldownUntil && health.cooldownUntil > Date.now()
+            ? new Date(health.cooldownUntil).toISOString()
+            : null,
+        lastError: health.lastError || null,
+        lastFailureAt: health.lastFailureAt
+          ? new Date(health.lastFailureAt).toISOString()
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Get an OpenAI client, reusing the one created for the same API key
+   * @param {string} [apiKey] - The API key (current tenant key by default)
+   * @param {string} [apiUrl] - The API base URL
+   * @returns {OpenAI} OpenAI client retrying failed requests with its own backoff
+   * (except chat completions, see _sendToOpenAI)
+   */
+  getOpenAIClient(
+    apiKey = tenantManager.getConfig().openai.apiKey,
+    apiUrl = botConfig.openai.apiBaseUrl
+  ) {
+    const clientKey = `${apiUrl}|${apiKey}`;
+
+    if (!this.openaiClients.has(clientKey)) {
+      this.openaiClients.set(
+        clientKey,
+        new OpenAI({
+          apiKey,
+          baseURL: apiUrl,
+          timeout: REQUEST_TIMEOUT_MS,
+          maxRetries: botConfig.openai.retryConfig.maxRetries,
+        })
+      );
+    }
+
+    return this.openaiClients.get(clientKey);
+  }
+
+  /**
+   * Send a request to a provider, retrying transient errors
+   * @private
+   * @param {Object} provider - The provider
+   * @param {Array<Object>} messages - The messages to send
+   * @param {Object} overrides - Request parameters overriding the configured ones
+   * @param {boolean} hasFallback - Whether another provider can take the request
+   * @returns {Promise<Object>} The response message and its token usage
+   */
+  async _requestWithRetries(provider, messages, overrides, hasFallback) {
+    const { retryConfig } = tenantManager.getConfig().openai;
+    const { maxRetries } = retryConfig;
+    let delay = retryConfig.initialDelayMs;
+    let attempts = 0;
+
+    while (true) {
+      try {
+        logger.debug(
+          `Sending request to LLM provider ${provider.id} (attempt ${
+            attempts + 1
+          }/${maxRetries + 1})`
+        );
+
+        return await this._send(provider, messages, overrides);
+      } catch (error) {
+        attempts++;
+
+        // A rate limited provider is left for the fallback instead of waiting
+        const shouldRetry =
+          attempts <= maxRetries &&
+          this._isRetryableError(error) &&
+          !(hasFallback && this._isRateLimitError(error));
+
+        if (!shouldRetry) {
+          logger.error(
+            `LLM provider ${provider.id} request failed after ${attempts} attempts:`,
+            error
+          );
+          throw error;
+        }
+
+        logger.warn(
+          `LLM provider ${provider.id} request failed (attempt ${attempts}/${
+            maxRetries + 1
+          }), retrying in ${delay}ms: ${error.message}`
+        );
+
+        // Wait before retrying
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        // Exponential backoff with jitter
+        delay = Math.min(
+          delay * 2 * (0.8 + 0.4 * Math.random()),
+          retryConfig.maxDelayMs
+        );
+      }
+    }
+  }
+
+  /**
+   * Send a single request to a provider
+   * @private
+   * @param {Object} provider - The provider
+   * @param {Array<Object>} messages - The messages to send
+   * @param {Object} overrides - Request parameters overriding the configured ones
+   * @returns {Promise<Object>} The response message and its token usage
+   */
+  async _send(provider, messages, overrides) {
+    const { openai } = tenantManager.getConfig();
+    const request = {
+      model: provider.model,
+      messages,
+      temperature: openai.temperature,
+      max_tokens: openai.maxTokens,
+      top_p: openai.topP,
+      presence_penalty: openai.presencePenalty,
+      frequency_penalty: openai.frequencyPenalty,
+      ...overrides,
+    };
+
+    // Tool definitions and tool turns are only sent to providers accepting them
+    if (!provider.supportsTools) {
+      delete request.tools;
+      delete request.tool_choice;
+      request.messages = this._withoutToolTurns(request.messages);
+    }
+
+    let response;
+    switch (provider.type) {
+      case PROVIDER_TYPES.OPENAI:
+        response = await this._sendToOpenAI(provider, request);
+        break;
+      case PROVIDER_TYPES.OPENAI_COMPATIBLE:
+        response = await this._sendToOpenAICompatible(provider, request);
+        break;
+      case PROVIDER_TYPES.ANTHROPIC:
+        response = await this._sendToAnthropic(provider, request);
+        break;
+      case PROVIDER_TYPES.OLLAMA:
+        response = await this._sendToOllama(provider, request);
+        break;
+      default:
+        throw new Error(`Unsupported LLM provider type: ${provider.type}`);
+    }
+
+    // Providers not reporting usage are counted with the tokenizer
+    return {
+      message: response.message,
+      usage: response.usage || {
+        promptTokens: countMessageTokens(request.messages, request.model),
+        completionTokens: countTokens(
+          response.message.content || "",
+          request.model
+        ),
+      },
+    };
+  }
+
+  /**
+   * Remove the tool calls and tool results from the messages of a request
+   * @private
+   * @param {Array<Object>} messages - The messages in the OpenAI format
+   * @returns {Array<Object>} The messages without tool turns
+   */
+  _withoutToolTurns(messages) {
+    return messages.flatMap((message) => {
+      if (message.role === "tool") {
+        return [];
+      }
+
+      if (!message.tool_calls) {
+        return [message];
+      }
+
+      // Assistant turns that only called tools are left out entirely
+      if (!message.content) {
+        return [];
+      }
+
+      const withoutCalls = { ...message };
+      delete withoutCalls.tool_calls;
+      return [withoutCalls];
+    });
+  }
+
+  /**
+   * Send a request to the OpenAI API
+   * @private
+   * @param {Object} provider - The provider
+   * @param {Object} request - The chat completion request
+   * @returns {Promise<Object>} The response message and its token usage
+   */
+  async _sendToOpenAI(provider, request) {
+    // Retries are left to _requestWithRetries, which hands rate limits to the fallback
+    const completion = await this.getOpenAIClient(
+      provider.apiKey,
+      provider.apiUrl
+    ).chat.completions.create(request, { maxRetries: 0 });
+
+    if (!completion || !completion.choices || !completion.choices[0]) {
+      throw new Error(`Invalid response from LLM provider ${provider.id}`);
+    }
+
+    return {
+      message: completion.choices[0].message,
+      usage: this._parseOpenAIUsage(completion.usage),
+    };
+  }
+
+  /**
+   * Send a request to an OpenAI-compatible chat completions endpoint
+   * @private
+   * @param {Object} provider - The provider
+   * @param {Object} request - The chat completion request
+   * @returns {Promise<Object>} The response message and its token usage
+   */
+  async _sendToOpenAICompatible(provider, request) {
+    const response = await axios.post(
+      `${provider.apiUrl}/chat/completions`,
+      request,
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${provider.apiKey}`,
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+      }
+    );
+
+    if (
+      !response ||
+      !response.data ||
+      !response.data.choices ||
+      !response.data.choices[0]
+    ) {
+      throw new Error(`Invalid response from LLM provider ${provider.id}`);
+    }
+
+    return {
+      message: response.data.choices[0].message,
+      usage: this._parseOpenAIUsage(response.data.usage),
+    };
+  }
+
+  /**
+   * Send a request to an Anthropic-style messages API
+   * @private
+   * @param {Object} provider - The provider
+   * @param {Object} request - The chat completion request
+   * @returns {Promise<Object>} The response message and its token usage
+   */
+  async _sendToAnthropic(provider, request) {
+    const body = {
+      model: request.model,
+      max_tokens: request.max_tokens,
+      temperature: request.temperature,
+      system: request.messages
+        .filter((m) => m.role === "system")
+        .map((m) => m.content)
+        .join("\n\n"),
+      messages: [],
+    };
+
+    for (const message of request.messages) {
+      if (message.role === "system") {
+        continue;
+      }
+
+      let converted;
+      if (message.role === "tool") {
+        converted = {
+          role: "user",
+          content: [
+            {
+              type: "tool_result",
+              tool_use_id: message.tool_call_id,
+              content: message.content,
+            },
+          ],
+        };
+      } else if (message.tool_calls && message.tool_calls.length > 0) {
+        converted = {
+          role: "assistant",
+          content: [
+            ...(message.content
+              ? [{ type: "text", text: message.content }]
+              : []),
+            ...message.tool_calls.map((toolCall) => ({
+              type: "tool_use",
+              id: toolCall.id,
+              name: toolCall.function.name,
+              input: JSON.parse(toolCall.function.arguments || "{}"),
+            })),
+          ],
+        };
+      } else {
+        converted = {
+          role: message.role,
+          content: this._toAnthropicContent(message.content),
+        };
+      }
+
+      // Results of the same tool calls go together in one user turn
+      const previous = body.messages[body.messages.length - 1];
+      if (
+        message.role === "tool" &&
+        previous &&
+        previous.role === "user" &&
+        Array.isArray(previous.content)
+      ) {
+        previous.content.push(...converted.content);
+      } else {
+        body.messages.push(converted);
+      }
+    }
+
+    // JSON responses are the input of a tool the model is forced to call
+    const jsonFormat = this._toAnthropicJsonTool(request.response_format);
+
+    if (jsonFormat) {
+      body.tools = [jsonFormat];
+      body.tool_choice = { type: "tool", name: jsonFormat.name };
+    } else if (request.tools && request.tools.length > 0) {
+      body.tools = request.tools.map((tool) => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters,
+      }));
+      body.tool_choice = {
+        type: request.tool_choice === "none" ? "none" : "auto",
+      };
+    }
+
+    const response = await axios.post(`${provider.apiUrl}/messages`, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": provider.apiKey,
+        "anthropic-version": ANTHROPIC_API_VERSION,
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    if (!response || !response.data || !Array.isArray(response.data.content)) {
+      throw new Error(`Invalid response from LLM provider ${provider.id}`);
+    }
+
+    const blocks = response.data.content;
+    const { usage } = response.data;
+    const parsedUsage = usage
+      ? {
+          promptTokens: usage.input_tokens || 0,
+          completionTokens: usage.output_tokens || 0,
+        }
+      : null;
+
+    if (jsonFormat) {
+      const jsonBlock = blocks.find(
+        (block) => block.type === "tool_use" && block.name === jsonFormat.name
+      );
+      if (!jsonBlock) {
+        throw new Error(
+          `LLM provider ${provider.id} returned no JSON response`
+        );
+      }
+
+      return {
+        message: {
+          role: "assistant",
+          content: JSON.stringify(jsonBlock.input),
+        },
+        usage: parsedUsage,
+      };
+    }
+
+    const toolCalls = blocks
+      .filter((block) => block.type === "tool_use")
+      .map((block) => ({
+        id: block.id,
+        type: "function",
+        function: { name: block.name, arguments: JSON.stringify(block.input) },
+      }));
+
+    return {
+      message: {
+        role: "assistant",
+        content:
+          blocks
+            .filter((block) => block.type === "text")
+            .map((block) => block.text)
+            .join("") || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      },
+      usage: parsedUsage,
+    };
+  }
+
+  /**
+   * Convert the content of an OpenAI message to the Anthropic format
+   * Text and image parts are converted; plain strings are kept as they are.
+   * @private
+   * @param {string|Array<Object>|null} content - The OpenAI message content
+   * @returns {string|Array<Object>} The Anthropic message content
+   */
+  _toAnthropicContent(content) {
+    if (!Array.isArray(content)) {
+      return content || "";
+    }
+
+    return content.map((part) => {
+      if (part.type === "text") {
+        return { type: "text", text: part.text };
+      }
+
+      if (part.type === "image_url") {
+        const url = part.image_url.url;
+        const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+
+        return {
+          type: "image",
+          source: dataUrl
+            ? { type: "base64", media_type: dataUrl[1], data: dataUrl[2] }
+            : { type: "url", url },
+        };
+      }
+
+      throw new Error(
+        `Unsupported message content for Anthropic-style APIs: ${part.type}`
+      );
+    });
+  }
+
+  /**
+   * Build the tool forced on Anthropic-style APIs for a JSON response format
+   * @private
+   * @param {Object} [responseFormat] - The OpenAI response_format of the request
+   * @returns {Object|null} The tool, or null if no JSON response is requested
+   */
+  _toAnthropicJsonTool(responseFormat) {
+    if (!responseFormat || responseFormat.type === "text") {
+      return null;
+    }
+
+    if (responseFormat.type === "json_schema") {
+      const { name, description, schema } = responseFormat.json_schema;
+      return {
+        name: name || ANTHROPIC_JSON_TOOL_NAME,
+        description: description || "Responde no formato JSON pedido.",
+        input_schema: schema,
+      };
+    }
+
+    return {
+      name: ANTHROPIC_JSON_TOOL_NAME,
+      description: "Responde em JSON.",
+      input_schema: { type: "object" },
+    };
+  }
+
+  /**
+   * Send a request to the Ollama chat API
+   * @private
+   * @param {Object} provider - The provider
+   * @param {Object} request - The chat completion request
+   * @returns {Promise<Object>} The response message and its token usage
+   */
+  async _sendToOllama(provider, request) {
+    const body = {
+      model: request.model,
+      // Ollama takes tool call arguments as objects
+      messages: request.messages.map((message) =>
+        message.tool_calls
+          ? {
+              ...message,
+              tool_calls: message.tool_calls.map((toolCall) => ({
+                function: {
+                  name: toolCall.function.name,
+                  arguments: JSON.parse(toolCall.function.arguments || "{}"),
+                },
+              })),
+            }
+          : message
+      ),
+      stream: false,
+      options: {
+        temperature: request.temperature,
+        top_p: request.top_p,
+        num_predict: request.max_tokens,
+        presence_penalty: request.presence_penalty,
+        frequency_penalty: request.frequency_penalty,
+      },
+    };
+
+    // Ollama has no tool_choice, so tools are left out when they can't be called
+    if (request.tools && request.tool_choice !== "none") {
+      body.tools = request.tools;
+    }
+
+    if (request.response_format) {
+      body.format =
+        request.response_format.type === "json_schema"
+          ? request.response_format.json_schema.schema
+          : "json";
+    }
+
+    const response = await axios.post(`${provider.apiUrl}/api/chat`, body, {
+      headers: { "Content-Type": "application/json" },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+
+    if (!response || !response.data || !response.data.message) {
+      throw new Error(`Invalid response from LLM provider ${provider.id}`);
+    }
+
+    const { content, tool_calls: toolCalls } = response.data.message;
+    const { prompt_eval_count: promptTokens, eval_count: completionTokens } =
+      response.data;
+
+    return {
+      message: {
+        role: "assistant",
+        content: content || null,
+        ...(toolCalls && toolCalls.length > 0
+          ? {
+              tool_calls: toolCalls.map((toolCall, index) => ({
+                id: `call_${Date.now()}_${index}`,
+                type: "function",
+                function: {
+                  name: toolCall.function.name,
+                  arguments: JSON.stringify(toolCall.function.arguments || {}),
+                },
+              })),
+            }
+          : {}),
+      },
+      usage:
+        promptTokens !== undefined || completionTokens !== undefined
+          ? {
+              promptTokens: promptTokens || 0,
+              completionTokens: completionTokens || 0,
+            }
+          : null,
+    };
+  }
+
+  /**
+   * Convert the usage block of an OpenAI-style response
+   * @private
+   * @param {Object} [usage] - The usage block of the response
+   * @returns {Object|null} Prompt and completion tokens, if reported
+   */
+  _parseOpenAIUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+    };
+  }
+
+  /**
+   * Check whether the current tenant must use the budget models
+   * @private
+   * @returns {Promise<boolean>} Whether the monthly budget was exceeded with the "downgrade" action
+   */
+  async _isBudgetDowngradeActive() {
+    try {
+      const budget = await usageTracker.getBudgetStatus();
+      return budget.exceeded && budget.action === BUDGET_ACTIONS.DOWNGRADE;
+    } catch (error) {
+      // Failing to check the budget never blocks the conversation
+      logger.error("Failed to check the AI budget:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the key of the health of a provider for the current tenant
+   * Tenants have their own API keys and limits (and a rejected key only concerns its tenant),
+   * so a provider failing for one tenant stays available to the others.
+   * @private
+   * @param {string} providerId - The provider ID
+   * @returns {string} The health key
+   */
+  _healthKey(providerId) {
+    return `${tenantManager.getCurrentTenantId()}:${providerId}`;
+  }
+
+  /**
+   * Reset the health of a provider after a successful request
+   * @private
+   * @param {string} providerId - The provider ID
+   */
+  _recordSuccess(providerId) {
+    const health = this.health.get(this._healthKey(providerId));
+
+    if (health && (health.consecutiveFailures > 0 || health.cooldownUntil)) {
+      logger.info(`LLM provider ${providerId} recovered`);
+      health.consecutiveFailures = 0;
+      health.cooldownUntil = null;
+    }
+  }
+
+  /**
+   * Record a failed request, starting the cooldown of the provider when needed
+   * @private
+   * @param {string} providerId - The provider ID
+   * @param {Error} error - The request error
+   */
+  _recordFailure(providerId, error) {
+    const { failureThreshold, cooldownMs } =
+      tenantManager.getConfig().llm.health;
+    const healthKey = this._healthKey(providerId);
+    const health = this.health.get(healthKey) || {
+      consecutiveFailures: 0,
+      cooldownUntil: null,
+    };
+
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = Date.now();
+    this.health.set(healthKey, health);
+
+    // Rate limiting skips the provider right away, for as long as it asks
+    const rateLimited = this._isRateLimitError(error);
+    if (rateLimited || health.consecutiveFailures >= failureThreshold) {
+      const duration =
+        (rateLimited && this._getRetryAfterMs(error)) || cooldownMs;
+      health.cooldownUntil = Date.now() + duration;
+
+      logger.warn(
+        `LLM provider ${providerId} skipped for tenant ${tenantManager.getCurrentTenantId()} for ${Math.round(
+          duration / 1000
+        )}s after ${health.consecutiveFailures} consecutive failures${
+          rateLimited ? " (rate limited)" : ""
+        }`
+      );
+    }
+  }
+
+  /**
+   * Get the HTTP status of an error returned by a provider
+   * @private
+   * @param {Error} error - The error to check
+   * @returns {number|undefined} HTTP status, if the provider responded
+   */
+  _getErrorStatus(error) {
+    if (error instanceof OpenAI.APIError) {
+      return error.status;
+    }
+
+    return error.response ? error.response.status : undefined;
+  }
+
+  /**
+   * Check if an error is a rate limiting response
+   * @private
+   * @param {Error} error - The error to check
+   * @returns {boolean} Whether the provider is rate limiting the requests
+   */
+  _isRateLimitError(error) {
+    return this._getErrorStatus(error) === 429;
+  }
+
+  /**
+   * Check if an error is the provider rejecting the request itself
+   * @private
+   * @param {Error} error - The error to check
+   * @returns {boolean} Whether the request was invalid
+   */
+  _isBadRequestError(error) {
+    const status = this._getErrorStatus(error);
+    return status === 400 || status === 422;
+  }
+
+  /**
+   * Get the delay requested by the Retry-After header of an error response
+   * @private
+   * @param {Error} error - The error to check
+   * @returns {number|null} Delay in milliseconds, if any
+   */
+  _getRetryAfterMs(error) {
+    const headers =
+      (error instanceof OpenAI.APIError
+        ? error.headers
+        : error.response && error.response.headers) || {};
+    const seconds = parseInt(headers["retry-after"], 10);
+
+    return Number.isNaN(seconds) || seconds <= 0 ? null : seconds * 1000;
+  }
+
+  /**
+   * Check if an error is retryable
+   * @private
+   * @param {Error} error - The error to check
+   * @returns {boolean} Whether the error is retryable
+   */
+  _isRetryableError(error) {
+    // Requests cancelled on purpose are never retried
+    if (error instanceof OpenAI.APIUserAbortError) {
+      return false;
+    }
+
+    // Connection errors and timeouts of the OpenAI client
+    if (error instanceof OpenAI.APIConnectionError) {
+      return true;
+    }
+
+    // HTTP errors of the OpenAI client
+    if (error instanceof OpenAI.APIError) {
+      // Rate limiting (429) and server errors (5xx)
+      if (error instanceof OpenAI.RateLimitError || error.status >= 500) {
+        return true;
+      }
+
+      // Don't retry bad requests, unauthorized or forbidden requests
+      return !(
+        error instanceof OpenAI.BadRequestError ||
+        error instanceof OpenAI.AuthenticationError ||
+        error instanceof OpenAI.PermissionDeniedError ||
+        error instanceof OpenAI.UnprocessableEntityError
+      );
+    }
+
+    // Network errors are retryable
+    if (axios.isAxiosError(error)) {
+      // Timeout errors
+      if (error.code === "ECONNABORTED") {
+        return true;
+      }
+
+      // No response or server errors (5xx)
+      if (
+        !error.response ||
+        (error.response.status >= 500 && error.response.status < 600)
+      ) {
+        return true;
+      }
+
+      // Rate limiting errors
+      if (error.response && error.response.status === 429) {
+        return true;
+      }
+
+      // Other non-retryable client errors
+      if (
+        error.response &&
+        error.response.status >= 400 &&
+        error.response.status < 500
+      ) {
+        // Don't retry bad requests or unauthorized
+        if (error.response.status === 400 || error.response.status === 401) {
+          return false;
+        }
+
+        // Other 4xx errors might be retryable
+        return true;
+      }
+    }
+
+    // Some provider specific errors
+    if (
+      error.message &&
+      (error.message.includes("timeout") ||
+        error.message.includes("rate limit") ||
+        error.message.includes("overloaded") ||
+        error.message.includes("internal error") ||
+        error.message.includes("service unavailable"))
+    ) {
+      return true;
+    }
+
+    return false;
+  }
+}
+
+// Create and export singleton instance
+const llmProviders = new LlmProviderRegistry();
+
+module.exports = {
+  PROVIDER_TYPES,
+  llmProviders,
+};
@@ -6,9 +6,11 @@
  * and retrieving data across different storage backends.
  */
 
-const { prisma } = require("./db");
+const { prisma, Prisma } = require("./db");
 const logger = require("./logger");
 const botConfig = require("./botConfig");
+const tenantManager = require("./tenantManager");
+const { toWhatsAppChatId } = require("./utils");
 
 /**
  * Default memory retention period in days
@@ -16,6 +18,33 @@ const botConfig = require("./botConfig");
  */
 const DEFAULT_RETENTION_DAYS = 90;
 
+/**
+ * Number of latest messages of a conversation kept in cache
+ * @type {number}
+ */
+const MESSAGE_CACHE_SIZE = 100;
+
+/**
+ * Default number of records kept in a memory log
+ * @type {number}
+ */
+const DEFAULT_MEMORY_LOG_SIZE = 50;
+
+/**
+ * Memory types of a conversation (MemoryType enum of the schema), each stored
+ * in a single memory entry row
+ * @enum {string}
+ */
+const MEMORY_TYPES = {
+  // Rolling summary of the older messages
+  SUMMARY: "SUMMARY",
+  // Lead profile extracted from the messages
+  ENTITIES: "ENTITIES",
+  SEMANTIC: "SEMANTIC",
+  // Key/value entries (funnel state, sales actions, notes) by type and key
+  NOTE: "NOTE",
+};
+
 /**
  * Memory Manager class for handling data storage and retrieval
  */
@@ -28,12 +57,16 @@ class MemoryManager {
     this.cache = {
       messages: new Map(),
       memoryEntries: new Map(),
+      conversationIds: new Map(),
       lastAccess: new Map(),
     };
 
     // Cache TTL in milliseconds (30 minutes)
     this.cacheTTL = 30 * 60 * 1000;
 
+    // Pending writes by memory entry row
+    this.memoryWrites = new Map();
+
     // Initialize memory cleanup interval
     this.initializeCleanupTask();
 
@@ -46,10 +79,10 @@ class MemoryManager {
    */
   initializeCleanupTask() {
     // Run cache cleanup every hour
-    setInterval(() => this.cleanupCache(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupCache(), 60 * 60 * 1000).unref();
 
     // Run database cleanup every day
-    setInterval(() => this.cleanupOldData(), 24 * 60 * 60 * 1000);
+    setInterval(() => this.cleanupOldData(), 24 * 60 * 60 * 1000).unref();
 
     logger.debug("Memory cleanup tasks initialized");
   }
@@ -73,6 +106,9 @@ class MemoryManager {
         }
       }
 
+      // Conversation IDs are looked up again when next used
+      this.cache.conversationIds.clear();
+
       logger.debug(
         `Cache cleanup completed. Removed ${expiredCount} expired entries.`
       );
@@ -108,15 +144,13 @@ class MemoryManager {
         },
       });
 
-      // Delete old memory entries
+      // Summaries, lead profiles and notes keep the context of long sales cycles
       const deletedEntries = await prisma.memoryEntry.deleteMany({
         where: {
-          createdAt: {
+          lastUpdated: {
             lt: cutoffDate,
           },
-          type: {
-            notIn: ["contact_info", "purchase_history", "important_note"],
-          },
+          type: MEMORY_TYPES.SEMANTIC,
         },
       });
 
@@ -134,9 +168,16 @@ class MemoryManager {
    * @param {string} role - The role of the message sender ('user', 'assistant', 'system')
    * @param {string} content - The content of the message
    * @param {Object} metadata - Additional metadata about the message
+   * @param {Date|string|number} [timestamp] - When the message was sent (defaults to now)
    * @returns {Promise<Object>} The created message
    */
-  async addMessage(phoneNumber, role, content, metadata = {}) {
+  async addMessage(
+    phoneNumber,
+    role,
+    content,
+    metadata = {},
+    timestamp = new Date()
+  ) {
     try {
       logger.debug(`Adding message for ${phoneNumber} with role ${role}`);
 
@@ -152,18 +193,26 @@ class MemoryManager {
         );
       }
 
+      // The conversation keeps the time of its last message for listings
+      const { id: conversationId } = await this.ensureConversation(
+        phoneNumber,
+        { lastInteractionTimestamp: timestamp }
+      );
+
       // Create message in database
-      const message = await prisma.message.create({
+      const record = await prisma.message.create({
         data: {
-          conversationId: phoneNumber,
-          role,
+          convId: conversationId,
+          role: role.toUpperCase(),
           content,
-          metadata: metadata || {},
+          timestamp: new Date(timestamp),
+          ...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {}),
         },
       });
+      const message = this._formatMessage(record);
 
       // Update cache
-      this._updateMessageCache(phoneNumber, message);
+      this._updateMessageCache(conversationId, message);
 
       return message;
     } catch (error) {
@@ -190,63 +239,46 @@ class MemoryManager {
         options
       );
 
-      // Try to get from cache first
-      const cachedMessages = this.cache.messages.get(phoneNumber);
-      if (cachedMessages) {
-        // Update last access time
-        this.cache.lastAccess.set(phoneNumber, Date.now());
-
-        // Apply filters to cached messages
-        let filteredMessages = [...cachedMessages];
-
-        if (role) {
-          filteredMessages = filteredMessages.filter((m) => m.role === role);
-        }
+      const conversationId = await this._getConversationId(phoneNumber);
+      if (!conversationId) {
+        return [];
+      }
 
-        if (!includeSystem) {
-          filteredMessages = filteredMessages.filter(
-            (m) => m.role !== "system"
-          );
-        }
+      // Try to get from cache first
+      let messages = this.cache.messages.get(conversationId);
+      if (!messages || limit > MESSAGE_CACHE_SIZE) {
+        // Query the latest messages, oldest first
+        const records = await prisma.message.findMany({
+          where: { convId: conversationId },
+          orderBy: [{ timestamp: "desc" }, { createdAt: "desc" }],
+          take: Math.max(limit, MESSAGE_CACHE_SIZE),
+        });
+        messages = records
+          .reverse()
+          .map((record) => this._formatMessage(record));
 
-        // Apply limit and sort
-        filteredMessages.sort(
-          (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+        // Update cache
+        this.cache.messages.set(
+          conversationId,
+          messages.slice(-MESSAGE_CACHE_SIZE)
         );
-
-        if (filteredMessages.length > limit) {
-          filteredMessages = filteredMessages.slice(-limit);
-        }
-
-        return filteredMessages;
       }
 
-      // Prepare query
-      const whereClause = {
-        conversationId: phoneNumber,
-      };
+      // Update last access time
+      this.cache.lastAccess.set(conversationId, Date.now());
+
+      // Apply filters and limit
+      let filteredMessages = messages;
 
       if (role) {
-        whereClause.role = role;
+        filteredMessages = filteredMessages.filter((m) => m.role === role);
       }
 
       if (!includeSystem) {
-        whereClause.role = { not: "system" };
+        filteredMessages = filteredMessages.filter((m) => m.role !== "system");
       }
 
-      // Query database
-      const messages = await prisma.message.findMany({
-        where: whereClause,
-        orderBy: {
-          createdAt: "asc",
-        },
-        take: limit,
-      });
-
-      // Update cache
-      this._setMessagesCache(phoneNumber, messages);
-
-      return messages;
+      return filteredMessages.slice(-limit);
     } catch (error) {
       logger.error(`Failed to get messages for ${phoneNumber}:`, error);
       return [];
@@ -255,11 +287,12 @@ class MemoryManager {
 
   /**
    * Save a memory entry
+   * Entries are kept in the NOTE memory of the conversation, keyed by type and key.
    * @param {string} phoneNumber - The phone number identifier
    * @param {string} key - The key for the memory entry
    * @param {string|Object} value - The value to store
    * @param {string} type - The type of memory entry
-   * @returns {Promise<Object>} The created memory entry
+   * @returns {Promise<Object>} The saved memory entry
    */
   async saveMemoryEntry(phoneNumber, key, value, type = "general") {
     try {
@@ -270,41 +303,30 @@ class MemoryManager {
         throw new Error("Missing required fields: phoneNumber, key");
       }
 
-      // Convert value to JSON if it's an object
-      const serializedValue =
-        typeof value === "object" ? JSON.stringify(value) : String(value);
-
-      // Check if entry already exists
-      const existingEntry = await prisma.memoryEntry.findFirst({
-        where: {
-          conversationId: phoneNumber,
-          key,
-          type,
-        },
+      const conversationId = await this._getConversationId(phoneNumber, {
+        create: true,
       });
-
+      const entryKey = `${type}:${key}`;
+      const now = new Date().toISOString();
       let entry;
 
-      if (existingEntry) {
-        // Update existing entry
-        entry = await prisma.memoryEntry.update({
-          where: { id: existingEntry.id },
-          data: { value: serializedValue },
-        });
-      } else {
-        // Create new entry
-        entry = await prisma.memoryEntry.create({
-          data: {
-            conversationId: phoneNumber,
+      await this._updateMemoryContent(
+        conversationId,
+        MEMORY_TYPES.NOTE,
+        (entries) => {
+          const existingEntry = entries && entries[entryKey];
+          entry = {
             key,
-            value: serializedValue,
             type,
-          },
-        });
-      }
-
-      // Update cache
-      this._updateMemoryEntryCache(phoneNumber, entry);
+            // Stored as JSON, so dates and other objects are read back as plain values
+            value:
+              value === undefined ? null : JSON.parse(JSON.stringify(value)),
+            createdAt: existingEntry ? existingEntry.createdAt : now,
+            updatedAt: now,
+          };
+          return { ...entries, [entryKey]: entry };
+        }
+      );
 
       return entry;
     } catch (error) {
@@ -314,56 +336,97 @@ class MemoryManager {
   }
 
   /**
-   * Get a specific memory entry
+   * Append a record to a memory log
+   * A log is a single memory entry holding its latest records, newest first,
+   * so recording events doesn't add an entry per event.
    * @param {string} phoneNumber - The phone number identifier
-   * @param {string} key - The key for the memory entry
+   * @param {string} key - The key of the log
+   * @param {Object} record - The record to append
    * @param {string} type - The type of memory entry
-   * @returns {Promise<Object|null>} The memory entry or null if not found
+   * @param {number} [limit] - Maximum number of records kept
+   * @returns {Promise<Array<Object>>} The records of the log, newest first
    */
-  async getMemoryEntry(phoneNumber, key, type = "general") {
+  async appendMemoryLog(
+    phoneNumber,
+    key,
+    record,
+    type = "general",
+    limit = DEFAULT_MEMORY_LOG_SIZE
+  ) {
     try {
-      logger.debug(`Getting memory entry for ${phoneNumber}: ${key} (${type})`);
-
-      // Try to get from cache first
-      const cacheKey = `${phoneNumber}:${type}:${key}`;
-      const cachedEntries = this.cache.memoryEntries.get(phoneNumber);
+      logger.debug(
+        `Appending to memory log for ${phoneNumber}: ${key} (${type})`
+      );
 
-      if (cachedEntries) {
-        // Update last access time
-        this.cache.lastAccess.set(phoneNumber, Date.now());
+      const conversationId = await this._getConversationId(phoneNumber, {
+        create: true,
+      });
+      const entryKey = `${type}:${key}`;
+      const now = new Date().toISOString();
+      let entry;
 
-        // Find matching entry
-        const cachedEntry = cachedEntries.find(
-          (e) => e.key === key && e.type === type
-        );
-        if (cachedEntry) {
-          return this._deserializeMemoryEntry(cachedEntry);
+      await this._updateMemoryContent(
+        conversationId,
+        MEMORY_TYPES.NOTE,
+        (entries) => {
+          const existingEntry = entries && entries[entryKey];
+          const records = Array.isArray(existingEntry && existingEntry.value)
+            ? existingEntry.value
+            : [];
+          entry = {
+            key,
+            type,
+            value: [JSON.parse(JSON.stringify(record)), ...records].slice(
+              0,
+              limit
+            ),
+            createdAt: existingEntry ? existingEntry.createdAt : now,
+            updatedAt: now,
+          };
+          return { ...entries, [entryKey]: entry };
         }
-      }
-
-      // Query database
-      const entry = await prisma.memoryEntry.findFirst({
-        where: {
-          conversationId: phoneNumber,
-          key,
-          type,
-        },
-      });
+      );
 
-      if (entry) {
-        // Update cache
-        this._updateMemoryEntryCache(phoneNumber, entry);
+      return entry.value;
+    } catch (error) {
+      logger.error(`Failed to append to memory log for ${phoneNumber}:`, error);
+      throw new Error(`Failed to append to memory log: ${error.message}`);
+    }
+  }
 
-        return this._deserializeMemoryEntry(entry);
-      }
+  /**
+   * Get a specific memory entry
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} key - The key for the memory entry
+   * @param {string} type - The type of memory entry
+   * @returns {Promise<Object|null>} The memory entry or null if not found
+   */
+  async getMemoryEntry(phoneNumber, key, type = "general") {
+    try {
+      logger.debug(`Getting memory entry for ${phoneNumber}: ${key} (${type})`);
 
-      return null;
+      const entries = await this._getNoteEntries(phoneNumber);
+      return entries[`${type}:${key}`] || null;
     } catch (error) {
       logger.error(`Failed to get memory entry for ${phoneNumber}:`, error);
       return null;
     }
   }
 
+  /**
+   * Get the records of a memory log (see appendMemoryLog)
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} key - The key of the log
+   * @param {string} type - The type of memory entry
+   * @param {number} [limit] - Maximum number of records to return
+   * @returns {Promise<Array<Object>>} The records, newest first
+   */
+  async getMemoryLog(phoneNumber, key, type = "general", limit) {
+    const entry = await this.getMemoryEntry(phoneNumber, key, type);
+    const records = entry && Array.isArray(entry.value) ? entry.value : [];
+    return limit === undefined ? records : records.slice(0, limit);
+  }
+
   /**
    * Get the latest memory entry of a specific type
    * @param {string} phoneNumber - The phone number identifier
@@ -376,43 +439,11 @@ class MemoryManager {
         `Getting latest memory entry for ${phoneNumber} of type ${type}`
       );
 
-      // Try to get from cache first
-      const cachedEntries = this.cache.memoryEntries.get(phoneNumber);
-
-      if (cachedEntries) {
-        // Update last access time
-        this.cache.lastAccess.set(phoneNumber, Date.now());
-
-        // Find latest matching entry
-        const matchingEntries = cachedEntries.filter((e) => e.type === type);
-        if (matchingEntries.length > 0) {
-          // Sort by updated time descending
-          matchingEntries.sort(
-            (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)
-          );
-          return this._deserializeMemoryEntry(matchingEntries[0]);
-        }
-      }
-
-      // Query database
-      const entry = await prisma.memoryEntry.findFirst({
-        where: {
-          conversationId: phoneNumber,
-          type,
-        },
-        orderBy: {
-          updatedAt: "desc",
-        },
+      const [latestEntry] = await this.getMemoryEntries(phoneNumber, {
+        type,
+        limit: 1,
       });
-
-      if (entry) {
-        // Update cache
-        this._updateMemoryEntryCache(phoneNumber, entry);
-
-        return this._deserializeMemoryEntry(entry);
-      }
-
-      return null;
+      return latestEntry || null;
     } catch (error) {
       logger.error(
         `Failed to get latest memory entry for ${phoneNumber}:`,
@@ -429,7 +460,7 @@ class MemoryManager {
    * @param {string} options.type - Filter by type
    * @param {string} options.keyPattern - Filter by key pattern
    * @param {number} options.limit - Maximum number of entries to return
-   * @returns {Promise<Array<Object>>} Array of memory entries
+   * @returns {Promise<Array<Object>>} Array of memory entries, most recently updated first
    */
   async getMemoryEntries(phoneNumber, options = {}) {
     try {
@@ -440,35 +471,15 @@ class MemoryManager {
         options
       );
 
-      // Prepare query
-      const whereClause = {
-        conversationId: phoneNumber,
-      };
-
-      if (type) {
-        whereClause.type = type;
-      }
+      const entries = Object.values(await this._getNoteEntries(phoneNumber))
+        .filter(
+          (entry) =>
+            (!type || entry.type === type) &&
+            (!keyPattern || entry.key.includes(keyPattern))
+        )
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
-      if (keyPattern) {
-        whereClause.key = {
-          contains: keyPattern,
-        };
-      }
-
-      // Query database
-      const entries = await prisma.memoryEntry.findMany({
-        where: whereClause,
-        orderBy: {
-          updatedAt: "desc",
-        },
-        take: limit,
-      });
-
-      // Update cache with these entries
-      this._updateMemoryEntriesCache(phoneNumber, entries);
-
-      // Deserialize values
-      return entries.map((entry) => this._deserializeMemoryEntry(entry));
+      return entries.slice(0, limit);
     } catch (error) {
       logger.error(`Failed to get memory entries for ${phoneNumber}:`, error);
       return [];
@@ -488,24 +499,20 @@ class MemoryManager {
         `Deleting memory entry for ${phoneNumber}: ${key} (${type})`
       );
 
-      // Delete from database
-      await prisma.memoryEntry.deleteMany({
-        where: {
-          conversationId: phoneNumber,
-          key,
-          type,
-        },
-      });
-
-      // Update cache
-      const cachedEntries = this.cache.memoryEntries.get(phoneNumber);
-      if (cachedEntries) {
-        const updatedEntries = cachedEntries.filter(
-          (e) => !(e.key === key && e.type === type)
-        );
-        this.cache.memoryEntries.set(phoneNumber, updatedEntries);
+      const conversationId = await this._getConversationId(phoneNumber);
+      if (!conversationId) {
+        return true;
       }
 
+      await this._updateMemoryContent(
+        conversationId,
+        MEMORY_TYPES.NOTE,
+        (entries) => {
+          const { [`${type}:${key}`]: deleted, ...remaining } = entries || {};
+          return remaining;
+        }
+      );
+
       return true;
     } catch (error) {
       logger.error(`Failed to delete memory entry for ${phoneNumber}:`, error);
@@ -513,6 +520,49 @@ class MemoryManager {
     }
   }
 
+  /**
+   * Get the memory of a conversation stored under one memory type
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} type - The memory type (see MEMORY_TYPES)
+   * @returns {Promise<any>} The stored content, or null if there is none
+   */
+  async getMemoryContent(phoneNumber, type) {
+    try {
+      const conversationId = await this._getConversationId(phoneNumber);
+      return conversationId
+        ? await this._loadMemoryContent(conversationId, type)
+        : null;
+    } catch (error) {
+      logger.error(`Failed to get ${type} memory for ${phoneNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the memory of a conversation stored under one memory type
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} type - The memory type (see MEMORY_TYPES)
+   * @param {any} content - The content to store (JSON)
+   * @returns {Promise<any>} The stored content
+   */
+  async saveMemoryContent(phoneNumber, type, content) {
+    try {
+      if (!Object.values(MEMORY_TYPES).includes(type)) {
+        throw new Error(`Invalid memory type: ${type}`);
+      }
+
+      const conversationId = await this._getConversationId(phoneNumber, {
+        create: true,
+      });
+      return await this._updateMemoryContent(conversationId, type, () =>
+        JSON.parse(JSON.stringify(content))
+      );
+    } catch (error) {
+      logger.error(`Failed to save ${type} memory for ${phoneNumber}:`, error);
+      throw new Error(`Failed to save memory content: ${error.message}`);
+    }
+  }
+
   /**
    * Clear all memory for a conversation
    * @param {string} phoneNumber - The phone number identifier
@@ -527,16 +577,12 @@ class MemoryManager {
 
       logger.debug(`Clearing memory for ${phoneNumber} with options:`, options);
 
-      // Prepare where clause
-      const messageWhereClause = {
-        conversationId: phoneNumber,
-      };
-
-      const memoryWhereClause = {
-        conversationId: phoneNumber,
-      };
+      const conversationId = await this._getConversationId(phoneNumber);
+      if (!conversationId) {
+        return true;
+      }
 
-      // Exclude specific types if needed
+      // Entry types kept in the NOTE memory
       const typesToKeep = [];
       if (keepContactInfo) {
         typesToKeep.push("contact_info");
@@ -545,39 +591,36 @@ class MemoryManager {
         typesToKeep.push("purchase_history");
       }
 
-      if (typesToKeep.length > 0) {
-        memoryWhereClause.type = {
-          notIn: typesToKeep,
-        };
-      }
-
       // Delete from database
-      const [deletedMessages, deletedEntries] = await prisma.$transaction([
-        prisma.message.deleteMany({ where: messageWhereClause }),
-        prisma.memoryEntry.deleteMany({ where: memoryWhereClause }),
+      const [deletedMessages, deletedMemories] = await prisma.$transaction([
+        prisma.message.deleteMany({ where: { convId: conversationId } }),
+        prisma.memoryEntry.deleteMany({
+          where: { convId: conversationId, type: { not: MEMORY_TYPES.NOTE } },
+        }),
       ]);
 
       // Clear cache
-      this.cache.messages.delete(phoneNumber);
-
-      // Update memory entries cache if keeping some types
-      if (keepContactInfo || keepPurchaseHistory) {
-        const remainingEntries = await prisma.memoryEntry.findMany({
-          where: {
-            conversationId: phoneNumber,
-          },
-        });
-
-        this.cache.memoryEntries.set(phoneNumber, remainingEntries);
-      } else {
-        this.cache.memoryEntries.delete(phoneNumber);
+      this.cache.messages.delete(conversationId);
+      for (const type of Object.values(MEMORY_TYPES)) {
+        this.cache.memoryEntries.delete(`${conversationId}:${type}`);
       }
 
-      // Clear last access
-      this.cache.lastAccess.delete(phoneNumber);
+      let deletedEntries = 0;
+      await this._updateMemoryContent(
+        conversationId,
+        MEMORY_TYPES.NOTE,
+        (entries) =>
+          Object.fromEntries(
+            Object.entries(entries || {}).filter(([, entry]) => {
+              const keep = typesToKeep.includes(entry.type);
+              deletedEntries += keep ? 0 : 1;
+              return keep;
+            })
+          )
+      );
 
       logger.info(
-        `Cleared memory for ${phoneNumber}: ${deletedMessages.count} messages and ${deletedEntries.count} memory entries deleted.`
+        `Cleared memory for ${phoneNumber}: ${deletedMessages.count} messages, ${deletedMemories.count} memories and ${deletedEntries} memory entries deleted.`
       );
 
       return true;
@@ -599,7 +642,7 @@ class MemoryManager {
       const [messageCount, entryCount, conversationCount] = await Promise.all([
         prisma.message.count(),
         prisma.memoryEntry.count(),
-        prisma.$queryRaw`SELECT COUNT(DISTINCT "conversationId") FROM "Message"`,
+        prisma.$queryRaw`SELECT COUNT(DISTINCT "convId") FROM "messages"`,
       ]);
 
       // Get cache stats
@@ -613,8 +656,9 @@ class MemoryManager {
         },
         memoryEntries: {
           conversations: this.cache.memoryEntries.size,
+          // Each cached value is the content of one memory (null when empty)
           entries: Array.from(this.cache.memoryEntries.values()).reduce(
-            (sum, entries) => sum + entries.length,
+            (sum, content) => sum + Object.keys(content || {}).length,
             0
           ),
         },
@@ -647,25 +691,26 @@ class MemoryManager {
     try {
       logger.debug(`Exporting conversation data for ${phoneNumber}`);
 
-      // Get all messages and memory entries
-      const [messages, memoryEntries] = await Promise.all([
-        prisma.message.findMany({
-          where: { conversationId: phoneNumber },
-          orderBy: { createdAt: "asc" },
-        }),
-        prisma.memoryEntry.findMany({
-          where: { conversationId: phoneNumber },
-        }),
-      ]);
-
-      // Deserialize memory entries
-      const deserializedEntries = memoryEntries.map((entry) => ({
-        ...entry,
-        value: this._tryParseJson(entry.value),
-      }));
-
-      // Group entries by type
-      const entriesByType = deserializedEntries.reduce((acc, entry) => {
+      const conversationId = await this._getConversationId(phoneNumber);
+
+      // Get all messages and memory rows
+      const [messages, memoryRows] = conversationId
+        ? await Promise.all([
+            prisma.message.findMany({
+              where: { convId: conversationId },
+              orderBy: [{ timestamp: "asc" }, { createdAt: "asc" }],
+            }),
+            prisma.memoryEntry.findMany({
+              where: { convId: conversationId },
+            }),
+          ])
+        : [[], []];
+
+      // Key/value entries of the NOTE memory, grouped by type
+      const noteRow = memoryRows.find((row) => row.type === MEMORY_TYPES.NOTE);
+      const entriesByType = Object.values(
+        (noteRow && noteRow.content) || {}
+      ).reduce((acc, entry) => {
         if (!acc[entry.type]) {
           acc[entry.type] = [];
         }
@@ -678,15 +723,26 @@ class MemoryManager {
         return acc;
       }, {});
 
+      // Summary, lead profile and the other memories of the conversation
+      const memory = Object.fromEntries(
+        memoryRows
+          .filter((row) => row.type !== MEMORY_TYPES.NOTE)
+          .map((row) => [row.type, row.content])
+      );
+
       return {
         phoneNumber,
-        messages: messages.map((msg) => ({
-          role: msg.role,
-          content: msg.content,
-          metadata: msg.metadata,
-          timestamp: msg.createdAt,
-        })),
+        messages: messages.map((record) => {
+          const msg = this._formatMessage(record);
+          return {
+            role: msg.role,
+            content: msg.content,
+            metadata: msg.metadata,
+            timestamp: msg.timestamp,
+          };
+        }),
         memoryEntries: entriesByType,
+        memory,
         exportedAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -701,7 +757,7 @@ class MemoryManager {
   /**
    * Import data for a conversation
    * @param {string} phoneNumber - The phone number identifier
-   * @param {Object} data - Data to import
+   * @param {Object} data - Data to import (see exportConversationData)
    * @returns {Promise<Object>} Import results
    */
   async importConversationData(phoneNumber, data) {
@@ -719,21 +775,23 @@ class MemoryManager {
         errors: [],
       };
 
-      // Import messages
+      // Import messages, oldest first so the last interaction ends up last
       if (Array.isArray(data.messages)) {
-        for (const msg of data.messages) {
+        const messages = [...data.messages].sort(
+          (a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0)
+        );
+
+        for (const msg of messages) {
           try {
             if (!msg.role || !msg.content) continue;
 
-            await prisma.message.create({
-              data: {
-                conversationId: phoneNumber,
-                role: msg.role,
-                content: msg.content,
-                metadata: msg.metadata || {},
-                createdAt: msg.timestamp ? new Date(msg.timestamp) : undefined,
-              },
-            });
+            await this.addMessage(
+              phoneNumber,
+              msg.role.toLowerCase(),
+              msg.content,
+              msg.metadata || {},
+              msg.timestamp ? new Date(msg.timestamp) : new Date()
+            );
 
             counts.messagesAdded++;
           } catch (error) {
@@ -742,49 +800,60 @@ class MemoryManager {
         }
       }
 
-      // Import memory entries
+      // Import memory entries into the NOTE memory, keeping their dates
       if (typeof data.memoryEntries === "object") {
+        const imported = {};
+
         for (const [type, entries] of Object.entries(data.memoryEntries)) {
           if (!Array.isArray(entries)) continue;
 
           for (const entry of entries) {
-            try {
-              if (!entry.key) continue;
-
-              const valueToStore =
-                typeof entry.value === "object"
-                  ? JSON.stringify(entry.value)
-                  : String(entry.value);
-
-              await prisma.memoryEntry.create({
-                data: {
-                  conversationId: phoneNumber,
-                  key: entry.key,
-                  value: valueToStore,
-                  type,
-                  createdAt: entry.createdAt
-                    ? new Date(entry.createdAt)
-                    : undefined,
-                  updatedAt: entry.updatedAt
-                    ? new Date(entry.updatedAt)
-                    : undefined,
-                },
-              });
-
-              counts.entriesAdded++;
-            } catch (error) {
-              counts.errors.push(
-                `Error importing memory entry ${entry.key}: ${error.message}`
-              );
-            }
+            if (!entry.key) continue;
+
+            const now = new Date().toISOString();
+            imported[`${type}:${entry.key}`] = {
+              key: entry.key,
+              type,
+              value:
+                entry.value === undefined
+                  ? null
+                  : JSON.parse(JSON.stringify(entry.value)),
+              createdAt: entry.createdAt || now,
+              updatedAt: entry.updatedAt || entry.createdAt || now,
+            };
+          }
+        }
+
+        if (Object.keys(imported).length > 0) {
+          try {
+            const conversationId = await this._getConversationId(phoneNumber, {
+              create: true,
+            });
+            await this._updateMemoryContent(
+              conversationId,
+              MEMORY_TYPES.NOTE,
+              (entries) => ({ ...entries, ...imported })
+            );
+            counts.entriesAdded += Object.keys(imported).length;
+          } catch (error) {
+            counts.errors.push(
+              `Error importing memory entries: ${error.message}`
+            );
           }
         }
       }
 
-      // Clear cache for this conversation
-      this.cache.messages.delete(phoneNumber);
-      this.cache.memoryEntries.delete(phoneNumber);
-      this.cache.lastAccess.delete(phoneNumber);
+      // Import the summary, lead profile and other memories
+      for (const [type, content] of Object.entries(data.memory || {})) {
+        try {
+          await this.saveMemoryContent(phoneNumber, type, content);
+          counts.entriesAdded++;
+        } catch (error) {
+          counts.errors.push(
+            `Error importing ${type} memory: ${error.message}`
+          );
+        }
+      }
 
       logger.info(
         `Imported data for ${phoneNumber}: ${counts.messagesAdded} messages and ${counts.entriesAdded} memory entries added.`
@@ -809,130 +878,700 @@ class MemoryManager {
   }
 
   /**
-   * Update cache with a new message
-   * @private
-   * @param {string} phoneNumber - The phone number identifier
-   * @param {Object} message - The message object
+   * List conversations with optional filters and cursor pagination
+   * @param {Object} options - Query options
+   * @param {string} [options.tenantId] - Restrict to a tenant
+   * @param {string} [options.stage] - Filter by current funnel stage
+   * @param {string} [options.contactName] - Case-insensitive contact name filter
+   * @param {Date} [options.from] - Minimum last interaction timestamp
+   * @param {Date} [options.to] - Maximum last interaction timestamp
+   * @param {string} [options.cursor] - ID of the last conversation of the previous page
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} Page of conversations and the next cursor
    */
-  _updateMessageCache(phoneNumber, message) {
-    // Get or initialize messages array
-    let messages = this.cache.messages.get(phoneNumber);
-    if (!messages) {
-      messages = [];
-      this.cache.messages.set(phoneNumber, messages);
+  async listConversations(options = {}) {
+    const {
+      tenantId,
+      stage,
+      contactName,
+      from,
+      to,
+      cursor,
+      limit = 20,
+    } = options;
+
+    try {
+      logger.debug("Listing conversations with options:", options);
+
+      const whereClause = {};
+
+      if (tenantId) {
+        whereClause.tenantId = tenantId;
+      }
+
+      if (stage) {
+        whereClause.currentFunnelStepId = stage;
+      }
+
+      if (contactName) {
+        whereClause.contactName = {
+          contains: contactName,
+          mode: "insensitive",
+        };
+      }
+
+      if (from || to) {
+        whereClause.lastInteractionTimestamp = {};
+        if (from) whereClause.lastInteractionTimestamp.gte = from;
+        if (to) whereClause.lastInteractionTimestamp.lte = to;
+      }
+
+      // Fetch one extra record to know whether there is a next page
+      const conversations = await prisma.conversation.findMany({
+        where: whereClause,
+        orderBy: [{ lastInteractionTimestamp: "desc" }, { id: "desc" }],
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        include: {
+          _count: { select: { messages: true } },
+        },
+      });
+
+      const hasMore = conversations.length > limit;
+      const page = hasMore ? conversations.slice(0, limit) : conversations;
+
+      return {
+        conversations: page.map(({ _count, ...conversation }) => ({
+          ...conversation,
+          messageCount: _count ? _count.messages : 0,
+        })),
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+      };
+    } catch (error) {
+      logger.error("Failed to list conversations:", error);
+      throw new Error(`Failed to list conversations: ${error.message}`);
     }
+  }
 
-    // Add message to array
-    messages.push(message);
+  /**
+   * Get a single conversation by its ID
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object|null>} The conversation or null if not found
+   */
+  async getConversationById(conversationId) {
+    try {
+      const conversation = await prisma.conversation.findUnique({
+        where: { id: conversationId },
+        include: {
+          _count: { select: { messages: true } },
+        },
+      });
 
-    // Update last access time
-    this.cache.lastAccess.set(phoneNumber, Date.now());
+      if (!conversation) {
+        return null;
+      }
+
+      const { _count, ...rest } = conversation;
+      return { ...rest, messageCount: _count ? _count.messages : 0 };
+    } catch (error) {
+      logger.error(`Failed to get conversation ${conversationId}:`, error);
+      throw new Error(`Failed to get conversation: ${error.message}`);
+    }
   }
 
   /**
-   * Set messages cache for a conversation
-   * @private
+   * Get the message timeline of a conversation with cursor pagination
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} options - Query options
+   * @param {string} [options.cursor] - ID of the last message of the previous page
+   * @param {number} [options.limit=50] - Page size
+   * @param {string} [options.order='asc'] - Chronological order ('asc' or 'desc')
+   * @returns {Promise<Object>} Page of messages and the next cursor
+   */
+  async getConversationTimeline(conversationId, options = {}) {
+    const { cursor, limit = 50, order = "asc" } = options;
+
+    try {
+      logger.debug(
+        `Getting timeline for conversation ${conversationId} with options:`,
+        options
+      );
+
+      const messages = await prisma.message.findMany({
+        where: { convId: conversationId },
+        orderBy: [{ timestamp: order }, { id: order }],
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+
+      const hasMore = messages.length > limit;
+      const page = hasMore ? messages.slice(0, limit) : messages;
+
+      return {
+        messages: page,
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to get timeline for conversation ${conversationId}:`,
+        error
+      );
+      throw new Error(`Failed to get conversation timeline: ${error.message}`);
+    }
+  }
+
+  /**
+   * Full-text search message content across all conversations
+   * @param {string} query - Search terms
+   * @param {Object} options - Search options
+   * @param {string} [options.tenantId] - Restrict to a tenant
+   * @param {number} [options.limit=20] - Maximum number of results
+   * @param {number} [options.offset=0] - Number of results to skip
+   * @returns {Promise<Array<Object>>} Matching messages ordered by relevance
+   */
+  async searchMessages(query, options = {}) {
+    const { tenantId, limit = 20, offset = 0 } = options;
+
+    try {
+      logger.debug(`Searching messages for "${query}"`);
+
+      const tenantFilter = tenantId
+        ? Prisma.sql`AND c."tenantId" = ${tenantId}`
+        : Prisma.empty;
+
+      // Uses PostgreSQL full-text search with the Portuguese dictionary
+      const results = await prisma.$queryRaw`
+        SELECT
+          m."id",
+          m."convId" AS "conversationId",
+          m."role",
+          m."content",
+          m."timestamp",
+          c."chatId",
+          c."contactName",
+          c."tenantId",
+          ts_rank(
+            to_tsvector('portuguese', m."content"),
+            plainto_tsquery('portuguese', ${query})
+          ) AS "rank",
+          ts_headline(
+            'portuguese',
+            m."content",
+            plainto_tsquery('portuguese', ${query}),
+            'StartSel=**, StopSel=**, MaxFragments=2, MaxWords=20, MinWords=5'
+          ) AS "highlight"
+        FROM "messages" m
+        JOIN "conversations" c ON c."id" = m."convId"
+        WHERE to_tsvector('portuguese', m."content")
+          @@ plainto_tsquery('portuguese', ${query})
+        ${tenantFilter}
+        ORDER BY "rank" DESC, m."timestamp" DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `;
+
+      return results.map((result) => ({
+        ...result,
+        rank: Number(result.rank),
+      }));
+    } catch (error) {
+      logger.error(`Failed to search messages for "${query}":`, error);
+      throw new Error(`Failed to search messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get or create the conversation record of a phone number in the current tenant
+   * Messages and memory of a contact are scoped by this record, so each
+   * tenant keeps its own history of the same phone number.
    * @param {string} phoneNumber - The phone number identifier
-   * @param {Array<Object>} messages - The messages array
+   * @param {Object} [data] - Conversation fields to set
+   * @param {string} [data.contactName] - Contact name
+   * @param {string} [data.currentFunnelStepId] - Current funnel stage ID
+   * @param {Date} [data.lastInteractionTimestamp] - Time of the last message
+   * @returns {Promise<Object>} The conversation record
    */
-  _setMessagesCache(phoneNumber, messages) {
-    // Set messages in cache
-    this.cache.messages.set(phoneNumber, [...messages]);
+  async ensureConversation(phoneNumber, data = {}) {
+    const tenantId = tenantManager.getCurrentTenantId();
 
-    // Update last access time
-    this.cache.lastAccess.set(phoneNumber, Date.now());
+    try {
+      if (tenantId === botConfig.tenant.defaultTenantId) {
+        await tenantManager.ensureDefaultTenant();
+      }
+
+      const update = {};
+      if (data.contactName) {
+        update.contactName = data.contactName;
+      }
+      if (data.currentFunnelStepId) {
+        update.currentFunnelStepId = data.currentFunnelStepId;
+      }
+      if (data.lastInteractionTimestamp) {
+        update.lastInteractionTimestamp = new Date(
+          data.lastInteractionTimestamp
+        );
+      }
+
+      const conversation = await prisma.conversation.upsert({
+        where: {
+          tenantId_chatId: {
+            tenantId,
+            chatId: toWhatsAppChatId(phoneNumber),
+          },
+        },
+        update,
+        create: {
+          tenantId,
+          chatId: toWhatsAppChatId(phoneNumber),
+          ...update,
+        },
+      });
+
+      this.cache.conversationIds.set(
+        `${tenantId}:${conversation.chatId}`,
+        conversation.id
+      );
+      return conversation;
+    } catch (error) {
+      logger.error(`Failed to ensure conversation for ${phoneNumber}:`, error);
+      throw new Error(`Failed to ensure conversation: ${error.message}`);
+    }
   }
 
   /**
-   * Update cache with a new memory entry
-   * @private
+   * Get the active human takeover of a conversation
    * @param {string} phoneNumber - The phone number identifier
-   * @param {Object} entry - The memory entry
+   * @returns {Promise<Date|null>} End of the takeover or null if none is active
    */
-  _updateMemoryEntryCache(phoneNumber, entry) {
-    // Get or initialize entries array
-    let entries = this.cache.memoryEntries.get(phoneNumber);
-    if (!entries) {
-      entries = [];
-      this.cache.memoryEntries.set(phoneNumber, entries);
+  async getHumanTakeover(phoneNumber) {
+    try {
+      const conversation = await prisma.conversation.findUnique({
+        where: {
+          tenantId_chatId: {
+            tenantId: tenantManager.getCurrentTenantId(),
+            chatId: toWhatsAppChatId(phoneNumber),
+          },
+        },
+        select: { humanTakeoverUntil: true },
+      });
+
+      const until = conversation && conversation.humanTakeoverUntil;
+      return until && new Date(until) > new Date() ? new Date(until) : null;
+    } catch (error) {
+      logger.error(`Failed to get human takeover for ${phoneNumber}:`, error);
+      return null;
     }
+  }
 
-    // Remove old entry with same key and type if exists
-    const entryIndex = entries.findIndex(
-      (e) => e.key === entry.key && e.type === entry.type
-    );
-    if (entryIndex !== -1) {
-      entries.splice(entryIndex, 1);
+  /**
+   * Set or clear the human takeover of a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Date|null} until - End of the takeover, or null to end it
+   * @returns {Promise<Object>} The updated conversation
+   */
+  async setHumanTakeover(phoneNumber, until) {
+    try {
+      const conversation = await this.ensureConversation(phoneNumber);
+
+      return await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: { humanTakeoverUntil: until },
+      });
+    } catch (error) {
+      logger.error(`Failed to set human takeover for ${phoneNumber}:`, error);
+      throw new Error(`Failed to set human takeover: ${error.message}`);
     }
+  }
 
-    // Add entry to array
-    entries.push(entry);
+  /**
+   * Get the reply mode set for a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<string|null>} The reply mode or null if the conversation follows the tenant's
+   */
+  async getReplyMode(phoneNumber) {
+    try {
+      const conversation = await prisma.conversation.findUnique({
+        where: {
+          tenantId_chatId: {
+            tenantId: tenantManager.getCurrentTenantId(),
+            chatId: toWhatsAppChatId(phoneNumber),
+          },
+        },
+        select: { replyMode: true },
+      });
 
-    // Update last access time
-    this.cache.lastAccess.set(phoneNumber, Date.now());
+      return (conversation && conversation.replyMode) || null;
+    } catch (error) {
+      logger.error(`Failed to get reply mode for ${phoneNumber}:`, error);
+      return null;
+    }
   }
 
   /**
-   * Update cache with multiple memory entries
-   * @private
+   * Set or clear the reply mode of a conversation
    * @param {string} phoneNumber - The phone number identifier
-   * @param {Array<Object>} entries - The memory entries
+   * @param {string|null} mode - The reply mode, or null to follow the tenant's
+   * @returns {Promise<Object>} The updated conversation
    */
-  _updateMemoryEntriesCache(phoneNumber, entries) {
-    // Get or initialize entries array
-    let cachedEntries = this.cache.memoryEntries.get(phoneNumber);
-    if (!cachedEntries) {
-      cachedEntries = [];
-      this.cache.memoryEntries.set(phoneNumber, cachedEntries);
+  async setReplyMode(phoneNumber, mode) {
+    try {
+      const conversation = await this.ensureConversation(phoneNumber);
+
+      return await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: { replyMode: mode },
+      });
+    } catch (error) {
+      logger.error(`Failed to set reply mode for ${phoneNumber}:`, error);
+      throw new Error(`Failed to set reply mode: ${error.message}`);
     }
+  }
+
+  /**
+   * Get the active block of a contact
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<Object|null>} The block or null if the contact is not blocked
+   */
+  async getActiveBlock(phoneNumber) {
+    try {
+      const conversation = await prisma.conversation.findUnique({
+        where: {
+          tenantId_chatId: {
+            tenantId: tenantManager.getCurrentTenantId(),
+            chatId: toWhatsAppChatId(phoneNumber),
+          },
+        },
+      });
+
+      if (
+        !conversation ||
+        !conversation.isBlockedUntil ||
+        new Date(conversation.isBlockedUntil) <= new Date()
+      ) {
+        return null;
+      }
+
+      return this._formatBlock(conversation);
+    } catch (error) {
+      logger.error(`Failed to get block for ${phoneNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Block a contact, escalating the duration for repeat offenders
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} [options] - Block options
+   * @param {number} [options.minutes] - Block duration (defaults to the escalation schedule)
+   * @param {string} [options.reason='spam'] - Why the contact was blocked
+   * @returns {Promise<Object>} The block
+   */
+  async blockContact(phoneNumber, options = {}) {
+    const { minutes, reason = "spam" } = options;
+    const { durationsMinutes, escalationResetDays } =
+      botConfig.behavior.blocking;
+
+    try {
+      const conversation = await this.ensureConversation(phoneNumber);
+      const now = Date.now();
+      const lastBlockEnd = conversation.isBlockedUntil
+        ? new Date(conversation.isBlockedUntil).getTime()
+        : null;
+      const isBlocked = lastBlockEnd !== null && lastBlockEnd > now;
+
+      // Start the escalation over when the last block is old enough
+      const offense =
+        lastBlockEnd === null ||
+        now - lastBlockEnd > escalationResetDays * 24 * 60 * 60 * 1000
+          ? 1
+          : conversation.blockCount + 1;
+
+      const duration =
+        minutes ||
+        durationsMinutes[Math.min(offense, durationsMinutes.length) - 1];
+
+      const updated = await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: {
+          isBlockedUntil: new Date(now + duration * 60 * 1000),
+          blockCount: offense,
+          blockReason: reason,
+          // Keep the notice of an ongoing block so it is only sent once
+          blockNoticeSentAt: isBlocked ? conversation.blockNoticeSentAt : null,
+        },
+      });
 
-    // Update entries in cache
-    for (const entry of entries) {
-      // Remove old entry with same key and type if exists
-      const entryIndex = cachedEntries.findIndex(
-        (e) => e.key === entry.key && e.type === entry.type
+      logger.info(
+        `Blocked ${phoneNumber} for ${duration} minutes (offense ${offense}, reason: ${reason})`
       );
-      if (entryIndex !== -1) {
-        cachedEntries.splice(entryIndex, 1);
+      return this._formatBlock(updated);
+    } catch (error) {
+      logger.error(`Failed to block ${phoneNumber}:`, error);
+      throw new Error(`Failed to block contact: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unblock a contact
+   * The block count is kept so repeat offenses still escalate.
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<boolean>} Whether the contact was blocked
+   */
+  async unblockContact(phoneNumber) {
+    try {
+      const block = await this.getActiveBlock(phoneNumber);
+      if (!block) {
+        return false;
       }
 
-      // Add entry to array
-      cachedEntries.push(entry);
+      await prisma.conversation.update({
+        where: { id: block.conversationId },
+        data: {
+          isBlockedUntil: new Date(),
+          blockReason: null,
+          blockNoticeSentAt: null,
+        },
+      });
+
+      logger.info(`Unblocked ${phoneNumber}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to unblock ${phoneNumber}:`, error);
+      throw new Error(`Failed to unblock contact: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record that the block notice was sent to a contact
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<void>}
+   */
+  async markBlockNoticeSent(phoneNumber) {
+    try {
+      await prisma.conversation.update({
+        where: {
+          tenantId_chatId: {
+            tenantId: tenantManager.getCurrentTenantId(),
+            chatId: toWhatsAppChatId(phoneNumber),
+          },
+        },
+        data: { blockNoticeSentAt: new Date() },
+      });
+    } catch (error) {
+      logger.error(`Failed to mark block notice for ${phoneNumber}:`, error);
+    }
+  }
+
+  /**
+   * List contacts that are currently blocked
+   * @param {Object} options - Query options
+   * @param {string} [options.cursor] - ID of the last conversation of the previous page
+   * @param {number} [options.limit=20] - Page size
+   * @returns {Promise<Object>} Page of blocks and the next cursor
+   */
+  async listBlockedContacts(options = {}) {
+    const { cursor, limit = 20 } = options;
+
+    try {
+      const conversations = await prisma.conversation.findMany({
+        where: {
+          tenantId: tenantManager.getCurrentTenantId(),
+          isBlockedUntil: { gt: new Date() },
+        },
+        orderBy: [{ isBlockedUntil: "asc" }, { id: "asc" }],
+        take: limit + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      });
+
+      const hasMore = conversations.length > limit;
+      const page = hasMore ? conversations.slice(0, limit) : conversations;
+
+      return {
+        blocks: page.map((conversation) => this._formatBlock(conversation)),
+        nextCursor: hasMore ? page[page.length - 1].id : null,
+      };
+    } catch (error) {
+      logger.error("Failed to list blocked contacts:", error);
+      throw new Error(`Failed to list blocked contacts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update cache with a new message
+   * Conversations whose messages are not cached yet are loaded on the next read.
+   * @private
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} message - The message object
+   */
+  _updateMessageCache(conversationId, message) {
+    const messages = this.cache.messages.get(conversationId);
+    if (!messages) {
+      return;
+    }
+
+    // Keep the messages in timestamp order
+    let index = messages.length;
+    while (
+      index > 0 &&
+      new Date(messages[index - 1].timestamp) > new Date(message.timestamp)
+    ) {
+      index--;
+    }
+    messages.splice(index, 0, message);
+
+    if (messages.length > MESSAGE_CACHE_SIZE) {
+      messages.splice(0, messages.length - MESSAGE_CACHE_SIZE);
     }
 
     // Update last access time
-    this.cache.lastAccess.set(phoneNumber, Date.now());
+    this.cache.lastAccess.set(conversationId, Date.now());
   }
 
   /**
-   * Deserialize a memory entry
+   * Format a message record, with the role in lower case
    * @private
-   * @param {Object} entry - The memory entry
-   * @returns {Object} Deserialized entry
+   * @param {Object} record - Message record
+   * @returns {Object} The message
    */
-  _deserializeMemoryEntry(entry) {
+  _formatMessage(record) {
     return {
-      ...entry,
-      value: this._tryParseJson(entry.value),
+      ...record,
+      role: record.role.toLowerCase(),
+      metadata: record.metadata || {},
     };
   }
 
   /**
-   * Try to parse a JSON string
+   * Get the key/value entries of the NOTE memory of a conversation
    * @private
-   * @param {string} value - The string to parse
-   * @returns {any} Parsed value or original string
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<Object>} Entries by type and key
    */
-  _tryParseJson(value) {
-    if (typeof value !== "string") {
-      return value;
+  async _getNoteEntries(phoneNumber) {
+    const conversationId = await this._getConversationId(phoneNumber);
+    if (!conversationId) {
+      return {};
     }
 
-    try {
-      return JSON.parse(value);
-    } catch (e) {
-      return value;
+    return (
+      (await this._loadMemoryContent(conversationId, MEMORY_TYPES.NOTE)) || {}
+    );
+  }
+
+  /**
+   * Load the memory of a conversation stored under one memory type
+   * @private
+   * @param {string} conversationId - The conversation ID
+   * @param {string} type - The memory type (see MEMORY_TYPES)
+   * @returns {Promise<any>} The stored content, or null if there is none
+   */
+  async _loadMemoryContent(conversationId, type) {
+    const cacheKey = `${conversationId}:${type}`;
+    this.cache.lastAccess.set(cacheKey, Date.now());
+
+    if (this.cache.memoryEntries.has(cacheKey)) {
+      return this.cache.memoryEntries.get(cacheKey);
     }
+
+    const entry = await prisma.memoryEntry.findUnique({
+      where: { convId_type: { convId: conversationId, type } },
+    });
+    const content = entry ? entry.content : null;
+
+    this.cache.memoryEntries.set(cacheKey, content);
+    return content;
+  }
+
+  /**
+   * Update the memory of a conversation stored under one memory type
+   * Updates of the same memory run one after the other, so concurrent
+   * changes to its entries are not lost.
+   * @private
+   * @param {string} conversationId - The conversation ID
+   * @param {string} type - The memory type (see MEMORY_TYPES)
+   * @param {Function} update - Receives the current content (or null) and returns the new one
+   * @returns {Promise<any>} The stored content
+   */
+  _updateMemoryContent(conversationId, type, update) {
+    const cacheKey = `${conversationId}:${type}`;
+    const previousWrite = this.memoryWrites.get(cacheKey) || Promise.resolve();
+
+    const write = previousWrite
+      .catch(() => {})
+      .then(async () => {
+        const content = update(
+          await this._loadMemoryContent(conversationId, type)
+        );
+
+        await prisma.memoryEntry.upsert({
+          where: { convId_type: { convId: conversationId, type } },
+          update: { content },
+          create: { convId: conversationId, type, content },
+        });
+
+        this.cache.memoryEntries.set(cacheKey, content);
+        return content;
+      });
+
+    this.memoryWrites.set(cacheKey, write);
+    write
+      .catch(() => {})
+      .then(() => {
+        if (this.memoryWrites.get(cacheKey) === write) {
+          this.memoryWrites.delete(cacheKey);
+        }
+      });
+
+    return write;
+  }
+
+  /**
+   * Get the ID of the conversation record of a phone number in the current tenant
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.create=false] - Whether to create the conversation when missing
+   * @returns {Promise<string|null>} The conversation ID, or null if there is none
+   */
+  async _getConversationId(phoneNumber, options = {}) {
+    const tenantId = tenantManager.getCurrentTenantId();
+    const chatId = toWhatsAppChatId(phoneNumber);
+    const cachedId = this.cache.conversationIds.get(`${tenantId}:${chatId}`);
+
+    if (cachedId) {
+      return cachedId;
+    }
+
+    const conversation = options.create
+      ? await this.ensureConversation(phoneNumber)
+      : await prisma.conversation.findUnique({
+          where: { tenantId_chatId: { tenantId, chatId } },
+          select: { id: true },
+        });
+
+    if (!conversation) {
+      return null;
+    }
+
+    this.cache.conversationIds.set(`${tenantId}:${chatId}`, conversation.id);
+    return conversation.id;
+  }
+
+  /**
+   * Format the block fields of a conversation
+   * @private
+   * @param {Object} conversation - Conversation record
+   * @returns {Object} Block details
+   */
+  _formatBlock(conversation) {
+    return {
+      conversationId: conversation.id,
+      phoneNumber: conversation.chatId.split("@")[0],
+      contactName: conversation.contactName,
+      blockedUntil: conversation.isBlockedUntil,
+      reason: conversation.blockReason,
+      blockCount: conversation.blockCount,
+      noticeSentAt: conversation.blockNoticeSentAt,
+    };
   }
 }
 
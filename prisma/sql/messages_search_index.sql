@@ -0,0 +1,5 @@
+-- Índice GIN da busca textual das mensagens (memoryManager.searchMessages)
+-- O schema do Prisma não declara índices de expressão, então este é aplicado à parte:
+--   npx prisma db execute --file prisma/sql/messages_search_index.sql --schema prisma/schema.prisma
+CREATE INDEX IF NOT EXISTS "messages_content_search_idx"
+  ON "messages" USING GIN (to_tsvector('portuguese', "content"));
@@ -0,0 +1,26 @@
+-- Tabela da memória semântica com pgvector (semanticMemory, SEMANTIC_MEMORY_STORE=pgvector)
+-- A extensão é opcional, então a tabela fica fora do schema do Prisma e é aplicada à parte:
+--   npx prisma db execute --file prisma/sql/semantic_memories.sql --schema prisma/schema.prisma
+-- Sem ela, o bot usa o armazenamento em memória do processo.
+CREATE EXTENSION IF NOT EXISTS "vector";
+
+CREATE TABLE IF NOT EXISTS "semantic_memories" (
+  "id"             TEXT NOT NULL,
+  "tenantId"       TEXT NOT NULL,
+  "conversationId" TEXT NOT NULL,
+  "kind"           TEXT NOT NULL, -- Tipo do trecho: message ou note
+  "content"        TEXT NOT NULL,
+  "metadata"       JSONB,         -- Dados adicionais (ex: autor da nota)
+  "model"          TEXT NOT NULL, -- Modelo de embedding usado (só trechos do mesmo modelo são comparados)
+  "embedding"      vector,
+  "createdAt"      TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT "semantic_memories_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "semantic_memories_tenantId_fkey" FOREIGN KEY ("tenantId")
+    REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT "semantic_memories_conversationId_fkey" FOREIGN KEY ("conversationId")
+    REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS "semantic_memories_conversationId_createdAt_idx"
+  ON "semantic_memories" ("conversationId", "createdAt");
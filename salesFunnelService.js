@@ -12,7 +12,14 @@
 const logger = require("./logger");
 const memoryManager = require("./memoryManager");
 const { pricingData } = require("./pricing");
-const { BOT_IDENTITY } = require("./botConfig");
+const { BOT_IDENTITY, behavior } = require("./botConfig");
+const tenantManager = require("./tenantManager");
+const { countTokens, truncateToTokens } = require("./tokenCounter");
+const {
+  SPECIAL_COMMANDS,
+  validateBlueprint,
+  funnelBlueprintManager,
+} = require("./funnelBlueprint");
 
 // Define sales funnel stages with their IDs and descriptions
 const FUNNEL_STAGES = {
@@ -45,6 +52,148 @@ const FUNNEL_STAGES = {
   FEEDBACK: "feedback",
 };
 
+/**
+ * Transition graph of the default funnel: the stages each stage may move to
+ * @type {Object.<string, Array<string>>}
+ */
+const FUNNEL_TRANSITIONS = {
+  [FUNNEL_STAGES.GREETING]: [
+    FUNNEL_STAGES.QUALIFICATION,
+    FUNNEL_STAGES.NEED_DISCOVERY,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+  ],
+  [FUNNEL_STAGES.QUALIFICATION]: [
+    FUNNEL_STAGES.NEED_DISCOVERY,
+    FUNNEL_STAGES.PAIN_POINT_EXPLORATION,
+    FUNNEL_STAGES.SOLUTION_PRESENTATION,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+  ],
+  [FUNNEL_STAGES.NEED_DISCOVERY]: [
+    FUNNEL_STAGES.PAIN_POINT_EXPLORATION,
+    FUNNEL_STAGES.SOLUTION_PRESENTATION,
+    FUNNEL_STAGES.PRODUCT_DEMONSTRATION,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+  ],
+  [FUNNEL_STAGES.PAIN_POINT_EXPLORATION]: [
+    FUNNEL_STAGES.SOLUTION_PRESENTATION,
+    FUNNEL_STAGES.PRODUCT_DEMONSTRATION,
+    FUNNEL_STAGES.VALUE_PROPOSITION,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+  ],
+  [FUNNEL_STAGES.SOLUTION_PRESENTATION]: [
+    FUNNEL_STAGES.PRODUCT_DEMONSTRATION,
+    FUNNEL_STAGES.VALUE_PROPOSITION,
+    FUNNEL_STAGES.PROOF_AND_CREDIBILITY,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.CLOSING,
+  ],
+  [FUNNEL_STAGES.PRODUCT_DEMONSTRATION]: [
+    FUNNEL_STAGES.VALUE_PROPOSITION,
+    FUNNEL_STAGES.PROOF_AND_CREDIBILITY,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.CLOSING,
+  ],
+  [FUNNEL_STAGES.VALUE_PROPOSITION]: [
+    FUNNEL_STAGES.PROOF_AND_CREDIBILITY,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.CLOSING,
+  ],
+  [FUNNEL_STAGES.PROOF_AND_CREDIBILITY]: [
+    FUNNEL_STAGES.VALUE_PROPOSITION,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.CLOSING,
+  ],
+  [FUNNEL_STAGES.OBJECTION_HANDLING]: [
+    FUNNEL_STAGES.SOLUTION_PRESENTATION,
+    FUNNEL_STAGES.VALUE_PROPOSITION,
+    FUNNEL_STAGES.PROOF_AND_CREDIBILITY,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.CLOSING,
+  ],
+  [FUNNEL_STAGES.PRICE_DISCUSSION]: [
+    FUNNEL_STAGES.VALUE_PROPOSITION,
+    FUNNEL_STAGES.PROOF_AND_CREDIBILITY,
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.CLOSING,
+    FUNNEL_STAGES.CHECKOUT,
+  ],
+  [FUNNEL_STAGES.CLOSING]: [
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.CHECKOUT,
+  ],
+  [FUNNEL_STAGES.CHECKOUT]: [
+    FUNNEL_STAGES.OBJECTION_HANDLING,
+    FUNNEL_STAGES.CLOSING,
+    FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP,
+  ],
+  [FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP]: [
+    FUNNEL_STAGES.UPSELL,
+    FUNNEL_STAGES.CROSS_SELL,
+    FUNNEL_STAGES.FEEDBACK,
+  ],
+  [FUNNEL_STAGES.UPSELL]: [
+    FUNNEL_STAGES.CHECKOUT,
+    FUNNEL_STAGES.DOWNSELL,
+    FUNNEL_STAGES.CROSS_SELL,
+    FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP,
+  ],
+  [FUNNEL_STAGES.DOWNSELL]: [
+    FUNNEL_STAGES.CHECKOUT,
+    FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP,
+    FUNNEL_STAGES.FEEDBACK,
+  ],
+  [FUNNEL_STAGES.CROSS_SELL]: [
+    FUNNEL_STAGES.CHECKOUT,
+    FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP,
+    FUNNEL_STAGES.FEEDBACK,
+  ],
+  [FUNNEL_STAGES.REACTIVATION]: [
+    FUNNEL_STAGES.QUALIFICATION,
+    FUNNEL_STAGES.NEED_DISCOVERY,
+    FUNNEL_STAGES.PRICE_DISCUSSION,
+    FUNNEL_STAGES.UPSELL,
+    FUNNEL_STAGES.FEEDBACK,
+  ],
+  [FUNNEL_STAGES.FEEDBACK]: [
+    FUNNEL_STAGES.UPSELL,
+    FUNNEL_STAGES.CROSS_SELL,
+    FUNNEL_STAGES.REACTIVATION,
+  ],
+};
+
+/**
+ * Guard conditions of the default funnel that must hold before entering a stage
+ * @type {Object.<string, Array<string>>}
+ */
+const STAGE_GUARDS = {
+  [FUNNEL_STAGES.CHECKOUT]: ["plan_presented"],
+  [FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP]: ["purchase_recorded"],
+  [FUNNEL_STAGES.UPSELL]: ["purchase_recorded"],
+  [FUNNEL_STAGES.CROSS_SELL]: ["purchase_recorded"],
+  [FUNNEL_STAGES.DOWNSELL]: ["upsell_rejected"],
+};
+
+/**
+ * Stages in which plans and their prices are presented to the contact
+ * @type {Array<string>}
+ */
+const PLAN_PRESENTATION_STAGES = [
+  FUNNEL_STAGES.PRICE_DISCUSSION,
+  FUNNEL_STAGES.CLOSING,
+  FUNNEL_STAGES.UPSELL,
+  FUNNEL_STAGES.DOWNSELL,
+  FUNNEL_STAGES.CROSS_SELL,
+];
+
 /**
  * Maps common objections to strategies for handling them
  * @type {Object.<string, Object>}
@@ -265,6 +414,224 @@ const DOWNSELL_ALTERNATIVES = {
   },
 };
 
+/**
+ * Number of recent messages searched for stage advancement keywords
+ * @type {number}
+ */
+const SIGNAL_WINDOW_SIZE = 5;
+
+/**
+ * Memory log keeping the accepted stage transitions
+ * @type {string}
+ */
+const STAGE_TRANSITIONS_LOG = "stage_transitions";
+
+/**
+ * Memory log keeping the rejected stage transitions (audit trail)
+ * @type {string}
+ */
+const REJECTED_TRANSITIONS_LOG = "rejected_transitions";
+
+/**
+ * Memory log keeping the LLM stage classifications
+ * @type {string}
+ */
+const STAGE_CLASSIFICATIONS_LOG = "stage_classifications";
+
+/**
+ * Memory log keeping the checkout links sent to the contact
+ * @type {string}
+ */
+const CHECKOUT_LINKS_LOG = "checkout_links";
+
+/**
+ * Number of records kept in each funnel memory log
+ * @type {number}
+ */
+const FUNNEL_LOG_SIZE = 50;
+
+/**
+ * Tokens kept of each message in the conversation summary of the system prompt
+ * (the full messages are sent as chat history)
+ * @type {number}
+ */
+const PROMPT_HISTORY_MESSAGE_TOKENS = 150;
+
+/**
+ * Memory type holding the rolling conversation summary
+ * @type {string}
+ */
+const CONVERSATION_SUMMARY_MEMORY_TYPE = "SUMMARY";
+
+/**
+ * Memory type holding the lead profile
+ * @type {string}
+ */
+const LEAD_PROFILE_MEMORY_TYPE = "ENTITIES";
+
+/**
+ * Fields of the lead profile extracted from the conversation
+ * @type {Object.<string, Object>}
+ */
+const LEAD_PROFILE_FIELDS = {
+  name: { label: "Nome", type: "string", description: "Nome do cliente" },
+  company: {
+    label: "Empresa",
+    type: "string",
+    description: "Nome da empresa do cliente",
+  },
+  segment: {
+    label: "Segmento",
+    type: "string",
+    description: "Segmento ou área de atuação da empresa",
+  },
+  teamSize: {
+    label: "Tamanho da equipe",
+    type: "integer",
+    description: "Número de pessoas na equipe ou empresa",
+  },
+  monthlyConversations: {
+    label: "Conversas por mês",
+    type: "integer",
+    description: "Volume mensal de conversas ou atendimentos",
+  },
+  budgetRange: {
+    label: "Faixa de orçamento",
+    type: "string",
+    description:
+      "Orçamento disponível, como valor ou faixa (ex: R$ 500 a R$ 1.000 por mês)",
+  },
+  email: { label: "E-mail", type: "string", description: "E-mail do cliente" },
+  mainPain: {
+    label: "Principal dor",
+    type: "string",
+    description:
+      "Principal problema ou necessidade que o cliente quer resolver",
+  },
+  decisionMaker: {
+    label: "Decisor",
+    type: "boolean",
+    description: "Se o cliente decide a compra sozinho",
+  },
+};
+
+/**
+ * Pattern of the e-mail addresses accepted in the lead profile
+ * @type {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Blueprint used by tenants without their own funnel configuration
+ * Stages without instructions use the built-in instructions of buildStageInstructions.
+ * @type {Object}
+ */
+const DEFAULT_FUNNEL_BLUEPRINT = {
+  version: 1,
+  initialStage: FUNNEL_STAGES.GREETING,
+  stages: [
+    { id: FUNNEL_STAGES.GREETING, name: "Saudação" },
+    {
+      id: FUNNEL_STAGES.QUALIFICATION,
+      name: "Qualificação",
+      advancementSignals: { minMessages: 1 },
+    },
+    {
+      id: FUNNEL_STAGES.NEED_DISCOVERY,
+      name: "Descoberta de Necessidades",
+      advancementSignals: { minMessages: 5 },
+    },
+    {
+      id: FUNNEL_STAGES.PAIN_POINT_EXPLORATION,
+      name: "Exploração de Pontos de Dor",
+      advancementSignals: { minMessages: 10 },
+    },
+    {
+      id: FUNNEL_STAGES.SOLUTION_PRESENTATION,
+      name: "Apresentação da Solução",
+      advancementSignals: { minMessages: 15 },
+    },
+    {
+      id: FUNNEL_STAGES.PRODUCT_DEMONSTRATION,
+      name: "Demonstração do Produto",
+      advancementSignals: {
+        minMessages: 10,
+        keywords: [
+          "funciona",
+          "exemplo",
+          "demonstração",
+          "mostrar",
+          "ver como",
+        ],
+      },
+    },
+    {
+      id: FUNNEL_STAGES.VALUE_PROPOSITION,
+      name: "Proposta de Valor",
+      advancementSignals: { minMessages: 20 },
+    },
+    {
+      id: FUNNEL_STAGES.PROOF_AND_CREDIBILITY,
+      name: "Provas Sociais e Credibilidade",
+    },
+    {
+      id: FUNNEL_STAGES.OBJECTION_HANDLING,
+      name: "Tratamento de Objeções",
+      advancementSignals: {
+        minMessages: 10,
+        keywords: Object.values(OBJECTION_STRATEGIES).flatMap(
+          (obj) => obj.detection
+        ),
+      },
+    },
+    {
+      id: FUNNEL_STAGES.PRICE_DISCUSSION,
+      name: "Discussão de Preço",
+      advancementSignals: {
+        minMessages: 10,
+        keywords: [
+          "preço",
+          "valor",
+          "investimento",
+          "custo",
+          "plano",
+          "pacote",
+          "quanto custa",
+        ],
+      },
+    },
+    {
+      id: FUNNEL_STAGES.CLOSING,
+      name: "Fechamento",
+      advancementSignals: {
+        minMessages: 10,
+        keywords: [
+          "comprar",
+          "adquirir",
+          "assinar",
+          "contratar",
+          "fechar",
+          "pagamento",
+        ],
+      },
+    },
+    { id: FUNNEL_STAGES.CHECKOUT, name: "Checkout" },
+    {
+      id: FUNNEL_STAGES.POST_PURCHASE_FOLLOWUP,
+      name: "Acompanhamento Pós-Compra",
+    },
+    { id: FUNNEL_STAGES.UPSELL, name: "Upsell" },
+    { id: FUNNEL_STAGES.DOWNSELL, name: "Downsell" },
+    { id: FUNNEL_STAGES.CROSS_SELL, name: "Cross-sell" },
+    { id: FUNNEL_STAGES.REACTIVATION, name: "Reativação" },
+    { id: FUNNEL_STAGES.FEEDBACK, name: "Feedback" },
+  ].map((stage) => ({
+    ...stage,
+    allowedTransitions: FUNNEL_TRANSITIONS[stage.id],
+    guards: STAGE_GUARDS[stage.id],
+  })),
+};
+
 /**
  * SalesFunnelService class for managing the sales funnel process
  */
@@ -277,41 +644,177 @@ class SalesFunnelService {
     this.options = {
       defaultStage: FUNNEL_STAGES.GREETING,
       stageAdvancementThreshold: 0.7, // Confidence threshold to advance to next stage
+      useStageClassifier: behavior.stageClassifier.enabled, // Classify stages with the AI model instead of heuristics
       enableUpsellDownsell: true, // Flag to enable/disable upsell/downsell features
       upsellTiming: {
         default: 7, // Default days to wait before upsell
         premium_threshold: 30, // Days to wait for premium upsells
         quick_wins: 3, // Days for quick win upsells
       },
+      reversalCooldownMinutes: 30, // Minutes before returning to the stage just left
       ...options,
     };
 
+    // Funnel executed for tenants without their own blueprint
+    this.defaultBlueprint = funnelBlueprintManager.normalize(
+      DEFAULT_FUNNEL_BLUEPRINT
+    );
+
     logger.debug("SalesFunnelService initialized with options:", this.options);
   }
 
+  /**
+   * Gets the funnel blueprint executed for a tenant
+   * @param {string} [tenantId] - The tenant ID (defaults to the current tenant)
+   * @returns {Promise<Object>} The tenant blueprint or the default blueprint
+   */
+  async getBlueprint(tenantId = tenantManager.getCurrentTenantId()) {
+    const blueprint = await funnelBlueprintManager.getBlueprint(tenantId, {
+      builtInStages: Object.values(FUNNEL_STAGES),
+    });
+
+    return blueprint || this.defaultBlueprint;
+  }
+
+  /**
+   * Validates a funnel blueprint against the blueprint schema
+   * @param {Object} data - The blueprint to validate
+   * @returns {{valid: boolean, errors: Array<string>}} Validation result
+   */
+  validateBlueprint(data) {
+    return validateBlueprint(data, {
+      builtInStages: Object.values(FUNNEL_STAGES),
+    });
+  }
+
+  /**
+   * Validates and saves the funnel blueprint of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} data - The blueprint to save
+   * @returns {Promise<Object>} Result with the validation errors or the saved blueprint
+   */
+  async saveBlueprint(tenantId, data) {
+    return funnelBlueprintManager.saveBlueprint(tenantId, data, {
+      builtInStages: Object.values(FUNNEL_STAGES),
+    });
+  }
+
+  /**
+   * Removes the funnel blueprint of a tenant so the default funnel is executed
+   * @param {string} tenantId - The tenant ID
+   * @returns {Promise<boolean>} Whether the tenant had a blueprint
+   */
+  async resetBlueprint(tenantId) {
+    return funnelBlueprintManager.deleteBlueprint(tenantId);
+  }
+
+  /**
+   * Finds a stage of a blueprint
+   * @param {Object} blueprint - The funnel blueprint
+   * @param {string} stageId - The stage ID
+   * @returns {Object|null} The stage or null if the blueprint doesn't declare it
+   */
+  getStage(blueprint, stageId) {
+    return blueprint.stages.find((stage) => stage.id === stageId) || null;
+  }
+
+  /**
+   * Gets the special commands available at a stage
+   * @param {Object} blueprint - The funnel blueprint
+   * @param {string} stageId - The stage ID
+   * @returns {Array<string>} Names of the available special commands
+   */
+  getStageCommands(blueprint, stageId) {
+    const stage = this.getStage(blueprint, stageId);
+    return stage ? stage.commands : Object.keys(SPECIAL_COMMANDS);
+  }
+
+  /**
+   * Checks whether a blueprint allows moving from one stage to another
+   * @param {Object} blueprint - The funnel blueprint
+   * @param {string} fromStage - The current stage ID
+   * @param {string} toStage - The target stage ID
+   * @returns {boolean} Whether the transition is allowed
+   */
+  isTransitionAllowed(blueprint, fromStage, toStage) {
+    if (fromStage === toStage) {
+      return true;
+    }
+
+    // Stages without declared transitions may move to any stage
+    const stage = this.getStage(blueprint, fromStage);
+    return (
+      !stage ||
+      !stage.allowedTransitions ||
+      stage.allowedTransitions.includes(toStage)
+    );
+  }
+
   /**
    * Determines the current stage of the funnel based on conversation history
+   * In classifier mode the AI model classifies the stage on every call, falling
+   * back to the heuristics when it fails or isn't confident enough.
    * @param {string} phoneNumber - The phone number identifier
    * @param {Object} chatState - Current state of the chat
+   * @param {Object} [options] - Determination options
+   * @param {Function} [options.classifyStage] - Classifier (blueprint, currentStage, chatState) resolving to { stage, confidence, evidence }
    * @returns {Promise<string>} The current funnel stage ID
    */
-  async determineCurrentStage(phoneNumber, chatState) {
+  async determineCurrentStage(phoneNumber, chatState, options = {}) {
+    const classifyStage = this.options.useStageClassifier
+      ? options.classifyStage
+      : null;
+
     try {
       logger.debug(`Determining current funnel stage for ${phoneNumber}`);
 
+      const blueprint = await this.getBlueprint();
+
       // Try to get the current stage from memory first
       const stageMem = await memoryManager.getLatestMemoryEntry(
         phoneNumber,
         "funnel_stage"
       );
 
-      if (stageMem && stageMem.value) {
+      // Stages no longer declared by the tenant blueprint are determined again
+      if (
+        stageMem &&
+        stageMem.value &&
+        this.getStage(blueprint, stageMem.value)
+      ) {
         logger.debug(`Found saved funnel stage: ${stageMem.value}`);
-        return stageMem.value;
+
+        if (!classifyStage) {
+          return stageMem.value;
+        }
+
+        // Move to the classified stage through the transition graph
+        const classification = await this._classifyStage(
+          blueprint,
+          phoneNumber,
+          stageMem.value,
+          chatState,
+          classifyStage
+        );
+        if (!classification || classification.stage === stageMem.value) {
+          return stageMem.value;
+        }
+
+        await this.updateFunnelStage(phoneNumber, classification.stage, {
+          source: "classifier",
+        });
+        const updatedStageMem = await memoryManager.getLatestMemoryEntry(
+          phoneNumber,
+          "funnel_stage"
+        );
+        return updatedStageMem ? updatedStageMem.value : stageMem.value;
       }
 
       // Check if there's a purchased product to determine upsell opportunity
-      if (this.options.enableUpsellDownsell) {
+      if (
+        this.options.enableUpsellDownsell &&
+        this.getStage(blueprint, FUNNEL_STAGES.UPSELL)
+      ) {
         const purchasedProductMem = await memoryManager.getLatestMemoryEntry(
           phoneNumber,
           "purchased_product"
@@ -368,7 +871,10 @@ class SalesFunnelService {
             );
 
             // If rejection was recent (within 24h), consider downsell
-            if (hoursSinceRejection < 24) {
+            if (
+              hoursSinceRejection < 24 &&
+              this.getStage(blueprint, FUNNEL_STAGES.DOWNSELL)
+            ) {
               const downsellOpportunity = this.getDownsellForRejectedUpsell(
                 rejectedUpsell.target_plan_id
               );
@@ -391,124 +897,192 @@ class SalesFunnelService {
         }
       }
 
-      // If no saved stage or special opportunity, determine based on conversation analysis
-      const messageCount = chatState.messages ? chatState.messages.length : 0;
+      // If no saved stage or special opportunity, classify the conversation
+      // or follow the blueprint advancement signals
+      const classification = classifyStage
+        ? await this._classifyStage(
+            blueprint,
+            phoneNumber,
+            null,
+            chatState,
+            classifyStage
+          )
+        : null;
+      const stage = classification
+        ? classification.stage
+        : this._detectStageFromSignals(blueprint, chatState);
 
-      // Advanced stage determination logic using message content analysis
-      // This is a simplified version - a production system would use more sophisticated analysis
-      let stage;
+      // Save the determined stage
+      await this._saveCurrentStage(phoneNumber, stage);
 
-      if (messageCount === 0) {
-        stage = FUNNEL_STAGES.GREETING;
-      } else if (messageCount < 5) {
-        stage = FUNNEL_STAGES.QUALIFICATION;
-      } else if (messageCount < 10) {
-        stage = FUNNEL_STAGES.NEED_DISCOVERY;
-      } else {
-        // For more advanced stages, analyze recent messages
-        const recentMessages = chatState.messages.slice(-5);
-        const userMessages = recentMessages
-          .filter((m) => m.role === "user")
-          .map((m) => m.content.toLowerCase());
-        const assistantMessages = recentMessages
-          .filter((m) => m.role === "assistant")
-          .map((m) => m.content.toLowerCase());
+      logger.debug(`Determined funnel stage: ${stage}`);
+      return stage;
+    } catch (error) {
+      logger.error(
+        `Failed to determine funnel stage for ${phoneNumber}:`,
+        error
+      );
+      return this.options.defaultStage;
+    }
+  }
 
-        // Look for pricing signals
-        const pricingSignals = [
-          "preço",
-          "valor",
-          "investimento",
-          "custo",
-          "plano",
-          "pacote",
-          "quanto custa",
-        ];
-        const hasPricingDiscussion = userMessages.some((msg) =>
-          pricingSignals.some((signal) => msg.includes(signal))
-        );
+  /**
+   * Determines the stage a conversation reached from the blueprint advancement signals
+   * Keyword signals take precedence over message counts, and later stages over earlier ones.
+   * @private
+   * @param {Object} blueprint - The funnel blueprint
+   * @param {Object} chatState - Current state of the chat
+   * @returns {string} The funnel stage ID
+   */
+  _detectStageFromSignals(blueprint, chatState) {
+    const messageCount = chatState.messages ? chatState.messages.length : 0;
 
-        // Look for closing signals
-        const closingSignals = [
-          "comprar",
-          "adquirir",
-          "assinar",
-          "contratar",
-          "fechar",
-          "pagamento",
-        ];
-        const hasClosingDiscussion = userMessages.some((msg) =>
-          closingSignals.some((signal) => msg.includes(signal))
-        );
+    if (messageCount === 0) {
+      return blueprint.initialStage;
+    }
 
-        // Look for demonstration signals
-        const demoSignals = [
-          "funciona",
-          "exemplo",
-          "demonstração",
-          "mostrar",
-          "ver como",
-        ];
-        const hasDemoRequest = userMessages.some((msg) =>
-          demoSignals.some((signal) => msg.includes(signal))
-        );
+    // Stages whose message threshold has been reached
+    const reachableStages = blueprint.stages.filter(
+      (stage) =>
+        stage.advancementSignals &&
+        messageCount >= stage.advancementSignals.minMessages
+    );
+
+    // Look for keyword signals in the recent user messages
+    const userMessages = chatState.messages
+      .slice(-SIGNAL_WINDOW_SIZE)
+      .filter((m) => m.role === "user")
+      .map((m) => (m.content || "").toLowerCase());
+
+    const signalledStage = reachableStages
+      .filter((stage) => stage.advancementSignals.keywords.length > 0)
+      .reverse()
+      .find((stage) =>
+        userMessages.some((msg) =>
+          stage.advancementSignals.keywords.some((keyword) =>
+            msg.includes(keyword)
+          )
+        )
+      );
 
-        // Look for objection signals
-        const objectionSignals = Object.values(OBJECTION_STRATEGIES).flatMap(
-          (obj) => obj.detection
-        );
-        const hasObjections = userMessages.some((msg) =>
-          objectionSignals.some((signal) => msg.includes(signal))
-        );
+    if (signalledStage) {
+      return signalledStage.id;
+    }
 
-        if (hasClosingDiscussion) {
-          stage = FUNNEL_STAGES.CLOSING;
-        } else if (hasPricingDiscussion) {
-          stage = FUNNEL_STAGES.PRICE_DISCUSSION;
-        } else if (hasObjections) {
-          stage = FUNNEL_STAGES.OBJECTION_HANDLING;
-        } else if (hasDemoRequest) {
-          stage = FUNNEL_STAGES.PRODUCT_DEMONSTRATION;
-        } else if (messageCount < 15) {
-          stage = FUNNEL_STAGES.PAIN_POINT_EXPLORATION;
-        } else if (messageCount < 20) {
-          stage = FUNNEL_STAGES.SOLUTION_PRESENTATION;
-        } else {
-          stage = FUNNEL_STAGES.VALUE_PROPOSITION;
-        }
+    const countedStage = reachableStages
+      .filter((stage) => stage.advancementSignals.keywords.length === 0)
+      .pop();
+
+    return countedStage ? countedStage.id : blueprint.initialStage;
+  }
+
+  /**
+   * Classifies the stage of a conversation with the AI model and stores the result
+   * @private
+   * @param {Object} blueprint - The funnel blueprint
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string|null} currentStage - The saved stage ID, if any
+   * @param {Object} chatState - Current state of the chat
+   * @param {Function} classifyStage - The stage classifier
+   * @returns {Promise<Object|null>} The classification, or null to fall back to the heuristics
+   */
+  async _classifyStage(
+    blueprint,
+    phoneNumber,
+    currentStage,
+    chatState,
+    classifyStage
+  ) {
+    let record;
+
+    try {
+      const { stage, confidence, evidence } = await classifyStage(
+        blueprint,
+        currentStage,
+        chatState
+      );
+
+      if (!this.getStage(blueprint, stage)) {
+        throw new Error(`Classifier returned unknown stage: ${stage}`);
       }
 
-      // Save the determined stage
-      await memoryManager.saveMemoryEntry(
-        phoneNumber,
-        "current_stage",
+      if (typeof confidence !== "number" || confidence < 0 || confidence > 1) {
+        throw new Error(
+          `Classifier returned invalid confidence: ${confidence}`
+        );
+      }
+
+      record = {
         stage,
-        "funnel_stage"
+        confidence,
+        evidence: Array.isArray(evidence) ? evidence : [],
+        accepted: confidence >= this.options.stageAdvancementThreshold,
+      };
+    } catch (error) {
+      logger.warn(
+        `Stage classification failed for ${phoneNumber}, using heuristics: ${error.message}`
       );
+      record = { stage: null, accepted: false, error: error.message };
+    }
 
-      logger.debug(`Determined funnel stage: ${stage}`);
-      return stage;
-    } catch (error) {
-      logger.error(
-        `Failed to determine funnel stage for ${phoneNumber}:`,
-        error
+    await memoryManager.appendMemoryLog(
+      phoneNumber,
+      STAGE_CLASSIFICATIONS_LOG,
+      {
+        ...record,
+        previousStage: currentStage,
+        timestamp: new Date().toISOString(),
+      },
+      "funnel_classification",
+      FUNNEL_LOG_SIZE
+    );
+
+    if (record.stage && !record.accepted) {
+      logger.debug(
+        `Stage classification for ${phoneNumber} below threshold (${record.stage}, ${record.confidence}), using heuristics`
       );
-      return this.options.defaultStage;
     }
+
+    return record.accepted ? record : null;
+  }
+
+  /**
+   * Gets the stored stage classifications of a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Maximum number of classifications
+   * @returns {Promise<Array<Object>>} Classifications, newest first
+   */
+  async getStageClassifications(phoneNumber, options = {}) {
+    const { limit = 50 } = options;
+
+    return memoryManager.getMemoryLog(
+      phoneNumber,
+      STAGE_CLASSIFICATIONS_LOG,
+      "funnel_classification",
+      limit
+    );
   }
 
   /**
    * Updates the current funnel stage for a conversation
+   * Transitions not allowed by the funnel graph or its guards are rejected and audited.
    * @param {string} phoneNumber - The phone number identifier
    * @param {string} newStage - The new funnel stage ID
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Update options
+   * @param {string} [options.source="ai"] - What requested the transition (for the audit trail)
+   * @returns {Promise<boolean>} Whether the transition was applied
    */
-  async updateFunnelStage(phoneNumber, newStage) {
+  async updateFunnelStage(phoneNumber, newStage, options = {}) {
+    const { source = "ai" } = options;
+
     try {
       logger.debug(`Updating funnel stage for ${phoneNumber} to ${newStage}`);
 
+      const blueprint = await this.getBlueprint();
+
       // Validate the stage
-      if (!Object.values(FUNNEL_STAGES).includes(newStage)) {
+      if (!this.getStage(blueprint, newStage)) {
         throw new Error(`Invalid funnel stage: ${newStage}`);
       }
 
@@ -522,6 +1096,22 @@ class SalesFunnelService {
           ? currentStageMem.value
           : this.options.defaultStage;
 
+      const rejection = await this._checkTransition(
+        blueprint,
+        phoneNumber,
+        currentStage,
+        newStage
+      );
+      if (rejection) {
+        await this._recordRejectedTransition(phoneNumber, {
+          from: currentStage,
+          to: newStage,
+          source,
+          ...rejection,
+        });
+        return false;
+      }
+
       // Special handling for upsell rejection transitioning to downsell
       if (
         currentStage === FUNNEL_STAGES.UPSELL &&
@@ -548,7 +1138,15 @@ class SalesFunnelService {
           const downsellOpportunity = this.getDownsellForRejectedUpsell(
             activeUpsellMem.value.targetPlanId
           );
-          if (downsellOpportunity) {
+          if (
+            downsellOpportunity &&
+            this.getStage(blueprint, FUNNEL_STAGES.DOWNSELL) &&
+            this.isTransitionAllowed(
+              blueprint,
+              currentStage,
+              FUNNEL_STAGES.DOWNSELL
+            )
+          ) {
             logger.info(
               `Transitioning to downsell after upsell rejection for ${phoneNumber}`
             );
@@ -566,34 +1164,213 @@ class SalesFunnelService {
       }
 
       // Save the new stage
-      await memoryManager.saveMemoryEntry(
-        phoneNumber,
-        "current_stage",
-        newStage,
-        "funnel_stage"
-      );
+      await this._saveCurrentStage(phoneNumber, newStage);
 
       // Record stage transition for analytics
-      await memoryManager.saveMemoryEntry(
+      await memoryManager.appendMemoryLog(
         phoneNumber,
-        `stage_transition_${Date.now()}`,
+        STAGE_TRANSITIONS_LOG,
         {
           from: currentStage,
           to: newStage,
+          source,
           timestamp: new Date().toISOString(),
         },
-        "funnel_analytics"
+        "funnel_analytics",
+        FUNNEL_LOG_SIZE
       );
 
       logger.info(
         `Updated funnel stage for ${phoneNumber} from ${currentStage} to ${newStage}`
       );
+      return true;
     } catch (error) {
       logger.error(`Failed to update funnel stage for ${phoneNumber}:`, error);
       throw new Error(`Failed to update funnel stage: ${error.message}`);
     }
   }
 
+  /**
+   * Gets the accepted and rejected stage transitions of a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Maximum number of transitions of each kind
+   * @returns {Promise<Object>} Transitions and rejected transitions, newest first
+   */
+  async getTransitionHistory(phoneNumber, options = {}) {
+    const { limit = 50 } = options;
+
+    const [transitions, rejectedTransitions] = await Promise.all([
+      memoryManager.getMemoryLog(
+        phoneNumber,
+        STAGE_TRANSITIONS_LOG,
+        "funnel_analytics",
+        limit
+      ),
+      memoryManager.getMemoryLog(
+        phoneNumber,
+        REJECTED_TRANSITIONS_LOG,
+        "funnel_audit",
+        limit
+      ),
+    ]);
+
+    return { transitions, rejectedTransitions };
+  }
+
+  /**
+   * Checks a stage transition against the funnel graph, its guards and the reversal cooldown
+   * @private
+   * @param {Object} blueprint - The funnel blueprint
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} fromStage - The current stage ID
+   * @param {string} toStage - The target stage ID
+   * @returns {Promise<Object|null>} The rejection reason, or null if the transition is allowed
+   */
+  async _checkTransition(blueprint, phoneNumber, fromStage, toStage) {
+    if (fromStage === toStage) {
+      return null;
+    }
+
+    if (!this.isTransitionAllowed(blueprint, fromStage, toStage)) {
+      return { reason: "not_allowed" };
+    }
+
+    const targetStage = this.getStage(blueprint, toStage);
+    for (const guard of targetStage.guards) {
+      const passed = await this._checkGuard(guard, phoneNumber, fromStage);
+      if (!passed) {
+        return { reason: "guard_failed", guard };
+      }
+    }
+
+    // Don't bounce straight back to the stage just left
+    const [lastTransition] = await memoryManager.getMemoryLog(
+      phoneNumber,
+      STAGE_TRANSITIONS_LOG,
+      "funnel_analytics",
+      1
+    );
+
+    if (
+      lastTransition &&
+      lastTransition.from === toStage &&
+      lastTransition.to === fromStage
+    ) {
+      const minutesSinceTransition =
+        (Date.now() - new Date(lastTransition.timestamp)) / (60 * 1000);
+
+      if (minutesSinceTransition < this.options.reversalCooldownMinutes) {
+        return { reason: "reversal_cooldown" };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluates a transition guard for a conversation
+   * @private
+   * @param {string} guard - The guard name
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} fromStage - The current stage ID
+   * @returns {Promise<boolean>} Whether the guard condition holds
+   */
+  async _checkGuard(guard, phoneNumber, fromStage) {
+    switch (guard) {
+      case "plan_presented": {
+        if (PLAN_PRESENTATION_STAGES.includes(fromStage)) {
+          return true;
+        }
+
+        const checkoutLinks = await memoryManager.getMemoryLog(
+          phoneNumber,
+          CHECKOUT_LINKS_LOG,
+          "sales_actions",
+          1
+        );
+        if (checkoutLinks.length > 0) {
+          return true;
+        }
+
+        const { transitions } = await this.getTransitionHistory(phoneNumber);
+        return transitions.some((transition) =>
+          PLAN_PRESENTATION_STAGES.includes(transition.to)
+        );
+      }
+
+      case "purchase_recorded": {
+        const purchase = await memoryManager.getLatestMemoryEntry(
+          phoneNumber,
+          "purchase_history"
+        );
+        return Boolean(purchase);
+      }
+
+      case "upsell_rejected": {
+        const rejectedUpsell = await memoryManager.getMemoryEntry(
+          phoneNumber,
+          "rejected_upsell",
+          "sales_opportunity"
+        );
+        return Boolean(rejectedUpsell && rejectedUpsell.value);
+      }
+
+      default:
+        logger.warn(`Unknown transition guard: ${guard}`);
+        return false;
+    }
+  }
+
+  /**
+   * Saves the current stage of a conversation
+   * The stage is also set on the conversation record, so conversations can be
+   * listed by stage.
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} stage - The funnel stage ID
+   * @returns {Promise<void>}
+   */
+  async _saveCurrentStage(phoneNumber, stage) {
+    await memoryManager.saveMemoryEntry(
+      phoneNumber,
+      "current_stage",
+      stage,
+      "funnel_stage"
+    );
+    await memoryManager.ensureConversation(phoneNumber, {
+      currentFunnelStepId: stage,
+    });
+  }
+
+  /**
+   * Records a rejected stage transition in the audit trail
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} rejection - The rejected transition and its reason
+   * @returns {Promise<void>}
+   */
+  async _recordRejectedTransition(phoneNumber, rejection) {
+    logger.warn(
+      `Rejected funnel transition for ${phoneNumber} from ${
+        rejection.from
+      } to ${rejection.to}: ${rejection.reason}${
+        rejection.guard ? ` (${rejection.guard})` : ""
+      }`
+    );
+
+    await memoryManager.appendMemoryLog(
+      phoneNumber,
+      REJECTED_TRANSITIONS_LOG,
+      {
+        ...rejection,
+        timestamp: new Date().toISOString(),
+      },
+      "funnel_audit",
+      FUNNEL_LOG_SIZE
+    );
+  }
+
   /**
    * Records a purchase for future upsell opportunities
    * @param {string} phoneNumber - The phone number identifier
@@ -872,27 +1649,217 @@ class SalesFunnelService {
    */
   async extractIdentifiedPain(phoneNumber) {
     try {
-      const painEntry = await memoryManager.getLatestMemoryEntry(
+      const profile = await this.getLeadProfile(phoneNumber);
+      return profile && profile.fields.mainPain
+        ? profile.fields.mainPain.value
+        : "";
+    } catch (error) {
+      logger.error(
+        `Failed to extract identified pain for ${phoneNumber}:`,
+        error
+      );
+      return "";
+    }
+  }
+
+  /**
+   * Gets the rolling summary of the older messages of a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<Object|null>} The summary with the timestamp of the latest summarized message, or null if none
+   */
+  async getConversationSummary(phoneNumber) {
+    try {
+      const summary = await memoryManager.getMemoryContent(
         phoneNumber,
-        "identified_pain"
+        CONVERSATION_SUMMARY_MEMORY_TYPE
       );
-      return painEntry && painEntry.value ? painEntry.value : "";
+      return summary && summary.summary ? summary : null;
     } catch (error) {
       logger.error(
-        `Failed to extract identified pain for ${phoneNumber}:`,
+        `Failed to get conversation summary for ${phoneNumber}:`,
         error
       );
+      return null;
+    }
+  }
+
+  /**
+   * Saves the rolling summary of a conversation, replacing the previous one
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} summary - The summary
+   * @param {string} summary.summary - Summary of the older messages
+   * @param {string} summary.summarizedUntil - Timestamp of the latest summarized message
+   * @param {number} summary.summarizedMessages - Number of messages summarized so far
+   * @returns {Promise<void>}
+   */
+  async saveConversationSummary(phoneNumber, summary) {
+    await memoryManager.saveMemoryContent(
+      phoneNumber,
+      CONVERSATION_SUMMARY_MEMORY_TYPE,
+      { ...summary, updatedAt: new Date().toISOString() }
+    );
+  }
+
+  /**
+   * Gets the lead profile extracted from a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Promise<Object|null>} The profile fields with their provenance, or null if none
+   */
+  async getLeadProfile(phoneNumber) {
+    try {
+      const profile = await memoryManager.getMemoryContent(
+        phoneNumber,
+        LEAD_PROFILE_MEMORY_TYPE
+      );
+      return profile && profile.fields ? profile : null;
+    } catch (error) {
+      logger.error(`Failed to get lead profile for ${phoneNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Merges extracted fields into the lead profile of a conversation
+   * A field is replaced when the lead gives a new value, and a repeated value
+   * keeps the highest confidence.
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} extraction - Extracted fields ({ value, confidence, evidence } by field name)
+   * @param {Object} [options] - Update options
+   * @param {string} [options.source="ai"] - What extracted the fields (for the provenance)
+   * @param {string} [options.messageAt] - Timestamp of the message the fields came from
+   * @param {number} [options.minConfidence=0] - Fields below this confidence (0-1) are ignored
+   * @returns {Promise<Object|null>} The updated profile, or null if nothing changed
+   */
+  async updateLeadProfile(phoneNumber, extraction, options = {}) {
+    const {
+      source = "ai",
+      messageAt = new Date().toISOString(),
+      minConfidence = 0,
+    } = options;
+    const profile = (await this.getLeadProfile(phoneNumber)) || { fields: {} };
+    const changedFields = [];
+
+    for (const [field, spec] of Object.entries(LEAD_PROFILE_FIELDS)) {
+      const extracted = extraction[field];
+      if (
+        !extracted ||
+        extracted.value === null ||
+        extracted.value === undefined ||
+        extracted.value === ""
+      ) {
+        continue;
+      }
+
+      const confidence = Math.min(
+        Math.max(Number(extracted.confidence) || 0, 0),
+        1
+      );
+      if (
+        confidence < minConfidence ||
+        !this._isValidProfileValue(spec, extracted.value)
+      ) {
+        logger.debug(
+          `Ignoring lead profile field ${field} for ${phoneNumber}: ${JSON.stringify(
+            extracted
+          )}`
+        );
+        continue;
+      }
+
+      const current = profile.fields[field];
+      if (
+        current &&
+        current.value === extracted.value &&
+        current.confidence >= confidence
+      ) {
+        continue;
+      }
+
+      profile.fields[field] = {
+        value: extracted.value,
+        confidence,
+        source,
+        evidence: extracted.evidence || "",
+        messageAt,
+        updatedAt: new Date().toISOString(),
+      };
+      changedFields.push(field);
+    }
+
+    if (changedFields.length === 0) {
+      return null;
+    }
+
+    profile.updatedAt = new Date().toISOString();
+    await memoryManager.saveMemoryContent(
+      phoneNumber,
+      LEAD_PROFILE_MEMORY_TYPE,
+      profile
+    );
+
+    logger.debug(
+      `Updated lead profile for ${phoneNumber}: ${changedFields.join(", ")}`
+    );
+    return profile;
+  }
+
+  /**
+   * Checks whether an extracted value fits a lead profile field
+   * @private
+   * @param {Object} spec - The field definition from LEAD_PROFILE_FIELDS
+   * @param {any} value - The extracted value
+   * @returns {boolean} Whether the value can be stored
+   */
+  _isValidProfileValue(spec, value) {
+    switch (spec.type) {
+      case "integer":
+        return Number.isInteger(value) && value >= 0;
+      case "boolean":
+        return typeof value === "boolean";
+      default:
+        return (
+          typeof value === "string" &&
+          (spec !== LEAD_PROFILE_FIELDS.email || EMAIL_PATTERN.test(value))
+        );
+    }
+  }
+
+  /**
+   * Formats the lead profile for the system prompt
+   * @private
+   * @param {Object|null} profile - The lead profile
+   * @returns {string} One line per known field, or empty string if none
+   */
+  _formatLeadProfile(profile) {
+    if (!profile) {
       return "";
     }
+
+    return Object.entries(LEAD_PROFILE_FIELDS)
+      .filter(([field]) => profile.fields[field])
+      .map(([field, spec]) => {
+        const { value } = profile.fields[field];
+        const formatted =
+          typeof value === "boolean" ? (value ? "Sim" : "Não") : value;
+        return `- ${spec.label}: ${formatted}`;
+      })
+      .join("\n");
   }
 
   /**
    * Builds stage-specific instructions for the AI based on funnel stage
    * @param {string} stageId - The funnel stage ID
    * @param {Object} [additionalContext] - Additional context for instruction building
+   * @param {Object} [blueprint] - The funnel blueprint being executed
    * @returns {string} Instructions for the AI
    */
-  buildStageInstructions(stageId, additionalContext = {}) {
+  buildStageInstructions(stageId, additionalContext = {}, blueprint = null) {
+    // Instructions declared by the tenant blueprint replace the built-in ones
+    const stage = blueprint ? this.getStage(blueprint, stageId) : null;
+    if (stage && stage.instructions) {
+      return stage.instructions;
+    }
+
     switch (stageId) {
       case FUNNEL_STAGES.GREETING:
         return `
@@ -1438,6 +2405,12 @@ class SalesFunnelService {
    * @param {Object} botConfig - Bot configuration
    * @param {Object} trainingContext - Training context data
    * @param {Array} socialProofAssets - Available social proof assets
+   * @param {Object} [options] - Prompt options
+   * @param {boolean} [options.useTools=false] - Whether special commands are available as tools
+   * @param {number} [options.knowledgeTokens] - Token budget of the product data and knowledge base (unlimited by default)
+   * @param {string} [options.model] - Model whose tokenizer counts the knowledge tokens
+   * @param {Array<Object>} [options.semanticMemories] - Earlier chunks of the conversation related to the new message
+   * @param {Array<Object>|null} [options.knowledgePassages] - Training passages related to the new message (null adds the whole training data)
    * @returns {string} The generated system prompt
    */
   async generateSystemPrompt(
@@ -1445,8 +2418,17 @@ class SalesFunnelService {
     chatState,
     botConfig,
     trainingContext,
-    socialProofAssets
+    socialProofAssets,
+    options = {}
   ) {
+    const {
+      useTools = false,
+      knowledgeTokens = null,
+      model,
+      semanticMemories = [],
+      knowledgePassages = null,
+    } = options;
+
     try {
       logger.debug(
         `Generating system prompt for funnel stage: ${currentFunnelStepId}`
@@ -1456,8 +2438,17 @@ class SalesFunnelService {
         throw new Error("Invalid chat state");
       }
 
+      const blueprint = await this.getBlueprint();
+
+      // What the lead told about themselves and their business
+      const leadProfile = await this.getLeadProfile(chatState.phoneNumber);
+
       // Get contact name or use fallback
-      const contactName = chatState.contactName || "Cliente";
+      const contactName =
+        chatState.contactName ||
+        (leadProfile && leadProfile.fields.name
+          ? leadProfile.fields.name.value
+          : "Cliente");
 
       // Get the time of day for greeting
       const now = new Date();
@@ -1475,6 +2466,29 @@ class SalesFunnelService {
         chatState.phoneNumber
       );
 
+      // What the lead said in messages no longer in the history
+      const conversationSummary = await this.getConversationSummary(
+        chatState.phoneNumber
+      );
+
+      // Earlier messages and notes retrieved by similarity, with their dates
+      const formattedMemories = semanticMemories
+        .map(
+          (memory) =>
+            `- [${new Date(memory.createdAt).toLocaleDateString(
+              "pt-BR"
+            )}] ${memory.content.replace(/\n/g, " ")}`
+        )
+        .join("\n");
+
+      // Product data and knowledge base, within the knowledge budget
+      const knowledge = this._formatKnowledge(
+        trainingContext,
+        knowledgeTokens,
+        model,
+        knowledgePassages
+      );
+
       // Format available social proof assets
       const formattedSocialProofs = Array.isArray(socialProofAssets)
         ? socialProofAssets
@@ -1492,7 +2506,11 @@ class SalesFunnelService {
                   msg.role === "user"
                     ? contactName
                     : botConfig.identity.firstName
-                }: ${msg.content}`
+                }: ${truncateToTokens(
+                  msg.content,
+                  PROMPT_HISTORY_MESSAGE_TOKENS,
+                  model
+                )}`
             )
             .join("\n")
         : "Sem histórico de conversa";
@@ -1530,8 +2548,46 @@ class SalesFunnelService {
       // Get stage-specific instructions
       const stageInstructions = this.buildStageInstructions(
         currentFunnelStepId,
-        additionalContext
+        additionalContext,
+        blueprint
+      );
+
+      // List the special commands available at this stage
+      const stageCommands = this.getStageCommands(
+        blueprint,
+        currentFunnelStepId
       );
+      let commandInstructions = "";
+
+      if (stageCommands.length > 0 && useTools) {
+        commandInstructions = `Ferramentas Disponíveis (use apenas se apropriado):
+          ${stageCommands
+            .map(
+              (command) =>
+                `- ${SPECIAL_COMMANDS[command].tool} - ${SPECIAL_COMMANDS[command].description}`
+            )
+            .join("\n          ")}
+          Use as ferramentas para executar essas ações, nunca escreva comandos como "!checkout" no texto, e sempre escreva também a mensagem para o cliente.`;
+      } else if (stageCommands.length > 0) {
+        commandInstructions = `Comandos Especiais (use apenas se apropriado):
+          ${stageCommands
+            .map(
+              (command) =>
+                `- ${SPECIAL_COMMANDS[command].usage} - ${SPECIAL_COMMANDS[command].description}`
+            )
+            .join("\n          ")}`;
+      }
+
+      // Grouped messages of the lead are numbered, so each can be quoted in the reply
+      const latestUserTurn = (chatState.messages || [])
+        .filter((m) => m.role === "user")
+        .pop();
+      const quotedReplyInstructions =
+        latestUserTurn &&
+        latestUserTurn.metadata &&
+        latestUserTurn.metadata.groupedMessageIds
+          ? `Respostas Citadas: o cliente enviou várias mensagens numeradas ([Mensagem 1], [Mensagem 2]...). Ao responder a uma delas especificamente, comece o parágrafo da resposta com !responder:N (N é o número da mensagem) para citá-la no WhatsApp.`
+          : "";
 
       // Check if there are any objections to handle
       let objectionInstructions = "";
@@ -1636,16 +2692,24 @@ class SalesFunnelService {
           Contexto:
           * Etapa do Funil: ${currentFunnelStepId}
           * Dor Identificada: ${identifiedPain}
-          * Produto: ${
-            trainingContext.productData
-              ? JSON.stringify(trainingContext.productData, null, 2)
-              : "Dados do produto não disponíveis"
-          }
-          * Base de Conhecimento: ${
-            trainingContext.generalData ||
-            "Dados de treinamento não disponíveis"
+          ${
+            leadProfile
+              ? `* Perfil do Lead:\n${this._formatLeadProfile(leadProfile)}`
+              : ""
           }
+          * Produto: ${knowledge.productData}
+          * Base de Conhecimento: ${knowledge.knowledgeBase}
           * Provas Sociais Disponíveis: ${formattedSocialProofs}
+          ${
+            conversationSummary
+              ? `* Resumo das Conversas Anteriores: ${conversationSummary.summary}`
+              : ""
+          }
+          ${
+            formattedMemories
+              ? `* Trechos Relevantes de Conversas Anteriores:\n${formattedMemories}`
+              : ""
+          }
           * Histórico da Conversa: ${formattedHistory}
           * Saudação: ${greetingTime}
           ${
@@ -1689,11 +2753,8 @@ class SalesFunnelService {
             botConfig.identity.firstName
           }, seguindo as instruções e o tom de voz definidos. Se necessário, utilize as provas sociais disponíveis e as informações do produto. Priorize o tratamento de objeções e dúvidas do cliente antes de prosseguir no funil.
           
-          Comandos Especiais (use apenas se apropriado):
-          - !prova_social:[id] - Para enviar uma prova social específica
-          - !checkout:[plano_id] - Para enviar um link de checkout para um plano específico
-          - !suporte - Para encaminhar o cliente ao suporte técnico
-          - !etapa:[id_etapa] - Para forçar uma mudança na etapa do funil
+          ${commandInstructions}
+          ${quotedReplyInstructions}
         `;
 
       logger.debug("System prompt generated successfully");
@@ -1704,6 +2765,75 @@ class SalesFunnelService {
     }
   }
 
+  /**
+   * Format the product data and knowledge base of the system prompt within a token budget
+   * @private
+   * @param {Object} trainingContext - Training context data
+   * @param {number|null} maxTokens - Token budget of both texts (null for unlimited)
+   * @param {string} [model] - Model whose tokenizer counts the tokens
+   * @param {Array<Object>|null} [passages] - Retrieved training passages, most related first (null uses the whole training data)
+   * @returns {Object} The formatted product data and knowledge base
+   */
+  _formatKnowledge(trainingContext, maxTokens, model, passages = null) {
+    let productData = trainingContext.productData
+      ? JSON.stringify(trainingContext.productData, null, 2)
+      : "Dados do produto não disponíveis";
+    const formattedPassages = (passages || []).map(
+      (passage) =>
+        `[Fonte: ${passage.source}${
+          passage.heading ? ` › ${passage.heading}` : ""
+        }]\n${passage.content}`
+    );
+    let knowledgeBase = passages
+      ? formattedPassages.join("\n\n") ||
+        "Nenhum trecho da base de conhecimento relacionado à mensagem"
+      : trainingContext.generalData || "Dados de treinamento não disponíveis";
+
+    if (maxTokens === null || maxTokens === undefined) {
+      return { productData, knowledgeBase };
+    }
+
+    // Indented JSON is compacted before the product data is truncated
+    if (
+      trainingContext.productData &&
+      countTokens(productData, model) > maxTokens
+    ) {
+      productData = JSON.stringify(trainingContext.productData);
+    }
+    productData = truncateToTokens(productData, maxTokens, model);
+
+    // The knowledge base gets the budget the product data leaves
+    const knowledgeBudget = maxTokens - countTokens(productData, model);
+
+    // Less related passages are dropped whole before the rest is truncated
+    if (passages && formattedPassages.length > 1) {
+      const kept = formattedPassages.filter(
+        (passage, i) =>
+          i === 0 ||
+          countTokens(formattedPassages.slice(0, i + 1).join("\n\n"), model) <=
+            knowledgeBudget
+      );
+      knowledgeBase = kept.join("\n\n");
+    }
+
+    const truncatedKnowledge = truncateToTokens(
+      knowledgeBase,
+      knowledgeBudget,
+      model
+    );
+
+    if (truncatedKnowledge !== knowledgeBase) {
+      logger.debug(
+        `Knowledge base truncated to ${Math.max(
+          knowledgeBudget,
+          0
+        )} tokens to fit the prompt budget`
+      );
+    }
+
+    return { productData, knowledgeBase: truncatedKnowledge };
+  }
+
   /**
    * Analyzes user response to an upsell offer
    * @param {string} userMessage - The user's message
@@ -1963,5 +3093,9 @@ module.exports = {
   OBJECTION_STRATEGIES,
   UPSELL_OPPORTUNITIES,
   DOWNSELL_ALTERNATIVES,
+  FUNNEL_TRANSITIONS,
+  DEFAULT_FUNNEL_BLUEPRINT,
+  LEAD_PROFILE_FIELDS,
+  CHECKOUT_LINKS_LOG,
   SalesFunnelService: new SalesFunnelService(),
 };
\ No newline at end of file
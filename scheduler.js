@@ -0,0 +1,743 @@
+/**
+ * @fileoverview Task Scheduler for WhatsApp AI Sales Agent
+ *
+ * This module runs recurring maintenance tasks based on standard 5-field cron
+ * expressions (minute hour day-of-month month day-of-week), evaluated in a
+ * configurable timezone. It prevents overlapping runs of the same task,
+ * records the outcome of every run and persists that history to disk so it
+ * survives restarts. The current state is mirrored into the bot status object.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const { getBotStatus } = require("./utils");
+
+/**
+ * Definition of each cron field, in expression order
+ * @type {Array<Object>}
+ */
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    aliases: {
+      jan: 1,
+      feb: 2,
+      mar: 3,
+      apr: 4,
+      may: 5,
+      jun: 6,
+      jul: 7,
+      aug: 8,
+      sep: 9,
+      oct: 10,
+      nov: 11,
+      dec: 12,
+    },
+  },
+  {
+    name: "dayOfWeek",
+    min: 0,
+    max: 7, // Both 0 and 7 mean Sunday
+    aliases: { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 },
+  },
+];
+
+/**
+ * Maps Intl short weekday names to cron day-of-week numbers
+ * @type {Object.<string, number>}
+ */
+const WEEKDAY_INDEX = {
+  Sun: 0,
+  Mon: 1,
+  Tue: 2,
+  Wed: 3,
+  Thu: 4,
+  Fri: 5,
+  Sat: 6,
+};
+
+/**
+ * Maximum number of minutes to scan when looking for the next run (~4 years,
+ * enough to reach the next February 29th)
+ * @type {number}
+ */
+const MAX_NEXT_RUN_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Default number of runs kept in the persisted history of each task
+ * @type {number}
+ */
+const DEFAULT_HISTORY_SIZE = 20;
+
+// Cached date formatters per timezone
+const zonedFormatters = new Map();
+
+/**
+ * Parse a single value of a cron field, resolving name aliases
+ * @private
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @param {string} expression - Full expression (for error messages)
+ * @returns {number} Numeric value
+ */
+function parseCronValue(value, field, expression) {
+  const normalized = value.toLowerCase();
+
+  if (field.aliases && field.aliases[normalized] !== undefined) {
+    return field.aliases[normalized];
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(
+      `Invalid ${field.name} value "${value}" in cron expression "${expression}"`
+    );
+  }
+
+  const number = parseInt(value, 10);
+
+  if (number < field.min || number > field.max) {
+    throw new Error(
+      `${field.name} value ${number} out of range ${field.min}-${field.max} in cron expression "${expression}"`
+    );
+  }
+
+  return number;
+}
+
+/**
+ * Parse one field of a cron expression into the set of allowed values
+ * @private
+ * @param {string} source - Raw field (e.g. "*\/15", "1-5", "mon,wed,fri")
+ * @param {Object} field - Field definition
+ * @param {string} expression - Full expression (for error messages)
+ * @returns {Set<number>} Allowed values
+ */
+function parseCronField(source, field, expression) {
+  const values = new Set();
+
+  for (const part of source.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    let step = 1;
+
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw new Error(
+          `Invalid step "${stepPart}" for ${field.name} in cron expression "${expression}"`
+        );
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes("-")) {
+      const [from, to] = rangePart.split("-");
+      start = parseCronValue(from, field, expression);
+      end = parseCronValue(to, field, expression);
+
+      if (start > end) {
+        throw new Error(
+          `Invalid range "${rangePart}" for ${field.name} in cron expression "${expression}"`
+        );
+      }
+    } else {
+      start = parseCronValue(rangePart, field, expression);
+      // "5/15" means "starting at 5, every 15"
+      end = stepPart !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Normalize Sunday (7 -> 0)
+  if (field.name === "dayOfWeek" && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression
+ * @param {string} expression - Cron expression (e.g. "0 3 * * *")
+ * @returns {Object} Parsed expression with a set of allowed values per field
+ */
+function parseCronExpression(expression) {
+  if (!expression || typeof expression !== "string") {
+    throw new Error("Cron expression must be a non-empty string");
+  }
+
+  const parts = expression.trim().split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Cron expression "${expression}" must have ${CRON_FIELDS.length} fields (minute hour day-of-month month day-of-week)`
+    );
+  }
+
+  const parsed = { source: expression.trim() };
+
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(parts[index], field, expression);
+  });
+
+  // Standard cron semantics: when both day fields are restricted,
+  // a date matches if EITHER of them matches
+  parsed.dayOfMonthRestricted = !parts[2].startsWith("*");
+  parsed.dayOfWeekRestricted = !parts[4].startsWith("*");
+
+  return parsed;
+}
+
+/**
+ * Get a cached Intl formatter for a timezone
+ * @private
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getZonedFormatter(timezone) {
+  let formatter = zonedFormatters.get(timezone);
+
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    });
+    zonedFormatters.set(timezone, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Get the wall-clock cron fields of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} Zoned minute, hour, dayOfMonth, month and dayOfWeek
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+
+  for (const { type, value } of getZonedFormatter(timezone).formatToParts(
+    date
+  )) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+/**
+ * Check whether the day fields of a parsed expression match
+ * @private
+ * @param {Object} cron - Parsed cron expression
+ * @param {Object} parts - Zoned date parts
+ * @returns {boolean} Whether the day matches
+ */
+function cronDayMatches(cron, parts) {
+  if (!cron.month.has(parts.month)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = cron.dayOfMonth.has(parts.dayOfMonth);
+  const dayOfWeekMatches = cron.dayOfWeek.has(parts.dayOfWeek);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Check whether a parsed cron expression matches zoned date parts
+ * @param {Object} cron - Parsed cron expression
+ * @param {Object} parts - Zoned date parts (see getZonedParts)
+ * @returns {boolean} Whether the expression matches
+ */
+function cronMatches(cron, parts) {
+  return (
+    cronDayMatches(cron, parts) &&
+    cron.hour.has(parts.hour) &&
+    cron.minute.has(parts.minute)
+  );
+}
+
+/**
+ * Compute the next date (after `fromDate`) matching a cron expression
+ * @param {Object} cron - Parsed cron expression
+ * @param {Date} fromDate - Reference date
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date|null} Next matching date or null if none was found
+ */
+function getNextRunDate(cron, fromDate, timezone) {
+  // Start at the beginning of the next minute
+  let candidate = new Date(Math.floor(fromDate.getTime() / 60000) * 60000);
+  candidate = new Date(candidate.getTime() + 60000);
+
+  let scannedMinutes = 0;
+
+  while (scannedMinutes < MAX_NEXT_RUN_SEARCH_MINUTES) {
+    const parts = getZonedParts(candidate, timezone);
+    let skipMinutes;
+
+    if (!cronDayMatches(cron, parts)) {
+      // Jump to the start of the next (zoned) day
+      skipMinutes = 24 * 60 - (parts.hour * 60 + parts.minute);
+    } else if (!cron.hour.has(parts.hour)) {
+      // Jump to the start of the next hour
+      skipMinutes = 60 - parts.minute;
+    } else if (!cron.minute.has(parts.minute)) {
+      skipMinutes = 1;
+    } else {
+      return candidate;
+    }
+
+    candidate = new Date(candidate.getTime() + skipMinutes * 60000);
+    scannedMinutes += skipMinutes;
+  }
+
+  return null;
+}
+
+/**
+ * Scheduler class for running recurring tasks
+ */
+class Scheduler {
+  /**
+   * Create a new Scheduler instance
+   * @param {Object} options - Scheduler options
+   * @param {string} [options.timezone] - IANA timezone used to evaluate cron expressions
+   * @param {string} [options.historyFile] - File where run history is persisted
+   * @param {number} [options.historySize] - Number of runs kept per task
+   */
+  constructor(options = {}) {
+    this.options = {
+      timezone: botConfig.scheduler.timezone,
+      historyFile: botConfig.scheduler.historyFile,
+      historySize: botConfig.scheduler.historySize || DEFAULT_HISTORY_SIZE,
+      ...options,
+    };
+
+    // Fail fast on an unknown timezone
+    try {
+      getZonedFormatter(this.options.timezone);
+    } catch (error) {
+      throw new Error(`Invalid scheduler timezone: ${this.options.timezone}`);
+    }
+
+    this.tasks = new Map();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastTickMinute = null;
+    this.persistedHistory = this._loadHistory();
+
+    logger.debug(`Scheduler created with timezone ${this.options.timezone}`);
+  }
+
+  /**
+   * Register a recurring task
+   * @param {Object} definition - Task definition
+   * @param {string} definition.name - Unique task name
+   * @param {string} definition.schedule - 5-field cron expression
+   * @param {Function} definition.task - Async function to run
+   * @returns {Object} The registered task state
+   */
+  addTask({ name, schedule, task }) {
+    if (!name || typeof name !== "string") {
+      throw new Error("Task name is required");
+    }
+
+    if (typeof task !== "function") {
+      throw new Error(`Task "${name}" must be a function`);
+    }
+
+    if (this.tasks.has(name)) {
+      throw new Error(`Task "${name}" is already registered`);
+    }
+
+    const cron = parseCronExpression(schedule);
+    const previous = this.persistedHistory[name] || {};
+
+    const entry = {
+      name,
+      schedule: cron.source,
+      cron,
+      task,
+      running: false,
+      currentRunStartedAt: null,
+      lastRunAt: previous.lastRunAt || null,
+      lastDurationMs:
+        previous.lastDurationMs !== undefined ? previous.lastDurationMs : null,
+      lastStatus: previous.lastStatus || null,
+      lastError: previous.lastError || null,
+      runCount: previous.runCount || 0,
+      failureCount: previous.failureCount || 0,
+      skippedCount: previous.skippedCount || 0,
+      history: Array.isArray(previous.history) ? previous.history : [],
+      nextRunAt: null,
+    };
+
+    this._updateNextRun(entry, new Date());
+    this.tasks.set(name, entry);
+
+    logger.debug(
+      `Scheduled task "${name}" (${cron.source}), next run at ${entry.nextRunAt}`
+    );
+
+    this._publishStatus();
+    return this._serializeTask(entry);
+  }
+
+  /**
+   * Remove a registered task
+   * @param {string} name - Task name
+   * @returns {boolean} Whether the task existed
+   */
+  removeTask(name) {
+    const removed = this.tasks.delete(name);
+    if (removed) {
+      this._publishStatus();
+    }
+    return removed;
+  }
+
+  /**
+   * Start evaluating schedules
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this._scheduleNextTick();
+
+    logger.info(
+      `Scheduler started with ${this.tasks.size} tasks (timezone: ${this.options.timezone})`
+    );
+    this._publishStatus();
+  }
+
+  /**
+   * Stop evaluating schedules (running tasks are allowed to finish)
+   */
+  stop() {
+    this.isRunning = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this._publishStatus();
+  }
+
+  /**
+   * Run a task immediately, outside of its schedule
+   * @param {string} name - Task name
+   * @returns {Promise<Object>} The task state after the run
+   */
+  async runTask(name) {
+    const entry = this.tasks.get(name);
+
+    if (!entry) {
+      throw new Error(`Unknown task "${name}"`);
+    }
+
+    await this._executeTask(entry, "manual");
+    return this._serializeTask(entry);
+  }
+
+  /**
+   * Get the scheduler state, including per-task run information
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    const tasks = {};
+
+    for (const entry of this.tasks.values()) {
+      tasks[entry.name] = this._serializeTask(entry);
+    }
+
+    return {
+      running: this.isRunning,
+      timezone: this.options.timezone,
+      tasks,
+    };
+  }
+
+  /**
+   * Schedule the next tick at the start of the next minute
+   * @private
+   */
+  _scheduleNextTick() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const now = Date.now();
+    const delay = 60000 - (now % 60000) + 50; // Small margin past the boundary
+
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  /**
+   * Evaluate all tasks for the current minute
+   * @private
+   */
+  _tick() {
+    const now = new Date();
+    const minuteKey = Math.floor(now.getTime() / 60000);
+
+    // Guard against running the same minute twice (timer drift)
+    if (this.lastTickMinute !== minuteKey) {
+      this.lastTickMinute = minuteKey;
+
+      const parts = getZonedParts(now, this.options.timezone);
+
+      for (const entry of this.tasks.values()) {
+        if (cronMatches(entry.cron, parts)) {
+          this._executeTask(entry, "schedule").catch((error) => {
+            logger.error(
+              `Unexpected scheduler error for "${entry.name}":`,
+              error
+            );
+          });
+        }
+      }
+    }
+
+    this._scheduleNextTick();
+  }
+
+  /**
+   * Execute a task, skipping it if a previous run is still in progress
+   * @private
+   * @param {Object} entry - Task state
+   * @param {string} trigger - What triggered the run ('schedule' or 'manual')
+   * @returns {Promise<void>}
+   */
+  async _executeTask(entry, trigger) {
+    if (entry.running) {
+      entry.skippedCount++;
+      logger.warn(
+        `Skipping task "${entry.name}": previous run started at ${entry.currentRunStartedAt} is still in progress`
+      );
+      this._recordRun(entry, {
+        startedAt: new Date().toISOString(),
+        durationMs: 0,
+        status: "skipped",
+        trigger,
+        error: null,
+      });
+      return;
+    }
+
+    entry.running = true;
+    entry.currentRunStartedAt = new Date().toISOString();
+    this._publishStatus();
+
+    const startTime = Date.now();
+    let status = "success";
+    let errorMessage = null;
+
+    try {
+      logger.debug(`Running scheduled task "${entry.name}" (${trigger})`);
+      await entry.task();
+    } catch (error) {
+      status = "failed";
+      errorMessage = error && error.message ? error.message : String(error);
+      logger.error(`Scheduled task "${entry.name}" failed:`, error);
+    }
+
+    const durationMs = Date.now() - startTime;
+
+    entry.running = false;
+    entry.lastRunAt = entry.currentRunStartedAt;
+    entry.currentRunStartedAt = null;
+    entry.lastDurationMs = durationMs;
+    entry.lastStatus = status;
+    entry.lastError = errorMessage;
+    entry.runCount++;
+    if (status === "failed") {
+      entry.failureCount++;
+    }
+
+    this._recordRun(entry, {
+      startedAt: entry.lastRunAt,
+      durationMs,
+      status,
+      trigger,
+      error: errorMessage,
+    });
+
+    logger.debug(
+      `Task "${entry.name}" finished with status ${status} in ${durationMs}ms`
+    );
+  }
+
+  /**
+   * Append a run to the task history and persist it
+   * @private
+   * @param {Object} entry - Task state
+   * @param {Object} run - Run record
+   */
+  _recordRun(entry, run) {
+    entry.history.push(run);
+    if (entry.history.length > this.options.historySize) {
+      entry.history.splice(0, entry.history.length - this.options.historySize);
+    }
+
+    this._updateNextRun(entry, new Date());
+    this._persistHistory();
+    this._publishStatus();
+  }
+
+  /**
+   * Recompute the next run date of a task
+   * @private
+   * @param {Object} entry - Task state
+   * @param {Date} fromDate - Reference date
+   */
+  _updateNextRun(entry, fromDate) {
+    const nextRun = getNextRunDate(entry.cron, fromDate, this.options.timezone);
+    entry.nextRunAt = nextRun ? nextRun.toISOString() : null;
+  }
+
+  /**
+   * Convert task state to a plain object
+   * @private
+   * @param {Object} entry - Task state
+   * @returns {Object} Serializable task state
+   */
+  _serializeTask(entry) {
+    return {
+      name: entry.name,
+      schedule: entry.schedule,
+      running: entry.running,
+      currentRunStartedAt: entry.currentRunStartedAt,
+      lastRunAt: entry.lastRunAt,
+      lastDurationMs: entry.lastDurationMs,
+      lastStatus: entry.lastStatus,
+      lastError: entry.lastError,
+      nextRunAt: entry.nextRunAt,
+      runCount: entry.runCount,
+      failureCount: entry.failureCount,
+      skippedCount: entry.skippedCount,
+      history: [...entry.history],
+    };
+  }
+
+  /**
+   * Mirror the scheduler state into the bot status object
+   * @private
+   */
+  _publishStatus() {
+    getBotStatus().update({ scheduler: this.getStatus() });
+  }
+
+  /**
+   * Load persisted run history from disk
+   * @private
+   * @returns {Object} History indexed by task name
+   */
+  _loadHistory() {
+    const { historyFile } = this.options;
+
+    if (!historyFile || !fs.existsSync(historyFile)) {
+      return {};
+    }
+
+    try {
+      const content = JSON.parse(fs.readFileSync(historyFile, "utf-8"));
+      return content && typeof content.tasks === "object" ? content.tasks : {};
+    } catch (error) {
+      logger.warn(
+        `Failed to read scheduler history from ${historyFile}: ${error.message}`
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Persist run history to disk (atomic write through a temporary file)
+   * @private
+   */
+  _persistHistory() {
+    const { historyFile } = this.options;
+
+    if (!historyFile) {
+      return;
+    }
+
+    const tasks = { ...this.persistedHistory };
+
+    for (const entry of this.tasks.values()) {
+      const { name, running, currentRunStartedAt, nextRunAt, ...state } =
+        this._serializeTask(entry);
+      tasks[name] = state;
+    }
+
+    this.persistedHistory = tasks;
+
+    try {
+      fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+
+      const tempFile = `${historyFile}.tmp`;
+      fs.writeFileSync(
+        tempFile,
+        JSON.stringify({ updatedAt: new Date().toISOString(), tasks }, null, 2)
+      );
+      fs.renameSync(tempFile, historyFile);
+    } catch (error) {
+      logger.error(
+        `Failed to persist scheduler history to ${historyFile}:`,
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Create a new scheduler
+ * @param {Object} [options] - Scheduler options (see Scheduler constructor)
+ * @returns {Scheduler} Scheduler instance
+ */
+function createScheduler(options = {}) {
+  return new Scheduler(options);
+}
+
+module.exports = {
+  createScheduler,
+  Scheduler,
+  parseCronExpression,
+  cronMatches,
+  getZonedParts,
+  getNextRunDate,
+};
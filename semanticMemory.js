@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Semantic Memory for WhatsApp AI Sales Agent
+ *
+ * This module keeps the SEMANTIC memory of each conversation: past message
+ * exchanges and notes are split into chunks, embedded and stored, so the
+ * earlier facts most related to a new customer message can be brought back
+ * into the prompt once they have left the conversation history.
+ * Embeddings are stored in PostgreSQL with pgvector, in the table of
+ * prisma/sql/semantic_memories.sql, falling back to a bounded in-process store
+ * when the extension or the table isn't installed. Besides the OpenAI
+ * embeddings, a local hashing embedding is available for tests and offline
+ * use (no API calls, only lexical similarity).
+ */
+
+const crypto = require("crypto");
+const { prisma } = require("./db");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const tenantManager = require("./tenantManager");
+const memoryManager = require("./memoryManager");
+const { llmProviders } = require("./llmProviders");
+const { USAGE_OPERATIONS, usageTracker } = require("./usageTracker");
+const { splitIntoTokenChunks } = require("./tokenCounter");
+
+/**
+ * Supported embedding stores
+ * @enum {string}
+ */
+const SEMANTIC_STORES = {
+  PGVECTOR: "pgvector",
+  MEMORY: "memory",
+};
+
+/**
+ * Supported embedding providers
+ * @enum {string}
+ */
+const EMBEDDING_PROVIDERS = {
+  OPENAI: "openai",
+  LOCAL: "local",
+};
+
+/**
+ * Kinds of semantic memory chunks
+ * @enum {string}
+ */
+const SEMANTIC_MEMORY_KINDS = {
+  MESSAGE: "message",
+  NOTE: "note",
+};
+
+/**
+ * Model name recorded for the local hashing embeddings
+ * @type {string}
+ */
+const LOCAL_EMBEDDING_MODEL = "local-hash";
+
+/**
+ * Semantic Memory class for storing and retrieving embedded chunks
+ */
+class SemanticMemory {
+  /**
+   * Create a new SemanticMemory instance
+   */
+  constructor() {
+    // Store in use, resolved on first use (pgvector may be unavailable)
+    this.store = null;
+
+    // Chunks of the in-process store by tenant and phone number, in least
+    // recently used order
+    this.entries = new Map();
+
+    logger.info(
+      `SemanticMemory initialized with ${botConfig.semanticMemory.store} store and ${botConfig.semanticMemory.embeddingProvider} embeddings`
+    );
+  }
+
+  /**
+   * Embed and store an exchange of customer messages and the agent reply
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} userMessage - The customer messages of the turn
+   * @param {string} [reply] - The reply of the agent
+   * @returns {Promise<number>} Number of chunks stored (0 on failure)
+   */
+  async indexExchange(phoneNumber, userMessage, reply) {
+    const text = `Cliente: ${userMessage}${
+      reply ? `\nVendedor: ${reply}` : ""
+    }`;
+
+    return this._index(phoneNumber, text, SEMANTIC_MEMORY_KINDS.MESSAGE);
+  }
+
+  /**
+   * Embed and store a note about a conversation
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} note - The note
+   * @param {Object} [metadata] - Additional data stored with the note (e.g. its author)
+   * @returns {Promise<number>} Number of chunks stored (0 on failure)
+   */
+  async indexNote(phoneNumber, note, metadata = {}) {
+    return this._index(phoneNumber, note, SEMANTIC_MEMORY_KINDS.NOTE, metadata);
+  }
+
+  /**
+   * Find the stored chunks most related to a text
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} query - The text to search for (usually the new customer message)
+   * @param {Object} [options] - Retrieval options
+   * @param {Date} [options.before] - Only chunks stored before this date (e.g. older than the history)
+   * @param {number} [options.limit] - Maximum number of chunks (configured topK by default)
+   * @returns {Promise<Array<Object>>} Chunks with their similarity score, most related first (empty on failure)
+   */
+  async retrieve(phoneNumber, query, options = {}) {
+    const { topK, minScore } = botConfig.semanticMemory;
+    const { before = null, limit = topK } = options;
+
+    if (!query || !query.trim()) {
+      return [];
+    }
+
+    try {
+      const [embedding] = await this.embed([query], phoneNumber);
+      const store = await this._getStore();
+
+      const matches =
+        store === SEMANTIC_STORES.PGVECTOR
+          ? await this._searchPgvector(phoneNumber, embedding, before, limit)
+          : this._searchInProcess(phoneNumber, embedding, before, limit);
+
+      const relevant = matches.filter((match) => match.score >= minScore);
+      logger.debug(
+        `Retrieved ${relevant.length} semantic memories for ${phoneNumber}`
+      );
+
+      return relevant;
+    } catch (error) {
+      // Retrieval never blocks the reply
+      logger.error(
+        `Failed to retrieve semantic memories for ${phoneNumber}:`,
+        error
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Embed texts with the configured embedding provider
+   * @param {Array<string>} texts - The texts to embed
+   * @param {string} [phoneNumber] - Phone number of the conversation, recorded with the usage
+   * @returns {Promise<Array<Array<number>>>} One normalized vector per text
+   */
+  async embed(texts, phoneNumber) {
+    const { embeddingProvider, embeddingModel } = botConfig.semanticMemory;
+
+    if (embeddingProvider === EMBEDDING_PROVIDERS.LOCAL) {
+      return texts.map((text) => this._embedLocally(text));
+    }
+
+    const startedAt = Date.now();
+    const response = await llmProviders
+      .getOpenAIClient()
+      .embeddings.create({ model: embeddingModel, input: texts });
+
+    usageTracker
+      .recordUsage({
+        operation: USAGE_OPERATIONS.EMBEDDING,
+        provider: "openai",
+        model: embeddingModel,
+        promptTokens: response.usage ? response.usage.prompt_tokens : 0,
+        latencyMs: Date.now() - startedAt,
+        phoneNumber,
+      })
+      .catch((error) => logger.error("Failed to record AI usage:", error));
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+
+  /**
+   * Split a text into chunks, embed them and store them
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {string} text - The text to store
+   * @param {string} kind - Kind of chunk (see SEMANTIC_MEMORY_KINDS)
+   * @param {Object} [metadata] - Additional data stored with each chunk
+   * @returns {Promise<number>} Number of chunks stored (0 on failure)
+   */
+  async _index(phoneNumber, text, kind, metadata = {}) {
+    try {
+      const chunks = splitIntoTokenChunks(
+        text,
+        botConfig.semanticMemory.chunkTokens
+      ).filter((chunk) => chunk.trim());
+
+      if (chunks.length === 0) {
+        return 0;
+      }
+
+      const embeddings = await this.embed(chunks, phoneNumber);
+      const store = await this._getStore();
+
+      for (const [index, content] of chunks.entries()) {
+        const entry = {
+          id: crypto.randomUUID(),
+          kind,
+          content,
+          metadata,
+          model: this._getEmbeddingModel(),
+          embedding: embeddings[index],
+          createdAt: new Date(),
+        };
+
+        if (store === SEMANTIC_STORES.PGVECTOR) {
+          await this._insertPgvector(phoneNumber, entry);
+        } else {
+          this._insertInProcess(phoneNumber, entry);
+        }
+      }
+
+      logger.debug(
+        `Stored ${chunks.length} ${kind} chunks in the semantic memory of ${phoneNumber}`
+      );
+      return chunks.length;
+    } catch (error) {
+      logger.error(
+        `Failed to store semantic memory for ${phoneNumber}:`,
+        error
+      );
+      return 0;
+    }
+  }
+
+  /**
+   * Get the store in use, checking once whether pgvector and its table are installed
+   * @private
+   * @returns {Promise<string>} The store (see SEMANTIC_STORES)
+   */
+  async _getStore() {
+    if (this.store) {
+      return this.store;
+    }
+
+    if (botConfig.semanticMemory.store !== SEMANTIC_STORES.PGVECTOR) {
+      this.store = SEMANTIC_STORES.MEMORY;
+      return this.store;
+    }
+
+    try {
+      const [installed] = await prisma.$queryRaw`
+        SELECT
+          EXISTS (SELECT 1 FROM "pg_extension" WHERE "extname" = 'vector') AS "extension",
+          to_regclass('semantic_memories') IS NOT NULL AS "table"
+      `;
+
+      if (!installed || !installed.extension) {
+        throw new Error("the vector extension is not installed");
+      }
+      if (!installed.table) {
+        throw new Error(
+          "the semantic_memories table is missing, apply prisma/sql/semantic_memories.sql"
+        );
+      }
+
+      this.store = SEMANTIC_STORES.PGVECTOR;
+    } catch (error) {
+      logger.warn(
+        `pgvector unavailable (${error.message}), using the in-process semantic memory store`
+      );
+      this.store = SEMANTIC_STORES.MEMORY;
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Store a chunk in PostgreSQL
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} entry - The chunk with its embedding
+   * @returns {Promise<void>}
+   */
+  async _insertPgvector(phoneNumber, entry) {
+    const conversation = await memoryManager.ensureConversation(phoneNumber);
+
+    await prisma.$executeRaw`
+      INSERT INTO "semantic_memories"
+        ("id", "tenantId", "conversationId", "kind", "content", "metadata", "model", "embedding", "createdAt")
+      VALUES (
+        ${entry.id},
+        ${conversation.tenantId},
+        ${conversation.id},
+        ${entry.kind},
+        ${entry.content},
+        ${JSON.stringify(entry.metadata)}::jsonb,
+        ${entry.model},
+        ${this._toVectorLiteral(entry.embedding)}::vector,
+        ${entry.createdAt}
+      )
+    `;
+  }
+
+  /**
+   * Find the chunks of a conversation nearest to an embedding in PostgreSQL
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Array<number>} embedding - The query embedding
+   * @param {Date|null} before - Only chunks stored before this date
+   * @param {number} limit - Maximum number of chunks
+   * @returns {Promise<Array<Object>>} Chunks with their cosine similarity
+   */
+  async _searchPgvector(phoneNumber, embedding, before, limit) {
+    const conversation = await memoryManager.ensureConversation(phoneNumber);
+    const vector = this._toVectorLiteral(embedding);
+
+    const rows = await prisma.$queryRaw`
+      SELECT "id", "kind", "content", "metadata", "createdAt",
+        1 - ("embedding" <=> ${vector}::vector) AS "score"
+      FROM "semantic_memories"
+      WHERE "conversationId" = ${conversation.id}
+        AND "model" = ${this._getEmbeddingModel()}
+        AND "createdAt" < ${before || new Date()}
+      ORDER BY "embedding" <=> ${vector}::vector
+      LIMIT ${limit}
+    `;
+
+    return rows.map((row) => ({ ...row, score: Number(row.score) }));
+  }
+
+  /**
+   * Store a chunk in the in-process store, dropping the oldest chunks and the
+   * least recently used conversations over the limits
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Object} entry - The chunk with its embedding
+   */
+  _insertInProcess(phoneNumber, entry) {
+    const { maxInProcessEntries, maxInProcessConversations } =
+      botConfig.semanticMemory;
+    const entries = this._getInProcessEntries(phoneNumber) || [];
+
+    entries.push(entry);
+    if (entries.length > maxInProcessEntries) {
+      entries.shift();
+    }
+
+    this.entries.set(this._storeKey(phoneNumber), entries);
+
+    // Maps keep insertion order, so the first key is the least recently used
+    while (this.entries.size > maxInProcessConversations) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the chunks of a conversation in the in-process store, marking it as
+   * the most recently used
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {Array<Object>|undefined} The chunks, if the conversation has any
+   */
+  _getInProcessEntries(phoneNumber) {
+    const key = this._storeKey(phoneNumber);
+    const entries = this.entries.get(key);
+
+    if (entries) {
+      this.entries.delete(key);
+      this.entries.set(key, entries);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Find the chunks of a conversation nearest to an embedding in the in-process store
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @param {Array<number>} embedding - The query embedding
+   * @param {Date|null} before - Only chunks stored before this date
+   * @param {number} limit - Maximum number of chunks
+   * @returns {Array<Object>} Chunks with their cosine similarity
+   */
+  _searchInProcess(phoneNumber, embedding, before, limit) {
+    const model = this._getEmbeddingModel();
+
+    return (this._getInProcessEntries(phoneNumber) || [])
+      .filter(
+        (entry) =>
+          entry.model === model && (!before || entry.createdAt < before)
+      )
+      .map(({ embedding: entryEmbedding, ...entry }) => ({
+        ...entry,
+        score: this.cosineSimilarity(embedding, entryEmbedding),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Embed a text locally by hashing its words and word pairs
+   * (a stand-in for tests and offline use; it only captures shared words)
+   * @private
+   * @param {string} text - The text to embed
+   * @returns {Array<number>} Normalized vector
+   */
+  _embedLocally(text) {
+    const vector = new Array(botConfig.semanticMemory.localDimensions).fill(0);
+    const words = (text || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .split(/[^a-z0-9@.]+/)
+      .filter((word) => word.length > 2);
+
+    const features = [
+      ...words,
+      ...words.slice(1).map((word, i) => `${words[i]} ${word}`),
+    ];
+
+    for (const feature of features) {
+      const hash = crypto.createHash("md5").update(feature).digest();
+      const index = hash.readUInt32BE(0) % vector.length;
+      vector[index] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value ** 2, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+
+  /**
+   * Compute the cosine similarity of two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number} Similarity between -1 and 1 (0 for vectors of different sizes)
+   */
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Get the model name recorded with new embeddings
+   * @private
+   * @returns {string} The embedding model
+   */
+  _getEmbeddingModel() {
+    const { embeddingProvider, embeddingModel } = botConfig.semanticMemory;
+    return embeddingProvider === EMBEDDING_PROVIDERS.LOCAL
+      ? LOCAL_EMBEDDING_MODEL
+      : embeddingModel;
+  }
+
+  /**
+   * Format an embedding as a pgvector literal
+   * @private
+   * @param {Array<number>} embedding - The embedding
+   * @returns {string} The vector literal (e.g. "[0.1,0.2]")
+   */
+  _toVectorLiteral(embedding) {
+    return `[${embedding.join(",")}]`;
+  }
+
+  /**
+   * Get the key of a conversation in the in-process store
+   * @private
+   * @param {string} phoneNumber - The phone number identifier
+   * @returns {string} Key scoped to the current tenant
+   */
+  _storeKey(phoneNumber) {
+    return `${tenantManager.getCurrentTenantId()}:${phoneNumber}`;
+  }
+}
+
+// Create and export singleton instance
+const semanticMemory = new SemanticMemory();
+
+module.exports = {
+  SEMANTIC_STORES,
+  EMBEDDING_PROVIDERS,
+  SEMANTIC_MEMORY_KINDS,
+  semanticMemory,
+};
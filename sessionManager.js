@@ -0,0 +1,576 @@
+/**
+ * @fileoverview WhatsApp Session Manager for WhatsApp AI Sales Agent
+ *
+ * This module runs one whatsapp-web.js client and ChatHandler per active
+ * tenant in a single process. Each session keeps its own LocalAuth state,
+ * QR code and reconnect backoff, and reports its status under
+ * `sessions` in the bot status object.
+ */
+
+const { Client, LocalAuth } = require("whatsapp-web.js");
+const qrcode = require("qrcode-terminal");
+const { prisma } = require("./db");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const ChatHandler = require("./chatHandler");
+const { getBotStatus } = require("./utils");
+
+/**
+ * A single WhatsApp session and its chat handler
+ */
+class WhatsAppSession {
+  /**
+   * Create a new WhatsAppSession instance
+   * @param {Object} options - Session options
+   * @param {string} options.sessionId - WhatsApp session ID (LocalAuth clientId)
+   * @param {string} options.tenantId - ID of the tenant owning the session
+   * @param {string} [options.tenantName] - Name of the tenant owning the session
+   * @param {Function} [options.onStatusChange] - Called whenever the session status changes
+   */
+  constructor({ sessionId, tenantId, tenantName, onStatusChange }) {
+    this.sessionId = sessionId;
+    this.tenantId = tenantId;
+    this.tenantName = tenantName || tenantId;
+    this.onStatusChange = onStatusChange || (() => {});
+
+    this.client = null;
+    this.chatHandler = null;
+    this.reconnectTimer = null;
+    this.stopped = false;
+
+    this.state = {
+      status: "initializing",
+      qrCode: null,
+      authenticated: false,
+      connectionState: null,
+      reconnectAttempts: 0,
+      nextReconnectAt: null,
+      readyTime: null,
+      lastMessageTime: null,
+      disconnectReason: null,
+      lastError: null,
+      failedAt: null,
+    };
+  }
+
+  /**
+   * Whether the session can send and receive messages
+   * @returns {boolean} Whether the session is ready
+   */
+  get isReady() {
+    return this.state.status === "ready";
+  }
+
+  /**
+   * Whether the session failed long enough ago to be started again
+   * @returns {boolean} Whether the failed session is due for a retry
+   */
+  get isRetryDue() {
+    return (
+      this.state.status === "failed" &&
+      Boolean(this.state.failedAt) &&
+      Date.now() - new Date(this.state.failedAt).getTime() >=
+        botConfig.whatsapp.reconnect.failedRetryDelayMs
+    );
+  }
+
+  /**
+   * Create the WhatsApp client and start the session
+   * @returns {Promise<void>}
+   */
+  async start() {
+    logger.info(`Initializing WhatsApp session ${this.sessionId}`);
+
+    this.client = new Client({
+      puppeteer: {
+        headless: botConfig.whatsapp.headless,
+        args: botConfig.whatsapp.browserArgs,
+        executablePath: process.env.CHROME_PATH || undefined,
+      },
+      authStrategy: new LocalAuth({
+        clientId: this.sessionId,
+        dataPath: botConfig.whatsapp.sessionFilePath,
+      }),
+      qrMaxRetries: botConfig.whatsapp.qrMaxRetries,
+    });
+
+    this.chatHandler = new ChatHandler(this.client, {
+      sessionId: this.sessionId,
+    });
+
+    this._setupEvents();
+    await this._initializeClient();
+  }
+
+  /**
+   * Stop the session and release its browser
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.client) {
+      try {
+        await this.client.destroy();
+        logger.debug(`WhatsApp session ${this.sessionId} destroyed`);
+      } catch (error) {
+        logger.error(
+          `Error destroying WhatsApp session ${this.sessionId}:`,
+          error
+        );
+      }
+    }
+
+    this._updateState({ status: "stopped", qrCode: null });
+  }
+
+  /**
+   * Get the public status of the session
+   * @returns {Object} Session status
+   */
+  getStatus() {
+    return {
+      sessionId: this.sessionId,
+      tenantId: this.tenantId,
+      tenantName: this.tenantName,
+      ...this.state,
+    };
+  }
+
+  /**
+   * Initialize the client, retrying with backoff on failure
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _initializeClient() {
+    try {
+      this._updateState({ status: "initializing" });
+      await this.client.initialize();
+      logger.info(`WhatsApp session ${this.sessionId} initialization started`);
+    } catch (error) {
+      logger.error(
+        `Error initializing WhatsApp session ${this.sessionId}:`,
+        error
+      );
+      this._updateState({ lastError: error.message });
+      this._scheduleReconnect();
+    }
+  }
+
+  /**
+   * Schedule a reconnect attempt with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) {
+      return;
+    }
+
+    const { maxAttempts, initialDelayMs, maxDelayMs } =
+      botConfig.whatsapp.reconnect;
+
+    if (this.state.reconnectAttempts >= maxAttempts) {
+      logger.error(
+        `WhatsApp session ${this.sessionId} failed to reconnect after ${maxAttempts} attempts`
+      );
+      this._updateState({
+        status: "failed",
+        nextReconnectAt: null,
+        failedAt: new Date().toISOString(),
+      });
+      return;
+    }
+
+    // Exponential backoff with jitter
+    const attempt = this.state.reconnectAttempts + 1;
+    const jitter = 0.8 + 0.4 * Math.random();
+    const delay = Math.min(
+      initialDelayMs * Math.pow(2, attempt - 1) * jitter,
+      maxDelayMs
+    );
+
+    logger.info(
+      `Reconnecting WhatsApp session ${this.sessionId} in ${Math.round(
+        delay / 1000
+      )}s (${attempt}/${maxAttempts})`
+    );
+
+    this._updateState({
+      reconnectAttempts: attempt,
+      nextReconnectAt: new Date(Date.now() + delay).toISOString(),
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._initializeClient();
+    }, delay);
+  }
+
+  /**
+   * Set up WhatsApp client event handlers
+   * @private
+   */
+  _setupEvents() {
+    // QR code event
+    this.client.on("qr", (qr) => {
+      logger.info(
+        `QR code received for session ${this.sessionId}. Scan to authenticate WhatsApp Web.`
+      );
+      this._updateState({ status: "qr", qrCode: qr });
+
+      // Display QR code in terminal
+      qrcode.generate(qr, { small: true });
+    });
+
+    // Authentication successful
+    this.client.on("authenticated", () => {
+      logger.info(`WhatsApp session ${this.sessionId} authenticated`);
+      this._updateState({
+        status: "authenticated",
+        authenticated: true,
+        qrCode: null,
+      });
+    });
+
+    // Authentication failure
+    this.client.on("auth_failure", (error) => {
+      logger.error(
+        `WhatsApp authentication failed for session ${this.sessionId}:`,
+        error
+      );
+      this._updateState({
+        status: "auth_failure",
+        authenticated: false,
+        lastError: String(error),
+      });
+      this._scheduleReconnect();
+    });
+
+    // Client ready
+    this.client.on("ready", () => {
+      logger.info(`WhatsApp session ${this.sessionId} ready`);
+      this._updateState({
+        status: "ready",
+        qrCode: null,
+        readyTime: new Date().toISOString(),
+        reconnectAttempts: 0,
+        nextReconnectAt: null,
+      });
+    });
+
+    // Message received
+    this.client.on("message", async (message) => {
+      try {
+        this._updateState({ lastMessageTime: new Date().toISOString() });
+
+        // Forward message to chat handler
+        await this.chatHandler.handleIncomingMessage(message);
+      } catch (error) {
+        logger.error(
+          `Error handling incoming message on session ${this.sessionId}:`,
+          error
+        );
+      }
+    });
+
+    // Reaction to a message (the lead reacting to bot messages)
+    this.client.on("message_reaction", async (reaction) => {
+      try {
+        await this.chatHandler.handleIncomingReaction(reaction);
+      } catch (error) {
+        logger.error(
+          `Error handling reaction on session ${this.sessionId}:`,
+          error
+        );
+      }
+    });
+
+    // Message created by this account (bot replies and manual operator replies)
+    this.client.on("message_create", async (message) => {
+      if (!message.fromMe) {
+        return;
+      }
+
+      try {
+        await this.chatHandler.handleOutgoingMessage(message);
+      } catch (error) {
+        logger.error(
+          `Error handling outgoing message on session ${this.sessionId}:`,
+          error
+        );
+      }
+    });
+
+    // Disconnect event
+    this.client.on("disconnected", (reason) => {
+      logger.warn(`WhatsApp session ${this.sessionId} disconnected: ${reason}`);
+      this._updateState({
+        status: "disconnected",
+        disconnectReason: reason,
+      });
+
+      // Try to reconnect if automatic restart is enabled
+      if (botConfig.whatsapp.restartOnCrash) {
+        this._scheduleReconnect();
+      }
+    });
+
+    // Connection changes
+    this.client.on("change_state", (state) => {
+      logger.debug(
+        `WhatsApp session ${this.sessionId} state changed to: ${state}`
+      );
+      this._updateState({ connectionState: state });
+    });
+  }
+
+  /**
+   * Update the session state and notify the manager
+   * @private
+   * @param {Object} fields - State fields to update
+   */
+  _updateState(fields) {
+    Object.assign(this.state, fields);
+    this.onStatusChange(this);
+  }
+}
+
+/**
+ * Session Manager class for running one WhatsApp session per tenant
+ */
+class SessionManager {
+  /**
+   * Create a new SessionManager instance
+   */
+  constructor() {
+    this.sessions = new Map(); // Running sessions by session ID
+  }
+
+  /**
+   * Start the sessions of every active tenant
+   * @returns {Promise<void>}
+   */
+  async startAll() {
+    await this.syncSessions();
+
+    if (this.sessions.size === 0) {
+      logger.warn(
+        "No WhatsApp sessions to start. Assign a whatsappSessionId to a tenant or enable the default session."
+      );
+    }
+  }
+
+  /**
+   * Start sessions of new active tenants, stop those no longer needed and
+   * restart the failed ones once their retry delay has passed
+   * @returns {Promise<Object>} IDs of the started, stopped and restarted sessions
+   */
+  async syncSessions() {
+    const wanted = await this._getWantedSessions();
+    const started = [];
+    const stopped = [];
+    const restarted = [];
+
+    for (const [sessionId, session] of [...this.sessions.entries()]) {
+      const target = wanted.get(sessionId);
+      if (!target || target.tenantId !== session.tenantId) {
+        await this.stopSession(sessionId);
+        stopped.push(sessionId);
+      } else if (session.isRetryDue) {
+        logger.info(`Retrying failed WhatsApp session ${sessionId}`);
+        await this.stopSession(sessionId);
+        await this.startSession(target);
+        restarted.push(sessionId);
+      }
+    }
+
+    for (const target of wanted.values()) {
+      if (!this.sessions.has(target.sessionId)) {
+        await this.startSession(target);
+        started.push(target.sessionId);
+      }
+    }
+
+    if (started.length > 0 || stopped.length > 0 || restarted.length > 0) {
+      logger.info(
+        `WhatsApp sessions synchronized (started: ${
+          started.join(", ") || "none"
+        }, stopped: ${stopped.join(", ") || "none"}, restarted: ${
+          restarted.join(", ") || "none"
+        })`
+      );
+    }
+
+    return { started, stopped, restarted };
+  }
+
+  /**
+   * Start a WhatsApp session
+   * @param {Object} options - Session options
+   * @param {string} options.sessionId - WhatsApp session ID
+   * @param {string} options.tenantId - ID of the tenant owning the session
+   * @param {string} [options.tenantName] - Name of the tenant owning the session
+   * @returns {Promise<WhatsAppSession>} The started session
+   */
+  async startSession({ sessionId, tenantId, tenantName }) {
+    if (this.sessions.has(sessionId)) {
+      return this.sessions.get(sessionId);
+    }
+
+    const session = new WhatsAppSession({
+      sessionId,
+      tenantId,
+      tenantName,
+      onStatusChange: () => this._publishStatus(),
+    });
+    this.sessions.set(sessionId, session);
+
+    try {
+      await session.start();
+    } catch (error) {
+      // A broken session must not prevent the others from starting
+      logger.error(`Failed to start WhatsApp session ${sessionId}:`, error);
+      session._updateState({
+        status: "failed",
+        lastError: error.message,
+        failedAt: new Date().toISOString(),
+      });
+    }
+
+    return session;
+  }
+
+  /**
+   * Stop a WhatsApp session
+   * @param {string} sessionId - WhatsApp session ID
+   * @returns {Promise<boolean>} Whether the session was running
+   */
+  async stopSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    await session.stop();
+    this.sessions.delete(sessionId);
+    this._publishStatus();
+
+    logger.info(`WhatsApp session ${sessionId} stopped`);
+    return true;
+  }
+
+  /**
+   * Stop every WhatsApp session
+   * @returns {Promise<void>}
+   */
+  async stopAll() {
+    for (const sessionId of [...this.sessions.keys()]) {
+      await this.stopSession(sessionId);
+    }
+  }
+
+  /**
+   * Get the session of a tenant
+   * @param {string} tenantId - The tenant ID
+   * @returns {WhatsAppSession|null} The session or null if the tenant has none
+   */
+  getSessionForTenant(tenantId) {
+    for (const session of this.sessions.values()) {
+      if (session.tenantId === tenantId) {
+        return session;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the status of every session
+   * @returns {Array<Object>} Session statuses
+   */
+  getStatuses() {
+    return [...this.sessions.values()].map((session) => session.getStatus());
+  }
+
+  /**
+   * List the sessions that should be running
+   * @private
+   * @returns {Promise<Map<string, Object>>} Wanted sessions by session ID
+   */
+  async _getWantedSessions() {
+    const wanted = new Map();
+
+    if (botConfig.whatsapp.runDefaultSession) {
+      wanted.set(botConfig.whatsapp.sessionId, {
+        sessionId: botConfig.whatsapp.sessionId,
+        tenantId: botConfig.tenant.defaultTenantId,
+        tenantName: botConfig.tenant.defaultTenantName,
+      });
+    }
+
+    try {
+      const tenants = await prisma.tenant.findMany({
+        where: { isActive: true, whatsappSessionId: { not: null } },
+        select: { id: true, name: true, whatsappSessionId: true },
+      });
+
+      // A tenant assigned to the default session takes it over
+      for (const tenant of tenants) {
+        wanted.set(tenant.whatsappSessionId, {
+          sessionId: tenant.whatsappSessionId,
+          tenantId: tenant.id,
+          tenantName: tenant.name,
+        });
+      }
+    } catch (error) {
+      // Keep the running sessions when tenants can't be loaded
+      logger.error("Failed to load tenant WhatsApp sessions:", error);
+      for (const session of this.sessions.values()) {
+        wanted.set(session.sessionId, {
+          sessionId: session.sessionId,
+          tenantId: session.tenantId,
+          tenantName: session.tenantName,
+        });
+      }
+    }
+
+    return wanted;
+  }
+
+  /**
+   * Publish the status of every session to the bot status object
+   * @private
+   */
+  _publishStatus() {
+    const sessions = this.getStatuses();
+
+    let status = "disconnected";
+    if (sessions.some((session) => session.status === "ready")) {
+      status = "ready";
+    } else if (
+      sessions.some((session) =>
+        ["initializing", "qr", "authenticated"].includes(session.status)
+      )
+    ) {
+      status = "initializing";
+    }
+
+    const lastMessageTimes = sessions
+      .map((session) => session.lastMessageTime)
+      .filter(Boolean)
+      .sort();
+
+    getBotStatus().update({
+      status,
+      clientInitialized: status === "ready",
+      authenticated: sessions.some((session) => session.authenticated),
+      lastMessageTime: lastMessageTimes.pop() || null,
+      sessions,
+    });
+  }
+}
+
+// Create and export singleton instance
+const sessionManager = new SessionManager();
+module.exports = sessionManager;
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Speech Synthesizer for WhatsApp AI Sales Agent
+ *
+ * This module turns the text replies of the agent into OGG/Opus audio, the
+ * format WhatsApp plays as a voice note, so leads who talk by audio can be
+ * answered the same way. Providers are looked up by ID: OpenAI text-to-speech
+ * and a local stand-in (silence lasting about as long as the text would take
+ * to read, without API calls) are built in, and others can be registered.
+ */
+
+const logger = require("./logger");
+const tenantManager = require("./tenantManager");
+const { llmProviders } = require("./llmProviders");
+const { USAGE_OPERATIONS, usageTracker } = require("./usageTracker");
+
+/**
+ * Built-in speech providers
+ * @enum {string}
+ */
+const SPEECH_PROVIDERS = {
+  OPENAI: "openai",
+  LOCAL: "local",
+};
+
+/**
+ * How the agent replies to a conversation
+ * @enum {string}
+ */
+const REPLY_MODES = {
+  // Always in text
+  TEXT: "text",
+  // In a voice note when the lead sent audio, in text otherwise
+  MIRROR: "mirror",
+};
+
+/**
+ * MIME type of the synthesized voice notes
+ * @type {string}
+ */
+const VOICE_NOTE_MIMETYPE = "audio/ogg; codecs=opus";
+
+/**
+ * Characters read per second, used to size the local stand-in audio
+ * @type {number}
+ */
+const SPEECH_CHARS_PER_SECOND = 15;
+
+/**
+ * Opus stream settings of the local stand-in: 20ms frames at 48kHz, and the
+ * samples decoders drop at the start of the stream
+ * @type {Object}
+ */
+const OPUS_STREAM = {
+  sampleRate: 48000,
+  frameSamples: 960,
+  preSkip: 312,
+  framesPerPage: 50,
+  // A CELT fullband 20ms frame that decodes to silence
+  silentFrame: Buffer.from([0xf8, 0xff, 0xfe]),
+};
+
+/**
+ * Lookup table of the CRC-32 used by Ogg pages (polynomial 0x04c11db7, unreflected)
+ * @type {Uint32Array}
+ */
+const OGG_CRC_TABLE = new Uint32Array(256).map((_, i) => {
+  let crc = i << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Speech Synthesizer class for turning replies into voice notes
+ */
+class SpeechSynthesizer {
+  /**
+   * Create a new SpeechSynthesizer instance
+   */
+  constructor() {
+    // Synthesis functions by provider ID
+    this.providers = new Map([
+      [
+        SPEECH_PROVIDERS.OPENAI,
+        (text, options) => this._synthesizeWithOpenAI(text, options),
+      ],
+      [SPEECH_PROVIDERS.LOCAL, (text) => this._synthesizeSilence(text)],
+    ]);
+
+    logger.info("SpeechSynthesizer initialized");
+  }
+
+  /**
+   * Register a speech provider, replacing any provider with the same ID
+   * @param {string} id - Provider ID, selected with TTS_PROVIDER or by tenant
+   * @param {Function} synthesize - Async function called with the text and the
+   * synthesis options (voice, model, speed, phoneNumber), returning OGG/Opus audio as a Buffer
+   */
+  registerProvider(id, synthesize) {
+    if (typeof synthesize !== "function") {
+      throw new Error(`Speech provider ${id} needs a synthesize function`);
+    }
+
+    this.providers.set(id, synthesize);
+    logger.info(`Speech provider registered: ${id}`);
+  }
+
+  /**
+   * Synthesize a reply with the speech provider of the current tenant
+   * @param {string} text - The text to read
+   * @param {Object} [options] - Synthesis options
+   * @param {string} [options.phoneNumber] - Phone number of the conversation, recorded with the usage
+   * @returns {Promise<Object>} Synthesis result
+   */
+  async synthesize(text, options = {}) {
+    const { provider, model, voice, speed } =
+      tenantManager.getConfig().voiceReplies;
+
+    try {
+      const synthesizeWith = this.providers.get(provider);
+      if (!synthesizeWith) {
+        throw new Error(`Unknown speech provider "${provider}"`);
+      }
+
+      const audio = await synthesizeWith(text, {
+        model,
+        voice,
+        speed,
+        phoneNumber: options.phoneNumber,
+      });
+
+      if (!Buffer.isBuffer(audio) || audio.length === 0) {
+        throw new Error(`Speech provider ${provider} returned no audio`);
+      }
+
+      logger.debug(
+        `Synthesized ${text.length} characters with ${provider} into ${audio.length} bytes`
+      );
+
+      return {
+        success: true,
+        audio,
+        mimetype: VOICE_NOTE_MIMETYPE,
+      };
+    } catch (error) {
+      logger.error("Speech synthesis failed:", error);
+
+      return {
+        success: false,
+        error: error.message,
+        audio: null,
+      };
+    }
+  }
+
+  /**
+   * Synthesize a text with the OpenAI text-to-speech API
+   * @private
+   * @param {string} text - The text to read
+   * @param {Object} options - Synthesis options (model, voice, speed, phoneNumber)
+   * @returns {Promise<Buffer>} OGG/Opus audio
+   */
+  async _synthesizeWithOpenAI(text, options) {
+    const { model, voice, speed, phoneNumber } = options;
+
+    const startedAt = Date.now();
+    const response = await llmProviders.getOpenAIClient().audio.speech.create({
+      model,
+      voice,
+      speed,
+      input: text,
+      response_format: "opus",
+    });
+    const audio = Buffer.from(await response.arrayBuffer());
+
+    // Speech is billed by input character
+    usageTracker
+      .recordUsage({
+        operation: USAGE_OPERATIONS.SPEECH,
+        provider: SPEECH_PROVIDERS.OPENAI,
+        model,
+        promptTokens: text.length,
+        latencyMs: Date.now() - startedAt,
+        phoneNumber,
+      })
+      .catch((error) => logger.error("Failed to record AI usage:", error));
+
+    return audio;
+  }
+
+  /**
+   * Build a silent OGG/Opus stream about as long as reading the text would take
+   * @private
+   * @param {string} text - The text to read
+   * @returns {Buffer} OGG/Opus audio
+   */
+  _synthesizeSilence(text) {
+    const seconds = Math.max(
+      1,
+      Math.ceil(text.length / SPEECH_CHARS_PER_SECOND)
+    );
+    const frameCount =
+      (seconds * OPUS_STREAM.sampleRate) / OPUS_STREAM.frameSamples;
+    const serial = Math.floor(Math.random() * 0xffffffff);
+
+    const header = Buffer.alloc(19);
+    header.write("OpusHead", 0);
+    header.writeUInt8(1, 8); // Version
+    header.writeUInt8(1, 9); // Mono
+    header.writeUInt16LE(OPUS_STREAM.preSkip, 10);
+    header.writeUInt32LE(OPUS_STREAM.sampleRate, 12);
+
+    const vendor = Buffer.from("whatsapp-ai-sales-agent");
+    const tags = Buffer.alloc(16 + vendor.length);
+    tags.write("OpusTags", 0);
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+
+    const pages = [
+      this._buildOggPage([header], {
+        serial,
+        sequence: 0,
+        granule: 0,
+        flags: 0x02,
+      }),
+      this._buildOggPage([tags], { serial, sequence: 1, granule: 0, flags: 0 }),
+    ];
+
+    for (
+      let frame = 0;
+      frame < frameCount;
+      frame += OPUS_STREAM.framesPerPage
+    ) {
+      const frames = Math.min(OPUS_STREAM.framesPerPage, frameCount - frame);
+      const isLast = frame + frames >= frameCount;
+
+      pages.push(
+        this._buildOggPage(new Array(frames).fill(OPUS_STREAM.silentFrame), {
+          serial,
+          sequence: pages.length,
+          // Granule positions count the pre-skip samples too
+          granule:
+            OPUS_STREAM.preSkip + (frame + frames) * OPUS_STREAM.frameSamples,
+          flags: isLast ? 0x04 : 0,
+        })
+      );
+    }
+
+    return Buffer.concat(pages);
+  }
+
+  /**
+   * Build an Ogg page holding whole packets (each under 255 bytes)
+   * @private
+   * @param {Array<Buffer>} packets - The packets of the page
+   * @param {Object} page - Page fields
+   * @param {number} page.serial - Serial number of the stream
+   * @param {number} page.sequence - Sequence number of the page
+   * @param {number} page.granule - Granule position after the last packet
+   * @param {number} page.flags - Header type flags (0x02 first page, 0x04 last page)
+   * @returns {Buffer} The page
+   */
+  _buildOggPage(packets, page) {
+    const header = Buffer.alloc(27 + packets.length);
+    header.write("OggS", 0);
+    header.writeUInt8(page.flags, 5);
+    header.writeBigUInt64LE(BigInt(page.granule), 6);
+    header.writeUInt32LE(page.serial, 14);
+    header.writeUInt32LE(page.sequence, 18);
+    header.writeUInt8(packets.length, 26);
+    packets.forEach((packet, i) => header.writeUInt8(packet.length, 27 + i));
+
+    const buffer = Buffer.concat([header, ...packets]);
+
+    // The checksum is computed with its own field zeroed
+    let crc = 0;
+    for (const byte of buffer) {
+      crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+    }
+    buffer.writeUInt32LE(crc, 22);
+
+    return buffer;
+  }
+}
+
+// Create and export singleton instance
+const speechSynthesizer = new SpeechSynthesizer();
+
+module.exports = {
+  SPEECH_PROVIDERS,
+  REPLY_MODES,
+  VOICE_NOTE_MIMETYPE,
+  speechSynthesizer,
+};
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Tenant Manager for WhatsApp AI Sales Agent
+ *
+ * This module resolves the tenant (client account) that owns each WhatsApp
+ * session and merges the tenant's BotConfiguration overrides over the global
+ * configuration. The resolved tenant is kept in an async context while a
+ * message is handled, so conversations, memory and prompts are scoped by
+ * tenantId without passing it through every call.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { prisma } = require("./db");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+
+/**
+ * Time (in milliseconds) a resolved tenant is cached before being reloaded
+ * @type {number}
+ */
+const TENANT_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Tenant Manager class for resolving tenants and their configuration
+ */
+class TenantManager {
+  /**
+   * Create a new TenantManager instance
+   */
+  constructor() {
+    this.storage = new AsyncLocalStorage(); // Tenant of the current async context
+    this.sessionCache = new Map(); // Resolved tenants by WhatsApp session ID
+    this.tenantCache = new Map(); // Resolved tenants by tenant ID
+    this.defaultTenantReady = false; // Whether the default tenant record is known to exist
+
+    logger.info("TenantManager initialized");
+  }
+
+  /**
+   * Resolve the tenant owning a WhatsApp session
+   * Sessions not assigned to any tenant belong to the default tenant.
+   * @param {string} sessionId - The WhatsApp session ID
+   * @returns {Promise<Object>} The tenant context
+   */
+  async resolveTenantForSession(sessionId) {
+    const cached = this.sessionCache.get(sessionId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tenant;
+    }
+
+    let tenant = null;
+    try {
+      const record = await prisma.tenant.findUnique({
+        where: { whatsappSessionId: sessionId },
+        include: { botConfig: true },
+      });
+
+      tenant = record
+        ? this._buildTenantContext(record)
+        : await this.getTenantContext(botConfig.tenant.defaultTenantId);
+    } catch (error) {
+      logger.error(`Failed to resolve tenant for session ${sessionId}:`, error);
+    }
+
+    // Fall back to the global configuration when the database is unavailable
+    if (!tenant) {
+      tenant = this._buildTenantContext({
+        id: botConfig.tenant.defaultTenantId,
+        name: botConfig.tenant.defaultTenantName,
+        isActive: true,
+        botConfig: null,
+      });
+    }
+
+    this.sessionCache.set(sessionId, {
+      tenant,
+      expiresAt: Date.now() + TENANT_CACHE_TTL_MS,
+    });
+
+    logger.debug(`Session ${sessionId} resolved to tenant ${tenant.tenantId}`);
+    return tenant;
+  }
+
+  /**
+   * Get the context of a tenant by its ID
+   * @param {string} tenantId - The tenant ID
+   * @returns {Promise<Object|null>} The tenant context or null if not found
+   */
+  async getTenantContext(tenantId) {
+    const cached = this.tenantCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tenant;
+    }
+
+    if (tenantId === botConfig.tenant.defaultTenantId) {
+      await this.ensureDefaultTenant();
+    }
+
+    const record = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      include: { botConfig: true },
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    const tenant = this._buildTenantContext(record);
+    this.tenantCache.set(tenantId, {
+      tenant,
+      expiresAt: Date.now() + TENANT_CACHE_TTL_MS,
+    });
+
+    return tenant;
+  }
+
+  /**
+   * Create the default tenant record if it doesn't exist yet
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultTenant() {
+    if (this.defaultTenantReady) {
+      return;
+    }
+
+    const { defaultTenantId, defaultTenantName } = botConfig.tenant;
+
+    await prisma.tenant.upsert({
+      where: { id: defaultTenantId },
+      update: {},
+      create: { id: defaultTenantId, name: defaultTenantName },
+    });
+
+    this.defaultTenantReady = true;
+  }
+
+  /**
+   * Run a function with a tenant as the current tenant
+   * @param {Object} tenant - The tenant context
+   * @param {Function} callback - Function to run
+   * @returns {any} The callback result
+   */
+  runWithTenant(tenant, callback) {
+    return this.storage.run(tenant, callback);
+  }
+
+  /**
+   * Get the tenant of the current async context
+   * @returns {Object|null} The tenant context or null outside of a tenant
+   */
+  getCurrentTenant() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Get the ID of the current tenant, falling back to the default tenant
+   * @returns {string} The tenant ID
+   */
+  getCurrentTenantId() {
+    const tenant = this.getCurrentTenant();
+    return tenant ? tenant.tenantId : botConfig.tenant.defaultTenantId;
+  }
+
+  /**
+   * Get the configuration of the current tenant
+   * @returns {Object} The global configuration merged with the tenant overrides
+   */
+  getConfig() {
+    const tenant = this.getCurrentTenant();
+    return tenant ? tenant.config : botConfig;
+  }
+
+  /**
+   * Drop cached tenants so configuration changes are picked up
+   */
+  clearCache() {
+    this.sessionCache.clear();
+    this.tenantCache.clear();
+  }
+
+  /**
+   * Build the context of a tenant record
+   * @private
+   * @param {Object} record - Tenant record with its bot configuration
+   * @returns {Object} The tenant context
+   */
+  _buildTenantContext(record) {
+    return {
+      tenantId: record.id,
+      name: record.name,
+      isActive: record.isActive,
+      config: this._mergeConfig(record.botConfig),
+    };
+  }
+
+  /**
+   * Merge the BotConfiguration overrides of a tenant over the global configuration
+   * @private
+   * @param {Object|null} overrides - The tenant BotConfiguration record
+   * @returns {Object} The merged configuration
+   */
+  _mergeConfig(overrides) {
+    if (!overrides) {
+      return botConfig;
+    }
+
+    // Empty overrides keep the global value
+    const pick = (value, fallback) =>
+      value !== null && value !== undefined && value !== "" ? value : fallback;
+
+    return {
+      ...botConfig,
+      identity: {
+        ...botConfig.identity,
+        firstName: pick(overrides.botFirstName, botConfig.identity.firstName),
+        company: pick(overrides.botCompany, botConfig.identity.company),
+        position: pick(overrides.botPosition, botConfig.identity.position),
+        tone: pick(overrides.botTone, botConfig.identity.tone),
+      },
+      openai: {
+        ...botConfig.openai,
+        apiKey: pick(overrides.openAiApiKey, botConfig.openai.apiKey),
+      },
+      llm: {
+        ...botConfig.llm,
+        primary: pick(overrides.llmPrimaryProvider, botConfig.llm.primary),
+        fallbacks:
+          overrides.llmFallbackProviders &&
+          overrides.llmFallbackProviders.length > 0
+            ? overrides.llmFallbackProviders
+            : botConfig.llm.fallbacks,
+      },
+      usage: {
+        ...botConfig.usage,
+        monthlyBudgetUsd: pick(
+          overrides.monthlyAiBudgetUsd,
+          botConfig.usage.monthlyBudgetUsd
+        ),
+        budgetAction: pick(
+          overrides.aiBudgetAction,
+          botConfig.usage.budgetAction
+        ),
+      },
+      voiceReplies: {
+        ...botConfig.voiceReplies,
+        mode: pick(overrides.voiceReplyMode, botConfig.voiceReplies.mode),
+      },
+      support: {
+        ...botConfig.support,
+        whatsappNumber: pick(
+          overrides.supportWhatsappNumber,
+          botConfig.support.whatsappNumber
+        ),
+      },
+    };
+  }
+}
+
+// Create and export singleton instance
+const tenantManager = new TenantManager();
+module.exports = tenantManager;
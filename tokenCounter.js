@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Token Counter for WhatsApp AI Sales Agent
+ *
+ * This module counts tokens with the BPE tokenizer of the configured model
+ * (js-tiktoken), truncates texts to a token budget and tells the context
+ * window of each model, so the prompt sections can be kept within budget.
+ * Models without a known tokenizer (e.g. Anthropic or Ollama models) are
+ * counted with a generic encoding, which is close enough for budgeting.
+ */
+
+const { getEncoding, getEncodingNameForModel } = require("js-tiktoken");
+const logger = require("./logger");
+
+/**
+ * Encoding used for models js-tiktoken doesn't know
+ * @type {string}
+ */
+const DEFAULT_ENCODING = "cl100k_base";
+
+/**
+ * Tokens added by the chat format to every message
+ * @type {number}
+ */
+const TOKENS_PER_MESSAGE = 3;
+
+/**
+ * Context window of the known model families, matched by name prefix
+ * (more specific prefixes first)
+ * @type {Array<Array>}
+ */
+const MODEL_CONTEXT_WINDOWS = [
+  ["gpt-4.1", 1047576],
+  ["gpt-4o", 128000],
+  ["gpt-4-turbo", 128000],
+  ["gpt-4-32k", 32768],
+  ["gpt-4", 8192],
+  ["gpt-3.5-turbo", 16385],
+  ["gpt-5", 400000],
+  ["o1", 200000],
+  ["o3", 200000],
+  ["o4", 200000],
+  ["claude", 200000],
+];
+
+/**
+ * Context window assumed for unknown models
+ * @type {number}
+ */
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Marker appended to truncated texts
+ * @type {string}
+ */
+const TRUNCATION_MARKER = "\n[...]";
+
+// Encoders by encoding name (loading one takes about a second)
+const encoders = new Map();
+
+/**
+ * Get the encoder of a model
+ * @param {string} [model] - The model name
+ * @returns {Object} js-tiktoken encoder
+ */
+function getEncoder(model) {
+  let encodingName = DEFAULT_ENCODING;
+
+  try {
+    encodingName = model ? getEncodingNameForModel(model) : DEFAULT_ENCODING;
+  } catch (error) {
+    logger.debug(
+      `No tokenizer known for model ${model}, using ${DEFAULT_ENCODING}`
+    );
+  }
+
+  if (!encoders.has(encodingName)) {
+    encoders.set(encodingName, getEncoding(encodingName));
+  }
+
+  return encoders.get(encodingName);
+}
+
+/**
+ * Count the tokens of a text
+ * @param {string} text - The text to count
+ * @param {string} [model] - The model whose tokenizer is used
+ * @returns {number} Number of tokens
+ */
+function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+
+  return getEncoder(model).encode(text).length;
+}
+
+/**
+ * Count the tokens of chat messages, including the chat format overhead
+ * @param {Array<Object>} messages - Messages with role and content
+ * @param {string} [model] - The model whose tokenizer is used
+ * @returns {number} Number of tokens
+ */
+function countMessageTokens(messages, model) {
+  return messages.reduce(
+    (total, message) =>
+      total +
+      TOKENS_PER_MESSAGE +
+      countTokens(message.role, model) +
+      countTokens(
+        typeof message.content === "string"
+          ? message.content
+          : JSON.stringify(message.content || ""),
+        model
+      ),
+    0
+  );
+}
+
+/**
+ * Truncate a text to a number of tokens, keeping its beginning
+ * @param {string} text - The text to truncate
+ * @param {number} maxTokens - Maximum number of tokens to keep
+ * @param {string} [model] - The model whose tokenizer is used
+ * @returns {string} The text, truncated and marked as such when too long
+ */
+function truncateToTokens(text, maxTokens, model) {
+  if (!text || maxTokens <= 0) {
+    return "";
+  }
+
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(text);
+
+  if (tokens.length <= maxTokens) {
+    return text;
+  }
+
+  const markerTokens = encoder.encode(TRUNCATION_MARKER).length;
+  return (
+    encoder.decode(tokens.slice(0, Math.max(maxTokens - markerTokens, 0))) +
+    TRUNCATION_MARKER
+  );
+}
+
+/**
+ * Split a text into consecutive pieces of at most a number of tokens
+ * @param {string} text - The text to split
+ * @param {number} maxTokens - Maximum number of tokens of each piece
+ * @param {string} [model] - The model whose tokenizer is used
+ * @returns {Array<string>} The pieces, in order (empty for an empty text)
+ */
+function splitIntoTokenChunks(text, maxTokens, model) {
+  if (!text) {
+    return [];
+  }
+
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(text);
+  const chunks = [];
+
+  for (let start = 0; start < tokens.length; start += maxTokens) {
+    chunks.push(encoder.decode(tokens.slice(start, start + maxTokens)));
+  }
+
+  return chunks;
+}
+
+/**
+ * Get the context window of a model
+ * @param {string} [model] - The model name
+ * @returns {number} Maximum number of tokens of the prompt and the reply together
+ */
+function getContextWindow(model) {
+  const name = (model || "").toLowerCase();
+  const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) =>
+    name.startsWith(prefix)
+  );
+
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  splitIntoTokenChunks,
+  getContextWindow,
+};
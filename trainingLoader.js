@@ -14,6 +14,7 @@ const path = require("path");
 const { existsSync } = require("fs");
 import * as pdfjs from 'pdfjs-dist';
 const logger = require("./logger");
+const botConfig = require("./botConfig");
 const { pricingData } = require("./pricing");
 
 // Set worker path for PDF.js
@@ -28,8 +29,8 @@ const MAX_FILE_SIZES = {
 
 // Default directories
 const DEFAULT_DIRS = {
-  training: path.resolve(process.cwd(), "training"),
-  socialProofs: path.resolve(process.cwd(), "assets/social-proofs"),
+  training: path.resolve(botConfig.paths.training),
+  socialProofs: path.resolve(botConfig.paths.assets, "social-proofs"),
 };
 
 /**
@@ -156,9 +157,8 @@ class TrainingLoader {
         const hasMetadata = validatedAssets.some((a) => a.filename === file);
 
         if (!hasMetadata) {
-          const fileId = `auto_${Date.now()}_${Math.floor(
-            Math.random() * 10000
-          )}`;
+          // Derived from the filename so the ID survives training reloads
+          const fileId = `auto_${file.replace(/[^a-zA-Z0-9_-]/g, "_")}`;
           validatedAssets.push({
             id: fileId,
             type: this.detectMediaType(file),
@@ -212,9 +212,11 @@ class TrainingLoader {
 
   /**
    * Loads all training data from the training directory
-   * @returns {Promise<Object>} Training data object with generalized and specific contexts
+   * @param {Object} [options] - Loading options
+   * @param {boolean} [options.throwOnError=false] - Throw when the directory or a file can't be read, instead of leaving it out
+   * @returns {Promise<Object>} Training data object with generalized and specific contexts, and the text of each file
    */
-  async loadTrainingData() {
+  async loadTrainingData(options = {}) {
     try {
       logger.debug(`Loading training data from ${this.options.trainingDir}`);
 
@@ -226,6 +228,7 @@ class TrainingLoader {
         await fs.mkdir(this.options.trainingDir, { recursive: true });
         return {
           generalData: "",
+          documents: [],
           specificData: {},
           stats: { files: 0, totalSize: 0 },
         };
@@ -238,6 +241,7 @@ class TrainingLoader {
         logger.warn(`No training files found in ${this.options.trainingDir}`);
         return {
           generalData: "",
+          documents: [],
           specificData: {},
           stats: { files: 0, totalSize: 0 },
         };
@@ -246,6 +250,7 @@ class TrainingLoader {
       // Process each file
       const processedData = {
         generalData: "",
+        documents: [],
         specificData: {},
         stats: {
           files: 0,
@@ -282,9 +287,6 @@ class TrainingLoader {
               content = await this.readTextFile(filePath);
               break;
             case "pdf":
-              if (!this.pdfWorker) {
-                await this.initializePdfWorker();
-              }
               content = await this.readPdfFile(filePath);
               break;
             case "json":
@@ -304,8 +306,14 @@ class TrainingLoader {
             }
           } else {
             processedData.generalData += `\n\n--- ${file} ---\n${content}`;
+            processedData.documents.push({ source: file, content });
           }
         } catch (error) {
+          if (options.throwOnError) {
+            throw new Error(
+              `Failed to process training file ${file}: ${error.message}`
+            );
+          }
           logger.error(`Failed to process training file ${file}:`, error);
         }
       }
@@ -318,9 +326,13 @@ class TrainingLoader {
       );
       return processedData;
     } catch (error) {
+      if (options.throwOnError) {
+        throw error;
+      }
       logger.error("Failed to load training data:", error);
       return {
         generalData: "",
+        documents: [],
         specificData: {},
         stats: { files: 0, totalSize: 0 },
       };
@@ -428,28 +440,43 @@ class TrainingLoader {
       // Read file data
       const data = await fs.readFile(filePath);
 
-      // Load the PDF document
-      const pdfDocument = await pdfjs.getDocument({ data }).promise;
+      return await this.readPdfData(data);
+    } catch (error) {
+      logger.error(`Failed to read PDF file ${filePath}:`, error);
+      throw error;
+    }
+  }
 
-      // Initialize an array to store text from each page
-      let allText = [];
+  /**
+   * Extracts the text content of PDF data (e.g. a document sent by a lead)
+   * @param {Buffer|Uint8Array} data - The PDF data
+   * @returns {Promise<string>} Extracted text content
+   */
+  async readPdfData(data) {
+    if (!this.pdfWorker) {
+      await this.initializePdfWorker();
+    }
 
-      // Extract text from each page
-      for (let i = 1; i <= pdfDocument.numPages; i++) {
-        const page = await pdfDocument.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items.map((item) => item.str).join(" ");
-        allText.push(pageText);
-      }
+    // Load the PDF document
+    const pdfDocument = await pdfjs.getDocument({
+      data: new Uint8Array(data),
+    }).promise;
 
-      // Clean up
-      await pdfDocument.destroy();
+    // Initialize an array to store text from each page
+    let allText = [];
 
-      return allText.join("\n\n").trim();
-    } catch (error) {
-      logger.error(`Failed to read PDF file ${filePath}:`, error);
-      throw error;
+    // Extract text from each page
+    for (let i = 1; i <= pdfDocument.numPages; i++) {
+      const page = await pdfDocument.getPage(i);
+      const textContent = await page.getTextContent();
+      const pageText = textContent.items.map((item) => item.str).join(" ");
+      allText.push(pageText);
     }
+
+    // Clean up
+    await pdfDocument.destroy();
+
+    return allText.join("\n\n").trim();
   }
 
   /**
@@ -593,6 +620,7 @@ class TrainingLoader {
   /**
    * Prepares a complete training context for the AI
    * @param {Object} [options] - Options for context preparation
+   * @param {boolean} [options.throwOnError=false] - Fail when a training file can't be read (see loadTrainingData)
    * @returns {Promise<Object>} Complete training context
    */
   async prepareTrainingContext(options = {}) {
@@ -600,7 +628,9 @@ class TrainingLoader {
       logger.debug("Preparing complete training context");
 
       // Load general training data
-      const trainingData = await this.loadTrainingData();
+      const trainingData = await this.loadTrainingData({
+        throwOnError: options.throwOnError,
+      });
 
       // Load product data
       const productData = await this.loadProductTrainingData(options.productId);
@@ -611,12 +641,14 @@ class TrainingLoader {
       // Combine into context
       const context = {
         generalData: trainingData.generalData,
+        documents: trainingData.documents,
         specificData: trainingData.specificData,
         productData,
         socialProofAssets: socialProofAssets.map((asset) => ({
           id: asset.id,
           type: asset.type,
           description: asset.description,
+          filename: asset.filename,
           tags: asset.tags || [],
         })),
         stats: {
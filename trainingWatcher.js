@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Training Watcher for WhatsApp AI Sales Agent
+ *
+ * This module watches the training and social proof directories and calls
+ * back once the files stop changing for a while, so a burst of edits (e.g.
+ * copying several files or an editor saving through a temp file) triggers a
+ * single reload of the training context instead of a restart of the bot.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+
+/**
+ * Temporary files written by editors and copy tools, which never trigger a reload
+ * @type {RegExp}
+ */
+const IGNORED_FILE_PATTERN = /^\.|~$|\.(swp|swx|tmp|part)$/i;
+
+/**
+ * TrainingWatcher class for reloading the training context on file changes
+ */
+class TrainingWatcher {
+  /**
+   * Create a new TrainingWatcher instance
+   * @param {Object} options - Watcher options
+   * @param {Function} options.onChange - Async function called with the changed file paths
+   * @param {Array<string>} [options.directories] - Directories to watch (training and social proofs by default)
+   * @param {number} [options.debounceMs] - Quiet time after the last change before calling back
+   */
+  constructor(options = {}) {
+    this.options = {
+      directories: [
+        botConfig.paths.training,
+        path.join(botConfig.paths.assets, "social-proofs"),
+      ],
+      debounceMs: botConfig.trainingReload.debounceMs,
+      ...options,
+    };
+
+    if (typeof this.options.onChange !== "function") {
+      throw new Error("TrainingWatcher requires an onChange function");
+    }
+
+    this.watchers = [];
+    this.timer = null;
+    this.changedFiles = new Set();
+  }
+
+  /**
+   * Start watching the directories (missing ones are skipped)
+   */
+  start() {
+    if (this.watchers.length > 0) {
+      return;
+    }
+
+    for (const directory of this.options.directories) {
+      if (!fs.existsSync(directory)) {
+        logger.warn(`Not watching missing training directory: ${directory}`);
+        continue;
+      }
+
+      try {
+        const watcher = fs.watch(
+          directory,
+          { persistent: false },
+          (eventType, filename) => this._onFileEvent(directory, filename)
+        );
+
+        watcher.on("error", (error) => {
+          logger.warn(`Stopped watching ${directory}: ${error.message}`);
+        });
+
+        this.watchers.push(watcher);
+        logger.debug(`Watching ${directory} for training changes`);
+      } catch (error) {
+        logger.warn(`Failed to watch ${directory}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stop watching and drop pending changes
+   */
+  stop() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.changedFiles.clear();
+  }
+
+  /**
+   * Record a changed file and restart the debounce delay
+   * @private
+   * @param {string} directory - The watched directory
+   * @param {string|null} filename - The changed file (null if the platform doesn't tell)
+   */
+  _onFileEvent(directory, filename) {
+    if (filename && IGNORED_FILE_PATTERN.test(filename)) {
+      return;
+    }
+
+    this.changedFiles.add(
+      filename ? path.join(directory, filename) : directory
+    );
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this._flush(), this.options.debounceMs);
+  }
+
+  /**
+   * Call back with the files changed since the last call
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _flush() {
+    const files = [...this.changedFiles];
+    this.timer = null;
+    this.changedFiles.clear();
+
+    try {
+      await this.options.onChange(files);
+    } catch (error) {
+      logger.error(
+        "Failed to reload training context after file changes:",
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Create a new training watcher
+ * @param {Object} options - Watcher options (see TrainingWatcher constructor)
+ * @returns {TrainingWatcher} TrainingWatcher instance
+ */
+function createTrainingWatcher(options) {
+  return new TrainingWatcher(options);
+}
+
+module.exports = {
+  createTrainingWatcher,
+  TrainingWatcher,
+};
@@ -49,6 +49,30 @@
  * @property {boolean} messageSettings.splitInParagraphs - Whether to split long messages at paragraph breaks
  * @property {boolean} spamProtection - Whether spam protection is enabled
  * @property {number} maxMessagesPerMinute - Maximum messages allowed per minute (anti-spam)
+ * @property {Object} humanTakeover - Settings for pausing the AI while a human handles the chat
+ * @property {boolean} humanTakeover.enabled - Whether human takeover is enabled
+ * @property {number} humanTakeover.durationMinutes - Default takeover duration in minutes
+ * @property {boolean} humanTakeover.onSupportTransfer - Whether a support transfer starts a takeover
+ * @property {boolean} humanTakeover.onOperatorReply - Whether a manual reply from the phone starts a takeover
+ * @property {Object} blocking - Settings for temporarily blocking abusive contacts
+ * @property {boolean} blocking.enabled - Whether contact blocking is enabled
+ * @property {Array<number>} blocking.durationsMinutes - Block duration per offense, escalating for repeat offenders
+ * @property {number} blocking.escalationResetDays - Days without blocks after which escalation starts over
+ * @property {string} blocking.notice - Message sent once to a contact when it gets blocked
+ * @property {Object} stageClassifier - Settings for classifying the funnel stage with the AI model
+ * @property {boolean} stageClassifier.enabled - Whether the model classifies the stage instead of the heuristics
+ * @property {string} stageClassifier.model - Model used for classification (empty uses the chat model)
+ * @property {number} stageClassifier.historyMessages - Recent messages sent to the classifier
+ * @property {Object} conversationSummary - Settings for the rolling summary of long conversations
+ * @property {boolean} conversationSummary.enabled - Whether old messages are summarized
+ * @property {string} conversationSummary.model - Model used for summaries (empty uses the chat model)
+ * @property {number} conversationSummary.thresholdMessages - Messages not yet summarized that trigger a new summary
+ * @property {number} conversationSummary.keepMessages - Most recent messages left out of the summary
+ * @property {number} conversationSummary.maxTokens - Maximum tokens of a summary
+ * @property {Object} leadProfile - Settings for extracting the lead profile from customer messages
+ * @property {boolean} leadProfile.enabled - Whether the lead profile is extracted after each customer turn
+ * @property {string} leadProfile.model - Model used for extraction (empty uses the chat model)
+ * @property {number} leadProfile.minConfidence - Extracted fields below this confidence (0-1) are ignored
  */
 
 /**
@@ -64,6 +88,78 @@
  * @property {number} retryConfig.maxRetries - Maximum number of retry attempts
  * @property {number} retryConfig.initialDelayMs - Initial delay before first retry in milliseconds
  * @property {number} retryConfig.maxDelayMs - Maximum delay between retries in milliseconds
+ * @property {boolean} useTools - Whether special commands are exposed to the model as tools
+ * @property {boolean} useLocalModel - Whether a local OpenAI-compatible model is used
+ * @property {Object} localModelConfig - Local model settings (apiUrl, apiKey, model, supportsTools)
+ */
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} id - Unique identifier referenced by the primary and fallback settings
+ * @property {string} type - Provider type ('openai', 'openai_compatible', 'anthropic' or 'ollama')
+ * @property {string} [apiUrl] - Base URL of the provider API
+ * @property {string} [apiKey] - API key sent to the provider
+ * @property {string} model - The model to use
+ * @property {boolean} [supportsTools] - Whether the model accepts tool definitions
+ * @property {number} [contextWindow] - Context window of the model, when it isn't a known one
+ * @property {string} [budgetModel] - Cheaper model used once the monthly budget is exceeded
+ * @property {string} [visionModel] - Model used to describe images (providers without one are skipped for images)
+ */
+
+/**
+ * @typedef {Object} LlmConfig
+ * @property {Array<LlmProvider>} providers - Providers added to the built-in 'openai' and 'local' ones
+ * @property {string} primary - ID of the provider tried first
+ * @property {Array<string>} fallbacks - IDs of the providers tried, in order, when the primary fails
+ * @property {Object} health - Provider health tracking settings
+ * @property {number} health.failureThreshold - Consecutive failures before a provider is skipped
+ * @property {number} health.cooldownMs - How long a failing provider is skipped in milliseconds
+ */
+
+/**
+ * @typedef {Object} TokenBudgetConfig
+ * @property {number} contextWindow - Context window in tokens (0 uses the one of the primary model)
+ * @property {number} systemPromptTokens - Tokens for the system prompt, without the knowledge
+ * @property {number} knowledgeTokens - Tokens for the product data and knowledge base
+ * @property {number} historyTokens - Tokens for the conversation history
+ */
+
+/**
+ * @typedef {Object} UsageConfig
+ * @property {Object.<string, Object>} pricing - Prices by model name prefix ({ input, output } in USD per million tokens, or { perMinute } for audio)
+ * @property {number} monthlyBudgetUsd - Monthly AI budget of the tenant in USD (0 disables it)
+ * @property {string} budgetAction - What happens once the budget is exceeded ('alert' or 'downgrade')
+ * @property {string} budgetModel - Model of the built-in 'openai' provider once downgraded
+ * @property {string} [alertWebhookUrl] - URL notified when a tenant exceeds its budget
+ */
+
+/**
+ * @typedef {Object} SemanticMemoryConfig
+ * @property {boolean} enabled - Whether earlier messages and notes are retrieved into the prompt
+ * @property {string} store - Where embeddings are stored ('pgvector', falling back to 'memory' when the extension or table is missing)
+ * @property {string} embeddingProvider - How texts are embedded ('openai' or the offline 'local' hashing)
+ * @property {string} embeddingModel - OpenAI embedding model
+ * @property {number} localDimensions - Dimensions of the local embeddings
+ * @property {number} topK - Maximum chunks added to the prompt
+ * @property {number} minScore - Minimum cosine similarity of a retrieved chunk
+ * @property {number} chunkTokens - Maximum tokens of each stored chunk
+ * @property {number} maxInProcessEntries - Chunks kept per conversation by the in-process store
+ * @property {number} maxInProcessConversations - Conversations kept by the in-process store, least recently used dropped first
+ */
+
+/**
+ * @typedef {Object} KnowledgeBaseConfig
+ * @property {boolean} enabled - Whether only the training passages related to the message are added to the prompt
+ * @property {number} topK - Maximum passages added to the prompt
+ * @property {number} chunkTokens - Maximum tokens of each passage
+ * @property {boolean} useEmbeddings - Whether passages are also matched by embedding similarity
+ * @property {number} embeddingWeight - Share of the embedding similarity in the score (0-1, the rest is BM25)
+ */
+
+/**
+ * @typedef {Object} TrainingReloadConfig
+ * @property {boolean} watch - Whether the training context is reloaded when its files change
+ * @property {number} debounceMs - Quiet time after the last change before reloading in milliseconds
  */
 
 /**
@@ -74,6 +170,37 @@
  * @property {boolean} [translateToPortuguese] - Whether to translate non-Portuguese audio to Portuguese
  */
 
+/**
+ * @typedef {Object} VisionConfig
+ * @property {boolean} enabled - Whether images sent by customers are described and answered
+ * @property {string} provider - Who describes the images ('openai', the LLM providers with a vision model, or the offline 'local' stand-in)
+ * @property {string} model - Vision model of the built-in 'openai' provider
+ * @property {string} detail - Image detail sent to the model ('low', 'high' or 'auto')
+ * @property {number} maxTokens - Maximum tokens of a description
+ * @property {number} maxImageBytes - Largest image uploaded in bytes
+ * @property {Array<string>} allowedMimeTypes - Image formats uploaded
+ */
+
+/**
+ * @typedef {Object} DocumentsConfig
+ * @property {boolean} enabled - Whether documents sent by customers are read
+ * @property {number} maxBytes - Largest document read in bytes
+ * @property {number} maxTextTokens - Tokens of extracted text kept (summarized, stored and indexed)
+ * @property {number} maxTurnTokens - Tokens of a document given to the AI with the customer message
+ * @property {boolean} summarize - Whether longer documents are summarized instead of truncated
+ * @property {string} summaryModel - Model used for summaries (empty uses the chat model)
+ */
+
+/**
+ * @typedef {Object} VoiceRepliesConfig
+ * @property {string} mode - Default reply mode ('text', or 'mirror' to answer audio with voice notes)
+ * @property {string} provider - Speech provider ('openai', 'local' or a registered provider)
+ * @property {string} model - Text-to-speech model
+ * @property {string} voice - Voice of the voice notes
+ * @property {number} speed - Speed of the speech (1 is normal)
+ * @property {number} maxChars - Longest reply sent as a voice note, longer ones are sent in text
+ */
+
 /**
  * @typedef {Object} ServerConfig
  * @property {number} port - The port for the Express API server
@@ -85,14 +212,69 @@
  * @property {number} security.maxRequestsPerMinute - Maximum requests allowed per minute
  */
 
+/**
+ * @typedef {Object} WhatsAppConfig
+ * @property {string} sessionId - ID of the default WhatsApp session
+ * @property {string} sessionFilePath - Directory where the auth state of every session is stored
+ * @property {boolean} headless - Whether the browser runs headless
+ * @property {number} qrMaxRetries - Number of QR codes generated before giving up
+ * @property {boolean} restartOnCrash - Whether disconnected sessions are reconnected
+ * @property {boolean} runDefaultSession - Whether the default session runs alongside the tenant sessions
+ * @property {Object} reconnect - Reconnect backoff settings, applied to each session independently
+ * @property {number} reconnect.maxAttempts - Maximum consecutive reconnect attempts
+ * @property {number} reconnect.initialDelayMs - Delay before the first reconnect attempt in milliseconds
+ * @property {number} reconnect.maxDelayMs - Maximum delay between reconnect attempts in milliseconds
+ * @property {number} reconnect.failedRetryDelayMs - Delay before the session sync restarts a failed session in milliseconds
+ * @property {string} syncSchedule - Cron expression for starting and stopping sessions as tenants change
+ * @property {Array<string>} browserArgs - Extra arguments passed to the browser
+ */
+
+/**
+ * @typedef {Object} SchedulerConfig
+ * @property {string} timezone - IANA timezone used to evaluate cron expressions
+ * @property {string} historyFile - Path of the JSON file where run history is persisted
+ * @property {number} historySize - Number of runs kept in the history of each task
+ */
+
+/**
+ * @typedef {Object} TenantConfig
+ * @property {string} defaultTenantId - ID of the tenant owning conversations handled by this instance
+ * @property {string} defaultTenantName - Name used when the default tenant is created
+ */
+
+/**
+ * @typedef {Object} SupportConfig
+ * @property {string} whatsappNumber - WhatsApp number notified when a lead is transferred to support
+ */
+
+/**
+ * @typedef {Object} TenantContext
+ * @property {string} tenantId - The tenant ID
+ * @property {string} name - The tenant name
+ * @property {boolean} isActive - Whether the tenant account is active
+ * @property {BotConfig} config - Global configuration merged with the tenant BotConfiguration overrides
+ */
+
 /**
  * @typedef {Object} BotConfig
  * @property {BotIdentity} identity - The identity configuration of the bot
  * @property {BotBehavior} behavior - The behavior configuration of the bot
  * @property {OpenAIConfig} openai - The OpenAI API configuration
+ * @property {LlmConfig} llm - The LLM providers and failover configuration
+ * @property {TokenBudgetConfig} tokenBudget - How the model context is split between prompt sections
+ * @property {UsageConfig} usage - AI usage pricing and monthly budgets
+ * @property {SemanticMemoryConfig} semanticMemory - Semantic memory of earlier messages and notes
+ * @property {KnowledgeBaseConfig} knowledgeBase - Retrieval of training passages
+ * @property {TrainingReloadConfig} trainingReload - Hot reload of the training files and social proofs
  * @property {WhisperConfig} whisper - The Whisper API configuration
+ * @property {VisionConfig} vision - Image understanding configuration
+ * @property {DocumentsConfig} documents - Reading of documents sent by customers
+ * @property {VoiceRepliesConfig} voiceReplies - Replies sent as voice notes
  * @property {ServerConfig} server - The API server configuration
- * @property {Object} whatsapp - WhatsApp client configuration
+ * @property {WhatsAppConfig} whatsapp - WhatsApp client configuration
+ * @property {SchedulerConfig} scheduler - Scheduler configuration
+ * @property {TenantConfig} tenant - Tenant configuration
+ * @property {SupportConfig} support - Human support configuration
  * @property {boolean} debug - Whether debug mode is enabled
  * @property {string} logLevel - The logging level
  */
@@ -100,12 +282,22 @@
 /**
  * @typedef {Object} TrainingContext
  * @property {string} generalData - General training data as text
+ * @property {Array<Object>} documents - Text of each txt and pdf training file, with its filename as source
  * @property {Object} specificData - Specific training data organized by keys
  * @property {Object} productData - Product information data
  * @property {Array<Object>} socialProofAssets - Available social proof assets
  * @property {Object} stats - Statistics about the training data
  */
 
+/**
+ * @typedef {Object} KnowledgePassage
+ * @property {string} id - The passage ID (source filename and position)
+ * @property {string} source - Filename of the training file
+ * @property {string} heading - Headings the passage is under, outermost first
+ * @property {string} content - The passage text
+ * @property {number} score - Relevance to the query (higher is closer)
+ */
+
 /**
  * @typedef {Object} Product
  * @property {string} id - Unique identifier for the product
@@ -168,6 +360,26 @@
  * @property {Array<Object>} [stageHistory] - History of stage transitions
  */
 
+/**
+ * @typedef {Object} FunnelBlueprintStage
+ * @property {string} id - Unique identifier for the stage (lowercase letters, digits or underscores)
+ * @property {string} [name] - Human-readable name of the stage
+ * @property {string} [instructions] - Instructions for the AI in this stage (optional for built-in stages)
+ * @property {Object} [advancementSignals] - Signals that advance a conversation into this stage
+ * @property {number} [advancementSignals.minMessages] - Messages the conversation must have reached
+ * @property {Array<string>} [advancementSignals.keywords] - Keywords to look for in recent user messages
+ * @property {Array<string>} [allowedTransitions] - IDs of the stages this stage may move to (any if omitted)
+ * @property {Array<string>} [guards] - Guard conditions that must hold before entering this stage
+ * @property {Array<string>} [commands] - Special commands available in this stage (all if omitted)
+ */
+
+/**
+ * @typedef {Object} FunnelBlueprint
+ * @property {number} [version] - Version of the blueprint
+ * @property {string} [initialStage] - ID of the stage new conversations start in (first stage if omitted)
+ * @property {Array<FunnelBlueprintStage>} stages - Ordered stages of the funnel
+ */
+
 /**
  * @typedef {Object} ApiRequest
  * @property {string} [phoneNumber] - Target phone number for the message
@@ -182,6 +394,7 @@
  * @property {string} [message] - Response message
  * @property {Object} [data] - Response data
  * @property {string} [error] - Error message if request failed
+ * @property {string} [code] - Machine readable error code if request failed
  */
 
 /**
@@ -193,6 +406,40 @@
  * @property {string} [language] - Detected language of the audio
  */
 
+/**
+ * @typedef {Object} ImageDescriptionResult
+ * @property {boolean} success - Whether the image was described
+ * @property {string} description - What the image shows, with its relevant texts (empty on failure)
+ * @property {string} [error] - Error message if the description failed
+ */
+
+/**
+ * @typedef {Object} SpeechSynthesisResult
+ * @property {boolean} success - Whether the text was synthesized
+ * @property {Buffer|null} audio - OGG/Opus audio of the voice note (null on failure)
+ * @property {string} [mimetype] - MIME type of the audio
+ * @property {string} [error] - Error message if the synthesis failed
+ */
+
+/**
+ * @typedef {Object} DocumentReadingResult
+ * @property {boolean} success - Whether the document text was extracted
+ * @property {string} content - The text, or its summary, given to the AI (empty on failure)
+ * @property {boolean} [summarized] - Whether content is a summary of a longer document
+ * @property {boolean} [truncated] - Whether content was cut to the token budget
+ * @property {string} [error] - Error message if the reading failed
+ */
+
+/**
+ * @typedef {Object} DocumentNote
+ * @property {string} filename - Filename of the document
+ * @property {string} type - Document type ('pdf', 'docx', 'xlsx' or 'txt')
+ * @property {string} content - The text, or its summary, given to the AI
+ * @property {boolean} summarized - Whether content is a summary
+ * @property {number} tokens - Tokens of the extracted text
+ * @property {string} receivedAt - When the document was received
+ */
+
 /**
  * @typedef {Object} MemoryEntry
  * @property {string} id - Unique identifier for the memory entry
@@ -204,6 +451,40 @@
  * @property {Date} updatedAt - When the entry was last updated
  */
 
+/**
+ * @typedef {Object} ConversationSummary
+ * @property {string} summary - Rolling summary of the older messages of the conversation
+ * @property {string} summarizedUntil - Timestamp of the latest message included in the summary
+ * @property {number} summarizedMessages - Number of messages summarized so far
+ * @property {string} updatedAt - When the summary was last updated
+ */
+
+/**
+ * @typedef {Object} LeadProfileField
+ * @property {string|number|boolean} value - The value told by the lead
+ * @property {number} confidence - Confidence of the extraction (0-1)
+ * @property {string} source - What extracted the value (e.g. 'ai')
+ * @property {string} evidence - Excerpt of the customer message the value came from
+ * @property {string} messageAt - Timestamp of that customer message
+ * @property {string} updatedAt - When the field was last updated
+ */
+
+/**
+ * @typedef {Object} LeadProfile
+ * @property {Object.<string, LeadProfileField>} fields - Known fields (name, company, segment, teamSize, monthlyConversations, budgetRange, email, mainPain, decisionMaker)
+ * @property {string} updatedAt - When the profile was last updated
+ */
+
+/**
+ * @typedef {Object} SemanticMemoryMatch
+ * @property {string} id - The chunk ID
+ * @property {string} kind - What the chunk is ('message' or 'note')
+ * @property {string} content - The chunk text
+ * @property {Object} metadata - Additional data stored with the chunk
+ * @property {Date} createdAt - When the chunk was stored
+ * @property {number} score - Cosine similarity to the query (higher is closer)
+ */
+
 /**
  * @typedef {Object} AiResponse
  * @property {string} content - The text content of the AI response
@@ -220,6 +501,35 @@
  * @property {string} [caption] - Caption for the media
  */
 
+/**
+ * @typedef {Object} StructuredMessageContent
+ * @property {string} type - Normalized content type ('location', 'contact', 'sticker', 'poll' or 'reaction')
+ * @property {string} text - User turn describing the message to the AI
+ * @property {Object} payload - Raw data of the message, stored in the metadata of the turn
+ */
+
+/**
+ * @typedef {Object} QuotedMessage
+ * @property {string} id - Serialized ID of the quoted message
+ * @property {string} body - Text of the quoted message (empty for media without caption)
+ * @property {string} type - WhatsApp message type
+ * @property {boolean} fromMe - Whether the bot sent the quoted message
+ */
+
+/**
+ * @typedef {Object} QuotedReply
+ * @property {number|null} messageNumber - Number of the grouped message answered, null for a part quoting none
+ * @property {string} content - Part of the response
+ */
+
+/**
+ * @typedef {Object} VCardContact
+ * @property {string} name - Display name of the contact
+ * @property {Array<string>} phones - Phone numbers (international WhatsApp number when available)
+ * @property {Array<string>} emails - Email addresses
+ * @property {string} organization - Company of the contact
+ */
+
 /**
  * @typedef {Object} SalesReport
  * @property {string} timeframe - Timeframe for the report ('daily', 'weekly', 'monthly')
@@ -0,0 +1,431 @@
+/**
+ * @fileoverview Usage Tracker for WhatsApp AI Sales Agent
+ *
+ * This module records every AI call (chat completions and Whisper
+ * transcriptions) with its model, tokens, latency and the cost computed from
+ * the configured price table, linked to the tenant and the conversation. It
+ * sums the usage per day, model, operation, provider, conversation or tenant,
+ * and tracks the monthly budget of each tenant, alerting once it is exceeded.
+ */
+
+const axios = require("axios");
+const { prisma, Prisma } = require("./db");
+const logger = require("./logger");
+const botConfig = require("./botConfig");
+const tenantManager = require("./tenantManager");
+const memoryManager = require("./memoryManager");
+
+/**
+ * Kinds of AI calls recorded
+ * @enum {string}
+ */
+const USAGE_OPERATIONS = {
+  CHAT: "chat",
+  TOOL_REPLY: "tool_reply",
+  STAGE_CLASSIFICATION: "stage_classification",
+  SUMMARY: "summary",
+  ENTITY_EXTRACTION: "entity_extraction",
+  EMBEDDING: "embedding",
+  TRANSCRIPTION: "transcription",
+  VISION: "vision",
+  DOCUMENT_SUMMARY: "document_summary",
+  SPEECH: "speech",
+};
+
+/**
+ * What happens once a tenant exceeds its monthly budget
+ * @enum {string}
+ */
+const BUDGET_ACTIONS = {
+  ALERT: "alert",
+  DOWNGRADE: "downgrade",
+};
+
+/**
+ * SQL expression grouping the usage records of each summary
+ * @type {Object.<string, Object>}
+ */
+const USAGE_GROUPS = {
+  day: Prisma.sql`to_char(date_trunc('day', "createdAt"), 'YYYY-MM-DD')`,
+  model: Prisma.sql`"model"`,
+  operation: Prisma.sql`"operation"`,
+  provider: Prisma.sql`"provider"`,
+  conversation: Prisma.sql`"conversationId"`,
+  tenant: Prisma.sql`"tenantId"`,
+};
+
+/**
+ * How long the monthly spend of a tenant is cached in milliseconds
+ * @type {number}
+ */
+const MONTHLY_SPEND_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Timeout of budget alert webhooks in milliseconds
+ * @type {number}
+ */
+const ALERT_TIMEOUT_MS = 10000;
+
+/**
+ * Usage Tracker class for recording AI calls and enforcing budgets
+ */
+class UsageTracker {
+  /**
+   * Create a new UsageTracker instance
+   */
+  constructor() {
+    // Spend of the current month by tenant ({ month, spentUsd, loadedAt })
+    this.monthlySpend = new Map();
+
+    // Month of the last budget alert of each tenant
+    this.alertedMonths = new Map();
+
+    logger.info("UsageTracker initialized");
+  }
+
+  /**
+   * Calculate the cost of an AI call from the price table
+   * @param {string} model - The model used
+   * @param {Object} usage - Tokens and audio duration of the call
+   * @param {number} [usage.promptTokens] - Prompt tokens (input characters for speech)
+   * @param {number} [usage.completionTokens] - Completion tokens
+   * @param {number} [usage.audioSeconds] - Audio duration in seconds
+   * @returns {number} Cost in USD (0 when the model has no price)
+   */
+  calculateCost(model, usage) {
+    const price = this._findPrice(model);
+
+    if (!price) {
+      logger.debug(`No price configured for model ${model}`);
+      return 0;
+    }
+
+    const tokenCost =
+      ((usage.promptTokens || 0) * (price.input || 0) +
+        (usage.completionTokens || 0) * (price.output || 0)) /
+      1000000;
+    const audioCost = ((usage.audioSeconds || 0) / 60) * (price.perMinute || 0);
+
+    return tokenCost + audioCost;
+  }
+
+  /**
+   * Record an AI call of the current tenant
+   * @param {Object} usage - The AI call
+   * @param {string} usage.operation - Kind of call (see USAGE_OPERATIONS)
+   * @param {string} usage.provider - ID of the LLM provider
+   * @param {string} usage.model - The model used
+   * @param {number} [usage.promptTokens] - Prompt tokens (input characters for speech)
+   * @param {number} [usage.completionTokens] - Completion tokens
+   * @param {number} [usage.audioSeconds] - Audio duration in seconds
+   * @param {number} usage.latencyMs - Response time of the provider
+   * @param {string} [usage.phoneNumber] - Phone number of the conversation
+   * @returns {Promise<Object|null>} The usage record, or null if it couldn't be saved
+   */
+  async recordUsage(usage) {
+    const {
+      operation,
+      provider,
+      model,
+      promptTokens = 0,
+      completionTokens = 0,
+      audioSeconds = null,
+      latencyMs,
+      phoneNumber,
+    } = usage;
+    const tenantId = tenantManager.getCurrentTenantId();
+
+    try {
+      if (tenantId === botConfig.tenant.defaultTenantId) {
+        await tenantManager.ensureDefaultTenant();
+      }
+
+      const costUsd = this.calculateCost(model, {
+        promptTokens,
+        completionTokens,
+        audioSeconds,
+      });
+      // The call may come before the first message of the conversation is saved
+      const conversationId = phoneNumber
+        ? (await memoryManager.ensureConversation(phoneNumber)).id
+        : null;
+
+      const record = await prisma.aiUsage.create({
+        data: {
+          tenantId,
+          conversationId,
+          operation,
+          provider,
+          model,
+          promptTokens,
+          completionTokens,
+          audioSeconds,
+          latencyMs: Math.round(latencyMs),
+          costUsd,
+        },
+      });
+
+      this._addMonthlySpend(tenantId, costUsd);
+      logger.debug(
+        `Recorded ${operation} usage of ${model}: ${promptTokens}+${completionTokens} tokens, US$ ${costUsd.toFixed(
+          6
+        )}`
+      );
+
+      // Checking the budget right away sends the alert as soon as it is exceeded
+      await this.getBudgetStatus();
+
+      return record;
+    } catch (error) {
+      // Usage accounting never interrupts the conversation
+      logger.error(`Failed to record AI usage for tenant ${tenantId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the monthly budget status of the current tenant
+   * @returns {Promise<Object>} Budget, spend of the current month and whether it was exceeded
+   */
+  async getBudgetStatus() {
+    const tenantId = tenantManager.getCurrentTenantId();
+    const { monthlyBudgetUsd, budgetAction } = tenantManager.getConfig().usage;
+    const spentUsd = await this._getMonthlySpend(tenantId);
+
+    const status = {
+      tenantId,
+      month: this._currentMonth(),
+      budgetUsd: monthlyBudgetUsd > 0 ? monthlyBudgetUsd : null,
+      spentUsd,
+      exceeded: monthlyBudgetUsd > 0 && spentUsd >= monthlyBudgetUsd,
+      action: budgetAction,
+    };
+
+    // Alert once per tenant and month
+    if (status.exceeded && this.alertedMonths.get(tenantId) !== status.month) {
+      this.alertedMonths.set(tenantId, status.month);
+      await this._sendBudgetAlert(status);
+    }
+
+    return status;
+  }
+
+  /**
+   * Sum the AI usage of a period
+   * @param {Object} [options] - Summary options
+   * @param {Date} [options.from] - Start of the period (inclusive)
+   * @param {Date} [options.to] - End of the period (exclusive)
+   * @param {string} [options.groupBy="day"] - Grouping (day, model, operation, provider, conversation or tenant)
+   * @param {string} [options.tenantId] - Restrict to a tenant
+   * @param {string} [options.conversationId] - Restrict to a conversation
+   * @returns {Promise<Object>} Totals of the period and of each group
+   */
+  async getUsageSummary(options = {}) {
+    const { from, to, groupBy = "day", tenantId, conversationId } = options;
+
+    if (!USAGE_GROUPS[groupBy]) {
+      throw new Error(`Invalid usage grouping: ${groupBy}`);
+    }
+
+    try {
+      const filters = [Prisma.sql`TRUE`];
+      if (from) {
+        filters.push(Prisma.sql`"createdAt" >= ${from}`);
+      }
+      if (to) {
+        filters.push(Prisma.sql`"createdAt" < ${to}`);
+      }
+      if (tenantId) {
+        filters.push(Prisma.sql`"tenantId" = ${tenantId}`);
+      }
+      if (conversationId) {
+        filters.push(Prisma.sql`"conversationId" = ${conversationId}`);
+      }
+
+      const rows = await prisma.$queryRaw`
+        SELECT
+          ${USAGE_GROUPS[groupBy]} AS "key",
+          COUNT(*)::int AS "calls",
+          COALESCE(SUM("promptTokens"), 0)::bigint AS "promptTokens",
+          COALESCE(SUM("completionTokens"), 0)::bigint AS "completionTokens",
+          COALESCE(SUM("audioSeconds"), 0)::float AS "audioSeconds",
+          COALESCE(SUM("costUsd"), 0)::float AS "costUsd",
+          COALESCE(AVG("latencyMs"), 0)::int AS "avgLatencyMs"
+        FROM "ai_usage"
+        WHERE ${Prisma.join(filters, " AND ")}
+        GROUP BY 1
+        ORDER BY 1
+      `;
+
+      // Sums of integer columns come back as BigInt
+      const groups = rows.map((row) => ({
+        ...row,
+        promptTokens: Number(row.promptTokens),
+        completionTokens: Number(row.completionTokens),
+      }));
+
+      const totals = groups.reduce(
+        (sum, group) => ({
+          calls: sum.calls + group.calls,
+          promptTokens: sum.promptTokens + group.promptTokens,
+          completionTokens: sum.completionTokens + group.completionTokens,
+          audioSeconds: sum.audioSeconds + group.audioSeconds,
+          costUsd: sum.costUsd + group.costUsd,
+        }),
+        {
+          calls: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          audioSeconds: 0,
+          costUsd: 0,
+        }
+      );
+
+      return { groupBy, from: from || null, to: to || null, totals, groups };
+    } catch (error) {
+      logger.error("Failed to summarize AI usage:", error);
+      throw new Error(`Failed to summarize AI usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the latest AI calls of a conversation
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} [options] - Listing options
+   * @param {number} [options.limit=20] - Maximum number of calls
+   * @returns {Promise<Array<Object>>} Usage records, newest first
+   */
+  async getConversationUsage(conversationId, options = {}) {
+    const { limit = 20 } = options;
+
+    try {
+      return await prisma.aiUsage.findMany({
+        where: { conversationId },
+        orderBy: { createdAt: "desc" },
+        take: limit,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to get AI usage of conversation ${conversationId}:`,
+        error
+      );
+      throw new Error(`Failed to get conversation usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the price of a model, matching the longest model name prefix
+   * @private
+   * @param {string} model - The model used
+   * @returns {Object|null} Price per million tokens or per audio minute
+   */
+  _findPrice(model) {
+    const { pricing } = tenantManager.getConfig().usage;
+    const prefix = Object.keys(pricing)
+      .filter((name) => (model || "").startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? pricing[prefix] : null;
+  }
+
+  /**
+   * Get the spend of a tenant in the current month
+   * @private
+   * @param {string} tenantId - The tenant ID
+   * @returns {Promise<number>} Spend in USD
+   */
+  async _getMonthlySpend(tenantId) {
+    const month = this._currentMonth();
+    const cached = this.monthlySpend.get(tenantId);
+
+    if (
+      cached &&
+      cached.month === month &&
+      Date.now() - cached.loadedAt < MONTHLY_SPEND_CACHE_TTL_MS
+    ) {
+      return cached.spentUsd;
+    }
+
+    const result = await prisma.aiUsage.aggregate({
+      where: {
+        tenantId,
+        createdAt: { gte: new Date(`${month}-01T00:00:00.000Z`) },
+      },
+      _sum: { costUsd: true },
+    });
+
+    const spentUsd = (result && result._sum.costUsd) || 0;
+    this.monthlySpend.set(tenantId, { month, spentUsd, loadedAt: Date.now() });
+
+    return spentUsd;
+  }
+
+  /**
+   * Add the cost of a call to the cached spend of a tenant
+   * @private
+   * @param {string} tenantId - The tenant ID
+   * @param {number} costUsd - Cost of the call
+   */
+  _addMonthlySpend(tenantId, costUsd) {
+    const cached = this.monthlySpend.get(tenantId);
+
+    if (cached && cached.month === this._currentMonth()) {
+      cached.spentUsd += costUsd;
+    }
+  }
+
+  /**
+   * Warn that a tenant exceeded its monthly budget
+   * @private
+   * @param {Object} status - The budget status
+   * @returns {Promise<void>}
+   */
+  async _sendBudgetAlert(status) {
+    const spent = `US$ ${status.spentUsd.toFixed(2)}`;
+    const budget = `US$ ${status.budgetUsd.toFixed(2)}`;
+    const consequence =
+      status.action === BUDGET_ACTIONS.DOWNGRADE
+        ? ", switching to the budget model"
+        : "";
+
+    logger.warn(
+      `Tenant ${status.tenantId} exceeded its monthly AI budget (${spent} of ${budget})${consequence}`
+    );
+
+    const { alertWebhookUrl } = tenantManager.getConfig().usage;
+    if (!alertWebhookUrl) {
+      return;
+    }
+
+    try {
+      await axios.post(
+        alertWebhookUrl,
+        { event: "ai_budget_exceeded", ...status },
+        { timeout: ALERT_TIMEOUT_MS }
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send the AI budget alert of tenant ${status.tenantId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the current month (UTC)
+   * @private
+   * @returns {string} Month as YYYY-MM
+   */
+  _currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+  }
+}
+
+// Create and export singleton instance
+const usageTracker = new UsageTracker();
+
+module.exports = {
+  USAGE_OPERATIONS,
+  BUDGET_ACTIONS,
+  USAGE_GROUPS,
+  usageTracker,
+};
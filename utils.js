@@ -241,6 +241,15 @@ function cleanPhoneNumber(phoneNumber) {
   }
 }
 
+/**
+ * Convert a phone number to the WhatsApp chat ID format (number@c.us)
+ * @param {string} phoneNumber - Phone number or WhatsApp ID
+ * @returns {string} WhatsApp chat ID
+ */
+function toWhatsAppChatId(phoneNumber) {
+  return `${cleanPhoneNumber(phoneNumber)}@c.us`;
+}
+
 /**
  * Convert base64 data to a Buffer
  * @param {string} base64Data - Base64 string to convert
@@ -609,6 +618,56 @@ function brDateToIso(brDate) {
   }
 }
 
+/**
+ * Parse the fields of a vCard, as sent in WhatsApp contact cards
+ * @param {string} vcard - The vCard text
+ * @returns {Object} Contact with its name, phone numbers, emails and organization
+ */
+function parseVCard(vcard) {
+  const contact = { name: "", phones: [], emails: [], organization: "" };
+
+  // Folded lines continue on the next line after a space or tab
+  const lines = (vcard || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+  for (const line of lines) {
+    // Properties may be grouped (e.g. "item1.TEL;waid=5511...:+55 11 ...")
+    const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) continue;
+
+    const [, property, parameters, rawValue] = match;
+    const value = rawValue
+      .replace(/\\n/gi, " ")
+      .replace(/\\([,;\\])/g, "$1")
+      .trim();
+
+    switch (property.toUpperCase()) {
+      case "FN":
+        contact.name = value;
+        break;
+      case "N":
+        // Structured name (family;given;...), used when there is no FN
+        if (!contact.name) {
+          contact.name = value.split(";").reverse().filter(Boolean).join(" ");
+        }
+        break;
+      case "TEL": {
+        // WhatsApp adds the number in international format as waid
+        const waid = parameters.match(/waid=(\d+)/i);
+        contact.phones.push(waid ? `+${waid[1]}` : value);
+        break;
+      }
+      case "EMAIL":
+        contact.emails.push(value);
+        break;
+      case "ORG":
+        contact.organization = value.split(";").filter(Boolean).join(" - ");
+        break;
+    }
+  }
+
+  return contact;
+}
+
 module.exports = {
   initializeBotStatus,
   getBotStatus,
@@ -618,6 +677,7 @@ module.exports = {
   formatCurrency,
   formatPhoneNumber,
   cleanPhoneNumber,
+  toWhatsAppChatId,
   base64ToBuffer,
   truncateText,
   sanitizeText,
@@ -635,4 +695,5 @@ module.exports = {
   stringSimilarity,
   safeParseDate,
   brDateToIso,
+  parseVCard,
 };